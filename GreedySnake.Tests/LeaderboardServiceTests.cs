@@ -0,0 +1,130 @@
+﻿using System.Globalization;
+using GreedySnake.Models;
+using GreedySnake.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace GreedySnake.Tests;
+
+// Tests for LeaderboardService on a leaderboard file of its own (see TestWebHostEnvironment).
+public class LeaderboardServiceTests : IDisposable
+{
+    private readonly LeaderboardService _service =
+        new LeaderboardService(new TestWebHostEnvironment(), NullLogger<LeaderboardService>.Instance);
+
+    public LeaderboardServiceTests()
+    {
+        _service.ClearLeaderboard();
+    }
+
+    public void Dispose()
+    {
+        _service.Dispose();
+    }
+
+    [Theory]
+    [InlineData("2026-10-01T04:00:00Z", "2026-10-01T10:00:00Z")]
+    [InlineData("2026-10-01T12:00:00+08:00", "2026-10-01T18:00:00+08:00")]
+    [InlineData("2026-10-01T04:00:00", "2026-10-01T10:00:00")] // No offset: UTC
+    public void DateRangeIsComparedInUtc(string from, string to)
+    {
+        AddEntry("early", 10, "2026-10-01T03:00:00Z");
+        AddEntry("inside", 20, "2026-10-01T09:00:00Z");
+        AddEntry("late", 30, "2026-10-01T10:00:00Z");
+
+        var page = _service.QueryLeaderboard(new LeaderboardQuery { From = ParseBound(from), To = ParseBound(to) });
+
+        Assert.Equal("inside", Assert.Single(page.Entries).Username);
+    }
+
+    [Fact]
+    public void PlacementRanksTheSubmittedGameInPlaceOfThePlayersBest()
+    {
+        AddEntry("player", 50, "2026-10-01T01:00:00Z");
+        AddEntry("other", 40, "2026-10-01T02:00:00Z");
+        AddEntry("last", 20, "2026-10-01T03:00:00Z");
+
+        var placement = AddEntry("player", 30, "2026-10-01T04:00:00Z");
+
+        Assert.NotNull(placement);
+        Assert.Equal(2, placement!.Rank);
+        Assert.Equal(3, placement.Total);
+        Assert.Equal(30, placement.Entry.Score);
+        Assert.Equal(new[] { 40, 30, 20 }, placement.Neighbours.Select(e => e.Score));
+        Assert.False(placement.IsPersonalBest);
+        Assert.Equal(50, placement.PreviousBest!.Score);
+    }
+
+    [Fact]
+    public void PlacementOfANewBestIsThePlayersRank()
+    {
+        AddEntry("player", 30, "2026-10-01T01:00:00Z");
+        AddEntry("other", 40, "2026-10-01T02:00:00Z");
+
+        var placement = AddEntry("player", 45, "2026-10-01T03:00:00Z");
+
+        Assert.Equal(1, placement!.Rank);
+        Assert.Equal(2, placement.Total);
+        Assert.True(placement.IsPersonalBest);
+        Assert.Equal(30, placement.PreviousBest!.Score);
+    }
+
+    [Fact]
+    public void EveryGameIsKept()
+    {
+        var start = new DateTime(2026, 10, 1, 0, 0, 0, DateTimeKind.Utc);
+        for (int game = 0; game < 250; game++)
+        {
+            AddEntry("player", game % 7, start.AddMinutes(game).ToString("o", CultureInfo.InvariantCulture));
+        }
+
+        var history = _service.QueryLeaderboard(new LeaderboardQuery { Username = "player", View = LeaderboardQuery.ViewAll, Sort = LeaderboardQuery.SortByDate });
+
+        Assert.Equal(250, history.Total);
+        Assert.Equal(250, _service.GetPlayerStats(new LeaderboardQuery { Username = "player" }).GamesPlayed);
+    }
+
+    [Fact]
+    public void EscapedUsernamesOfOldFilesAreUnescapedOnce()
+    {
+        var env = new TestWebHostEnvironment();
+        string dataFolder = Directory.CreateDirectory(Path.Combine(env.ContentRootPath, "Data")).FullName;
+        File.WriteAllText(Path.Combine(dataFolder, "leaderboard.json"), """
+            { "Entries": [
+                { "Username": "a&amp;b", "Score": 5, "Timestamp": "2026-09-01T00:00:00Z", "Difficulty": "medium", "Mode": "classic" },
+                { "Username": "&lt;team&gt;", "Score": 5, "Timestamp": "2026-09-01T00:00:00Z", "Difficulty": "medium", "Mode": "coop" }
+            ] }
+            """);
+
+        using (var service = new LeaderboardService(env, NullLogger<LeaderboardService>.Instance))
+        {
+            service.AddScoreEntry(new LeaderboardEntry { Username = "a&b", Score = 7, Difficulty = "medium" });
+            service.AddScoreEntry(new LeaderboardEntry { Username = "c&amp;d", Score = 3, Difficulty = "medium" }); // Typed like this
+        }
+
+        // A second service reads the migrated file: nothing is unescaped twice
+        using var reloaded = new LeaderboardService(env, NullLogger<LeaderboardService>.Instance);
+        Assert.Equal(2, reloaded.GetPlayerStats(new LeaderboardQuery { Username = "a&b" }).GamesPlayed);
+        Assert.Equal(1, reloaded.GetPlayerStats(new LeaderboardQuery { Username = "c&amp;d" }).GamesPlayed);
+        Assert.Equal(1, reloaded.GetPlayerStats(new LeaderboardQuery { Username = "&lt;team&gt;", Mode = LeaderboardModes.Coop }).GamesPlayed);
+    }
+
+    // Parses a from/to value like the model binder: a "Z" or an offset gives local time, no offset an unspecified kind.
+    private static DateTime ParseBound(string value)
+    {
+        return DateTime.Parse(value, CultureInfo.InvariantCulture);
+    }
+
+    private LeaderboardPlacement? AddEntry(string username, int score, string timestamp)
+    {
+        return _service.AddScoreEntry(new LeaderboardEntry
+        {
+            Username = username,
+            Score = score,
+            SurvivalTime = score,
+            Timestamp = DateTime.Parse(timestamp, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal),
+            Difficulty = "medium",
+            Mode = LeaderboardModes.Classic
+        });
+    }
+}
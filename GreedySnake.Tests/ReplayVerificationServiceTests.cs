@@ -0,0 +1,113 @@
+﻿using System.Diagnostics;
+using System.Text.Json;
+using GreedySnake.Models;
+using GreedySnake.Services;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace GreedySnake.Tests;
+
+// Tests for ReplayVerificationService that need the real interpreter: its time budget and the order of its checks.
+// The rules themselves are covered by the Node tests in GreedySnake/tests.
+public class ReplayVerificationServiceTests
+{
+    // Largest board the pages allow (MAX_BOARD_DIMENSION in common.js), with the single player spawn in its middle.
+    private const int BoardSize = 60;
+
+    private readonly ReplayVerificationService _service =
+        new ReplayVerificationService(new TestWebHostEnvironment(), NullLogger<ReplayVerificationService>.Instance);
+
+    [Fact]
+    public void MaximumLengthRecordingReplaysWithinTheTimeout()
+    {
+        var replay = CreateRecording(ReplayVerificationService.MaxReplayTicks, items: true);
+
+        var clock = Stopwatch.StartNew();
+        string? problem = _service.Verify(CreateEntry(), replay, out var summary);
+        clock.Stop();
+
+        // The snake is still alive after the last tick, so the entry is refused, but only after the full simulation
+        Assert.Equal("Replay does not end with the end of the match.", problem);
+        Assert.NotNull(summary);
+        Assert.Equal(ReplayVerificationService.MaxReplayTicks, summary!.Ticks);
+        Assert.False(summary.Over);
+        Assert.True(clock.Elapsed < ReplayVerificationService.SimulationTimeout,
+            $"Replaying {ReplayVerificationService.MaxReplayTicks} ticks took {clock.Elapsed.TotalSeconds:0.0}s.");
+    }
+
+    [Fact]
+    public void RecordingWithSettingsThePagesDoNotUseIsRefusedWithoutSimulating()
+    {
+        var replay = CreateRecording(ReplayVerificationService.MaxReplayTicks, items: false);
+
+        string? problem = _service.Verify(CreateEntry(), replay, out var summary);
+
+        Assert.Equal("Replay settings differ from the game's: items are disabled.", problem);
+        Assert.Null(summary); // summary is only set once the match was simulated
+    }
+
+    [Fact]
+    public void RecordingLongerThanTheLimitIsRefused()
+    {
+        var replay = CreateRecording(ReplayVerificationService.MaxReplayTicks + 1, items: true);
+
+        Assert.Equal("Replay tick count is missing or out of range.", _service.Verify(CreateEntry(), replay, out _));
+    }
+
+    // The endless single player entry matching the recordings of CreateRecording.
+    private static LeaderboardEntry CreateEntry()
+    {
+        return new LeaderboardEntry
+        {
+            Username = "tester",
+            Difficulty = "medium",
+            BoardSize = $"{BoardSize}x{BoardSize}",
+            WallMode = "solid",
+            Level = string.Empty,
+            Mode = LeaderboardModes.Classic
+        };
+    }
+
+    // Creates a single player recording in which the snake follows a cycle through every cell of the board, so it eats
+    // whatever appears and never dies within the given ticks: the longest simulation a valid recording can ask for.
+    // The cycle runs right along even rows and left along odd rows (leaving column 0 free), and back up column 0.
+    private static JsonElement CreateRecording(int ticks, bool items)
+    {
+        int x = BoardSize / 2, y = BoardSize / 2; // createSinglePlayerSpawn in common.js
+        string direction = "right";
+        var inputs = new List<object[]>();
+        for (int tick = 0; tick < ticks; tick++)
+        {
+            string next = x == 0 ? (y == 0 ? "right" : "up")
+                : y % 2 == 0 ? (x < BoardSize - 1 ? "right" : "down")
+                : x > 1 ? "left" : (y == BoardSize - 1 ? "left" : "down");
+            if (next != direction)
+            {
+                inputs.Add(new object[] { tick, 0, next.Substring(0, 1) });
+                direction = next;
+            }
+            x += direction == "right" ? 1 : direction == "left" ? -1 : 0;
+            y += direction == "down" ? 1 : direction == "up" ? -1 : 0;
+        }
+
+        var recording = new
+        {
+            version = 1,
+            seed = 1,
+            config = new
+            {
+                mode = "singleplayer",
+                difficulty = "medium",
+                width = BoardSize,
+                height = BoardSize,
+                walls = "solid",
+                items,
+                players = new[] { new { spawn = new { x = BoardSize / 2, y = BoardSize / 2 }, direction = "right", name = "tester", color = "#008000" } }
+            },
+            inputs,
+            pauses = Array.Empty<object>(),
+            ticks
+        };
+        return JsonSerializer.SerializeToElement(recording);
+    }
+}
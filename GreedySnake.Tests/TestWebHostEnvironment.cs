@@ -0,0 +1,22 @@
+﻿using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.FileProviders;
+
+namespace GreedySnake.Tests;
+
+// Host environment for constructing the services in tests: the web root is the copy of wwwroot/js
+// in the test output folder (see GreedySnake.Tests.csproj), the content root a fresh temporary folder.
+public class TestWebHostEnvironment : IWebHostEnvironment
+{
+    public TestWebHostEnvironment()
+    {
+        WebRootPath = Path.Combine(AppContext.BaseDirectory, "wwwroot");
+        ContentRootPath = Directory.CreateTempSubdirectory("greedysnake-tests").FullName;
+    }
+
+    public string WebRootPath { get; set; }
+    public IFileProvider WebRootFileProvider { get; set; } = new NullFileProvider();
+    public string ApplicationName { get; set; } = "GreedySnake";
+    public string ContentRootPath { get; set; }
+    public IFileProvider ContentRootFileProvider { get; set; } = new NullFileProvider();
+    public string EnvironmentName { get; set; } = "Development";
+}
@@ -9,21 +9,29 @@ namespace SnakeGame.Controllers
     public class LeaderboardController : ControllerBase
     {
         private readonly LeaderboardService _leaderboardService;
+        private readonly ReplayVerificationService _replayVerificationService;
 
-        public LeaderboardController(LeaderboardService leaderboardService)
+        public LeaderboardController(LeaderboardService leaderboardService, ReplayVerificationService replayVerificationService)
         {
             _leaderboardService = leaderboardService;
+            _replayVerificationService = replayVerificationService;
         }
 
         // GET: api/leaderboard
-        // Returns the sorted list of leaderboard entries
+        // Returns one page of leaderboard entries, filtered and sorted as the query asks (see LeaderboardQuery),
+        // e.g. ?mode=classic&difficulty=hard&boardSize=30x20&wallMode=solid&level=&sort=rank&page=1&limit=50
+        // By default each player appears once per category with their best entry; view=all lists every game.
         [HttpGet]
-        public ActionResult<List<LeaderboardEntry>> Get([FromQuery] int limit = 50) // Optional: allow limiting entries via query param
+        public ActionResult<LeaderboardPage> Get([FromQuery] LeaderboardQuery query)
         {
+            string? problem = ValidateQuery(query);
+            if (problem != null)
+            {
+                return BadRequest(problem);
+            }
             try
             {
-                var leaderboard = _leaderboardService.GetSortedLeaderboard(limit);
-                return Ok(leaderboard);
+                return Ok(_leaderboardService.QueryLeaderboard(query));
             }
             catch (Exception ex)
             {
@@ -32,23 +40,200 @@ namespace SnakeGame.Controllers
             }
         }
 
+        // GET: api/leaderboard/best
+        // Returns a player's best entry per difficulty (hardest first), e.g. ?username=Alice&mode=classic&boardSize=30x20
+        // The same filters as GET api/leaderboard apply; a username is required.
+        [HttpGet("best")]
+        public ActionResult<List<LeaderboardEntry>> GetPersonalBests([FromQuery] LeaderboardQuery query)
+        {
+            if (string.IsNullOrWhiteSpace(query.Username))
+            {
+                return BadRequest("A username is required.");
+            }
+            string? problem = ValidateQuery(query);
+            if (problem != null)
+            {
+                return BadRequest(problem);
+            }
+            try
+            {
+                return Ok(_leaderboardService.GetPersonalBests(query));
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error in GET /api/leaderboard/best: {ex.Message}");
+                return StatusCode(500, "Internal server error retrieving personal bests");
+            }
+        }
+
+        // GET: api/leaderboard/history
+        // Returns one page of every game a player submitted, newest first, e.g. ?username=Alice&mode=classic&page=1
+        // The same filters as GET api/leaderboard apply; a username is required.
+        [HttpGet("history")]
+        public ActionResult<LeaderboardPage> GetHistory([FromQuery] LeaderboardQuery query)
+        {
+            if (string.IsNullOrWhiteSpace(query.Username))
+            {
+                return BadRequest("A username is required.");
+            }
+            query.View = LeaderboardQuery.ViewAll;
+            query.Sort = LeaderboardQuery.SortByDate;
+            string? problem = ValidateQuery(query);
+            if (problem != null)
+            {
+                return BadRequest(problem);
+            }
+            try
+            {
+                return Ok(_leaderboardService.QueryLeaderboard(query));
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error in GET /api/leaderboard/history: {ex.Message}");
+                return StatusCode(500, "Internal server error retrieving history");
+            }
+        }
+
+        // GET: api/leaderboard/stats
+        // Returns a player's statistics over all their games (see PlayerStats), e.g. ?username=Alice or ?username=Alice&mode=classic
+        // The same filters as GET api/leaderboard apply; a username is required.
+        [HttpGet("stats")]
+        public ActionResult<PlayerStats> GetPlayerStats([FromQuery] LeaderboardQuery query)
+        {
+            if (string.IsNullOrWhiteSpace(query.Username))
+            {
+                return BadRequest("A username is required.");
+            }
+            string? problem = ValidateQuery(query);
+            if (problem != null)
+            {
+                return BadRequest(problem);
+            }
+            try
+            {
+                return Ok(_leaderboardService.GetPlayerStats(query));
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error in GET /api/leaderboard/stats: {ex.Message}");
+                return StatusCode(500, "Internal server error retrieving player statistics");
+            }
+        }
+
+        // GET: api/leaderboard/ranks
+        // Returns a player's place today, this week, this month and of all time, with when each period resets,
+        // e.g. ?username=Alice&mode=classic&difficulty=hard&boardSize=30x20&wallMode=solid&level=
+        // The same filters as GET api/leaderboard apply (except dates and period); a username is required.
+        [HttpGet("ranks")]
+        public ActionResult<List<LeaderboardRank>> GetPeriodRanks([FromQuery] LeaderboardQuery query)
+        {
+            if (string.IsNullOrWhiteSpace(query.Username))
+            {
+                return BadRequest("A username is required.");
+            }
+            string? problem = ValidateQuery(query);
+            if (problem != null)
+            {
+                return BadRequest(problem);
+            }
+            try
+            {
+                return Ok(_leaderboardService.GetPeriodRanks(query));
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error in GET /api/leaderboard/ranks: {ex.Message}");
+                return StatusCode(500, "Internal server error retrieving ranks");
+            }
+        }
+
+        // Checks the parts of a query the service relies on. Returns null if it is valid, otherwise the reason.
+        private static string? ValidateQuery(LeaderboardQuery query)
+        {
+            if (query.Mode != null && !LeaderboardModes.IsKnown(query.Mode))
+            {
+                return $"Unknown leaderboard mode '{query.Mode}'.";
+            }
+            if (!LeaderboardQuery.SortKeys.Contains(query.Sort))
+            {
+                return $"Unknown sort key '{query.Sort}'. Use one of: {string.Join(", ", LeaderboardQuery.SortKeys)}.";
+            }
+            if (!LeaderboardQuery.Views.Contains(query.View))
+            {
+                return $"Unknown view '{query.View}'. Use one of: {string.Join(", ", LeaderboardQuery.Views)}.";
+            }
+            if (query.Page < 1 || query.Limit < 1)
+            {
+                return "Page and limit must be at least 1.";
+            }
+            if (query.From != null && query.To != null && LeaderboardQuery.ToUtc(query.From) > LeaderboardQuery.ToUtc(query.To))
+            {
+                return "The date range ends before it starts.";
+            }
+            if (query.Period != null && !LeaderboardPeriods.IsKnown(query.Period))
+            {
+                return $"Unknown period '{query.Period}'. Use one of: {string.Join(", ", LeaderboardPeriods.All)}.";
+            }
+            if (query.Period != null && (query.From != null || query.To != null))
+            {
+                return "Use either a period or a from/to range, not both.";
+            }
+            return null;
+        }
+
         // POST: api/leaderboard
-        // Adds a new score entry to the leaderboard (for single player games)
+        // Adds a new score entry to the leaderboard (for single player games and co-op team results)
+        // The entry must include the match recording; it is re-simulated and only accepted
+        // if the replayed score and survival time match the claimed ones.
+        // The response tells where the player now stands on the all-time leaderboard of the category
+        // (rank, neighbouring entries and whether the result is a new personal best, see LeaderboardPlacement).
         [HttpPost]
-        public IActionResult Post([FromBody] LeaderboardEntry entry)
+        public IActionResult Post([FromBody] ScoreSubmission entry)
         {
             // Basic validation
             if (entry == null || string.IsNullOrWhiteSpace(entry.Username) || entry.Score < 0 || entry.SurvivalTime < 0)
             {
                 return BadRequest("Invalid leaderboard entry provided.");
             }
-            // Assign server-side timestamp if needed, or trust client timestamp?
-            // entry.Timestamp = DateTime.UtcNow; // Or DateTime.Now
+            entry.Mode ??= LeaderboardModes.Classic; // Clients from before modes existed send none
+            if (!LeaderboardModes.IsKnown(entry.Mode))
+            {
+                return BadRequest($"Unknown leaderboard mode '{entry.Mode}'.");
+            }
+            if (entry.Replay == null)
+            {
+                return BadRequest("A match recording is required to submit a score.");
+            }
+
+            // Replay verification
+            string? rejection = _replayVerificationService.Verify(entry, entry.Replay.Value, out var summary);
+            if (rejection != null)
+            {
+                Console.WriteLine($"Rejected score from '{entry.Username}': {rejection}");
+                return BadRequest(rejection);
+            }
+            // The server's clock decides which day, week and month the result counts for,
+            // so a client cannot date a result into another leaderboard period
+            entry.Timestamp = DateTime.UtcNow;
 
             try
             {
-                _leaderboardService.AddScoreEntry(entry);
-                return Ok(new { message = "Score entry added to leaderboard." });
+                // Store only the leaderboard fields, not the recording
+                var placement = _leaderboardService.AddScoreEntry(new LeaderboardEntry
+                {
+                    Username = entry.Username,
+                    Score = entry.Score,
+                    SurvivalTime = entry.SurvivalTime,
+                    Timestamp = entry.Timestamp,
+                    Difficulty = entry.Difficulty,
+                    BoardSize = entry.BoardSize,
+                    WallMode = entry.WallMode,
+                    Level = entry.Level ?? string.Empty,
+                    Mode = entry.Mode,
+                    CoopCollisions = entry.Mode == LeaderboardModes.Coop ? entry.CoopCollisions : string.Empty, // Checked against the recording
+                    FoodEaten = summary?.Eaten.Sum() ?? 0 // Verified count; a co-op team's food is added up
+                });
+                return Ok(new { message = "Score entry added to leaderboard.", placement });
             }
             catch (Exception ex)
             {
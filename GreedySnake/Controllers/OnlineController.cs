@@ -0,0 +1,32 @@
+﻿using GreedySnake.Services;
+using Microsoft.AspNetCore.Mvc;
+
+namespace SnakeGame.Controllers
+{
+    [ApiController]
+    public class OnlineController : ControllerBase
+    {
+        private readonly OnlineMatchService _onlineMatchService;
+
+        public OnlineController(OnlineMatchService onlineMatchService)
+        {
+            _onlineMatchService = onlineMatchService;
+        }
+
+        // GET: ws/online
+        // WebSocket endpoint of the online versus mode (see OnlineMatchService for the messages)
+        [HttpGet("ws/online")]
+        public async Task Get()
+        {
+            if (!HttpContext.WebSockets.IsWebSocketRequest)
+            {
+                HttpContext.Response.StatusCode = StatusCodes.Status400BadRequest;
+                await HttpContext.Response.WriteAsync("WebSocket connection expected.");
+                return;
+            }
+
+            using var socket = await HttpContext.WebSockets.AcceptWebSocketAsync();
+            await _onlineMatchService.HandleConnectionAsync(socket, HttpContext.RequestAborted);
+        }
+    }
+}
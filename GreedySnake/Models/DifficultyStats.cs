@@ -0,0 +1,11 @@
+﻿namespace GreedySnake.Models;
+
+// A player's statistics for one difficulty (part of PlayerStats).
+public class DifficultyStats
+{
+    public string Difficulty { get; set; } = string.Empty;
+    public int GamesPlayed { get; set; }
+    public int BestScore { get; set; }
+    public double AverageScore { get; set; } // Rounded to one decimal
+    public int LongestSurvival { get; set; } // Seconds
+}
@@ -2,5 +2,10 @@
 
 public class Leaderboard
 {
+    // Format of the stored entries. Files without a version (0) are from before usernames were stored as typed:
+    // the single player page HTML-escaped them before submitting (see LeaderboardService.MigrateLeaderboard).
+    public const int CurrentVersion = 1;
+
+    public int Version { get; set; }
     public List<LeaderboardEntry> Entries { get; set; } = new List<LeaderboardEntry>();
 }
\ No newline at end of file
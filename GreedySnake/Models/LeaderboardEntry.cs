@@ -7,6 +7,12 @@ public class LeaderboardEntry
     public int SurvivalTime { get; set; } // Survival time in seconds
     public DateTime Timestamp { get; set; } // To track when the score was achieved (optional but good)
     public string Difficulty { get; set; }
+    public string BoardSize { get; set; } = "30x20"; // Board dimensions as "WIDTHxHEIGHT" (entries from before board sizes were selectable used 30x20)
+    public string WallMode { get; set; } = "solid"; // "solid" or "wrap"
+    public string Level { get; set; } = string.Empty; // Built-in level id (see levels.js), empty for a plain board without obstacles
+    public string Mode { get; set; } = LeaderboardModes.Classic; // Leaderboard category (see LeaderboardModes); for co-op, Username is the team name
+    public string CoopCollisions { get; set; } = string.Empty; // Co-op collision rule ("pass" or "headOn", see COOP_COLLISIONS in engine.js); empty outside co-op
+    public int FoodEaten { get; set; } // Food eaten in the game (by the whole team in co-op), from the verified recording; 0 for entries stored before it was counted
 
     public LeaderboardEntry() // Parameterless constructor needed for deserialization
     {
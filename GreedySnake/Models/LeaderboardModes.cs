@@ -0,0 +1,23 @@
+﻿namespace GreedySnake.Models;
+
+// Leaderboard categories. Each mode has its own ranking; results of different modes are never compared.
+public static class LeaderboardModes
+{
+    public const string Classic = "classic"; // Endless single player (entries from before modes existed have no mode and count as classic)
+    public const string Coop = "coop"; // Team result of a local co-op match (see the 'coop' configuration in engine.js)
+    // Single player challenges; the values are the ids of CHALLENGES in engine.js
+    public const string TimeAttack60 = "timeAttack60"; // Most points within 60 seconds
+    public const string TimeAttack120 = "timeAttack120"; // Most points within 120 seconds
+    public const string TargetScore25 = "targetScore25"; // Fastest run to 25 points
+    public const string TargetScore50 = "targetScore50"; // Fastest run to 50 points
+
+    private static readonly string[] All = { Classic, Coop, TimeAttack60, TimeAttack120, TargetScore25, TargetScore50 };
+
+    public static bool IsKnown(string? mode) => mode != null && All.Contains(mode);
+
+    // Single player challenges are played on their own engine rules and are verified against the challenge id.
+    public static bool IsChallenge(string? mode) => mode != null && mode != Classic && mode != Coop && IsKnown(mode);
+
+    // Target score runs are ranked by the time they took rather than by score.
+    public static bool IsRankedByTime(string? mode) => mode == TargetScore25 || mode == TargetScore50;
+}
@@ -0,0 +1,13 @@
+﻿namespace GreedySnake.Models;
+
+// One page of leaderboard entries, as returned by GET /api/leaderboard.
+public class LeaderboardPage
+{
+    public List<LeaderboardEntry> Entries { get; set; } = new List<LeaderboardEntry>();
+    public int Total { get; set; } // Entries matching the query on all pages
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public int? NextPage { get; set; } // Page to request for the following entries, null on the last page
+    public DateTime? PeriodStart { get; set; } // Range of the requested period (UTC), null without a period or for all time
+    public DateTime? PeriodEnd { get; set; } // When the period resets
+}
@@ -0,0 +1,37 @@
+﻿namespace GreedySnake.Models;
+
+// Leaderboard periods (the tabs of the single player leaderboard). Every period but all time resets at midnight UTC:
+// the day every day, the week every Monday and the month on the first day of the month.
+public static class LeaderboardPeriods
+{
+    public const string Today = "today";
+    public const string Week = "week";
+    public const string Month = "month";
+    public const string AllTime = "all";
+
+    // In the order the tabs are shown.
+    public static readonly string[] All = { Today, Week, Month, AllTime };
+
+    public static bool IsKnown(string? period) => period != null && All.Contains(period);
+
+    // Returns the start (inclusive) and end (exclusive) in UTC of the period containing the given time,
+    // or null for all time.
+    public static (DateTime Start, DateTime End)? GetRange(string period, DateTime nowUtc)
+    {
+        DateTime today = new DateTime(nowUtc.Year, nowUtc.Month, nowUtc.Day, 0, 0, 0, DateTimeKind.Utc);
+        switch (period)
+        {
+            case Today:
+                return (today, today.AddDays(1));
+            case Week:
+                // Weeks start on Monday
+                DateTime monday = today.AddDays(-(((int)today.DayOfWeek + 6) % 7));
+                return (monday, monday.AddDays(7));
+            case Month:
+                DateTime firstOfMonth = new DateTime(today.Year, today.Month, 1, 0, 0, 0, DateTimeKind.Utc);
+                return (firstOfMonth, firstOfMonth.AddMonths(1));
+            default:
+                return null;
+        }
+    }
+}
@@ -0,0 +1,15 @@
+﻿namespace GreedySnake.Models;
+
+// Where a submitted result stands on the all-time leaderboard of its category (mode, difficulty, board size, wall
+// mode, level and co-op collision rule), as returned by POST /api/leaderboard. The result is ranked in place of its
+// player's best entry, so a game below the player's best gets the rank it would have on its own.
+public class LeaderboardPlacement
+{
+    public int Rank { get; set; } // 1-based place of the submitted entry
+    public int Total { get; set; } // Players ranked in the category
+    public LeaderboardEntry Entry { get; set; } = new LeaderboardEntry(); // The submitted entry
+    public List<LeaderboardEntry> Neighbours { get; set; } = new List<LeaderboardEntry>(); // Other players' best entries around the submitted one, in rank order, including it
+    public int NeighboursFirstRank { get; set; } // Rank of the first entry in Neighbours
+    public bool IsPersonalBest { get; set; } // The submitted result is the player's best (or first) in the category
+    public LeaderboardEntry? PreviousBest { get; set; } // The player's best before the submission, null for a first result
+}
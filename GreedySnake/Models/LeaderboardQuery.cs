@@ -0,0 +1,51 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace GreedySnake.Models;
+
+// Query string of GET /api/leaderboard (and its /best and /ranks endpoints): which entries to return, in which order, and which page of them.
+// Every filter is optional; a filter that is left out matches every entry.
+public class LeaderboardQuery
+{
+    // Largest page the endpoint returns, however many entries are asked for.
+    public const int MaxPageSize = 200;
+
+    // Sort keys accepted in Sort.
+    public const string SortByRank = "rank"; // The mode's own metric (see LeaderboardService.CompareResults)
+    public const string SortByDifficulty = "difficulty"; // Hardest difficulty first, then by rank
+    public const string SortByScore = "score"; // Highest score first
+    public const string SortByTime = "time"; // Longest time first
+    public const string SortByDate = "date"; // Newest first
+    public static readonly string[] SortKeys = { SortByRank, SortByDifficulty, SortByScore, SortByTime, SortByDate };
+
+    // Views accepted in View.
+    public const string ViewBest = "best"; // Each player's best entry per category (mode, difficulty, board, level and co-op collision rule)
+    public const string ViewAll = "all"; // Every game
+    public static readonly string[] Views = { ViewBest, ViewAll };
+
+    public string? Mode { get; set; } // Leaderboard category (see LeaderboardModes)
+    public string? Difficulty { get; set; }
+    public string? Username { get; set; } // Exact name, case-insensitive
+    public string? BoardSize { get; set; } // e.g. "30x20"
+    public string? WallMode { get; set; } // "solid" or "wrap"
+    [DisplayFormat(ConvertEmptyStringToNull = false)]
+    public string? Level { get; set; } // Built-in level id; "level=" (empty) means plain boards only
+    [DisplayFormat(ConvertEmptyStringToNull = false)]
+    public string? CoopCollisions { get; set; } // Co-op collision rule ("pass" or "headOn"); "coopCollisions=" (empty) means no co-op entries
+    public string? Period { get; set; } // "today", "week", "month" or "all" (see LeaderboardPeriods); replaces From/To
+    public DateTime? From { get; set; } // Only entries set at or after this time (UTC unless it has an offset, see ToUtc)
+    public DateTime? To { get; set; } // Only entries set before this time (UTC unless it has an offset, see ToUtc)
+    public string View { get; set; } = ViewBest;
+    public string Sort { get; set; } = SortByRank;
+    public int Page { get; set; } = 1; // 1-based page number
+    public int Limit { get; set; } = 50; // Page size (at most MaxPageSize)
+
+    // Returns a From/To bound (or a stored timestamp) in UTC. Values with a "Z" or an offset are bound as local time
+    // and converted back; values without either are taken as UTC, like every time the server stores.
+    public static DateTime? ToUtc(DateTime? value)
+    {
+        if (value == null) return null;
+        return value.Value.Kind == DateTimeKind.Unspecified
+            ? DateTime.SpecifyKind(value.Value, DateTimeKind.Utc)
+            : value.Value.ToUniversalTime();
+    }
+}
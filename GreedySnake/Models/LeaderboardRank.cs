@@ -0,0 +1,11 @@
+﻿namespace GreedySnake.Models;
+
+// A player's place on the leaderboard of one period, as returned by GET /api/leaderboard/ranks.
+public class LeaderboardRank
+{
+    public string Period { get; set; } = LeaderboardPeriods.AllTime; // One of LeaderboardPeriods
+    public int? Rank { get; set; } // 1-based place, null if the player has no entry in the period
+    public int Total { get; set; } // Players ranked in the period
+    public LeaderboardEntry? Entry { get; set; } // The player's best entry of the period
+    public DateTime? PeriodEnd { get; set; } // When the period resets (UTC), null for all time
+}
@@ -0,0 +1,17 @@
+﻿namespace GreedySnake.Models;
+
+// A player's statistics over all their submitted games, as returned by GET /api/leaderboard/stats
+// (shown on the profile page). Every verified game counts, not only the ones that made the leaderboard.
+public class PlayerStats
+{
+    public string Username { get; set; } = string.Empty;
+    public int GamesPlayed { get; set; }
+    public int TotalFoodEaten { get; set; } // Games stored before food was counted add nothing
+    public int LongestSurvival { get; set; } // Longest game in seconds
+    public int TotalPlayTime { get; set; } // All games together in seconds
+    public DateTime? FirstPlayed { get; set; } // Null without games
+    public DateTime? LastPlayed { get; set; }
+    public List<DifficultyStats> Difficulties { get; set; } = new List<DifficultyStats>(); // Hardest difficulty first
+    public List<LeaderboardEntry> ScoreHistory { get; set; } = new List<LeaderboardEntry>(); // Latest games, oldest first (for the score chart)
+    public List<LeaderboardEntry> RecentGames { get; set; } = new List<LeaderboardEntry>(); // Latest games, newest first
+}
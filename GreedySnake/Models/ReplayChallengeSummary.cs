@@ -0,0 +1,8 @@
+﻿namespace GreedySnake.Models;
+
+// Challenge part of a ReplaySummary: which single player challenge was played and how it ended.
+public class ReplayChallengeSummary
+{
+    public string Id { get; set; } = string.Empty; // Challenge id, the same as its leaderboard mode (e.g. "timeAttack60")
+    public string Result { get; set; } = string.Empty; // "timeUp", "reached" or "died" ("" if the match did not end)
+}
@@ -0,0 +1,9 @@
+﻿namespace GreedySnake.Models;
+
+// Co-op part of a ReplaySummary: how the team's match ended.
+public class ReplayCoopSummary
+{
+    public string Collisions { get; set; } = string.Empty; // "pass" or "headOn"
+    public string Result { get; set; } = string.Empty; // "won", "timeUp" or "noLives" ("" if the match did not end)
+    public int TeamScore { get; set; }
+}
@@ -0,0 +1,25 @@
+﻿namespace GreedySnake.Models;
+
+// Outcome of re-simulating a match recording, as returned by SnakeRecording.summarizeRecording() in recording.js.
+public class ReplaySummary
+{
+    public string? Error { get; set; } // Set when the recording could not be simulated
+    public string Mode { get; set; } = string.Empty;
+    public string Difficulty { get; set; } = string.Empty;
+    public int Width { get; set; }
+    public int Height { get; set; }
+    public string Walls { get; set; } = string.Empty; // "solid" or "wrap"
+    public string Level { get; set; } = string.Empty; // Built-in level id, empty for a plain board, "custom" for any other obstacle map
+    public string Autopilot { get; set; } = string.Empty; // Name of the bot that played the match, empty for human play
+    public int PlayerCount { get; set; }
+    public int ComputerPlayers { get; set; } // Seats played by a computer player (see ai.js)
+    public int Ticks { get; set; }
+    public bool Over { get; set; } // True if the match ended within the recorded ticks
+    public long ElapsedMs { get; set; } // Simulated match time
+    public int SurvivalTime { get; set; } // Simulated match time in whole seconds
+    public List<int> Scores { get; set; } = new List<int>();
+    public List<int> Eaten { get; set; } = new List<int>(); // Food (regular and bonus) each player ate
+    public ReplayCoopSummary? Coop { get; set; } // Set for co-op matches only
+    public ReplayChallengeSummary? Challenge { get; set; } // Set for single player challenges only
+    public string ConfigProblem { get; set; } = string.Empty; // How the configuration differs from one the game pages create, empty if it does not
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+﻿using System.Text.Json;
+
+namespace GreedySnake.Models;
+
+// A single player score submitted from the browser.
+// Carries the match recording next to the leaderboard fields so the server can re-simulate the match
+// before accepting it. Only the LeaderboardEntry fields are stored; the recording itself is discarded.
+public class ScoreSubmission : LeaderboardEntry
+{
+    public JsonElement? Replay { get; set; } // Recording log produced by recording.js (seed, config, inputs, ticks)
+}
\ No newline at end of file
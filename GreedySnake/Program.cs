@@ -26,6 +26,12 @@ builder.Services.AddCors(options => {
 // Register the LeaderboardService as a Singleton
 builder.Services.AddSingleton<LeaderboardService>();
 
+// Register the ReplayVerificationService as a Singleton (loads the game scripts once)
+builder.Services.AddSingleton<ReplayVerificationService>();
+
+// Register the OnlineMatchService as a Singleton (holds the open online rooms)
+builder.Services.AddSingleton<OnlineMatchService>();
+
 // Learn more about configuring Swagger/OpenAPI at https://aka.ms/aspnetcore/swashbuckle
 builder.Services.AddEndpointsApiExplorer();
 builder.Services.AddSwaggerGen();
@@ -55,6 +61,7 @@ app.UseStaticFiles();
 // app.UseRouting();
 
 app.UseCors("AllowAll"); 
+app.UseWebSockets(new WebSocketOptions { KeepAliveInterval = TimeSpan.FromSeconds(30) }); // Online versus mode (ws/online)
 app.UseAuthorization();
 
 app.MapControllers();
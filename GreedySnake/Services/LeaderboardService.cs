@@ -1,4 +1,5 @@
-﻿using System.Text.Json;
+﻿using System.Net;
+using System.Text.Json;
 using GreedySnake.Models; // Assuming LeaderboardEntry and Leaderboard models are defined here
 using Microsoft.AspNetCore.Hosting; // Required for IWebHostEnvironment
 using Microsoft.Extensions.Logging; // Required for ILogger
@@ -14,6 +15,11 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
     private static readonly object _lock = new object(); // For thread safety when accessing the file
     private readonly ILogger<LeaderboardService> _logger;
 
+    // The last leaderboard loaded or saved, and the file's write time then. Reads reuse it until the file changes,
+    // so a GET does not parse the whole file again. Its entry list is never modified: AddScoreEntry saves a new one.
+    private Leaderboard? _cachedLeaderboard;
+    private DateTime _cachedWriteTimeUtc;
+
     // Optional: Timer for periodic cleanup if needed (e.g., trimming old entries)
     // private Timer _cleanupTimer;
     // private readonly int CleanupIntervalMinutes = 60; // Run cleanup every 60 minutes
@@ -72,7 +78,7 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
             {
                 try
                 {
-                    var initialData = new Leaderboard { Entries = new List<LeaderboardEntry>() };
+                    var initialData = new Leaderboard { Version = Leaderboard.CurrentVersion, Entries = new List<LeaderboardEntry>() };
                     string json = JsonSerializer.Serialize(initialData, new JsonSerializerOptions { WriteIndented = true });
                     File.WriteAllText(_filePath, json);
                     _logger.LogInformation($"Initialized empty leaderboard file at: {_filePath}");
@@ -88,7 +94,7 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
                 _logger.LogWarning($"Leaderboard file exists but is empty at {_filePath}. Re-initializing.");
                 try
                 {
-                    var initialData = new Leaderboard { Entries = new List<LeaderboardEntry>() };
+                    var initialData = new Leaderboard { Version = Leaderboard.CurrentVersion, Entries = new List<LeaderboardEntry>() };
                     string json = JsonSerializer.Serialize(initialData, new JsonSerializerOptions { WriteIndented = true });
                     File.WriteAllText(_filePath, json);
                     _logger.LogInformation($"Re-initialized empty leaderboard file.");
@@ -102,12 +108,18 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
     }
 
     // Loads the leaderboard data from the JSON file. Handles file not found, empty file, and JSON parsing errors.
+    // Returns the cached data while the file is unchanged; callers must not modify the returned entry list.
     private Leaderboard LoadLeaderboard()
     {
         lock (_lock) // Protect file access
         {
             try
             {
+                if (_cachedLeaderboard != null && File.Exists(_filePath) && File.GetLastWriteTimeUtc(_filePath) == _cachedWriteTimeUtc)
+                {
+                    return _cachedLeaderboard;
+                }
+
                 // Check if file exists, re-initialize if not found or is empty
                 if (!File.Exists(_filePath) || new FileInfo(_filePath).Length == 0)
                 {
@@ -133,6 +145,15 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
                     return new Leaderboard { Entries = new List<LeaderboardEntry>() };
                 }
 
+                if (data.Version < Leaderboard.CurrentVersion)
+                {
+                    MigrateLeaderboard(data);
+                    SaveLeaderboard(data); // Also caches the migrated data
+                    return data;
+                }
+
+                _cachedLeaderboard = data;
+                _cachedWriteTimeUtc = File.GetLastWriteTimeUtc(_filePath);
                 return data; // Successfully loaded
             }
             catch (JsonException jsonEx)
@@ -157,6 +178,25 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
         }
     }
 
+    // Brings a leaderboard loaded from an older file up to Leaderboard.CurrentVersion.
+    // Version 0: single player usernames were stored HTML-escaped (e.g. "a&amp;b"), so they are unescaped once and
+    // merge with the games stored as typed. Co-op team names were always stored as typed.
+    private void MigrateLeaderboard(Leaderboard leaderboard)
+    {
+        int renamed = 0;
+        foreach (var entry in leaderboard.Entries.Where(e => e != null && e.Mode != LeaderboardModes.Coop))
+        {
+            string username = WebUtility.HtmlDecode(entry.Username);
+            if (username != entry.Username)
+            {
+                entry.Username = username;
+                renamed++;
+            }
+        }
+        leaderboard.Version = Leaderboard.CurrentVersion;
+        _logger.LogInformation($"Migrated leaderboard to version {Leaderboard.CurrentVersion}: unescaped {renamed} usernames.");
+    }
+
     // Saves the current leaderboard data to the JSON file.
     private void SaveLeaderboard(Leaderboard leaderboard)
     {
@@ -175,6 +215,8 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
 
                 string json = JsonSerializer.Serialize(leaderboard, new JsonSerializerOptions { WriteIndented = true });
                 File.WriteAllText(_filePath, json);
+                _cachedLeaderboard = leaderboard;
+                _cachedWriteTimeUtc = File.GetLastWriteTimeUtc(_filePath);
                 _logger.LogInformation($"Leaderboard saved. Total entries: {leaderboard.Entries.Count}");
             }
             catch (IOException ioEx)
@@ -188,31 +230,219 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
         }
     }
 
-    // Gets the full leaderboard entries. Sorting and filtering is typically done on the client side
-    // based on the fetched data. The limit parameter here limits the number of entries fetched from storage.
-    public List<LeaderboardEntry> GetSortedLeaderboard(int limit = 100) // Increased default limit to fetch more data for client-side filtering
+    // Difficulty order for SortByDifficulty (higher is harder and listed first); unknown difficulties come last.
+    private static readonly Dictionary<string, int> DifficultySortOrder = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase)
+    {
+        ["hard"] = 3,
+        ["medium"] = 2,
+        ["easy"] = 1,
+        ["super_easy"] = 0
+    };
+
+    // Returns the DifficultySortOrder rank of a difficulty; -1 for unknown ones and for entries stored without one.
+    private static int GetDifficultyOrder(string? difficulty)
+    {
+        return difficulty != null && DifficultySortOrder.TryGetValue(difficulty, out var order) ? order : -1;
+    }
+
+    // Returns one page of the entries matching a query, in the query's sort order.
+    // Filtering, sorting and paging all happen here, so clients only download the entries they show.
+    // In the default "best" view each player is listed once per category (mode, difficulty, board and level) with
+    // their best matching entry; the "all" view lists every game (see AddScoreEntry).
+    // The query must already be validated (known mode, period and sort key, page and limit of at least 1).
+    public LeaderboardPage QueryLeaderboard(LeaderboardQuery query)
     {
-        var leaderboard = LoadLeaderboard();
-        // We still sort by score/time here as a basic retrieval order,
-        // but client-side will re-sort by difficulty first.
-        var sortedEntries = leaderboard.Entries
-            .OrderByDescending(e => e.Score)
-            .ThenByDescending(e => e.SurvivalTime)
-            .Take(limit) // Take only the top N entries (adjust limit if needed to fetch more)
+        var periodRange = ApplyPeriod(query, DateTime.UtcNow);
+        var matchingEntries = FilterEntries(LoadLeaderboard().Entries, query);
+        if (query.View != LeaderboardQuery.ViewAll)
+        {
+            matchingEntries = BestPerPlayer(matchingEntries);
+        }
+        var sortedEntries = SortEntries(matchingEntries, query.Sort).ToList();
+
+        int pageSize = Math.Min(query.Limit, LeaderboardQuery.MaxPageSize);
+        int skipped = (int)Math.Min((long)(query.Page - 1) * pageSize, sortedEntries.Count);
+        return new LeaderboardPage
+        {
+            Entries = sortedEntries.Skip(skipped).Take(pageSize).ToList(),
+            Total = sortedEntries.Count,
+            Page = query.Page,
+            PageSize = pageSize,
+            NextPage = skipped + pageSize < sortedEntries.Count ? query.Page + 1 : null,
+            PeriodStart = periodRange?.Start,
+            PeriodEnd = periodRange?.End
+        };
+    }
+
+    // Returns a player's place in every period (today, this week, this month, all time), in LeaderboardPeriods order.
+    // The query's filters other than the username and dates select the board the player is ranked on; it should
+    // name a difficulty, otherwise the player's best difficulty counts.
+    public List<LeaderboardRank> GetPeriodRanks(LeaderboardQuery query)
+    {
+        DateTime now = DateTime.UtcNow;
+        var categoryEntries = FilterCategory(LoadLeaderboard().Entries, query).ToList();
+        var byRank = Comparer<LeaderboardEntry>.Create(CompareResults);
+
+        return LeaderboardPeriods.All.Select(period =>
+        {
+            var range = LeaderboardPeriods.GetRange(period, now);
+            var ranked = BestPerPlayer(categoryEntries.Where(e => IsInRange(e, range?.Start, range?.End)))
+                .OrderBy(e => e, byRank)
+                .ToList();
+            int index = ranked.FindIndex(e => Matches(e.Username, query.Username));
+            return new LeaderboardRank
+            {
+                Period = period,
+                Rank = index >= 0 ? index + 1 : null,
+                Total = ranked.Count,
+                Entry = index >= 0 ? ranked[index] : null,
+                PeriodEnd = range?.End
+            };
+        }).ToList();
+    }
+
+    // Narrows the query's date range to its period (if it names one) and returns the period's range.
+    private static (DateTime Start, DateTime End)? ApplyPeriod(LeaderboardQuery query, DateTime nowUtc)
+    {
+        var range = query.Period != null ? LeaderboardPeriods.GetRange(query.Period, nowUtc) : null;
+        if (range != null)
+        {
+            query.From = range.Value.Start;
+            query.To = range.Value.End;
+        }
+        return range;
+    }
+
+    // Returns a player's best entry for each difficulty, hardest difficulty first.
+    // The query's filters (mode, board size, wall mode, level, dates) narrow the entries compared; sort and paging are ignored.
+    public List<LeaderboardEntry> GetPersonalBests(LeaderboardQuery query)
+    {
+        ApplyPeriod(query, DateTime.UtcNow);
+        return FilterEntries(LoadLeaderboard().Entries, query)
+            .GroupBy(e => e.Difficulty ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+            .Select(group => group.OrderBy(e => e, Comparer<LeaderboardEntry>.Create(CompareResults)).First())
+            .OrderByDescending(e => GetDifficultyOrder(e.Difficulty))
             .ToList();
-        return sortedEntries;
     }
 
-    // Adds a new score entry or updates an existing one if it represents a new high score
-    // for the specific user AND difficulty combination.
-    public void AddScoreEntry(LeaderboardEntry newEntry)
+    // Number of games in the score chart and the recent games list of PlayerStats.
+    private const int StatsScoreHistoryCount = 200;
+    private const int StatsRecentGameCount = 10;
+
+    // Sums up every game of a player (the query's username) matching the query's other filters, e.g. a mode or period.
+    // Sort, view and paging are ignored.
+    public PlayerStats GetPlayerStats(LeaderboardQuery query)
+    {
+        ApplyPeriod(query, DateTime.UtcNow);
+        var games = FilterEntries(LoadLeaderboard().Entries, query)
+            .OrderBy(e => e.Timestamp.ToUniversalTime())
+            .ToList();
+
+        return new PlayerStats
+        {
+            Username = query.Username ?? string.Empty,
+            GamesPlayed = games.Count,
+            TotalFoodEaten = games.Sum(e => e.FoodEaten),
+            LongestSurvival = games.Count > 0 ? games.Max(e => e.SurvivalTime) : 0,
+            TotalPlayTime = games.Sum(e => e.SurvivalTime),
+            FirstPlayed = games.Count > 0 ? games[0].Timestamp : null,
+            LastPlayed = games.Count > 0 ? games[^1].Timestamp : null,
+            Difficulties = games
+                .GroupBy(e => e.Difficulty ?? string.Empty, StringComparer.OrdinalIgnoreCase)
+                .OrderByDescending(group => GetDifficultyOrder(group.Key))
+                .Select(group => new DifficultyStats
+                {
+                    Difficulty = group.Key,
+                    GamesPlayed = group.Count(),
+                    BestScore = group.Max(e => e.Score),
+                    AverageScore = Math.Round(group.Average(e => e.Score), 1),
+                    LongestSurvival = group.Max(e => e.SurvivalTime)
+                })
+                .ToList(),
+            ScoreHistory = games.Skip(Math.Max(0, games.Count - StatsScoreHistoryCount)).ToList(),
+            RecentGames = Enumerable.Reverse(games).Take(StatsRecentGameCount).ToList()
+        };
+    }
+
+    // Applies the filters of a query. String filters are case-insensitive; entries stored before a field existed
+    // carry its default (classic mode, standard solid board, no level).
+    private static IEnumerable<LeaderboardEntry> FilterEntries(IEnumerable<LeaderboardEntry> entries, LeaderboardQuery query)
+    {
+        return FilterCategory(entries, query).Where(e =>
+            Matches(e.Username, query.Username) &&
+            IsInRange(e, query.From, query.To));
+    }
+
+    // Applies the category filters of a query (mode, difficulty, board size, wall mode, level and co-op collision rule) only.
+    private static IEnumerable<LeaderboardEntry> FilterCategory(IEnumerable<LeaderboardEntry> entries, LeaderboardQuery query)
+    {
+        return entries.Where(e =>
+            e != null &&
+            Matches(e.Mode, query.Mode) &&
+            Matches(e.Difficulty, query.Difficulty) &&
+            Matches(e.BoardSize, query.BoardSize) &&
+            Matches(e.WallMode, query.WallMode) &&
+            Matches(e.Level ?? string.Empty, query.Level) &&
+            Matches(e.CoopCollisions ?? string.Empty, query.CoopCollisions));
+    }
+
+    // Checks whether an entry was set within a date range (from inclusive, to exclusive; null bounds are open).
+    // The timestamp and both bounds are compared in UTC (see LeaderboardQuery.ToUtc).
+    private static bool IsInRange(LeaderboardEntry entry, DateTime? from, DateTime? to)
+    {
+        DateTime timestamp = LeaderboardQuery.ToUtc(entry.Timestamp)!.Value;
+        DateTime? fromUtc = LeaderboardQuery.ToUtc(from);
+        DateTime? toUtc = LeaderboardQuery.ToUtc(to);
+        return (fromUtc == null || timestamp >= fromUtc) && (toUtc == null || timestamp < toUtc);
+    }
+
+    // Keeps each player's best entry per category (mode, difficulty, board size, wall mode, level and co-op collision rule).
+    private static IEnumerable<LeaderboardEntry> BestPerPlayer(IEnumerable<LeaderboardEntry> entries)
+    {
+        var byRank = Comparer<LeaderboardEntry>.Create(CompareResults);
+        return entries
+            .GroupBy(e => string.Join("|", e.Username, e.Mode, e.Difficulty, e.BoardSize, e.WallMode, e.Level ?? string.Empty, e.CoopCollisions ?? string.Empty).ToLowerInvariant())
+            .Select(group => group.OrderBy(e => e, byRank).First());
+    }
+
+    // Checks a field against an optional filter value (null matches anything).
+    private static bool Matches(string value, string? filter)
+    {
+        return filter == null || string.Equals(value, filter, StringComparison.OrdinalIgnoreCase);
+    }
+
+    // Orders entries by one of the LeaderboardQuery sort keys. Ties keep the rank order.
+    private static IEnumerable<LeaderboardEntry> SortEntries(IEnumerable<LeaderboardEntry> entries, string sort)
+    {
+        var byRank = Comparer<LeaderboardEntry>.Create(CompareResults);
+        return sort switch
+        {
+            LeaderboardQuery.SortByDifficulty => entries
+                .OrderByDescending(e => GetDifficultyOrder(e.Difficulty))
+                .ThenBy(e => e, byRank),
+            LeaderboardQuery.SortByScore => entries.OrderByDescending(e => e.Score).ThenBy(e => e, byRank),
+            LeaderboardQuery.SortByTime => entries.OrderByDescending(e => e.SurvivalTime).ThenBy(e => e, byRank),
+            LeaderboardQuery.SortByDate => entries.OrderByDescending(e => e.Timestamp).ThenBy(e => e, byRank),
+            _ => entries.OrderBy(e => e, byRank)
+        };
+    }
+
+    // Number of entries listed above and below the player's own in a LeaderboardPlacement.
+    private const int PlacementNeighbourCount = 2;
+
+    // Adds a new score entry. Every game is kept, so a player's full history stays available (see view "all" and
+    // GET api/leaderboard/history); the leaderboard lists only each player's best entry per category by default
+    // (see BestPerPlayer), so one player cannot fill the board with many games.
+    // Returns where the submitted game stands on the all-time leaderboard of the category (see GetPlacement), or null
+    // for an invalid entry.
+    public LeaderboardPlacement? AddScoreEntry(LeaderboardEntry newEntry)
     {
         // Basic validation of the new entry
         // This checks if Username, Score, SurvivalTime, or Difficulty are null or whitespace/negative
         if (newEntry == null || string.IsNullOrWhiteSpace(newEntry.Username) || newEntry.Score < 0 || newEntry.SurvivalTime < 0 || string.IsNullOrWhiteSpace(newEntry.Difficulty))
         {
             _logger.LogWarning("Attempted to add invalid leaderboard entry (missing username, score, time, or difficulty).");
-            return;
+            return null;
         }
 
         // Set timestamp if not provided (frontend is providing it, which is fine)
@@ -224,61 +454,90 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
         lock (_lock) // Ensure thread safety for load-modify-save operations
         {
             var leaderboard = LoadLeaderboard(); // Load current data
+            var categoryQuery = CreateCategoryQuery(newEntry);
+            // The player's best in the same mode, difficulty, board size, wall mode and level before this game
+            var previousBest = FilterCategory(leaderboard.Entries, categoryQuery)
+                .Where(e => Matches(e.Username, newEntry.Username))
+                .OrderBy(e => e, Comparer<LeaderboardEntry>.Create(CompareResults))
+                .FirstOrDefault();
+
+            // A new list, since readers may still be going through the cached one
+            var entries = new List<LeaderboardEntry>(leaderboard.Entries) { newEntry };
+            _logger.LogInformation($"Added leaderboard entry for user '{newEntry.Username}' (Mode: {newEntry.Mode}, Difficulty: {newEntry.Difficulty}, Board: {newEntry.BoardSize} {newEntry.WallMode}, Level: {newEntry.Level}): score {newEntry.Score}, time {newEntry.SurvivalTime}s.");
+            leaderboard = new Leaderboard { Version = Leaderboard.CurrentVersion, Entries = entries };
+            SaveLeaderboard(leaderboard); // Save changes to the file
+
+            return GetPlacement(leaderboard.Entries, categoryQuery, newEntry, previousBest,
+                previousBest == null || CompareResults(newEntry, previousBest) < 0);
+        } // Release lock
+    }
 
-            // --- FIX: Find if an entry with the SAME USERNAME AND SAME DIFFICULTY already exists ---
-            // Use string.Equals with StringComparison.OrdinalIgnoreCase which handles nulls safely.
-            // Add a check that the entry 'e' itself is not null as a safeguard, though LoadLeaderboard should return valid entries.
-            var existingEntry = leaderboard.Entries
-                .FirstOrDefault(e =>
-                    e != null && // Ensure the entry object from the list is not null
-                    string.Equals(e.Username, newEntry.Username, StringComparison.OrdinalIgnoreCase) && // Safe comparison for Username
-                    string.Equals(e.Difficulty, newEntry.Difficulty, StringComparison.OrdinalIgnoreCase)); // Safe comparison for Difficulty
-            // --- End FIX ---
-
+    // Ranks the players of a category (all time) and describes where the submitted entry stands: the entry takes the
+    // place of its player's best, so a game that is not the player's best is ranked as it would be on its own.
+    private static LeaderboardPlacement GetPlacement(IEnumerable<LeaderboardEntry> entries, LeaderboardQuery categoryQuery,
+        LeaderboardEntry newEntry, LeaderboardEntry? previousBest, bool isPersonalBest)
+    {
+        var ranked = BestPerPlayer(FilterCategory(entries, categoryQuery))
+            .Where(e => !Matches(e.Username, newEntry.Username))
+            .Append(newEntry)
+            .OrderBy(e => e, Comparer<LeaderboardEntry>.Create(CompareResults))
+            .ToList();
+        int index = ranked.IndexOf(newEntry);
+        int first = Math.Max(0, index - PlacementNeighbourCount);
+        int last = Math.Min(ranked.Count - 1, index + PlacementNeighbourCount);
+        return new LeaderboardPlacement
+        {
+            Rank = index + 1,
+            Total = ranked.Count,
+            Entry = ranked[index],
+            Neighbours = ranked.GetRange(first, last - first + 1),
+            NeighboursFirstRank = first + 1,
+            IsPersonalBest = isPersonalBest,
+            PreviousBest = previousBest
+        };
+    }
 
-            if (existingEntry != null)
-            {
-                // If an existing entry for this username AND difficulty was found, check if the new score is higher
-                if (newEntry.Score > existingEntry.Score)
-                {
-                    // Update the existing entry with the new high score
-                    existingEntry.Score = newEntry.Score;
-                    existingEntry.SurvivalTime = newEntry.SurvivalTime; // Update survival time for the new high score
-                    existingEntry.Timestamp = newEntry.Timestamp; // Update timestamp to the latest submission time
-                    // Difficulty remains the same as it was matched
-
-                    _logger.LogInformation($"Updated leaderboard entry for user '{newEntry.Username}' (Difficulty: {newEntry.Difficulty}) with higher score: {newEntry.Score}.");
-                    SaveLeaderboard(leaderboard); // Save changes to the file
-                }
-                else if (newEntry.Score == existingEntry.Score && newEntry.SurvivalTime > existingEntry.SurvivalTime)
-                {
-                    // If scores are tied for this username and difficulty, update if survival time is longer
-                    existingEntry.SurvivalTime = newEntry.SurvivalTime;
-                    existingEntry.Timestamp = newEntry.Timestamp; // Update timestamp
-                    // Difficulty remains the same
+    // Returns a query selecting the category of an entry: its mode, difficulty, board size, wall mode, level and
+    // co-op collision rule (co-op teams that pass through each other are not ranked against teams that do not).
+    private static LeaderboardQuery CreateCategoryQuery(LeaderboardEntry entry)
+    {
+        return new LeaderboardQuery
+        {
+            Mode = entry.Mode,
+            Difficulty = entry.Difficulty,
+            BoardSize = entry.BoardSize,
+            WallMode = entry.WallMode,
+            Level = entry.Level ?? string.Empty,
+            CoopCollisions = entry.CoopCollisions ?? string.Empty
+        };
+    }
 
-                    _logger.LogInformation($"Updated leaderboard entry for user '{newEntry.Username}' (Difficulty: {newEntry.Difficulty}) with same score ({newEntry.Score}) but longer survival time: {newEntry.SurvivalTime}s.");
-                    SaveLeaderboard(leaderboard); // Save changes
-                }
-                else
-                {
-                    // New score is not higher, and time is not longer (or score is lower), ignore the new entry
-                    _logger.LogInformation($"Ignoring score entry for user '{newEntry.Username}' (Difficulty: {newEntry.Difficulty}). Existing score {existingEntry.Score} is higher or equal, or survival time is not longer.");
-                }
-            }
-            else
+    // Compares two results of the same mode for ranking: negative if a ranks above b.
+    // Target score runs rank by the shorter time, then the higher score. Every other mode ranks by the higher score;
+    // among equal scores single players rank by the longer survival, co-op teams by the faster finish.
+    // Results that are still tied rank by the earlier timestamp: whoever got there first stays ahead.
+    private static int CompareResults(LeaderboardEntry a, LeaderboardEntry b)
+    {
+        int byResult;
+        if (LeaderboardModes.IsRankedByTime(a.Mode))
+        {
+            byResult = a.SurvivalTime.CompareTo(b.SurvivalTime);
+            if (byResult == 0) byResult = b.Score.CompareTo(a.Score);
+        }
+        else
+        {
+            byResult = b.Score.CompareTo(a.Score);
+            if (byResult == 0)
             {
-                // No existing entry found for this specific username and difficulty, add the new one as a unique record
-                leaderboard.Entries.Add(newEntry);
-                _logger.LogInformation($"Added new leaderboard entry for user '{newEntry.Username}' (Difficulty: {newEntry.Difficulty}) score {newEntry.Score}.");
-                SaveLeaderboard(leaderboard); // Save changes to the file
+                byResult = a.Mode == LeaderboardModes.Coop ? a.SurvivalTime.CompareTo(b.SurvivalTime) : b.SurvivalTime.CompareTo(a.SurvivalTime);
             }
-        } // Release lock
+        }
+        return byResult != 0 ? byResult : a.Timestamp.ToUniversalTime().CompareTo(b.Timestamp.ToUniversalTime());
     }
 
     // Optional: Periodic cleanup to remove old or lower scores if needed
     // This cleanup logic would need to be more sophisticated if keeping multiple entries per user/difficulty
-    // The current AddScoreEntry ensures only the highest per user/difficulty is kept.
+    // The current AddScoreEntry keeps every game, so the file grows with each one.
     // So cleanup might only be needed to trim the overall list size if it grows too large.
     // private void DoPeriodicCleanup(object state)
     // {
@@ -320,9 +579,10 @@ public class LeaderboardService : IDisposable // Implement IDisposable for the t
         {
             try
             {
-                var emptyLeaderboard = new Leaderboard { Entries = new List<LeaderboardEntry>() };
+                var emptyLeaderboard = new Leaderboard { Version = Leaderboard.CurrentVersion, Entries = new List<LeaderboardEntry>() };
                 string json = JsonSerializer.Serialize(emptyLeaderboard, new JsonSerializerOptions { WriteIndented = true });
                 File.WriteAllText(_filePath, json);
+                _cachedLeaderboard = null;
                 _logger.LogInformation($"Leaderboard cleared at: {_filePath}");
             }
             catch (Exception ex)
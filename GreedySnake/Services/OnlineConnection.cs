@@ -0,0 +1,117 @@
+﻿using System.Net.WebSockets;
+using System.Text;
+using System.Threading.Channels;
+
+namespace GreedySnake.Services;
+
+// One client's WebSocket in online versus mode.
+// Messages are JSON text frames. Outgoing messages go through a queue that one send loop drains, since a WebSocket
+// allows only one send at a time and both the connection's own handler and its room's tick loop send to it.
+// Queuing never waits for the client, so a slow client cannot hold up the room's ticks; a client that falls
+// MaxQueuedMessages behind is disconnected instead.
+public class OnlineConnection
+{
+    // Messages that may wait to be sent; about 3 seconds of ticks at the fastest speed.
+    private const int MaxQueuedMessages = 64;
+
+    // Time CloseAsync gives the send loop to deliver the messages still queued.
+    private static readonly TimeSpan CloseTimeout = TimeSpan.FromSeconds(2);
+
+    private readonly WebSocket _socket;
+    private readonly Channel<string> _outgoing = Channel.CreateBounded<string>(new BoundedChannelOptions(MaxQueuedMessages) { SingleReader = true });
+    private readonly Task _sendLoop;
+
+    public OnlineConnection(WebSocket socket)
+    {
+        _socket = socket;
+        _sendLoop = Task.Run(SendLoopAsync);
+    }
+
+    public bool IsOpen => _socket.State == WebSocketState.Open;
+
+    // Seat (player index) in the current room; only meaningful while the connection is in a room.
+    public int Seat { get; set; }
+
+    // Receives the next text message.
+    // Returns null when the client closed the connection, sent a message larger than maxBytes,
+    // or sent nothing at all within the timeout (a client pings regularly while connected).
+    public async Task<string?> ReceiveAsync(int maxBytes, TimeSpan timeout, CancellationToken cancellationToken)
+    {
+        using var timeoutSource = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeoutSource.CancelAfter(timeout);
+
+        var buffer = new byte[4096];
+        using var message = new MemoryStream();
+        try
+        {
+            while (true)
+            {
+                var result = await _socket.ReceiveAsync(new ArraySegment<byte>(buffer), timeoutSource.Token);
+                if (result.MessageType == WebSocketMessageType.Close) return null;
+                message.Write(buffer, 0, result.Count);
+                if (message.Length > maxBytes) return null;
+                if (result.EndOfMessage) break;
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            return null; // Timed out or the server is shutting down
+        }
+        catch (WebSocketException)
+        {
+            return null; // The connection dropped
+        }
+        return Encoding.UTF8.GetString(message.ToArray());
+    }
+
+    // Queues a text message for sending and returns at once.
+    // If the queue is full the client is not keeping up: the connection is aborted, which ends its receive loop.
+    public void Send(string json)
+    {
+        if (!_outgoing.Writer.TryWrite(json) && _outgoing.Writer.TryComplete())
+        {
+            _socket.Abort();
+        }
+    }
+
+    // Closes the connection if it is still open, after the queued messages were sent (or CloseTimeout passed).
+    public async Task CloseAsync()
+    {
+        _outgoing.Writer.TryComplete();
+        if (await Task.WhenAny(_sendLoop, Task.Delay(CloseTimeout)) != _sendLoop)
+        {
+            _socket.Abort(); // Stuck on a client that stopped reading
+            return;
+        }
+        try
+        {
+            if (IsOpen) await _socket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Bye", CancellationToken.None);
+        }
+        catch (WebSocketException)
+        {
+            // Already gone
+        }
+    }
+
+    // Sends the queued messages one at a time until the queue is completed.
+    // Failures are ignored: a dropped connection is noticed by its receive loop.
+    private async Task SendLoopAsync()
+    {
+        await foreach (var json in _outgoing.Reader.ReadAllAsync())
+        {
+            if (!IsOpen) continue;
+            try
+            {
+                await _socket.SendAsync(new ArraySegment<byte>(Encoding.UTF8.GetBytes(json)), WebSocketMessageType.Text, true, CancellationToken.None);
+            }
+            catch (WebSocketException)
+            {
+                // Ignored, see above
+            }
+            catch (OperationCanceledException)
+            {
+                // Aborted
+            }
+        }
+    }
+}
@@ -0,0 +1,268 @@
+﻿using System.Collections.Concurrent;
+using System.Net.WebSockets;
+using System.Security.Cryptography;
+using System.Text.Json;
+using Jint;
+using Microsoft.AspNetCore.Hosting; // Required for IWebHostEnvironment
+using Microsoft.Extensions.Logging; // Required for ILogger
+
+namespace GreedySnake.Services;
+
+// Hosts online versus matches over WebSockets (see Controllers/OnlineController.cs and wwwroot/js/online.js).
+// One player creates a room with their match configuration and gets a short code; the other joins with the code.
+// Each room runs the authoritative match on the server (see OnlineRoom); clients only send direction changes.
+// Create requests are checked in one shared interpreter before a room builds its own.
+// At most MaxOpenRooms rooms are open at a time, and rooms without a match for RoomIdleTimeout are closed.
+//
+// Client messages (JSON):
+//   { type: 'create', config }       - Create a room; config is the SnakeEngine.createGame configuration (two players)
+//   { type: 'join', code }           - Join a room by its code
+//   { type: 'direction', direction } - Turn ('up', 'down', 'left' or 'right')
+//   { type: 'rematch' }              - Ask for another match after the last one ended
+//   { type: 'ping', time }           - Answered with { type: 'pong', time } to measure the round trip
+// Server messages:
+//   { type: 'created', code, seat } / { type: 'joined', code, seat }
+//   { type: 'start', seed, config, state, startsInMs } - A match starts; ticks follow after startsInMs
+//   { type: 'tick', state, events }  - One engine step (see SnakeEngine.step)
+//   { type: 'rematch', seat }        - The other player wants a rematch
+//   { type: 'opponentLeft' }         - The other player disconnected; the room is closed
+//   { type: 'error', code, message } - A request was refused
+public class OnlineMatchService
+{
+    // Scripts each room's interpreter runs, in load order.
+    private static readonly string[] MatchScripts = { "common.js", "engine.js" };
+
+    // Room codes: 5 characters without look-alikes (0/O, 1/I).
+    private const string RoomCodeAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    private const int RoomCodeLength = 5;
+
+    // Largest accepted client message (a create message carries the board configuration).
+    private const int MaxMessageBytes = 64 * 1024;
+
+    // A client that sends nothing for this long (clients ping every few seconds) is treated as disconnected.
+    private static readonly TimeSpan ClientTimeout = TimeSpan.FromSeconds(15);
+
+    // Each room holds its own interpreter (up to 64 MB, see OnlineRoom), so the number of open rooms is limited.
+    private const int MaxOpenRooms = 100;
+
+    // A room with no match and no rematch request for this long is closed, e.g. one nobody joined.
+    private static readonly TimeSpan RoomIdleTimeout = TimeSpan.FromMinutes(10);
+    private static readonly TimeSpan IdleCheckInterval = TimeSpan.FromMinutes(1);
+
+    private static readonly HashSet<string> Directions = new HashSet<string> { "up", "down", "left", "right" };
+
+    private readonly ConcurrentDictionary<string, OnlineRoom> _rooms = new ConcurrentDictionary<string, OnlineRoom>();
+    private readonly object _roomsSync = new object(); // Makes the MaxOpenRooms check and adding a room one step
+    private readonly List<(string Name, string Source)> _scripts = new List<(string Name, string Source)>();
+    private readonly Engine _validator; // Checks create requests, so a refused configuration never builds a room interpreter
+    private readonly object _validatorSync = new object();
+    private readonly ILogger<OnlineMatchService> _logger;
+    private readonly Timer _idleTimer; // Closes idle rooms every IdleCheckInterval
+
+    public OnlineMatchService(IWebHostEnvironment env, ILogger<OnlineMatchService> logger)
+    {
+        _logger = logger;
+
+        // Read the game scripts once; every room runs them in its own interpreter.
+        foreach (var scriptName in MatchScripts)
+        {
+            string path = Path.Combine(env.WebRootPath, "js", scriptName);
+            _scripts.Add((scriptName, File.ReadAllText(path)));
+        }
+
+        _validator = OnlineRoom.CreateEngine(_scripts);
+        _idleTimer = new Timer(_ => CloseIdleRooms(), null, IdleCheckInterval, IdleCheckInterval);
+    }
+
+    // Serves one client connection until it closes. The client can be in at most one room at a time.
+    public async Task HandleConnectionAsync(WebSocket socket, CancellationToken cancellationToken)
+    {
+        var connection = new OnlineConnection(socket);
+        OnlineRoom? room = null;
+        try
+        {
+            while (connection.IsOpen)
+            {
+                string? message = await connection.ReceiveAsync(MaxMessageBytes, ClientTimeout, cancellationToken);
+                if (message == null) break;
+                if (room != null && room.IsClosed) room = null; // The other player left
+                room = HandleMessage(connection, room, message);
+            }
+        }
+        finally
+        {
+            if (room != null) LeaveRoom(room, connection);
+            await connection.CloseAsync();
+        }
+    }
+
+    // Handles one client message.
+    // Returns: The room the connection is in afterwards (null if none).
+    private OnlineRoom? HandleMessage(OnlineConnection connection, OnlineRoom? room, string message)
+    {
+        JsonElement root;
+        try
+        {
+            using var document = JsonDocument.Parse(message);
+            root = document.RootElement.Clone();
+        }
+        catch (JsonException)
+        {
+            SendError(connection, "badMessage", "Message is not valid JSON.");
+            return room;
+        }
+        string type = root.ValueKind == JsonValueKind.Object && root.TryGetProperty("type", out var typeElement) && typeElement.ValueKind == JsonValueKind.String
+            ? typeElement.GetString()!
+            : string.Empty;
+
+        switch (type)
+        {
+            case "ping":
+                // Echo the client's timestamp so it can measure the round trip
+                var time = root.TryGetProperty("time", out var timeElement) && timeElement.ValueKind == JsonValueKind.Number ? timeElement.GetDouble() : 0;
+                connection.Send(JsonSerializer.Serialize(new { type = "pong", time }));
+                return room;
+
+            case "create":
+                if (room != null)
+                {
+                    SendError(connection, "alreadyInRoom", "Leave the current room first.");
+                    return room;
+                }
+                if (!root.TryGetProperty("config", out var config) || config.ValueKind != JsonValueKind.Object)
+                {
+                    SendError(connection, "invalidConfig", "A match configuration is required.");
+                    return null;
+                }
+                return CreateRoom(connection, config.GetRawText());
+
+            case "join":
+                if (room != null)
+                {
+                    SendError(connection, "alreadyInRoom", "Leave the current room first.");
+                    return room;
+                }
+                string code = root.TryGetProperty("code", out var codeElement) && codeElement.ValueKind == JsonValueKind.String
+                    ? codeElement.GetString()!.Trim().ToUpperInvariant()
+                    : string.Empty;
+                return JoinRoom(connection, code);
+
+            case "direction":
+                if (room != null && root.TryGetProperty("direction", out var directionElement)
+                    && directionElement.ValueKind == JsonValueKind.String && Directions.Contains(directionElement.GetString()!))
+                {
+                    room.QueueDirection(connection.Seat, directionElement.GetString()!);
+                }
+                return room;
+
+            case "rematch":
+                room?.RequestRematch(connection.Seat);
+                return room;
+
+            default:
+                SendError(connection, "badMessage", $"Unknown message type '{type}'.");
+                return room;
+        }
+    }
+
+    // Creates a room with the given configuration and seats the creator in it.
+    private OnlineRoom? CreateRoom(OnlineConnection connection, string configJson)
+    {
+        string? problem;
+        try
+        {
+            lock (_validatorSync) problem = OnlineRoom.CheckConfig(_validator, configJson);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Checking a room configuration failed.");
+            problem = "invalid config";
+        }
+        if (problem != null)
+        {
+            SendError(connection, "invalidConfig", $"Invalid match configuration: {problem}.");
+            return null;
+        }
+
+        OnlineRoom room;
+        lock (_roomsSync)
+        {
+            if (_rooms.Count >= MaxOpenRooms)
+            {
+                SendError(connection, "serverFull", "Too many open rooms, try again later.");
+                return null;
+            }
+
+            do
+            {
+                room = new OnlineRoom(GenerateRoomCode(), _scripts, _logger);
+                problem = room.SetConfig(configJson); // Already checked, this keeps the configuration in the room
+                if (problem != null)
+                {
+                    SendError(connection, "invalidConfig", $"Invalid match configuration: {problem}.");
+                    return null;
+                }
+            } while (!_rooms.TryAdd(room.Code, room)); // Retry on the rare code collision
+        }
+
+        room.TryTakeSeat(connection);
+        _logger.LogInformation($"Room {room.Code} created. Open rooms: {_rooms.Count}");
+        connection.Send(JsonSerializer.Serialize(new { type = "created", code = room.Code, seat = connection.Seat }));
+        return room;
+    }
+
+    // Seats a connection in an existing room and starts the match.
+    private OnlineRoom? JoinRoom(OnlineConnection connection, string code)
+    {
+        if (!_rooms.TryGetValue(code, out var room))
+        {
+            SendError(connection, "roomNotFound", $"Room '{code}' does not exist.");
+            return null;
+        }
+        if (room.TryTakeSeat(connection) < 0)
+        {
+            SendError(connection, "roomFull", $"Room '{code}' is full.");
+            return null;
+        }
+
+        _logger.LogInformation($"Room {room.Code}: second player joined.");
+        connection.Send(JsonSerializer.Serialize(new { type = "joined", code = room.Code, seat = connection.Seat }));
+        room.StartMatch();
+        return room;
+    }
+
+    // Removes a connection from its room. A room is closed as soon as one player leaves.
+    private void LeaveRoom(OnlineRoom room, OnlineConnection connection)
+    {
+        room.Leave(connection);
+        _rooms.TryRemove(new KeyValuePair<string, OnlineRoom>(room.Code, room)); // Only this room, not a newer one with the same code
+        _logger.LogInformation($"Room {room.Code} closed. Open rooms: {_rooms.Count}");
+    }
+
+    // Closes and removes the rooms that have been idle for RoomIdleTimeout.
+    private void CloseIdleRooms()
+    {
+        foreach (var room in _rooms.Values)
+        {
+            if (room.ExpireIfIdle(RoomIdleTimeout) || room.IsClosed)
+            {
+                _rooms.TryRemove(new KeyValuePair<string, OnlineRoom>(room.Code, room)); // Only this room, not a newer one with the same code
+            }
+        }
+    }
+
+    private static void SendError(OnlineConnection connection, string code, string message)
+    {
+        connection.Send(JsonSerializer.Serialize(new { type = "error", code, message }));
+    }
+
+    private static string GenerateRoomCode()
+    {
+        var chars = new char[RoomCodeLength];
+        for (int i = 0; i < chars.Length; i++)
+        {
+            chars[i] = RoomCodeAlphabet[RandomNumberGenerator.GetInt32(RoomCodeAlphabet.Length)];
+        }
+        return new string(chars);
+    }
+}
@@ -0,0 +1,288 @@
+﻿using System.Diagnostics;
+using System.Security.Cryptography;
+using System.Text.Json;
+using Jint;
+
+namespace GreedySnake.Services;
+
+// An online versus room: two seats and the authoritative match between them.
+// The match runs in the room's own JavaScript interpreter with the browser's game scripts, so every tick applies
+// exactly the rules of the local two player page. Direction changes from the clients are queued with
+// SnakeEngine.queueDirection and one per player is consumed per tick, like twoplayer.js's update().
+// Every tick's state is queued for both seats without waiting for them (see OnlineConnection.Send).
+public class OnlineRoom
+{
+    // Functions the room calls in its interpreter, on top of the game scripts.
+    private const string MatchScript = @"
+var onlineConfig = null; // The room's SnakeEngine.createGame configuration
+var onlineMatch = null;  // { random, state, queues } of the current match
+
+// Checks and keeps the configuration sent by the room's creator. Returns '' or the problem.
+function setOnlineConfig(json) {
+    var config;
+    try { config = JSON.parse(json); } catch (e) { return 'config is not valid JSON'; }
+    if (!config || typeof config !== 'object' || !Array.isArray(config.players) || config.players.length !== 2) return 'config must have two players';
+    if (config.mode !== 'twoplayer') return 'config must be a two player match';
+    if (config.coop) return 'co-op matches are only played locally';
+    if (config.challenge) return 'challenges are single player only';
+    try {
+        var state = SnakeEngine.createGame(config);
+        var inLimits = function (value) { return Number.isInteger(value) && value >= MIN_BOARD_DIMENSION && value <= MAX_BOARD_DIMENSION; };
+        if (!inLimits(state.width) || !inLimits(state.height)) return 'invalid board size';
+        var onBoard = function (cell) { return Number.isInteger(cell.x) && Number.isInteger(cell.y) && !checkWallCollision(cell, state.width, state.height); };
+        if (!state.obstacles.every(onBoard)) return 'invalid obstacle';
+        if (!state.players.every(function (p) { return onBoard(p.snake[0]) && SnakeEngine.isDirection(p.direction); })) return 'invalid spawn';
+        if (state.players.some(function (p) { return checkObstacleCollision(p.snake[0], state.obstacles); })) return 'spawn on an obstacle';
+        if (isPositionOnSnake(state.players[0].snake[0], state.players[1].snake)) return 'both players spawn on the same cell';
+    } catch (e) {
+        return 'invalid config';
+    }
+    onlineConfig = config;
+    return '';
+}
+
+// Starts a new match and returns the 'start' message.
+function startOnlineMatch(seed, startsInMs) {
+    var random = createSeededRandom(seed);
+    onlineMatch = { random: random, state: SnakeEngine.placeFood(SnakeEngine.createGame(onlineConfig), random), queues: [[], []] };
+    return JSON.stringify({ type: 'start', seed: seed, config: onlineConfig, state: onlineMatch.state, startsInMs: startsInMs });
+}
+
+// Queues a direction change for a seat. Returns whether it was accepted.
+function queueOnlineDirection(seat, direction) {
+    if (!onlineMatch || onlineMatch.state.over) return false;
+    var player = onlineMatch.state.players[seat];
+    if (!player || !player.alive) return false;
+    return SnakeEngine.queueDirection(onlineMatch.queues[seat], player.direction, direction);
+}
+
+// Advances the match by one tick and returns the 'tick' message.
+function stepOnlineMatch() {
+    var inputs = onlineMatch.queues.map(function (queue) { return queue.length > 0 ? queue.shift() : null; });
+    var result = SnakeEngine.step(onlineMatch.state, inputs, onlineMatch.random);
+    onlineMatch.state = result.state;
+    return JSON.stringify({ type: 'tick', state: result.state, events: result.events });
+}
+";
+
+    // Limits for each call into the interpreter.
+    private static readonly TimeSpan ScriptTimeout = TimeSpan.FromSeconds(2);
+    private const long ScriptMemoryLimitBytes = 64 * 1024 * 1024;
+
+    // Time between the 'start' message and the first tick, so both players can get ready.
+    private static readonly TimeSpan StartDelay = TimeSpan.FromSeconds(3);
+
+    private readonly object _sync = new object(); // Guards the seats, the interpreter and the match state
+    private readonly Engine _engine;
+    private readonly OnlineConnection?[] _seats = new OnlineConnection?[2];
+    private readonly bool[] _rematchVotes = new bool[2];
+    private readonly ILogger _logger;
+    private CancellationTokenSource? _matchCancellation; // Stops the running tick loop
+    private bool _matchRunning;
+    private DateTime _lastActivityUtc = DateTime.UtcNow; // Creation, the last seat taken, match start or end, or rematch vote
+
+    public OnlineRoom(string code, IEnumerable<(string Name, string Source)> scripts, ILogger logger)
+    {
+        Code = code;
+        _logger = logger;
+        _engine = CreateEngine(scripts);
+    }
+
+    // Creates an interpreter with the game scripts and the room functions, limited like a room's.
+    public static Engine CreateEngine(IEnumerable<(string Name, string Source)> scripts)
+    {
+        var engine = new Engine(options => options
+            .TimeoutInterval(ScriptTimeout)
+            .LimitMemory(ScriptMemoryLimitBytes));
+        foreach (var (name, source) in scripts)
+        {
+            engine.Execute(source, name);
+        }
+        engine.Execute(MatchScript, "online-match");
+        return engine;
+    }
+
+    // Checks a match configuration in an interpreter from CreateEngine and keeps it there.
+    // Returns: null if the configuration is usable, otherwise the problem.
+    public static string? CheckConfig(Engine engine, string configJson)
+    {
+        engine.SetValue("onlineConfigJson", configJson);
+        string problem = engine.Evaluate("setOnlineConfig(onlineConfigJson)").AsString();
+        return string.IsNullOrEmpty(problem) ? null : problem;
+    }
+
+    public string Code { get; }
+
+    // True once a player has left or the room expired; a closed room never starts another match.
+    public bool IsClosed { get; private set; }
+
+    // Checks and stores the match configuration. Returns null on success, otherwise the problem.
+    public string? SetConfig(string configJson)
+    {
+        lock (_sync) return CheckConfig(_engine, configJson);
+    }
+
+    // Puts a connection in the first free seat.
+    // Returns: The seat index, or -1 if the room is full or closed.
+    public int TryTakeSeat(OnlineConnection connection)
+    {
+        lock (_sync)
+        {
+            if (IsClosed) return -1;
+            int seat = Array.IndexOf(_seats, null);
+            if (seat < 0) return -1;
+            _seats[seat] = connection;
+            connection.Seat = seat;
+            _lastActivityUtc = DateTime.UtcNow;
+            return seat;
+        }
+    }
+
+    // Starts a new match once both seats are taken.
+    public void StartMatch()
+    {
+        string startMessage;
+        CancellationToken token;
+        lock (_sync)
+        {
+            if (IsClosed || _matchRunning || _seats.Any(s => s == null)) return;
+            int seed = RandomNumberGenerator.GetInt32(int.MaxValue);
+            startMessage = _engine.Evaluate($"startOnlineMatch({seed}, {(int)StartDelay.TotalMilliseconds})").AsString();
+            Array.Clear(_rematchVotes);
+            _matchRunning = true;
+            _lastActivityUtc = DateTime.UtcNow;
+            _matchCancellation = new CancellationTokenSource();
+            token = _matchCancellation.Token;
+            _logger.LogInformation($"Room {Code}: match started with seed {seed}.");
+        }
+        Broadcast(startMessage);
+        _ = Task.Run(() => RunMatchAsync(token));
+    }
+
+    // Queues a direction change from a seat for the next ticks.
+    public void QueueDirection(int seat, string direction)
+    {
+        lock (_sync)
+        {
+            if (!_matchRunning) return;
+            _engine.Evaluate($"queueOnlineDirection({seat}, '{direction}')"); // direction is one of the four names (checked by the caller)
+        }
+    }
+
+    // Records that a seat wants a rematch; the next match starts once both seats asked.
+    public void RequestRematch(int seat)
+    {
+        bool bothReady;
+        OnlineConnection? other;
+        lock (_sync)
+        {
+            if (IsClosed || _matchRunning) return;
+            _rematchVotes[seat] = true;
+            _lastActivityUtc = DateTime.UtcNow;
+            bothReady = _rematchVotes.All(vote => vote);
+            other = _seats[1 - seat];
+        }
+        if (bothReady)
+        {
+            StartMatch();
+        }
+        else if (other != null)
+        {
+            other.Send(JsonSerializer.Serialize(new { type = "rematch", seat }));
+        }
+    }
+
+    // Removes a connection from the room. The room closes: a running match stops and the other player is told
+    // (unless the room had already expired).
+    public void Leave(OnlineConnection connection)
+    {
+        OnlineConnection? other;
+        lock (_sync)
+        {
+            int seat = Array.IndexOf(_seats, connection);
+            if (seat < 0) return;
+            _seats[seat] = null;
+            other = IsClosed ? null : _seats[1 - seat];
+            IsClosed = true;
+            _matchRunning = false;
+            _matchCancellation?.Cancel();
+            _logger.LogInformation($"Room {Code}: player {seat + 1} left, room closed.");
+        }
+        if (other != null) other.Send(JsonSerializer.Serialize(new { type = "opponentLeft" }));
+    }
+
+    // Closes the room if no match has run and nothing happened in it for idleTime.
+    // Its players are told with a 'roomExpired' error and stay connected, so they can create or join another room.
+    // Returns: Whether the room was closed.
+    public bool ExpireIfIdle(TimeSpan idleTime)
+    {
+        lock (_sync)
+        {
+            if (IsClosed || _matchRunning || DateTime.UtcNow - _lastActivityUtc < idleTime) return false;
+            IsClosed = true;
+            _logger.LogInformation($"Room {Code}: idle, room closed.");
+        }
+        Broadcast(JsonSerializer.Serialize(new { type = "error", code = "roomExpired", message = "The room was closed after a long time without a match." }));
+        return true;
+    }
+
+    // Runs the ticks of the current match until it is over or the room closes.
+    // Each tick lasts the interval the engine reports (game.speed), measured against a stopwatch so delays do not add up.
+    private async Task RunMatchAsync(CancellationToken token)
+    {
+        try
+        {
+            await Task.Delay(StartDelay, token);
+            var clock = Stopwatch.StartNew();
+            double nextTickMs = 0;
+            int interval = 0;
+            while (!token.IsCancellationRequested)
+            {
+                nextTickMs += interval;
+                var wait = nextTickMs - clock.Elapsed.TotalMilliseconds;
+                if (wait > 0) await Task.Delay(TimeSpan.FromMilliseconds(wait), token);
+
+                string tickMessage;
+                bool over;
+                lock (_sync)
+                {
+                    if (token.IsCancellationRequested) return;
+                    tickMessage = _engine.Evaluate("stepOnlineMatch()").AsString();
+                    using var document = JsonDocument.Parse(tickMessage);
+                    var state = document.RootElement.GetProperty("state");
+                    interval = state.GetProperty("speed").GetInt32();
+                    over = state.GetProperty("over").GetBoolean();
+                    if (over)
+                    {
+                        _matchRunning = false;
+                        _lastActivityUtc = DateTime.UtcNow; // The idle time until a rematch counts from the end of the match
+                    }
+                }
+                Broadcast(tickMessage);
+                if (over)
+                {
+                    _logger.LogInformation($"Room {Code}: match over.");
+                    return;
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The room closed
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, $"Room {Code}: match stopped by an error.");
+            lock (_sync) _matchRunning = false;
+            Broadcast(JsonSerializer.Serialize(new { type = "error", code = "matchFailed", message = "The match stopped because of a server error." }));
+        }
+    }
+
+    // Queues a message for every seated connection.
+    private void Broadcast(string json)
+    {
+        OnlineConnection[] targets;
+        lock (_sync) targets = _seats.Where(s => s != null).Select(s => s!).ToArray();
+        foreach (var target in targets) target.Send(json);
+    }
+}
@@ -0,0 +1,205 @@
+﻿using System.Text.Json;
+using GreedySnake.Models;
+using Jint;
+using Microsoft.AspNetCore.Hosting; // Required for IWebHostEnvironment
+using Microsoft.Extensions.Logging; // Required for ILogger
+
+namespace GreedySnake.Services;
+
+// Verifies leaderboard submissions by re-simulating the submitted match recording.
+// The simulation runs the browser's own game scripts (wwwroot/js/common.js, engine.js, levels.js and recording.js)
+// in an embedded JavaScript interpreter, so the server and the client always apply the same rules.
+public class ReplayVerificationService
+{
+    // Scripts that make up the simulation, in load order.
+    private static readonly string[] SimulationScripts = { "common.js", "engine.js", "levels.js", "recording.js" };
+
+    // Upper bound on the length of a verified match (30 minutes at the fastest tick interval of 40 ms).
+    // A recording this long must replay within SimulationTimeout (see GreedySnake.Tests/ReplayVerificationServiceTests.cs).
+    public const int MaxReplayTicks = 45_000;
+
+    // Limits for a single simulation run, protecting the server from hostile recordings.
+    public static readonly TimeSpan SimulationTimeout = TimeSpan.FromSeconds(10);
+    private const long SimulationMemoryLimitBytes = 64 * 1024 * 1024;
+
+    private readonly List<(string Name, string Source)> _scripts = new List<(string Name, string Source)>();
+    private readonly ILogger<ReplayVerificationService> _logger;
+
+    private static readonly JsonSerializerOptions SummaryJsonOptions = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+
+    public ReplayVerificationService(IWebHostEnvironment env, ILogger<ReplayVerificationService> logger)
+    {
+        _logger = logger;
+
+        // Read the game scripts once; every verification runs them in a fresh interpreter.
+        foreach (var scriptName in SimulationScripts)
+        {
+            string path = Path.Combine(env.WebRootPath, "js", scriptName);
+            _scripts.Add((scriptName, File.ReadAllText(path)));
+        }
+        _logger.LogInformation($"Replay verification loaded {SimulationScripts.Length} game scripts from {Path.Combine(env.WebRootPath, "js")}.");
+    }
+
+    // Re-simulates the recording and checks it against the submitted entry.
+    // summary: The simulated outcome (e.g. the food eaten), set once the recording could be simulated.
+    // Returns null if the entry is confirmed, otherwise a description of why it was rejected.
+    public string? Verify(LeaderboardEntry entry, JsonElement replay, out ReplaySummary? summary)
+    {
+        summary = null;
+        if (replay.ValueKind != JsonValueKind.Object)
+        {
+            return "Replay must be a recording object.";
+        }
+        if (!replay.TryGetProperty("ticks", out var ticksElement) || !ticksElement.TryGetInt32(out int ticks) || ticks < 0 || ticks > MaxReplayTicks)
+        {
+            return "Replay tick count is missing or out of range.";
+        }
+
+        // The settings are checked before the match is simulated, so a recording that would be refused anyway
+        // costs no simulation time.
+        Engine engine;
+        ReplaySummary? settings;
+        try
+        {
+            engine = CreateSimulationEngine(replay.GetRawText());
+            settings = Evaluate(engine, "summarizeSettings");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, $"Replay settings could not be read for user '{entry.Username}'.");
+            return "Replay could not be simulated.";
+        }
+        if (settings == null || settings.Error != null)
+        {
+            return $"Invalid replay: {settings?.Error ?? "no result"}.";
+        }
+        string? settingsProblem = CheckSettings(entry, settings);
+        if (settingsProblem != null)
+        {
+            return settingsProblem;
+        }
+
+        try
+        {
+            summary = Evaluate(engine, "summarizeRecording");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, $"Replay simulation failed for user '{entry.Username}'.");
+            return "Replay could not be simulated.";
+        }
+        if (summary == null || summary.Error != null)
+        {
+            return $"Invalid replay: {summary?.Error ?? "no result"}.";
+        }
+
+        // A target score run only counts once the target was reached.
+        if (LeaderboardModes.IsRankedByTime(entry.Mode) && summary.Challenge?.Result != "reached")
+        {
+            return "Replay did not reach the target score.";
+        }
+        if (!summary.Over || summary.Ticks != ticks)
+        {
+            return "Replay does not end with the end of the match.";
+        }
+
+        // The claimed results must be exactly what the simulation produced (for a team, the team score).
+        if (entry.Mode == LeaderboardModes.Coop ? summary.Coop!.TeamScore != entry.Score : summary.Scores.Count != 1 || summary.Scores[0] != entry.Score)
+        {
+            return $"Claimed score {entry.Score} does not match the replayed score.";
+        }
+        if (summary.SurvivalTime != entry.SurvivalTime)
+        {
+            return $"Claimed survival time {entry.SurvivalTime}s does not match the replayed time.";
+        }
+
+        return null;
+    }
+
+    // Checks the settings of a recording (see SnakeRecording.summarizeSettings) against the submitted entry:
+    // the recording must be a match of the claimed mode, co-op collision rule, difficulty, board size, wall mode and level.
+    // Returns null if they match, otherwise a description of why the entry is rejected.
+    private static string? CheckSettings(LeaderboardEntry entry, ReplaySummary settings)
+    {
+        bool isCoop = entry.Mode == LeaderboardModes.Coop;
+        if (isCoop && (settings.Mode != "twoplayer" || settings.Coop == null || settings.PlayerCount != 2))
+        {
+            return "Replay is not a two player co-op match.";
+        }
+        if (isCoop && !string.Equals(settings.Coop!.Collisions, entry.CoopCollisions, StringComparison.OrdinalIgnoreCase))
+        {
+            return "Replay co-op collision rule does not match the entry.";
+        }
+        if (!isCoop && (settings.Mode != "singleplayer" || settings.PlayerCount != 1 || settings.Coop != null))
+        {
+            return "Replay is not a single player match.";
+        }
+        // Each single player mode is its own category: the recording must have played exactly the claimed challenge
+        // (none for the endless mode).
+        string challengeId = LeaderboardModes.IsChallenge(entry.Mode) ? entry.Mode : string.Empty;
+        if (!isCoop && (settings.Challenge?.Id ?? string.Empty) != challengeId)
+        {
+            return "Replay challenge does not match the entry's mode.";
+        }
+        if (!string.Equals(settings.Difficulty, entry.Difficulty, StringComparison.OrdinalIgnoreCase))
+        {
+            return "Replay difficulty does not match the entry.";
+        }
+        if (!string.Equals($"{settings.Width}x{settings.Height}", entry.BoardSize, StringComparison.OrdinalIgnoreCase))
+        {
+            return "Replay board size does not match the entry.";
+        }
+        if (!string.Equals(settings.Walls, entry.WallMode, StringComparison.OrdinalIgnoreCase))
+        {
+            return "Replay wall mode does not match the entry.";
+        }
+        // Only plain boards and built-in levels are ranked; custom level files could make the game trivial.
+        if (settings.Level == "custom")
+        {
+            return "Scores on custom levels are not accepted.";
+        }
+        if (!string.Equals(settings.Level, entry.Level ?? string.Empty, StringComparison.OrdinalIgnoreCase))
+        {
+            return "Replay level does not match the entry.";
+        }
+        // Matches played by a bot (see bots.js) never land on the human leaderboard.
+        if (!string.IsNullOrEmpty(settings.Autopilot))
+        {
+            return "Replays played by a bot are not accepted.";
+        }
+        if (settings.ComputerPlayers > 0)
+        {
+            return "Replays with computer players are not accepted.";
+        }
+        // The whole configuration must be one the game pages create: settings the category does not record (items,
+        // spawn points) and the spelling of the ones it does must match what every game uses.
+        if (!string.IsNullOrEmpty(settings.ConfigProblem))
+        {
+            return $"Replay settings differ from the game's: {settings.ConfigProblem}.";
+        }
+        return null;
+    }
+
+    // Creates a fresh, resource-limited interpreter with the game scripts and the recording JSON loaded.
+    private Engine CreateSimulationEngine(string recordingJson)
+    {
+        var engine = new Engine(options => options
+            .TimeoutInterval(SimulationTimeout)
+            .LimitMemory(SimulationMemoryLimitBytes));
+
+        foreach (var (name, source) in _scripts)
+        {
+            engine.Execute(source, name);
+        }
+
+        engine.SetValue("recordingJson", recordingJson);
+        return engine;
+    }
+
+    // Runs one of the SnakeRecording summary functions (summarizeSettings or summarizeRecording) on the loaded recording.
+    private static ReplaySummary? Evaluate(Engine engine, string summaryFunction)
+    {
+        string summaryJson = engine.Evaluate($"JSON.stringify(SnakeRecording.{summaryFunction}(JSON.parse(recordingJson)))").AsString();
+        return JsonSerializer.Deserialize<ReplaySummary>(summaryJson, SummaryJsonOptions);
+    }
+}
@@ -0,0 +1,63 @@
+﻿/*
+ * File: ai.test.js
+ * Description: Tests for the computer players in wwwroot/js/ai.js: every strength must only pick moves the engine
+ * lets the snake survive, including next to its own tail and an opponent's tail.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const common = require('../wwwroot/js/common.js');
+const SnakeEngine = require('../wwwroot/js/engine.js');
+const SnakeAI = require('../wwwroot/js/ai.js');
+
+// Creates a state on a 10x10 board with the given snakes (head first) and directions, and food at a cell.
+function createState(snakes, directions, food) {
+    const state = SnakeEngine.createGame({
+        mode: 'twoplayer',
+        difficulty: 'medium',
+        width: 10,
+        height: 10,
+        players: snakes.map((snake, pIndex) => ({ spawn: snake[0], direction: directions[pIndex] }))
+    });
+    state.players.forEach((player, pIndex) => { player.snake = snakes[pIndex].map(cell => ({ ...cell })); });
+    state.food = food;
+    return state;
+}
+
+// Lets a bot pick player 0's move (the other players keep going) and returns whether player 0 survives the step.
+function survivesBotMove(state, strength) {
+    const direction = SnakeAI.chooseDirection(state, 0, strength, common.createSeededRandom(1));
+    const inputs = state.players.map((player, pIndex) => pIndex === 0 ? direction : null);
+    const { events } = SnakeEngine.step(state, inputs, common.createSeededRandom(1));
+    return !events.some(event => event.type === 'death' && event.playerIndex === 0);
+}
+
+test.describe('chooseDirection', () => {
+    Object.keys(SnakeAI.AI_STRENGTHS).forEach(strength => {
+        test(`${strength}: does not chase its own tail`, () => {
+            // A 2x2 loop heading left; the food lies behind the tail, so the tail cell is the closest move to it
+            const snake = [{ x: 3, y: 3 }, { x: 4, y: 3 }, { x: 4, y: 2 }, { x: 3, y: 2 }];
+            for (let seed = 0; seed < 20; seed++) {
+                const state = createState([snake], ['left'], { x: 3, y: 1 });
+                assert.equal(SnakeAI.chooseDirection(state, 0, strength, common.createSeededRandom(seed)) === 'up', false);
+            }
+            assert.equal(survivesBotMove(createState([snake], ['left'], { x: 3, y: 1 }), strength), true);
+        });
+
+        test(`${strength}: does not run into an opponent's tail`, () => {
+            // Player 0 at (2,5) heading right; the cell ahead is player 1's tail and the food lies beyond it
+            const opponent = [{ x: 3, y: 3 }, { x: 3, y: 4 }, { x: 3, y: 5 }];
+            const state = createState([[{ x: 2, y: 5 }], opponent], ['right', 'up'], { x: 5, y: 5 });
+            assert.notEqual(SnakeAI.chooseDirection(state, 0, strength, common.createSeededRandom(1)), null);
+            assert.equal(survivesBotMove(state, strength), true);
+        });
+    });
+
+    test('returns null when every move collides', () => {
+        // Boxed in: up is the wall, down is its body, right is its tail and left would reverse
+        const snake = [{ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 }];
+        const state = createState([snake], ['right'], { x: 8, y: 8 });
+        assert.equal(SnakeAI.chooseDirection(state, 0, 'smart', common.createSeededRandom(1)), null);
+    });
+});
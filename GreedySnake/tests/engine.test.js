@@ -0,0 +1,348 @@
+﻿/*
+ * File: engine.test.js
+ * Description: Tests for the rules in wwwroot/js/engine.js: the input queue, collisions, food, speed and items.
+ * States are built with createGame() and then arranged by hand, so each test sets up exactly the board it needs.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const common = require('../wwwroot/js/common.js');
+const SnakeEngine = require('../wwwroot/js/engine.js');
+
+// Random source for steps that never place food; a test that needs food placement passes a seeded one.
+const noRandom = () => 0;
+
+// Creates a single player state on a 10x10 board with the given snake (head first) moving in a direction.
+function createSinglePlayerState(snake, direction, overrides = {}) {
+    const state = SnakeEngine.createGame({
+        mode: 'singleplayer',
+        difficulty: 'medium',
+        width: 10,
+        height: 10,
+        players: [{ spawn: snake[0], direction: direction }],
+        ...overrides
+    });
+    state.players[0].snake = snake.map(cell => ({ ...cell }));
+    return state;
+}
+
+// Creates a two player versus state on a 10x10 board; snakes and directions are given per player.
+// The heads are the spawn points (where co-op players come back).
+function createTwoPlayerState(snakes, directions, overrides = {}) {
+    const state = SnakeEngine.createGame({
+        mode: 'twoplayer',
+        difficulty: 'medium',
+        width: 10,
+        height: 10,
+        players: snakes.map((snake, pIndex) => ({ spawn: snake[0], direction: directions[pIndex] })),
+        ...overrides
+    });
+    state.players.forEach((player, pIndex) => { player.snake = snakes[pIndex].map(cell => ({ ...cell })); });
+    return state;
+}
+
+// Returns the death events of a step.
+function deaths(events) {
+    return events.filter(event => event.type === 'death');
+}
+
+test.describe('queueDirection', () => {
+    test('ignores a reversal of the current direction and a repeat of it', () => {
+        const queue = [];
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'left'), false);
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'right'), false);
+        assert.deepEqual(queue, []);
+    });
+
+    test('checks a request against the last queued direction', () => {
+        const queue = [];
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'up'), true);
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'down'), false); // Reverses the queued 'up'
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'left'), true); // Fine after 'up', although it reverses 'right'
+        assert.deepEqual(queue, ['up', 'left']);
+    });
+
+    test('keeps at most MAX_QUEUED_DIRECTIONS requests', () => {
+        const queue = [];
+        ['up', 'left', 'down', 'right'].forEach(direction => SnakeEngine.queueDirection(queue, 'right', direction));
+        assert.equal(SnakeEngine.MAX_QUEUED_DIRECTIONS, 3);
+        assert.deepEqual(queue, ['up', 'left', 'down']);
+    });
+
+    test('rejects values that are not directions', () => {
+        const queue = [];
+        assert.equal(SnakeEngine.queueDirection(queue, 'right', 'sideways'), false);
+        assert.deepEqual(queue, []);
+    });
+});
+
+test.describe('step: movement and collisions', () => {
+    test('moves the head one cell and drops the tail', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }, { x: 2, y: 3 }], 'right');
+        const { state: next } = SnakeEngine.step(state, [null], noRandom);
+        assert.deepEqual(next.players[0].snake, [{ x: 4, y: 3 }, { x: 3, y: 3 }]);
+        assert.equal(next.tick, 1);
+        assert.equal(next.elapsedMs, state.speed);
+    });
+
+    test('ignores an input that reverses the snake', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }, { x: 2, y: 3 }], 'right');
+        const { state: next } = SnakeEngine.step(state, ['left'], noRandom);
+        assert.equal(next.players[0].direction, 'right');
+        assert.deepEqual(next.players[0].snake[0], { x: 4, y: 3 });
+    });
+
+    test('does not modify the state it is given', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right');
+        const before = JSON.stringify(state);
+        SnakeEngine.step(state, ['up'], noRandom);
+        assert.equal(JSON.stringify(state), before);
+    });
+
+    test('kills a snake that runs into a solid wall', () => {
+        const state = createSinglePlayerState([{ x: 9, y: 5 }], 'right');
+        const { state: next, events } = SnakeEngine.step(state, [null], noRandom);
+        assert.deepEqual(deaths(events), [{ type: 'death', playerIndex: 0, cause: 'wall' }]);
+        assert.equal(next.players[0].alive, false);
+        assert.equal(next.over, true);
+    });
+
+    test('wraps a snake around the board with wrap-around walls', () => {
+        const state = createSinglePlayerState([{ x: 9, y: 5 }], 'right', { walls: 'wrap' });
+        const { state: next, events } = SnakeEngine.step(state, [null], noRandom);
+        assert.deepEqual(deaths(events), []);
+        assert.deepEqual(next.players[0].snake[0], { x: 0, y: 5 });
+    });
+
+    test('kills a snake that runs into an obstacle', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right', { obstacles: [{ x: 4, y: 3 }] });
+        const { events } = SnakeEngine.step(state, [null], noRandom);
+        assert.deepEqual(deaths(events), [{ type: 'death', playerIndex: 0, cause: 'obstacle' }]);
+    });
+
+    test('kills a snake that runs into its own body', () => {
+        // Head at (3,3) moving up into (3,2), which is part of the body
+        const snake = [{ x: 3, y: 3 }, { x: 4, y: 3 }, { x: 4, y: 2 }, { x: 3, y: 2 }, { x: 2, y: 2 }];
+        const state = createSinglePlayerState(snake, 'left');
+        const { events } = SnakeEngine.step(state, ['up'], noRandom);
+        assert.deepEqual(deaths(events), [{ type: 'death', playerIndex: 0, cause: 'self' }]);
+    });
+
+    test('counts the tail as body, although it would move away this tick', () => {
+        // A 2x2 loop: the head moves into the cell the tail is leaving
+        const snake = [{ x: 3, y: 3 }, { x: 4, y: 3 }, { x: 4, y: 2 }, { x: 3, y: 2 }];
+        const state = createSinglePlayerState(snake, 'left');
+        const { events } = SnakeEngine.step(state, ['up'], noRandom);
+        assert.deepEqual(deaths(events), [{ type: 'death', playerIndex: 0, cause: 'self' }]);
+    });
+
+    test('kills both snakes when their heads meet', () => {
+        const state = createTwoPlayerState([[{ x: 3, y: 5 }], [{ x: 5, y: 5 }]], ['right', 'left']);
+        const { state: next, events } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.deepEqual(deaths(events), [
+            { type: 'death', playerIndex: 0, cause: 'headOn', otherIndex: 1 },
+            { type: 'death', playerIndex: 1, cause: 'headOn', otherIndex: 0 }
+        ]);
+        assert.equal(next.over, true);
+    });
+
+    test('kills a snake that runs into another snake, and only that one', () => {
+        const state = createTwoPlayerState(
+            [[{ x: 3, y: 4 }], [{ x: 4, y: 5 }, { x: 4, y: 4 }, { x: 4, y: 3 }]],
+            ['right', 'down']);
+        const { state: next, events } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.deepEqual(deaths(events), [{ type: 'death', playerIndex: 0, cause: 'body', otherIndex: 1 }]);
+        assert.equal(next.players[1].alive, true);
+        assert.equal(next.over, false);
+    });
+});
+
+test.describe('step: food and speed', () => {
+    test('grows the snake, scores a point and places new food when the food is eaten', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }, { x: 2, y: 3 }], 'right');
+        state.food = { x: 4, y: 3 };
+        const { state: next, events } = SnakeEngine.step(state, [null], common.createSeededRandom(1));
+        const player = next.players[0];
+        assert.equal(player.score, 1);
+        assert.equal(player.eaten, 1);
+        assert.deepEqual(player.snake, [{ x: 4, y: 3 }, { x: 3, y: 3 }, { x: 2, y: 3 }]);
+        assert.ok(next.food, 'new food is placed');
+        assert.equal(common.isPositionOnSnake(next.food, player.snake), false);
+        assert.ok(events.some(event => event.type === 'eat'));
+    });
+
+    test('speeds up by the reduction rate for every food eaten', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right');
+        state.food = { x: 4, y: 3 };
+        const { state: next, events } = SnakeEngine.step(state, [null], common.createSeededRandom(1));
+        const settings = SnakeEngine.getSpeedSettings('singleplayer', 'medium');
+        assert.equal(next.speed, settings.initialSpeed - settings.reductionRate);
+        assert.deepEqual(events.find(event => event.type === 'speed'), { type: 'speed', speed: next.speed });
+    });
+
+    test('bases the speed on the food eaten, not on the points', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right', { items: true });
+        state.items = [{ type: 'bonus', x: 4, y: 3, expiresAtMs: 10000 }];
+        const { state: next } = SnakeEngine.step(state, [null], noRandom);
+        const player = next.players[0];
+        const settings = SnakeEngine.getSpeedSettings('singleplayer', 'medium');
+        assert.equal(player.score, SnakeEngine.ITEM_TYPES.bonus.points);
+        assert.equal(player.eaten, 1);
+        assert.equal(player.snake.length, 2, 'bonus food grows the snake');
+        assert.equal(next.speed, common.calculateDynamicSpeed(settings.initialSpeed, 1, settings.reductionRate));
+    });
+
+    test('never goes below MINIMUM_SPEED', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right');
+        state.players[0].eaten = 1000;
+        state.food = { x: 4, y: 3 };
+        const { state: next } = SnakeEngine.step(state, [null], common.createSeededRandom(1));
+        assert.equal(next.speed, common.MINIMUM_SPEED);
+    });
+
+    test('uses the speed table of the mode and difficulty', () => {
+        const state = SnakeEngine.createGame({ mode: 'twoplayer', difficulty: 'hard', players: [] });
+        assert.equal(state.speed, SnakeEngine.SPEED_SETTINGS.twoplayer.hard.initialSpeed);
+        assert.deepEqual(SnakeEngine.getSpeedSettings('singleplayer', 'unknown'), SnakeEngine.SPEED_SETTINGS.singleplayer.medium);
+    });
+
+    test('removes items whose time is up', () => {
+        const state = createSinglePlayerState([{ x: 3, y: 3 }], 'right', { items: true });
+        state.items = [{ type: 'slow', x: 8, y: 8, expiresAtMs: 1 }];
+        const { state: next, events } = SnakeEngine.step(state, [null], noRandom);
+        assert.deepEqual(next.items, []);
+        assert.ok(events.some(event => event.type === 'itemExpired' && event.item === 'slow'));
+    });
+});
+
+test.describe('step: co-op', () => {
+    // Creates a co-op state with two single segment snakes and the given collision rule.
+    function createCoopState(heads, directions, collisions = 'pass') {
+        return createTwoPlayerState(heads.map(head => [head]), directions, { coop: { collisions: collisions } });
+    }
+
+    test('adds both players\' points to the team score and wins at the target score', () => {
+        const state = createCoopState([{ x: 2, y: 2 }, { x: 2, y: 7 }], ['right', 'right']);
+        state.players[0].score = SnakeEngine.COOP_RULES.targetScore - 10;
+        state.players[1].score = 9;
+        state.food = { x: 3, y: 7 };
+        const { state: next, events } = SnakeEngine.step(state, [null, null], common.createSeededRandom(1));
+        assert.equal(SnakeEngine.getTeamScore(next), SnakeEngine.COOP_RULES.targetScore);
+        assert.equal(next.coop.result, 'won');
+        assert.equal(next.over, true);
+        assert.ok(events.some(event => event.type === 'gameOver'));
+    });
+
+    test('pays for a death from the shared lives and brings the snake back at its spawn point', () => {
+        const state = createCoopState([{ x: 5, y: 2 }, { x: 2, y: 7 }], ['up', 'right']);
+        state.players[0].snake = [{ x: 5, y: 0 }, { x: 5, y: 1 }];
+        const { state: dead, events } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.deepEqual(events.find(event => event.type === 'lifeLost'), { type: 'lifeLost', playerIndex: 0, lives: SnakeEngine.COOP_RULES.lives - 1 });
+        assert.equal(dead.players[0].alive, false);
+        assert.equal(dead.over, false);
+
+        const { state: back, events: backEvents } = SnakeEngine.step(dead, [null, null], noRandom);
+        assert.ok(backEvents.some(event => event.type === 'respawn' && event.playerIndex === 0));
+        assert.equal(back.players[0].alive, true);
+        assert.deepEqual(back.players[0].snake, [{ x: 5, y: 1 }], 'comes back at the spawn point and moves on this tick');
+        assert.equal(back.players[0].direction, 'up');
+        assert.equal(back.coop.lives, SnakeEngine.COOP_RULES.lives - 1);
+    });
+
+    test('waits with a respawn while a snake covers the spawn point', () => {
+        const state = createCoopState([{ x: 5, y: 5 }, { x: 2, y: 7 }], ['right', 'right']);
+        state.players[0].alive = false;
+        state.coop.respawning[0] = true;
+        state.players[1].snake = [{ x: 5, y: 6 }, { x: 5, y: 5 }, { x: 5, y: 4 }];
+        state.players[1].direction = 'down';
+        const { state: next, events } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.equal(next.players[0].alive, false);
+        assert.equal(next.coop.respawning[0], true);
+        assert.equal(events.some(event => event.type === 'respawn'), false);
+    });
+
+    test('loses once every snake is dead and no lives are left', () => {
+        const state = createCoopState([{ x: 0, y: 2 }, { x: 9, y: 7 }], ['left', 'left']);
+        state.coop.lives = 0;
+        const { state: oneLeft } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.equal(oneLeft.players[0].alive, false);
+        assert.equal(oneLeft.over, false, 'the teammate plays on');
+
+        oneLeft.players[1].snake = [{ x: 0, y: 7 }];
+        const { state: next } = SnakeEngine.step(oneLeft, [null, null], noRandom);
+        assert.equal(next.coop.result, 'noLives');
+        assert.equal(next.over, true);
+    });
+
+    test('runs out of time at the time limit', () => {
+        const state = createCoopState([{ x: 2, y: 2 }, { x: 2, y: 7 }], ['right', 'right']);
+        state.elapsedMs = SnakeEngine.COOP_RULES.timeLimitMs - state.speed;
+        const { state: next } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.equal(next.coop.result, 'timeUp');
+        assert.equal(next.over, true);
+    });
+
+    test('lets teammates pass through each other under the \'pass\' rule', () => {
+        const state = createCoopState([{ x: 3, y: 5 }, { x: 5, y: 5 }], ['right', 'left'], 'pass');
+        const { state: next, events } = SnakeEngine.step(state, [null, null], noRandom);
+        assert.deepEqual(deaths(events), []);
+        assert.deepEqual(next.players.map(p => p.snake[0]), [{ x: 4, y: 5 }, { x: 4, y: 5 }]);
+    });
+
+    test('kills both teammates when their heads meet under the \'headOn\' rule, but not on the body', () => {
+        const headOn = createCoopState([{ x: 3, y: 5 }, { x: 5, y: 5 }], ['right', 'left'], 'headOn');
+        const { events } = SnakeEngine.step(headOn, [null, null], noRandom);
+        assert.deepEqual(deaths(events).map(event => event.cause), ['headOn', 'headOn']);
+
+        const body = createCoopState([{ x: 3, y: 4 }, { x: 4, y: 5 }], ['right', 'down'], 'headOn');
+        body.players[1].snake = [{ x: 4, y: 5 }, { x: 4, y: 4 }, { x: 4, y: 3 }];
+        const { events: bodyEvents } = SnakeEngine.step(body, [null, null], noRandom);
+        assert.deepEqual(deaths(bodyEvents), []);
+    });
+});
+
+test.describe('step: challenges', () => {
+    test('ends a time attack once the time limit has passed, not a tick earlier', () => {
+        const state = createSinglePlayerState([{ x: 2, y: 2 }], 'right', { challenge: 'timeAttack60' });
+        state.elapsedMs = SnakeEngine.CHALLENGES.timeAttack60.timeLimitMs - 2 * state.speed;
+        const { state: running } = SnakeEngine.step(state, [null], noRandom);
+        assert.equal(running.over, false);
+        assert.equal(running.challenge.result, null);
+
+        const { state: next, events } = SnakeEngine.step(running, [null], noRandom);
+        assert.equal(next.challenge.result, 'timeUp');
+        assert.equal(next.over, true);
+        assert.equal(next.players[0].alive, true);
+        assert.ok(events.some(event => event.type === 'gameOver'));
+    });
+
+    test('ends a target score run on the tick the target is reached', () => {
+        const state = createSinglePlayerState([{ x: 2, y: 2 }], 'right', { challenge: 'targetScore25' });
+        state.players[0].score = SnakeEngine.CHALLENGES.targetScore25.targetScore - 1;
+        state.food = { x: 3, y: 2 };
+        const { state: next } = SnakeEngine.step(state, [null], common.createSeededRandom(1));
+        assert.equal(next.challenge.result, 'reached');
+        assert.equal(next.over, true);
+    });
+
+    test('ends a challenge as lost when the snake dies first', () => {
+        for (const challenge of ['timeAttack120', 'targetScore50']) {
+            const state = createSinglePlayerState([{ x: 9, y: 2 }], 'right', { challenge: challenge });
+            const { state: next } = SnakeEngine.step(state, [null], noRandom);
+            assert.equal(next.challenge.result, 'died', challenge);
+            assert.equal(next.over, true, challenge);
+        }
+    });
+
+    test('plays an endless match without a challenge or with an unknown one', () => {
+        for (const challenge of [undefined, 'timeAttack30']) {
+            const state = createSinglePlayerState([{ x: 2, y: 2 }], 'right', { challenge: challenge });
+            assert.equal(state.challenge, null);
+            state.elapsedMs = SnakeEngine.CHALLENGES.timeAttack120.timeLimitMs;
+            state.players[0].score = SnakeEngine.CHALLENGES.targetScore50.targetScore;
+            const { state: next } = SnakeEngine.step(state, [null], noRandom);
+            assert.equal(next.over, false);
+        }
+    });
+});
@@ -0,0 +1,75 @@
+﻿/*
+ * File: helpers.js
+ * Description: Shared setup for the Node tests: engine configurations built the way the game pages build them,
+ * a match recorded the way the single player page records it, and the scripts the server's replay verification runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const common = require('../wwwroot/js/common.js');
+const SnakeEngine = require('../wwwroot/js/engine.js');
+const SnakeRecording = require('../wwwroot/js/recording.js');
+const SnakeAI = require('../wwwroot/js/ai.js');
+
+// Scripts ReplayVerificationService runs, in its load order (see SimulationScripts in the service).
+const SIMULATION_SCRIPTS = ['common.js', 'engine.js', 'levels.js', 'recording.js'];
+
+// Upper bound on the length of a test match, so a bot that never dies cannot hang the tests.
+const MAX_TEST_TICKS = 20000;
+
+// Returns the configuration the single player page uses on a plain board (see startGame in singleplayer.js).
+// overrides: Object - Properties replacing the defaults (e.g. difficulty, challenge, width and height).
+function createSinglePlayerConfig(overrides = {}) {
+    const width = overrides.width || common.GRID_WIDTH;
+    const height = overrides.height || common.GRID_HEIGHT;
+    return {
+        mode: 'singleplayer',
+        difficulty: 'medium',
+        width: width,
+        height: height,
+        walls: 'solid',
+        items: true,
+        players: [{ ...common.createSinglePlayerSpawn(width, height), name: 'tester', color: '#008000' }],
+        ...overrides
+    };
+}
+
+// Plays a match to its end with the greedy computer player steering every snake, recording it as the pages do.
+// config: Object - The engine configuration.
+// seed: number - The match seed.
+// Returns: { recording: Object, state: Object } - The finished recording and the final engine state.
+function playRecordedMatch(config, seed) {
+    const random = common.createSeededRandom(seed);
+    const botRandom = common.createSeededRandom((seed + 1) >>> 0);
+    const recording = SnakeRecording.createRecording(config, seed);
+    let state = SnakeEngine.placeFood(SnakeEngine.createGame(config), random);
+    while (!state.over && state.tick < MAX_TEST_TICKS) {
+        const inputs = state.players.map((player, pIndex) => SnakeAI.chooseDirection(state, pIndex, 'greedy', botRandom));
+        const next = SnakeEngine.step(state, inputs, random).state;
+        SnakeRecording.recordTick(recording, state, next);
+        state = next;
+    }
+    SnakeRecording.finishRecording(recording, state);
+    return { recording: recording, state: state };
+}
+
+// Summarizes a recording the way the server does: the game scripts run as plain scripts (no module system)
+// in a fresh context, and the summary comes back as JSON.
+// recording: Object - The recording log (serialized before it is handed over, like the request body).
+// Returns: Object - The parsed summary.
+function simulateOnServer(recording) {
+    const context = vm.createContext({});
+    SIMULATION_SCRIPTS.forEach(name => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'wwwroot', 'js', name), 'utf8');
+        vm.runInContext(source, context, { filename: name });
+    });
+    context.recordingJson = JSON.stringify(recording);
+    return JSON.parse(vm.runInContext('JSON.stringify(SnakeRecording.summarizeRecording(JSON.parse(recordingJson)))', context));
+}
+
+module.exports = {
+    createSinglePlayerConfig,
+    playRecordedMatch,
+    simulateOnServer
+};
@@ -0,0 +1,85 @@
+﻿/*
+ * File: keybindings.test.js
+ * Description: Tests for the key binding helpers in wwwroot/js/common.js: conflict detection for the single player
+ * binding and the local versus seats, and the action a key press maps to.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const common = require('../wwwroot/js/common.js');
+
+test.describe('findKeyBindingConflicts', () => {
+    test('finds no conflicts in the default bindings', () => {
+        assert.deepEqual(common.findKeyBindingConflicts(common.createDefaultKeyBindings()), []);
+    });
+
+    test('finds a key bound to two actions of the single player binding', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.single.pause = ['w'];
+        const conflicts = common.findKeyBindingConflicts(bindings);
+        assert.equal(conflicts.length, 1);
+        assert.equal(conflicts[0].profile, 'single');
+        assert.equal(conflicts[0].key, 'w');
+        assert.match(conflicts[0].message, /W/);
+    });
+
+    test('finds a key bound to two actions of one local player', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.players[0].left = ['w'];
+        const conflicts = common.findKeyBindingConflicts(bindings);
+        assert.deepEqual(conflicts.map(c => [c.profile, c.key]), [['players', 'w']]);
+    });
+
+    test('finds a movement key shared by two local players', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.players[1].up = ['w'];
+        const conflicts = common.findKeyBindingConflicts(bindings);
+        assert.deepEqual(conflicts.map(c => [c.profile, c.key]), [['players', 'w']]);
+        assert.match(conflicts[0].message, new RegExp(common.PLAYER_PRESETS[0].name));
+        assert.match(conflicts[0].message, new RegExp(common.PLAYER_PRESETS[1].name));
+    });
+
+    test('lets local players share the start and pause keys, but not for different actions', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.players[2].start = ['Enter'];
+        bindings.players[3].start = ['Enter'];
+        assert.deepEqual(common.findKeyBindingConflicts(bindings), []);
+
+        bindings.players[3].pause = [' '];
+        const conflicts = common.findKeyBindingConflicts(bindings);
+        assert.deepEqual(conflicts.map(c => [c.profile, c.key]), [['players', ' ']]);
+    });
+
+    test('does not count the same key listed twice for one action', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.single.up = ['ArrowUp', 'ArrowUp'];
+        assert.deepEqual(common.findKeyBindingConflicts(bindings), []);
+    });
+
+    test('checks the single player binding and the local players separately', () => {
+        const bindings = common.createDefaultKeyBindings();
+        bindings.single.up = ['i'];
+        bindings.players[0].up = ['ArrowUp'];
+        bindings.players[0].down = ['ArrowDown'];
+        const conflicts = common.findKeyBindingConflicts(bindings);
+        // 'i' is only in use by player three while the single binding is not, and vice versa for the arrows
+        assert.deepEqual(conflicts.map(c => c.profile), ['players', 'players']);
+        assert.deepEqual(conflicts.map(c => c.key).sort(), ['ArrowDown', 'ArrowUp']);
+    });
+});
+
+test.describe('getBoundAction', () => {
+    test('maps a key press to its action by key name', () => {
+        const binding = common.createDefaultKeyBindings().single;
+        assert.equal(common.getBoundAction(binding, { key: 'W', code: 'KeyW' }), 'up');
+        assert.equal(common.getBoundAction(binding, { key: 'Escape', code: 'Escape' }), 'pause');
+        assert.equal(common.getBoundAction(binding, { key: 'x', code: 'KeyX' }), null);
+    });
+
+    test('names number pad keys by their code, whatever Num Lock reports', () => {
+        const binding = common.createDefaultKeyBindings().players[3];
+        assert.equal(common.getBoundAction(binding, { key: '8', code: 'Numpad8' }), 'up');
+        assert.equal(common.getBoundAction(binding, { key: 'ArrowUp', code: 'Numpad8' }), 'up');
+    });
+});
@@ -0,0 +1,129 @@
+﻿/*
+ * File: recording.test.js
+ * Description: Tests for wwwroot/js/recording.js: a recorded match plays back to exactly the same state,
+ * and summarizeRecording() reports the outcome the server verifies leaderboard submissions against.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const common = require('../wwwroot/js/common.js');
+const SnakeLevels = require('../wwwroot/js/levels.js');
+const SnakeRecording = require('../wwwroot/js/recording.js');
+const { playRecordedMatch, createSinglePlayerConfig } = require('./helpers.js');
+
+test.describe('recording and playback', () => {
+    test('a recording replays to the same final state', () => {
+        const { recording, state } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        const playback = SnakeRecording.seekPlayback(recording, recording.ticks);
+        assert.equal(playback.state.over, true);
+        assert.deepEqual(playback.state, state);
+    });
+
+    test('only direction changes are logged', () => {
+        const { recording, state } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        const turns = recording.inputs.length;
+        assert.ok(turns > 0 && turns < state.tick, `${turns} inputs for ${state.tick} ticks`);
+        recording.inputs.forEach(([tick, pIndex, code]) => {
+            assert.ok(Number.isInteger(tick) && tick < recording.ticks);
+            assert.equal(pIndex, 0);
+            assert.match(code, /^[udlr]$/);
+        });
+    });
+
+    test('the recording survives a JSON round trip', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 11);
+        const copy = JSON.parse(JSON.stringify(recording));
+        assert.deepEqual(SnakeRecording.summarizeRecording(copy), SnakeRecording.summarizeRecording(recording));
+    });
+
+    test('pauses are logged without changing the match', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        const summary = SnakeRecording.summarizeRecording(recording);
+        SnakeRecording.recordPause(recording, 3, 1234.4);
+        assert.deepEqual(recording.pauses, [[3, 1234]]);
+        assert.deepEqual(SnakeRecording.summarizeRecording(recording), summary);
+    });
+
+    test('seekPlayback stops at the requested tick', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        const playback = SnakeRecording.seekPlayback(recording, 5);
+        assert.equal(playback.state.tick, 5);
+    });
+});
+
+test.describe('summarizeRecording', () => {
+    test('reports the outcome of the match', () => {
+        const { recording, state } = playRecordedMatch(createSinglePlayerConfig({ difficulty: 'hard' }), 3);
+        const summary = SnakeRecording.summarizeRecording(recording);
+        assert.equal(summary.error, null);
+        assert.equal(summary.mode, 'singleplayer');
+        assert.equal(summary.difficulty, 'hard');
+        assert.equal(summary.width, common.GRID_WIDTH);
+        assert.equal(summary.height, common.GRID_HEIGHT);
+        assert.equal(summary.walls, 'solid');
+        assert.equal(summary.level, '');
+        assert.equal(summary.autopilot, '');
+        assert.equal(summary.playerCount, 1);
+        assert.equal(summary.computerPlayers, 0);
+        assert.equal(summary.ticks, state.tick);
+        assert.equal(summary.over, true);
+        assert.equal(summary.elapsedMs, state.elapsedMs);
+        assert.equal(summary.survivalTime, Math.floor(state.elapsedMs / 1000));
+        assert.deepEqual(summary.scores, [state.players[0].score]);
+        assert.deepEqual(summary.eaten, [state.players[0].eaten]);
+        assert.equal(summary.coop, null);
+        assert.equal(summary.challenge, null);
+    });
+
+    test('reports a challenge and its result', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig({ challenge: 'timeAttack60' }), 3);
+        const summary = SnakeRecording.summarizeRecording(recording);
+        assert.equal(summary.challenge.id, 'timeAttack60');
+        assert.ok(['timeUp', 'died'].includes(summary.challenge.result));
+    });
+
+    test('a recording cut short is not over', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        recording.ticks = 2;
+        const summary = SnakeRecording.summarizeRecording(recording);
+        assert.equal(summary.over, false);
+        assert.equal(summary.ticks, 2);
+    });
+
+    test('edited inputs change the replayed result', () => {
+        const { recording, state } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        recording.inputs = [];
+        const summary = SnakeRecording.summarizeRecording(recording);
+        assert.notDeepEqual([summary.ticks, summary.scores], [state.tick, [state.players[0].score]]);
+    });
+
+    test('rejects unusable recordings', () => {
+        assert.deepEqual(SnakeRecording.summarizeRecording(null), { error: 'not an object' });
+        assert.deepEqual(SnakeRecording.summarizeRecording({ version: 99 }), { error: 'unsupported version 99' });
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 7);
+        assert.deepEqual(SnakeRecording.summarizeRecording({ ...recording, ticks: -1 }), { error: 'invalid tick count' });
+        const huge = { ...recording, config: { ...recording.config, width: 1000 } };
+        assert.deepEqual(SnakeRecording.summarizeRecording(huge), { error: 'invalid board size' });
+    });
+
+    test('summarizeSettings reports the settings without playing the match', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig({ challenge: 'timeAttack60', items: false }), 3);
+        const { ticks, over, elapsedMs, survivalTime, scores, eaten, ...settings } = SnakeRecording.summarizeRecording(recording);
+        settings.challenge = { id: settings.challenge.id };
+        assert.deepEqual(SnakeRecording.summarizeSettings(recording), settings);
+        assert.equal(settings.configProblem, 'items are disabled');
+        // A tick count no match could reach returns at once, since nothing is simulated
+        assert.equal(SnakeRecording.summarizeSettings({ ...recording, ticks: 1e12 }).configProblem, 'items are disabled');
+        assert.deepEqual(SnakeRecording.summarizeSettings({ ...recording, ticks: -1 }), { error: 'invalid tick count' });
+    });
+
+    test('identifies a built-in level from its layout', () => {
+        const level = SnakeLevels.getBuiltInLevel('box');
+        const config = { ...SnakeLevels.createLevelConfig(level, 'singleplayer', 'easy', [{ name: 'tester' }]), items: true };
+        const { recording } = playRecordedMatch(config, 5);
+        assert.equal(SnakeRecording.summarizeRecording(recording).level, 'box');
+        recording.config.obstacles = recording.config.obstacles.slice(1);
+        assert.equal(SnakeRecording.summarizeRecording(recording).level, 'custom');
+    });
+});
@@ -0,0 +1,50 @@
+﻿/*
+ * File: run-bots.test.js
+ * Description: Tests for the command line of tools/run-bots.js: usage, option errors and a small batch.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Runs the tool with the given arguments and returns its exit code and output.
+function runBots(...args) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'tools', 'run-bots.js'), ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test.describe('run-bots command line', () => {
+    test('--help prints the usage without playing', () => {
+        const { status, stdout } = runBots('--help');
+        assert.equal(status, 0);
+        assert.match(stdout, /^Usage: node tools\/run-bots\.js/);
+        assert.doesNotMatch(stdout, /Bot:/);
+    });
+
+    test('an unknown option is refused with the usage', () => {
+        const { status, stdout, stderr } = runBots('--gmaes', '5');
+        assert.equal(status, 2);
+        assert.equal(stdout, '');
+        assert.match(stderr, /Unknown option --gmaes/);
+        assert.match(stderr, /Usage:/);
+    });
+
+    test('an option without its value is refused', () => {
+        assert.match(runBots('--bot', '--json').stderr, /Option --bot needs a value/);
+        assert.equal(runBots('--games').status, 2);
+    });
+
+    test('counts must be whole numbers', () => {
+        const { status, stderr } = runBots('--games', 'ten');
+        assert.equal(status, 2);
+        assert.match(stderr, /--games must be a whole number/);
+    });
+
+    test('a valid command line plays the batch', () => {
+        const { status, stdout } = runBots('--bot', 'greedy', '--games', '2', '--json');
+        assert.equal(status, 0);
+        assert.equal(JSON.parse(stdout).games.length, 2);
+    });
+});
@@ -0,0 +1,119 @@
+﻿/*
+ * File: verification.test.js
+ * Description: Tests for the re-simulation the server runs to verify leaderboard submissions
+ * (Services/ReplayVerificationService.cs). The game scripts are loaded the same way the service loads them
+ * into its JavaScript interpreter: as plain scripts in one fresh global scope, without Node's module system.
+ * Run with `npm test` from the GreedySnake folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const common = require('../wwwroot/js/common.js');
+const SnakeLevels = require('../wwwroot/js/levels.js');
+const SnakeRecording = require('../wwwroot/js/recording.js');
+const { playRecordedMatch, createSinglePlayerConfig, simulateOnServer } = require('./helpers.js');
+
+test.describe('server-side re-simulation', () => {
+    test('the scripts load without a module system and agree with the browser', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig({ difficulty: 'easy' }), 21);
+        assert.deepEqual(simulateOnServer(recording), SnakeRecording.summarizeRecording(recording));
+    });
+
+    test('the replayed result matches what was played', () => {
+        const { recording, state } = playRecordedMatch(createSinglePlayerConfig({ challenge: 'targetScore25' }), 4);
+        const summary = simulateOnServer(recording);
+        assert.equal(summary.error, null);
+        assert.equal(summary.over, true);
+        assert.equal(summary.ticks, recording.ticks);
+        assert.deepEqual(summary.scores, recording.result.scores);
+        assert.equal(summary.survivalTime, Math.floor(state.elapsedMs / 1000));
+        assert.equal(summary.challenge.id, 'targetScore25');
+    });
+
+    test('a tampered recording does not replay to the claimed result', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig(), 9);
+        const tampered = { ...recording, seed: recording.seed + 1 };
+        const summary = simulateOnServer(tampered);
+        assert.notDeepEqual([summary.ticks, summary.over, summary.scores], [recording.ticks, true, recording.result.scores]);
+    });
+
+    test('an unusable recording is reported as an error, not thrown', () => {
+        assert.deepEqual(simulateOnServer({ version: 1, seed: 'x' }), { error: 'missing seed' });
+    });
+});
+
+test.describe('findConfigProblem', () => {
+    // The co-op configuration twoplayer.js creates on a plain board
+    function createCoopConfig() {
+        return {
+            mode: 'twoplayer',
+            difficulty: 'medium',
+            width: 30,
+            height: 20,
+            walls: 'solid',
+            items: true,
+            players: common.createPlayerSpawns(30, 20, 2).map((start, pIndex) => ({ ...start, name: `P${pIndex + 1}`, controller: 'human' })),
+            coop: { collisions: 'pass' }
+        };
+    }
+
+    test('accepts the configurations the game pages create', () => {
+        assert.equal(SnakeRecording.findConfigProblem(createSinglePlayerConfig()), '');
+        assert.equal(SnakeRecording.findConfigProblem(createSinglePlayerConfig({ width: 40, height: 30, walls: 'wrap' })), '');
+        assert.equal(SnakeRecording.findConfigProblem(createSinglePlayerConfig({ challenge: 'timeAttack60' })), '');
+        const level = SnakeLevels.getBuiltInLevel('box');
+        assert.equal(SnakeRecording.findConfigProblem({ ...SnakeLevels.createLevelConfig(level, 'singleplayer', 'hard', [{ name: 'tester' }]), items: true }), '');
+        assert.equal(SnakeRecording.findConfigProblem(createCoopConfig()), '');
+    });
+
+    test('rejects a match played without items', () => {
+        assert.equal(SnakeRecording.findConfigProblem(createSinglePlayerConfig({ items: false })), 'items are disabled');
+        const { items, ...withoutItems } = createSinglePlayerConfig({ challenge: 'targetScore25' });
+        assert.equal(SnakeRecording.findConfigProblem(withoutItems), 'items are disabled');
+    });
+
+    test('rejects a snake that does not start at the standard spawn point on a plain board', () => {
+        const moved = createSinglePlayerConfig();
+        moved.players[0].spawn = { x: 2, y: 2 };
+        assert.equal(SnakeRecording.findConfigProblem(moved), 'player 1 does not start at the standard spawn point');
+        const turned = createSinglePlayerConfig();
+        turned.players[0].direction = 'up';
+        assert.equal(SnakeRecording.findConfigProblem(turned), 'player 1 does not start at the standard spawn point');
+        const coop = createCoopConfig();
+        coop.players[1].spawn = { x: 16, y: 10 };
+        assert.equal(SnakeRecording.findConfigProblem(coop), 'player 2 does not start at the standard spawn point');
+    });
+
+    test('rejects crafted settings in the challenge modes', () => {
+        const timeAttack = (overrides) => createSinglePlayerConfig({ challenge: 'timeAttack60', ...overrides });
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ difficulty: 'HARD' })), "unknown difficulty 'HARD'");
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ difficulty: 'super_easy' })), "unknown difficulty 'super_easy'");
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ items: false })), 'items are disabled');
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ walls: 'none' })), "unknown wall mode 'none'");
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ challenge: 'timeAttack600' })), "invalid challenge 'timeAttack600'");
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ coop: { collisions: 'pass' } })), 'invalid co-op rules');
+        assert.equal(SnakeRecording.findConfigProblem(timeAttack({ speed: 500 })), "unknown setting 'speed'");
+        const ghostSnake = timeAttack();
+        ghostSnake.players[0].ghostUntilMs = 1e9;
+        assert.equal(SnakeRecording.findConfigProblem(ghostSnake), "unknown player setting 'ghostUntilMs'");
+        const moved = createSinglePlayerConfig({ challenge: 'targetScore50' });
+        moved.players[0].spawn = { x: 0, y: 0 };
+        assert.equal(SnakeRecording.findConfigProblem(moved), 'player 1 does not start at the standard spawn point');
+    });
+
+    test('rejects a challenge in a two player match and unknown co-op rules', () => {
+        assert.equal(SnakeRecording.findConfigProblem({ ...createCoopConfig(), challenge: 'timeAttack60' }), "invalid challenge 'timeAttack60'");
+        assert.equal(SnakeRecording.findConfigProblem({ ...createCoopConfig(), coop: { collisions: 'none' } }), 'invalid co-op rules');
+    });
+
+    test('accepts a challenge played with the page settings on the server', () => {
+        const { recording } = playRecordedMatch(createSinglePlayerConfig({ challenge: 'timeAttack60', walls: 'wrap' }), 8);
+        assert.equal(simulateOnServer(recording).configProblem, '');
+    });
+
+    test('is part of the summary the server checks', () => {
+        const config = createSinglePlayerConfig({ items: false });
+        const { recording } = playRecordedMatch(config, 2);
+        assert.equal(simulateOnServer(recording).configProblem, 'items are disabled');
+    });
+});
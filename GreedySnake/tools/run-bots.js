@@ -0,0 +1,153 @@
+﻿/*
+ * File: run-bots.js
+ * Description: Command line runner that plays a batch of seeded single player games with a bot
+ * (see wwwroot/js/bots.js) and prints the score and survival time distributions.
+ * Uses the same engine, levels and bots as the browser, so results match what the bot would do on the page.
+ * Usage:
+ *   node tools/run-bots.js --bot smart --games 200 --seed 1 --difficulty hard
+ *   node tools/run-bots.js --bot ./my-bot.js --board 40x30 --walls wrap --json
+ *   node tools/run-bots.js --bot greedy --level box --no-items
+ * Options:
+ *   --bot <name|file>   A built-in bot ('random', 'greedy', 'smart') or a JavaScript file whose
+ *                       module.exports is a bot function (default 'smart')
+ *   --games <n>         Number of games (default 100)
+ *   --seed <n>          Seed of the first game; game i uses seed + i (default 1)
+ *   --difficulty <d>    'easy', 'medium' or 'hard' (default 'medium')
+ *   --board <WxH>       Board size in cells (default 30x20)
+ *   --walls <mode>      'solid' or 'wrap' (default 'solid')
+ *   --level <id>        A built-in level (overrides --board and --walls)
+ *   --no-items          Play without bonus food and power-ups
+ *   --max-ticks <n>     Stop a game after this many ticks (default 100000)
+ *   --json              Print the full report as JSON instead of a summary
+ *   --help              Print this usage and exit
+ * Unknown options, options missing their value and stray arguments print the usage and exit with code 2.
+ */
+
+const path = require('path');
+const common = require('../wwwroot/js/common.js');
+const SnakeLevels = require('../wwwroot/js/levels.js');
+const SnakeBots = require('../wwwroot/js/bots.js');
+
+// Options that take a value ('--name value') and options that stand alone ('--flag').
+const VALUE_OPTIONS = ['bot', 'games', 'seed', 'difficulty', 'board', 'walls', 'level', 'max-ticks'];
+const FLAG_OPTIONS = ['no-items', 'json', 'help'];
+// Options whose value must be a whole number (at least 1, or 0 for the seed).
+const INTEGER_OPTIONS = { 'games': 1, 'seed': 0, 'max-ticks': 1 };
+
+const USAGE = `Usage: node tools/run-bots.js [options]
+  --bot <name|file>   A built-in bot ('random', 'greedy', 'smart') or a JavaScript file whose
+                      module.exports is a bot function (default 'smart')
+  --games <n>         Number of games (default 100)
+  --seed <n>          Seed of the first game; game i uses seed + i (default 1)
+  --difficulty <d>    'easy', 'medium' or 'hard' (default 'medium')
+  --board <WxH>       Board size in cells (default 30x20)
+  --walls <mode>      'solid' or 'wrap' (default 'solid')
+  --level <id>        A built-in level (overrides --board and --walls)
+  --no-items          Play without bonus food and power-ups
+  --max-ticks <n>     Stop a game after this many ticks (default 100000)
+  --json              Print the full report as JSON instead of a summary
+  --help              Print this usage and exit`;
+
+// Thrown for command lines that cannot be run; main() prints the usage with it.
+class UsageError extends Error {}
+
+// Reads '--name value' and '--flag' style arguments into an object.
+// Throws: UsageError for an unknown option, a value option without its value, an invalid number or a stray argument.
+function parseArguments(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) throw new UsageError(`Unexpected argument "${argv[i]}"`);
+        const name = argv[i].slice(2);
+        if (FLAG_OPTIONS.includes(name)) {
+            args[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new UsageError(`Option --${name} needs a value`);
+            args[name] = argv[++i];
+        } else {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+    Object.keys(INTEGER_OPTIONS).forEach(name => {
+        if (args[name] === undefined) return;
+        if (!/^\d+$/.test(args[name]) || Number(args[name]) < INTEGER_OPTIONS[name]) {
+            throw new UsageError(`Option --${name} must be a whole number of at least ${INTEGER_OPTIONS[name]}`);
+        }
+    });
+    return args;
+}
+
+// Resolves the --bot option to a registered bot name or a bot loaded from a file.
+function loadBot(value) {
+    if (SnakeBots.getBot(value)) return value;
+    const bot = require(path.resolve(value));
+    if (typeof bot !== 'function') throw new Error(`${value} does not export a bot function`);
+    return bot;
+}
+
+// Builds the engine configuration for the requested board or level.
+function createConfig(args) {
+    const difficulty = args.difficulty || 'medium';
+    let config;
+    if (args.level) {
+        const level = SnakeLevels.getBuiltInLevel(args.level);
+        if (!level) throw new Error(`Unknown level "${args.level}"`);
+        config = SnakeLevels.createLevelConfig(level, 'singleplayer', difficulty, [{ name: 'bot' }]);
+    } else {
+        const [width, height] = String(args.board || `${common.GRID_WIDTH}x${common.GRID_HEIGHT}`).split('x').map(Number);
+        const inLimits = (value) => Number.isInteger(value) && value >= common.MIN_BOARD_DIMENSION && value <= common.MAX_BOARD_DIMENSION;
+        if (!inLimits(width) || !inLimits(height)) throw new Error(`Invalid board size "${args.board}"`);
+        config = {
+            mode: 'singleplayer',
+            difficulty: difficulty,
+            width: width,
+            height: height,
+            walls: args.walls === 'wrap' ? 'wrap' : 'solid',
+            players: [{ ...common.createSinglePlayerSpawn(width, height), name: 'bot' }]
+        };
+    }
+    config.items = !args['no-items']; // Same default as the game pages
+    return config;
+}
+
+// Formats one distribution as a table row.
+function formatRow(label, distribution) {
+    const round = (value) => Math.round(value * 10) / 10;
+    return [label, distribution.min, distribution.p25, distribution.median, distribution.p75, distribution.max, round(distribution.mean)]
+        .map(value => String(value).padStart(8))
+        .join('');
+}
+
+function main() {
+    const args = parseArguments(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    const bot = loadBot(args.bot || 'smart');
+    const config = createConfig(args);
+    const report = SnakeBots.runGames(bot, {
+        config: config,
+        games: args.games ? parseInt(args.games, 10) : undefined,
+        seed: args.seed ? parseInt(args.seed, 10) : undefined,
+        maxTicks: args['max-ticks'] ? parseInt(args['max-ticks'], 10) : undefined
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    console.log(`Bot: ${typeof bot === 'string' ? bot : args.bot}, games: ${report.games.length}, difficulty: ${config.difficulty}, ` +
+        `board: ${common.formatBoardSize(config.width, config.height)} ${config.walls}${args.level ? `, level: ${args.level}` : ''}`);
+    console.log(['', 'min', 'p25', 'median', 'p75', 'max', 'mean'].map(value => value.padStart(8)).join(''));
+    console.log(formatRow('score', report.score));
+    console.log(formatRow('time(s)', report.survivalTime));
+    console.log('Deaths: ' + Object.keys(report.causes).map(cause => `${cause} ${report.causes[cause]}`).join(', '));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    if (error instanceof UsageError) console.error(USAGE);
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+}
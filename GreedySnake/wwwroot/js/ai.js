@@ -0,0 +1,251 @@
+﻿/*
+ * File: ai.js
+ * Description: Computer players for the two player mode.
+ * A computer player picks one direction per tick from the current engine state, the same input a human
+ * player's key presses produce, so bots and humans are interchangeable in any seat. Three strengths:
+ *   'random' - mostly keeps going straight and turns at random, but never into an obvious collision,
+ *   'greedy' - heads for the nearest food (or bonus food) by distance, avoiding obvious collisions,
+ *   'smart'  - follows the shortest path to food and only takes it if the snake keeps enough room
+ *              to move afterwards; otherwise it heads for the largest open area.
+ * Bots only read the state and never change it; any randomness comes from the random source passed in,
+ * so a seeded source reproduces the same decisions.
+ * Exposed as the global SnakeAI in the browser and via module.exports in Node.
+ * Relies on engine.js for the movement directions.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js')); // Node: load the engine as a module
+    } else {
+        // Browser: engine.js is loaded first and declares SnakeEngine as a global
+        root.SnakeAI = factory(root.SnakeEngine);
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (engine) {
+    'use strict';
+
+    // --- Constants ---
+    // Bot strengths and their display names, weakest first.
+    const AI_STRENGTHS = {
+        'random': '随机',
+        'greedy': '贪吃',
+        'smart': '寻路'
+    };
+
+    // Chance that the random bot keeps its current direction when that is safe.
+    const RANDOM_KEEP_DIRECTION_CHANCE = 0.8;
+
+    // Checks whether a value names one of the bot strengths.
+    function isStrength(value) {
+        return Object.prototype.hasOwnProperty.call(AI_STRENGTHS, value);
+    }
+
+    // --- Board Helpers ---
+
+    // Returns the cell a move in a direction leads to, wrapped around the board with wrap-around walls.
+    // Returns null for a cell outside a board with solid walls.
+    function moveCell(state, cell, direction) {
+        const vector = engine.DIRECTION_VECTORS[direction];
+        let x = cell.x + vector.x;
+        let y = cell.y + vector.y;
+        if (state.walls === 'wrap') {
+            x = (x + state.width) % state.width;
+            y = (y + state.height) % state.height;
+        } else if (x < 0 || y < 0 || x >= state.width || y >= state.height) {
+            return null;
+        }
+        return { x: x, y: y };
+    }
+
+    // Builds the map of blocked cells for the next tick: obstacles and every segment of every alive snake.
+    // Tails count too: the engine checks a head against the whole current body before any tail moves away.
+    // Returns: Uint8Array - One entry per cell (index y * width + x), 1 for blocked.
+    function buildBlockedMap(state) {
+        const blocked = new Uint8Array(state.width * state.height);
+        state.obstacles.forEach(cell => { blocked[cell.y * state.width + cell.x] = 1; });
+        state.players.forEach(player => {
+            if (!player.alive) return;
+            player.snake.forEach(segment => { blocked[segment.y * state.width + segment.x] = 1; });
+        });
+        return blocked;
+    }
+
+    // Marks the cells other alive snakes' heads can move into next tick, where a head-on collision could happen.
+    function markContestedCells(state, playerIndex, blocked) {
+        const contested = new Uint8Array(blocked.length);
+        state.players.forEach((other, otherIndex) => {
+            if (otherIndex === playerIndex || !other.alive) return;
+            Object.keys(engine.DIRECTION_VECTORS).forEach(direction => {
+                const cell = moveCell(state, other.snake[0], direction);
+                if (cell) contested[cell.y * state.width + cell.x] = 1;
+            });
+        });
+        return contested;
+    }
+
+    // Lists the moves a player can make without dying on the next tick.
+    // Returns: Array<{ direction: string, cell: {x, y} }>
+    function findSafeMoves(state, playerIndex, blocked) {
+        const player = state.players[playerIndex];
+        return Object.keys(engine.DIRECTION_VECTORS)
+            .filter(direction => direction !== engine.OPPOSITE_DIRECTIONS[player.direction])
+            .map(direction => ({ direction: direction, cell: moveCell(state, player.snake[0], direction) }))
+            .filter(move => move.cell && !blocked[move.cell.y * state.width + move.cell.x]);
+    }
+
+    // Lists the cells worth heading for: the food and any bonus food.
+    function findTargets(state) {
+        const targets = state.food ? [state.food] : [];
+        (state.items || []).forEach(item => {
+            if (item.type === 'bonus') targets.push(item);
+        });
+        return targets;
+    }
+
+    // Returns the number of moves between two cells ignoring anything in the way (shorter around the edge with wrap-around walls).
+    function distance(state, a, b) {
+        let dx = Math.abs(a.x - b.x);
+        let dy = Math.abs(a.y - b.y);
+        if (state.walls === 'wrap') {
+            dx = Math.min(dx, state.width - dx);
+            dy = Math.min(dy, state.height - dy);
+        }
+        return dx + dy;
+    }
+
+    // Counts the free cells reachable from a cell (flood fill over the blocked map), stopping once 'limit' is reached.
+    function countReachableCells(state, start, blocked, limit) {
+        const seen = new Uint8Array(blocked.length);
+        const queue = [start];
+        seen[start.y * state.width + start.x] = 1;
+        let count = 0;
+        while (queue.length > 0 && count < limit) {
+            const cell = queue.shift();
+            count++;
+            Object.keys(engine.DIRECTION_VECTORS).forEach(direction => {
+                const neighbor = moveCell(state, cell, direction);
+                if (!neighbor) return;
+                const index = neighbor.y * state.width + neighbor.x;
+                if (seen[index] || blocked[index]) return;
+                seen[index] = 1;
+                queue.push(neighbor);
+            });
+        }
+        return count;
+    }
+
+    // Finds the length of the shortest path from a cell to the nearest target (breadth-first search over the blocked map).
+    // Returns: number - The number of moves, or Infinity if no target can be reached.
+    function findPathLength(state, start, blocked, targets) {
+        const isTarget = new Uint8Array(blocked.length);
+        targets.forEach(target => { isTarget[target.y * state.width + target.x] = 1; });
+        const steps = new Int32Array(blocked.length).fill(-1);
+        const queue = [start];
+        steps[start.y * state.width + start.x] = 0;
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            const cellSteps = steps[cell.y * state.width + cell.x];
+            if (isTarget[cell.y * state.width + cell.x]) return cellSteps;
+            Object.keys(engine.DIRECTION_VECTORS).forEach(direction => {
+                const neighbor = moveCell(state, cell, direction);
+                if (!neighbor) return;
+                const index = neighbor.y * state.width + neighbor.x;
+                if (steps[index] >= 0 || blocked[index]) return;
+                steps[index] = cellSteps + 1;
+                queue.push(neighbor);
+            });
+        }
+        return Infinity;
+    }
+
+    // --- Strategies ---
+    // Each strategy picks one of the safe moves (there is at least one).
+
+    // Keeps going straight most of the time, otherwise turns at random.
+    function chooseRandomMove(state, player, moves, random) {
+        const straight = moves.find(move => move.direction === player.direction);
+        if (straight && random() < RANDOM_KEEP_DIRECTION_CHANCE) return straight;
+        return moves[Math.floor(random() * moves.length)];
+    }
+
+    // Takes the move that ends closest to a target, preferring the current direction on ties.
+    function chooseGreedyMove(state, player, moves, targets) {
+        if (targets.length === 0) return moves.find(move => move.direction === player.direction) || moves[0];
+        let best = null;
+        let bestDistance = Infinity;
+        moves.forEach(move => {
+            const moveDistance = Math.min(...targets.map(target => distance(state, move.cell, target)));
+            if (moveDistance < bestDistance || (moveDistance === bestDistance && move.direction === player.direction)) {
+                best = move;
+                bestDistance = moveDistance;
+            }
+        });
+        return best;
+    }
+
+    // Takes the move with the shortest path to a target among the moves that leave the snake at least as
+    // many reachable cells as it is long; without such a move, takes the one with the most room.
+    function chooseSmartMove(state, player, moves, targets, blocked) {
+        const needed = player.snake.length + 1;
+        let best = null;
+        let bestPath = Infinity;
+        let roomiest = null;
+        let mostRoom = -1;
+        moves.forEach(move => {
+            const index = move.cell.y * state.width + move.cell.x;
+            blocked[index] = 1; // The head occupies the cell after the move
+            const room = countReachableCells(state, move.cell, blocked, needed);
+            blocked[index] = 0;
+            if (room > mostRoom) {
+                roomiest = move;
+                mostRoom = room;
+            }
+            if (room < needed) return;
+            const path = findPathLength(state, move.cell, blocked, targets);
+            if (path < bestPath || (path === bestPath && best && move.direction === player.direction)) {
+                best = move;
+                bestPath = path;
+            }
+        });
+        return best || roomiest;
+    }
+
+    // --- Public Entry Point ---
+
+    // Picks the direction a computer player moves in on the next tick.
+    // state: Object - The current engine state (not modified).
+    // playerIndex: number - The seat the bot plays.
+    // strength: string - One of the keys of AI_STRENGTHS.
+    // random: function(): number - Random number source returning values in [0, 1).
+    // Returns: string | null - The direction to move in, or null to keep the current one (dead player,
+    //          or no move avoids a collision).
+    function chooseDirection(state, playerIndex, strength, random) {
+        const player = state.players[playerIndex];
+        if (!player || !player.alive || state.over) return null;
+
+        const blocked = buildBlockedMap(state);
+        let moves = findSafeMoves(state, playerIndex, blocked);
+        if (moves.length === 0) return null;
+
+        // Stronger bots also avoid cells another snake's head might move into, when they can
+        if (strength !== 'random') {
+            const contested = markContestedCells(state, playerIndex, blocked);
+            const uncontested = moves.filter(move => !contested[move.cell.y * state.width + move.cell.x]);
+            if (uncontested.length > 0) moves = uncontested;
+        }
+
+        let move;
+        switch (strength) {
+            case 'greedy': move = chooseGreedyMove(state, player, moves, findTargets(state)); break;
+            case 'smart': move = chooseSmartMove(state, player, moves, findTargets(state), blocked); break;
+            default: move = chooseRandomMove(state, player, moves, random); break;
+        }
+        return move.direction;
+    }
+
+    // --- Public API ---
+    return {
+        AI_STRENGTHS: AI_STRENGTHS,
+        isStrength: isStrength,
+        chooseDirection: chooseDirection
+    };
+}));
@@ -0,0 +1,196 @@
+﻿/*
+ * File: bots.js
+ * Description: Bot (autopilot) interface for the single player mode and a headless batch runner.
+ * A bot is a plain function called once per tick:
+ *   function bot(snapshot, random) { return 'up' | 'down' | 'left' | 'right' | null; }
+ * snapshot is a frozen, read-only copy of what the player can see:
+ *   {
+ *     tick, elapsedMs, speed,                   // Ticks taken, simulated match time, current tick interval (ms)
+ *     width, height, walls,                     // Board size in cells and wall mode ('solid' or 'wrap')
+ *     obstacles: [{x, y}],                      // Blocked cells
+ *     snake: [{x, y}],                          // The bot's snake, head first
+ *     direction,                                // Current movement direction
+ *     food: {x, y} | null,                      // Regular food
+ *     items: [{type, x, y, expiresAtMs}],       // Special items (see ITEM_TYPES in engine.js)
+ *     score
+ *   }
+ * random is a seeded random number source the bot may use, so runs with the same seed are reproducible.
+ * Returning null (or a reversal) keeps the current direction. Bots are registered by name with registerBot()
+ * and selected on the single player page with the 'bot' URL parameter. Matches played by a bot are flagged
+ * in their recording ('autopilot') and never submitted to the leaderboard.
+ * runGames() plays a batch of seeded games without a browser and reports score and survival time distributions
+ * (see tools/run-bots.js for the command line runner).
+ * Exposed as the global SnakeBots in the browser and via module.exports in Node.
+ * Relies on common.js for the seeded random numbers, engine.js for the game rules and ai.js for the built-in bots.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./common.js'), require('./engine.js'), require('./ai.js')); // Node: load dependencies as modules
+    } else {
+        // Browser: common.js, engine.js and ai.js are loaded first and declare their APIs as globals
+        root.SnakeBots = factory({ createSeededRandom }, root.SnakeEngine, root.SnakeAI);
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (common, engine, ai) {
+    'use strict';
+
+    // --- Constants ---
+    const DEFAULT_GAME_COUNT = 100; // Games played by runGames() unless told otherwise
+    const DEFAULT_MAX_TICKS = 100000; // A game still running after this many ticks is stopped (a bot may never die)
+
+    // --- Snapshots ---
+
+    // Deep-freezes a plain object or array so a bot cannot change it.
+    function deepFreeze(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(deepFreeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    // Builds the read-only snapshot of a state that is handed to a bot (see the format above).
+    // state: Object - The engine state (not modified).
+    // playerIndex: number - The player the bot controls (default 0).
+    // Returns: Object - The frozen snapshot.
+    function createSnapshot(state, playerIndex = 0) {
+        const player = state.players[playerIndex];
+        return deepFreeze({
+            tick: state.tick,
+            elapsedMs: state.elapsedMs,
+            speed: state.speed,
+            width: state.width,
+            height: state.height,
+            walls: state.walls,
+            obstacles: state.obstacles.map(cell => ({ x: cell.x, y: cell.y })),
+            snake: player.snake.map(segment => ({ x: segment.x, y: segment.y })),
+            direction: player.direction,
+            food: state.food ? { x: state.food.x, y: state.food.y } : null,
+            items: (state.items || []).map(item => ({ type: item.type, x: item.x, y: item.y, expiresAtMs: item.expiresAtMs })),
+            score: player.score
+        });
+    }
+
+    // --- Bot Registry ---
+    const bots = {}; // Registered bots by name
+
+    // Registers a bot under a name, replacing any bot registered under the same name.
+    // name: string - The name used to select the bot (e.g. the 'bot' URL parameter).
+    // bot: function(snapshot, random): string | null - The bot.
+    // Throws: Error if the name is empty or the bot is not a function.
+    function registerBot(name, bot) {
+        if (typeof name !== 'string' || !name.trim()) throw new Error('Invalid bot: a name is required');
+        if (typeof bot !== 'function') throw new Error(`Invalid bot "${name}": not a function`);
+        bots[name.trim()] = bot;
+    }
+
+    // Returns the bot registered under a name, or null.
+    function getBot(name) {
+        return Object.prototype.hasOwnProperty.call(bots, name) ? bots[name] : null;
+    }
+
+    // Returns the names of all registered bots.
+    function listBots() {
+        return Object.keys(bots);
+    }
+
+    // The computer players from ai.js are registered under their strength names ('random', 'greedy', 'smart').
+    // They only see the snapshot, like any other bot.
+    Object.keys(ai.AI_STRENGTHS).forEach(strength => {
+        registerBot(strength, (snapshot, random) => {
+            const state = {
+                width: snapshot.width, height: snapshot.height, walls: snapshot.walls, obstacles: snapshot.obstacles,
+                food: snapshot.food, items: snapshot.items, over: false,
+                players: [{ snake: snapshot.snake, direction: snapshot.direction, alive: true }]
+            };
+            return ai.chooseDirection(state, 0, strength, random);
+        });
+    });
+
+    // --- Headless Runner ---
+
+    // Plays one single player game with a bot.
+    // bot: function(snapshot, random) - The bot.
+    // config: Object - The SnakeEngine.createGame configuration (one player).
+    // seed: number - Seed of the game; the bot's random source is seeded from it too.
+    // maxTicks: number - The game is stopped after this many ticks.
+    // Returns: { seed, score, survivalTime, ticks, cause } - cause is the death cause, or 'timeout' if the game was stopped.
+    function playGame(bot, config, seed, maxTicks = DEFAULT_MAX_TICKS) {
+        const random = common.createSeededRandom(seed);
+        const botRandom = common.createSeededRandom((seed + 1) >>> 0); // Same derivation as the single player page
+        let state = engine.placeFood(engine.createGame(config), random);
+        let cause = 'timeout';
+        while (!state.over && state.tick < maxTicks) {
+            const result = engine.step(state, [bot(createSnapshot(state, 0), botRandom)], random);
+            state = result.state;
+            const death = result.events.find(event => event.type === 'death');
+            if (death) cause = death.cause;
+        }
+        const player = state.players[0];
+        return {
+            seed: seed,
+            score: player.score,
+            survivalTime: Math.floor(state.elapsedMs / 1000), // Seconds, as on the leaderboard
+            ticks: state.tick,
+            cause: cause
+        };
+    }
+
+    // Summarizes a list of numbers: count, minimum, quartiles, maximum and mean.
+    function describeDistribution(values) {
+        if (values.length === 0) return { count: 0, min: 0, p25: 0, median: 0, p75: 0, max: 0, mean: 0 };
+        const sorted = [...values].sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            p25: percentile(0.25),
+            median: percentile(0.5),
+            p75: percentile(0.75),
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+        };
+    }
+
+    // Plays a batch of seeded games with a bot and reports the results.
+    // Game i uses seed (seed + i), so the same options always produce the same report.
+    // bot: string | function(snapshot, random) - A registered bot name or the bot itself.
+    // options: {
+    //   config: Object - The SnakeEngine.createGame configuration (one player),
+    //   games: number - Number of games (default DEFAULT_GAME_COUNT),
+    //   seed: number - Seed of the first game (default 1),
+    //   maxTicks: number - Tick limit per game (default DEFAULT_MAX_TICKS)
+    // }
+    // Returns: { games: Array<Object>, score: Object, survivalTime: Object, causes: Object } - Every game's result
+    //          (see playGame), the score and survival time distributions and how often each death cause occurred.
+    // Throws: Error if the bot name is not registered.
+    function runGames(bot, options) {
+        const botFunction = typeof bot === 'function' ? bot : getBot(bot);
+        if (!botFunction) throw new Error(`Unknown bot "${bot}"`);
+        const count = options.games || DEFAULT_GAME_COUNT;
+        const firstSeed = options.seed !== undefined ? options.seed : 1;
+
+        const games = [];
+        for (let i = 0; i < count; i++) {
+            games.push(playGame(botFunction, options.config, (firstSeed + i) >>> 0, options.maxTicks || DEFAULT_MAX_TICKS));
+        }
+        const causes = {};
+        games.forEach(game => { causes[game.cause] = (causes[game.cause] || 0) + 1; });
+        return {
+            games: games,
+            score: describeDistribution(games.map(game => game.score)),
+            survivalTime: describeDistribution(games.map(game => game.survivalTime)),
+            causes: causes
+        };
+    }
+
+    // --- Public API ---
+    return {
+        createSnapshot: createSnapshot,
+        registerBot: registerBot,
+        getBot: getBot,
+        listBots: listBots,
+        playGame: playGame,
+        runGames: runGames
+    };
+}));
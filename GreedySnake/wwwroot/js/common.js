@@ -6,7 +6,8 @@
  */
 
 // --- Constants ---
-// Canvas dimensions in pixels
+// Canvas dimensions in pixels for the default ('normal') board.
+// The game pages resize the canvas to the selected board (board width/height * GRID_SIZE, see resizeCanvasForBoard).
 const CANVAS_WIDTH = 600;
 const CANVAS_HEIGHT = 400;
 // Grid size for the snake game board in pixels per cell
@@ -15,12 +16,89 @@ const GRID_SIZE = 20;
 const GRID_WIDTH = CANVAS_WIDTH / GRID_SIZE;
 // Number of grid cells vertically (Canvas Height / Grid Size)
 const GRID_HEIGHT = CANVAS_HEIGHT / GRID_SIZE;
+// Smallest size in CSS pixels a cell is shown at when the canvas is scaled down to fit a small screen
+const MIN_DISPLAY_CELL_SIZE = 6;
+// Vertical space in CSS pixels kept free around the canvas when fitting it to the window's height
+const CANVAS_VIEWPORT_MARGIN = 40;
 // API endpoint URL for the leaderboard
 const LEADERBOARD_API_URL = '/api/leaderboard';
+// Leaderboard categories ('mode' of an entry, see Models/LeaderboardModes.cs). Each mode is ranked on its own:
+// endless single player results, the team results of local co-op matches, and each single player challenge
+// (the ids of CHALLENGES in engine.js).
+const LEADERBOARD_MODES = {
+    classic: 'classic',
+    coop: 'coop',
+    timeAttack60: 'timeAttack60',
+    timeAttack120: 'timeAttack120',
+    targetScore25: 'targetScore25',
+    targetScore50: 'targetScore50'
+};
+// Single player modes selectable on the mode selection page ('mode' URL parameter of singleplayer.html), with their
+// display names. 'classic' is the endless game; the others are the engine challenges of the same id.
+const SINGLE_PLAYER_MODES = {
+    classic: '无尽模式',
+    timeAttack60: '限时 60 秒',
+    timeAttack120: '限时 120 秒',
+    targetScore25: '目标 25 分',
+    targetScore50: '目标 50 分'
+};
+// Leaderboard periods ('period' of a leaderboard request, see Models/LeaderboardPeriods.cs) with their tab names,
+// in the order the tabs are shown. Every period but all time resets at midnight UTC (weeks start on Monday).
+const LEADERBOARD_PERIODS = {
+    today: '今日',
+    week: '本周',
+    month: '本月',
+    all: '总榜'
+};
 // Minimum speed (maximum difficulty) in milliseconds for the game loop interval.
 // The game speed will not go below this value regardless of score.
 const MINIMUM_SPEED = 40; // Example: 40ms per tick (25 frames per second at max speed)
 
+// --- Board Settings ---
+// Predefined board sizes in grid cells, selectable on the mode selection page ('board' URL parameter).
+// 'normal' is the classic 30 x 20 board.
+const BOARD_SIZES = {
+    'small': { width: 20, height: 15 },
+    'normal': { width: GRID_WIDTH, height: GRID_HEIGHT },
+    'large': { width: 40, height: 30 }
+};
+// Limits for custom board dimensions ('board=custom' with 'width' and 'height' URL parameters), in cells.
+const MIN_BOARD_DIMENSION = 10;
+const MAX_BOARD_DIMENSION = 60;
+// Wall modes: 'solid' walls kill the snake, 'wrap' lets it re-enter from the opposite edge.
+const WALL_MODES = ['solid', 'wrap'];
+
+// --- Local Players ---
+// The two player page takes up to four players on one keyboard ('players' URL parameter).
+const MIN_LOCAL_PLAYERS = 2;
+const MAX_LOCAL_PLAYERS = 4;
+// Name, snake color and default key set of each seat, in seat order.
+const PLAYER_PRESETS = [
+    { name: '玩家一', color: '#0000FF', colorName: '蓝色', keySet: 'wasd' },
+    { name: '玩家二', color: '#FF0000', colorName: '红色', keySet: 'arrows' },
+    { name: '玩家三', color: '#008000', colorName: '绿色', keySet: 'ijkl' },
+    { name: '玩家四', color: '#FF8C00', colorName: '橙色', keySet: 'numpad' }
+];
+// Movement key sets: each seat's default movement keys, and presets on the key settings panel of the mode selection page.
+// Keys are named like getKeyName names a key press (see below).
+const KEY_SETS = {
+    'wasd': { label: 'WASD', keys: { up: 'w', down: 's', left: 'a', right: 'd' } },
+    'arrows': { label: '方向键', keys: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' } },
+    'ijkl': { label: 'IJKL', keys: { up: 'i', down: 'k', left: 'j', right: 'l' } },
+    'numpad': { label: '小键盘 8456', keys: { up: 'Numpad8', down: 'Numpad5', left: 'Numpad4', right: 'Numpad6' } }
+};
+
+// --- Key Bindings ---
+// Players can rebind every action on the mode selection page. The bindings are kept in local storage:
+// { single: binding, players: [binding, ...] } with one binding for single player (also used online) and one
+// per local versus seat. A binding maps each action to one or two key names.
+const KEY_BINDINGS_STORAGE_KEY = 'snakeGameKeyBindings';
+const KEY_BINDING_ACTIONS = ['up', 'down', 'left', 'right', 'start', 'pause'];
+const KEY_BINDING_ACTION_LABELS = { up: '上', down: '下', left: '左', right: '右', start: '开始', pause: '暂停' };
+const MAX_KEYS_PER_ACTION = 2;
+// Actions every local player may share a key for (any player can start or pause the match)
+const SHARED_KEY_BINDING_ACTIONS = ['start', 'pause'];
+
 // Note: SCORE_PER_SPEED_REDUCTION is now handled per difficulty in mode-specific JS files,
 // but we can define a typical value or base value here if needed, or just remove it.
 // Let's remove the fixed constant here as the rate is now variable.
@@ -42,11 +120,33 @@ function isPositionOnSnake(pos, snake) {
 // Checks if a given position ({x, y}) is outside the game grid boundaries.
 // Used for wall collision detection.
 // pos: { x: number, y: number } - The position to check.
+// width: number (optional) - Grid width in cells. Defaults to GRID_WIDTH.
+// height: number (optional) - Grid height in cells. Defaults to GRID_HEIGHT.
 // Returns: boolean - True if the position is outside the grid, false otherwise.
-function checkWallCollision(pos) {
+function checkWallCollision(pos, width = GRID_WIDTH, height = GRID_HEIGHT) {
     // Check if x coordinate is less than 0 or greater than or equal to grid width.
     // Check if y coordinate is less than 0 or greater than or equal to grid height.
-    return pos.x < 0 || pos.x >= GRID_WIDTH || pos.y < 0 || pos.y >= GRID_HEIGHT;
+    return pos.x < 0 || pos.x >= width || pos.y < 0 || pos.y >= height;
+}
+
+// Checks if a given position ({x, y}) is one of the level's obstacle cells.
+// Used for obstacle collision detection, next to the wall check.
+// pos: { x: number, y: number } - The position to check.
+// obstacles: Array<{ x: number, y: number }> - The blocked cells of the board (empty for a plain board).
+// Returns: boolean - True if the position is blocked by an obstacle, false otherwise.
+function checkObstacleCollision(pos, obstacles) {
+    // Obstacles are stored like snake segments, so the same lookup applies.
+    return isPositionOnSnake(pos, obstacles);
+}
+
+// Wraps a position that left the grid back onto the opposite edge.
+// Used in 'wrap' wall mode instead of a wall collision.
+// pos: { x: number, y: number } - The position to wrap (at most one cell outside the grid).
+// width: number - Grid width in cells.
+// height: number - Grid height in cells.
+// Returns: { x: number, y: number } - The equivalent position inside the grid.
+function wrapPosition(pos, width, height) {
+    return { x: (pos.x + width) % width, y: (pos.y + height) % height };
 }
 
 // Checks if a snake's head ({x, y}) collides with its own body (segments after the head).
@@ -117,6 +217,252 @@ function escapeHTML(str) {
     return div.innerHTML;
 }
 
+// --- Random Number Helpers ---
+
+// Creates a seeded pseudo-random number generator (mulberry32).
+// Every random decision in a match is drawn from one of these so the same seed always reproduces the same match.
+// seed: number - An unsigned 32-bit integer seed.
+// Returns: function(): number - A function returning the next pseudo-random number in [0, 1), like Math.random.
+function createSeededRandom(seed) {
+    let state = seed >>> 0; // Internal 32-bit state, advanced on every call
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Converts a user-supplied seed (e.g. from the 'seed' URL parameter) into an unsigned 32-bit integer.
+// Numeric seeds are used as-is; any other text is hashed (FNV-1a) so words like 'friday' work as seeds too.
+// value: string | number | null - The seed as entered.
+// Returns: number | null - The numeric seed, or null if no seed was given.
+function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) return Number(text);
+    let hash = 0x811C9DC5; // FNV-1a offset basis
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0; // FNV-1a prime
+    }
+    return hash >>> 0;
+}
+
+// Picks a fresh seed for a match when none was requested.
+// Returns: number - A random unsigned 32-bit integer.
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// --- Board Setting Helpers ---
+
+// Reads the board size and wall mode from URL parameters.
+// 'board' selects a predefined size ('small', 'normal', 'large') or 'custom', in which case 'width' and
+// 'height' give the size in cells (clamped to MIN_BOARD_DIMENSION..MAX_BOARD_DIMENSION).
+// 'walls' is 'solid' (default) or 'wrap'. Unknown values fall back to the defaults.
+// params: URLSearchParams - The page's URL parameters.
+// Returns: { width: number, height: number, walls: string }
+function parseBoardSettings(params) {
+    const board = params.get('board') || 'normal';
+    let size = BOARD_SIZES[board] || BOARD_SIZES['normal'];
+    if (board === 'custom') {
+        const clamp = (value, fallback) => {
+            const parsed = parseInt(value, 10);
+            if (isNaN(parsed)) return fallback;
+            return Math.min(MAX_BOARD_DIMENSION, Math.max(MIN_BOARD_DIMENSION, parsed));
+        };
+        size = { width: clamp(params.get('width'), GRID_WIDTH), height: clamp(params.get('height'), GRID_HEIGHT) };
+    }
+    const walls = WALL_MODES.includes(params.get('walls')) ? params.get('walls') : 'solid';
+    return { width: size.width, height: size.height, walls: walls };
+}
+
+// Formats a board size the way it is stored with leaderboard entries, e.g. '30x20'.
+function formatBoardSize(width, height) {
+    return `${width}x${height}`;
+}
+
+// Returns a short description of the board settings for display, e.g. '30x20' or '30x20 穿墙'.
+function describeBoard(width, height, walls) {
+    return formatBoardSize(width, height) + (walls === 'wrap' ? ' 穿墙' : '');
+}
+
+// Resizes a canvas to fit a board of the given size and scales its context, so drawing code always works in
+// board pixels (GRID_SIZE per cell) however large the canvas is shown.
+// The canvas is shown at GRID_SIZE CSS pixels per cell, or at fewer whole pixels per cell when the board does not
+// fit the width of the canvas's container or the height of the window (e.g. on a phone). Whole pixels per cell and
+// a backing store at the screen's device pixel ratio keep the grid sharp instead of stretching a bitmap.
+// Resizing clears the canvas, so pages call this again and redraw when the window size changes.
+function resizeCanvasForBoard(canvas, width, height) {
+    if (!canvas) return;
+    const cellSize = getDisplayCellSize(canvas, width, height);
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.style.width = `${width * cellSize}px`;
+    canvas.style.height = `${height * cellSize}px`;
+    canvas.width = Math.round(width * cellSize * pixelRatio);
+    canvas.height = Math.round(height * cellSize * pixelRatio);
+    canvas.dataset.boardPixelWidth = width * GRID_SIZE;
+    canvas.dataset.boardPixelHeight = height * GRID_SIZE;
+
+    const ctx = canvas.getContext('2d');
+    if (ctx) ctx.setTransform(canvas.width / (width * GRID_SIZE), 0, 0, canvas.height / (height * GRID_SIZE), 0, 0);
+}
+
+// Returns the number of whole CSS pixels per cell a board is shown at (see resizeCanvasForBoard).
+// Falls back to GRID_SIZE while the page has no layout yet.
+function getDisplayCellSize(canvas, width, height) {
+    const container = canvas.parentElement;
+    if (!container) return GRID_SIZE;
+    const containerStyle = window.getComputedStyle(container);
+    const availableWidth = container.clientWidth - parseFloat(containerStyle.paddingLeft || 0) - parseFloat(containerStyle.paddingRight || 0);
+    const availableHeight = window.innerHeight - CANVAS_VIEWPORT_MARGIN;
+    if (!(availableWidth > 0) || !(availableHeight > 0)) return GRID_SIZE;
+    const fittingSize = Math.floor(Math.min(availableWidth / width, availableHeight / height));
+    return Math.max(MIN_DISPLAY_CELL_SIZE, Math.min(GRID_SIZE, fittingSize));
+}
+
+// Returns the size of the board drawn on a canvas in board pixels (GRID_SIZE per cell), the coordinate space
+// resizeCanvasForBoard sets up. Canvases that were never resized report their own size.
+function getCanvasBoardSize(canvas) {
+    return {
+        width: Number(canvas.dataset.boardPixelWidth) || canvas.width,
+        height: Number(canvas.dataset.boardPixelHeight) || canvas.height
+    };
+}
+
+// Returns the spawn points of the local multiplayer board: two players start facing each other in the middle row,
+// three or four start near the corners, each heading along a different row or column so no two meet head-on
+// in the first moves.
+// width, height: number - Board size in cells.
+// playerCount: number - Number of players (2 to MAX_LOCAL_PLAYERS).
+// Returns: Array<{ spawn: {x, y}, direction: string }> - One entry per player, in seat order.
+function createPlayerSpawns(width, height, playerCount) {
+    const left = Math.floor(width / 4), right = Math.floor(width * 3 / 4);
+    if (playerCount <= 2) {
+        const middle = Math.floor(height / 2);
+        return [
+            { spawn: { x: left, y: middle }, direction: 'right' },
+            { spawn: { x: right, y: middle }, direction: 'left' }
+        ].slice(0, playerCount);
+    }
+    const top = Math.floor(height / 4), bottom = Math.floor(height * 3 / 4);
+    return [
+        { spawn: { x: left, y: top }, direction: 'right' },
+        { spawn: { x: right, y: bottom }, direction: 'left' },
+        { spawn: { x: right, y: top }, direction: 'down' },
+        { spawn: { x: left, y: bottom }, direction: 'up' }
+    ].slice(0, playerCount);
+}
+
+// Returns where the snake of a single player match starts on a plain board: the center of the grid, heading right.
+// width, height: number - Board size in cells.
+// Returns: { spawn: {x, y}, direction: string }
+function createSinglePlayerSpawn(width, height) {
+    return { spawn: { x: Math.floor(width / 2), y: Math.floor(height / 2) }, direction: 'right' };
+}
+
+// --- Input Helpers ---
+
+// Returns the name a key press is bound by: KeyboardEvent.key (letters in lower case), or KeyboardEvent.code
+// for the number pad, which reports digits or arrows in KeyboardEvent.key depending on Num Lock.
+// e: KeyboardEvent - The key press.
+function getKeyName(e) {
+    if (e.code && e.code.startsWith('Numpad')) return e.code;
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+// Returns a key name for display, e.g. '空格', '↑', 'W' or '小键盘8'.
+function formatKeyName(key) {
+    const names = { ' ': '空格', 'ArrowUp': '↑', 'ArrowDown': '↓', 'ArrowLeft': '←', 'ArrowRight': '→', 'Escape': 'Esc', 'Enter': '回车' };
+    if (names[key]) return names[key];
+    if (key.startsWith('Numpad')) return '小键盘' + key.slice('Numpad'.length);
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Returns the action a key press is bound to in a binding ('up', 'down', 'left', 'right', 'start' or 'pause'), or null.
+// binding: Object - One binding of the key bindings (see KEY_BINDINGS_STORAGE_KEY).
+// e: KeyboardEvent - The key press.
+function getBoundAction(binding, e) {
+    const key = getKeyName(e);
+    return KEY_BINDING_ACTIONS.find(action => binding[action].includes(key)) || null;
+}
+
+// Returns the default key bindings: arrows and WASD for single player, each seat's KEY_SETS entry in local versus,
+// Space to start and P or Escape to pause everywhere.
+function createDefaultKeyBindings() {
+    const common = { start: [' '], pause: ['p', 'Escape'] };
+    const single = { up: ['ArrowUp', 'w'], down: ['ArrowDown', 's'], left: ['ArrowLeft', 'a'], right: ['ArrowRight', 'd'], ...common };
+    const players = PLAYER_PRESETS.map(preset => {
+        const keys = KEY_SETS[preset.keySet].keys;
+        return { up: [keys.up], down: [keys.down], left: [keys.left], right: [keys.right], start: [...common.start], pause: [...common.pause] };
+    });
+    return { single: single, players: players };
+}
+
+// Reads the key bindings from local storage. Actions that are missing or stored incorrectly get their default keys.
+// Returns: { single, players } - See KEY_BINDINGS_STORAGE_KEY.
+function loadKeyBindings() {
+    const bindings = createDefaultKeyBindings();
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY));
+    } catch (error) {
+        console.warn("Stored key bindings could not be read:", error);
+    }
+    if (!stored || typeof stored !== 'object') return bindings;
+
+    const isKeyList = keys => Array.isArray(keys) && keys.length >= 1 && keys.length <= MAX_KEYS_PER_ACTION
+        && keys.every(key => typeof key === 'string' && key.length > 0);
+    const merge = (binding, storedBinding) => {
+        if (!storedBinding || typeof storedBinding !== 'object') return;
+        KEY_BINDING_ACTIONS.forEach(action => {
+            if (isKeyList(storedBinding[action])) binding[action] = storedBinding[action].slice();
+        });
+    };
+    merge(bindings.single, stored.single);
+    bindings.players.forEach((binding, index) => merge(binding, Array.isArray(stored.players) ? stored.players[index] : null));
+    return bindings;
+}
+
+// Stores the key bindings in local storage (call findKeyBindingConflicts first).
+function saveKeyBindings(bindings) {
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+}
+
+// Finds keys that are bound twice where both bindings can be in use at the same time: to two actions of the
+// single player binding, or to two actions of the local versus players (one player's or two players').
+// All local players may share the start and pause keys.
+// bindings: { single, players } - See KEY_BINDINGS_STORAGE_KEY.
+// Returns: Array<{ profile: string, key: string, message: string }> - One entry per conflict; profile is 'single'
+//          or 'players'. Empty if there are none.
+function findKeyBindingConflicts(bindings) {
+    const conflicts = [];
+    const check = (profile, owners) => { // owners: Array<{ name, action, keys }>
+        const seen = {}; // Key name -> the first owner it was found for
+        owners.forEach(owner => owner.keys.forEach(key => {
+            const first = seen[key];
+            if (!first) {
+                seen[key] = owner;
+                return;
+            }
+            if (first === owner) return; // Listed twice for the same action
+            if (first.player !== owner.player && first.action === owner.action && SHARED_KEY_BINDING_ACTIONS.includes(owner.action)) return;
+            conflicts.push({
+                profile: profile,
+                key: key,
+                message: `按键 ${formatKeyName(key)} 同时用于${first.name}「${KEY_BINDING_ACTION_LABELS[first.action]}」和${owner.name}「${KEY_BINDING_ACTION_LABELS[owner.action]}」`
+            });
+        }));
+    };
+    check('single', KEY_BINDING_ACTIONS.map(action => ({ player: 0, name: '单人模式', action: action, keys: bindings.single[action] })));
+    check('players', bindings.players.flatMap((binding, index) => KEY_BINDING_ACTIONS.map(action =>
+        ({ player: index, name: PLAYER_PRESETS[index].name, action: action, keys: binding[action] }))));
+    return conflicts;
+}
+
 // --- Game Logic Helpers ---
 
 // Calculates the new dynamic game speed based on the initial difficulty speed, the current total score, and the score reduction rate per point.
@@ -132,4 +478,59 @@ function calculateDynamicSpeed(initialSpeed, totalScore, reductionRate) {
     const potentialNewSpeed = initialSpeed - scoreBasedReduction;
     // Return the new speed, ensuring it's not less than the global MINIMUM_SPEED.
     return Math.max(MINIMUM_SPEED, potentialNewSpeed);
-}
\ No newline at end of file
+}
+
+// --- Leaderboard API Helpers ---
+
+// Builds a leaderboard API URL with query parameters (see Models/LeaderboardQuery.cs for the ones the server accepts).
+// Parameters that are null or undefined are left out; an empty string is kept, so { level: '' } asks for plain boards only.
+// path: string - '' for the entry list, or a sub-path such as '/best'.
+// params: Object - Query parameters by name (e.g. { mode, difficulty, boardSize, sort, page, limit }).
+// Returns: string - The URL, e.g. '/api/leaderboard?mode=classic&difficulty=hard&limit=50'.
+function createLeaderboardUrl(path, params) {
+    const query = Object.keys(params)
+        .filter(name => params[name] !== null && params[name] !== undefined)
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+        .join('&');
+    return `${LEADERBOARD_API_URL}${path}${query ? '?' + query : ''}`;
+}
+
+// Formats the time left until a leaderboard period resets, e.g. '2天 03:04:05' or '03:04:05'.
+// ms: number - Milliseconds left (negative values count as 0).
+// Returns: string - Days (if any), hours, minutes and seconds.
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const clock = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+    return days > 0 ? `${days}天 ${clock}` : clock;
+}
+
+// --- Debug Logging ---
+// Per-tick match events (deaths, food, items, speed changes) are only logged with the 'debug' URL parameter
+// (e.g. singleplayer.html?debug=1), so normal play and long autopilot runs keep the console quiet.
+const DEBUG_LOGGING = typeof location !== 'undefined' && new URLSearchParams(location.search).has('debug');
+
+// Writes to the console when debug logging is on; takes the same arguments as console.log.
+function debugLog(...args) {
+    if (DEBUG_LOGGING) console.log(...args);
+}
+
+// --- Node Export ---
+// When loaded in Node (e.g. by engine.js outside the browser), expose the constants and helpers
+// as a module. In the browser this block is skipped and everything above stays a global.
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CANVAS_WIDTH, CANVAS_HEIGHT, GRID_SIZE, GRID_WIDTH, GRID_HEIGHT, MIN_DISPLAY_CELL_SIZE, CANVAS_VIEWPORT_MARGIN,
+        LEADERBOARD_API_URL, LEADERBOARD_MODES, SINGLE_PLAYER_MODES, LEADERBOARD_PERIODS, MINIMUM_SPEED,
+        BOARD_SIZES, MIN_BOARD_DIMENSION, MAX_BOARD_DIMENSION, WALL_MODES,
+        MIN_LOCAL_PLAYERS, MAX_LOCAL_PLAYERS, PLAYER_PRESETS, KEY_SETS,
+        KEY_BINDINGS_STORAGE_KEY, KEY_BINDING_ACTIONS, KEY_BINDING_ACTION_LABELS, MAX_KEYS_PER_ACTION, SHARED_KEY_BINDING_ACTIONS,
+        isPositionOnSnake, checkWallCollision, checkObstacleCollision, wrapPosition, checkSelfCollision, drawRect, darkenColor, escapeHTML,
+        createSeededRandom, parseSeed, generateSeed, parseBoardSettings, formatBoardSize, describeBoard,
+        resizeCanvasForBoard, getDisplayCellSize, getCanvasBoardSize, createPlayerSpawns, createSinglePlayerSpawn,
+        getKeyName, formatKeyName, getBoundAction, createDefaultKeyBindings, loadKeyBindings, saveKeyBindings, findKeyBindingConflicts,
+        calculateDynamicSpeed, createLeaderboardUrl, formatCountdown, debugLog
+    };
+}
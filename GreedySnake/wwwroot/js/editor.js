@@ -0,0 +1,357 @@
+﻿/*
+ * File: editor.js
+ * Description: Contains the logic for the level editor page.
+ * Walls and erasing are painted on the canvas grid with the mouse, spawn points for one to four
+ * players are placed with a click, and the level is checked with SnakeLevels.validateLevel() after every change.
+ * A valid level can be test-played right away (it is stored as the custom level and the game page is opened
+ * with 'level=custom'), exported as a level file, and level files or built-in levels can be loaded for editing.
+ * Relies on common.js for drawRect and the board limits, engine.js for the direction vectors and
+ * levels.js for the level format.
+ */
+
+// Execute script after the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // --- UI Element References ---
+    const canvas = document.getElementById('game-canvas'); // The editor canvas (the board being edited)
+    const ctx = canvas ? canvas.getContext('2d') : null; // The 2D rendering context, null if canvas not found
+    const nameInput = document.getElementById('level-name-input'); // Level name
+    const widthInput = document.getElementById('level-width-input'); // Board width in cells
+    const heightInput = document.getElementById('level-height-input'); // Board height in cells
+    const resizeButton = document.getElementById('resize-button'); // Applies the width/height inputs
+    const wrapWallsInput = document.getElementById('wrap-walls-input'); // Wall mode checkbox (checked = 'wrap')
+    const toolOptions = document.querySelectorAll('#editor-tools input[name="editor-tool"]'); // Tool radio buttons
+    const spawnDirectionSelects = PLAYER_PRESETS.map((preset, pIndex) => document.getElementById(`spawn${pIndex + 1}-direction`)); // Start direction per player
+    const statusElement = document.getElementById('editor-status'); // Validation result line
+    const testSingleButton = document.getElementById('test-single-button'); // Test-play in single player mode
+    const testTwoButton = document.getElementById('test-two-button'); // Test-play in local versus mode with every placed spawn point
+    const exportButton = document.getElementById('export-button'); // Downloads the level file
+    const importFileInput = document.getElementById('import-file'); // Loads a level file
+    const templateSelect = document.getElementById('template-select'); // Starts from a built-in level or a blank board
+    const clearButton = document.getElementById('clear-button'); // Removes all walls and spawn points
+    const messageElement = document.getElementById('message-area'); // Element for displaying messages
+
+    // --- Colors ---
+    const EMPTY_COLOR = '#e0e0e0'; // Free cell (same as the game board background)
+    const WALL_COLOR = '#5a4632'; // Obstacle cell (same as the game's obstacles)
+    const SPAWN_COLORS = PLAYER_PRESETS.map(preset => preset.color); // P1 blue, P2 red, P3 green, P4 orange, as in local versus mode
+    const ARROW_COLOR = '#ffffff'; // Direction arrow drawn on a spawn point
+
+    // --- Editor State ---
+    let boardWidth = GRID_WIDTH; // Board size in cells
+    let boardHeight = GRID_HEIGHT;
+    let obstacles = new Set(); // Wall cells, keyed by y * boardWidth + x
+    let spawns = createEmptySpawns(); // Spawn point ({x, y, direction}) per player, null while not placed
+    let isPainting = false; // True while the mouse button is held down with the wall or erase tool
+
+    // --- Level Conversion ---
+
+    // Returns a spawn list with no spawn point placed.
+    function createEmptySpawns() {
+        return PLAYER_PRESETS.map(() => null);
+    }
+
+    // Builds a level object (see levels.js) from the editor state.
+    // Spawn points are listed in player order; spawns after a missing one are left out, since they would
+    // otherwise become an earlier player's start.
+    function buildLevel() {
+        const cells = [...obstacles].sort((a, b) => a - b).map(key => [key % boardWidth, Math.floor(key / boardWidth)]);
+        const levelSpawns = [];
+        for (const spawn of spawns) {
+            if (!spawn) break;
+            levelSpawns.push({ x: spawn.x, y: spawn.y, direction: spawn.direction });
+        }
+        return {
+            version: SnakeLevels.LEVEL_VERSION,
+            name: nameInput.value.trim() || '自定义关卡',
+            width: boardWidth,
+            height: boardHeight,
+            walls: wrapWallsInput.checked ? 'wrap' : 'solid',
+            obstacles: cells,
+            spawns: levelSpawns
+        };
+    }
+
+    // Replaces the editor state with a level (a built-in level or an imported file).
+    // level: Object - A level that passed SnakeLevels.validateLevel().
+    function loadLevel(level) {
+        boardWidth = level.width;
+        boardHeight = level.height;
+        obstacles = new Set(level.obstacles.map(([x, y]) => y * boardWidth + x));
+        spawns = createEmptySpawns().map((empty, pIndex) => {
+            const spawn = level.spawns[pIndex];
+            return spawn ? { x: spawn.x, y: spawn.y, direction: spawn.direction } : null;
+        });
+        spawns.forEach((spawn, pIndex) => {
+            if (spawn) spawnDirectionSelects[pIndex].value = spawn.direction;
+        });
+
+        nameInput.value = level.name || '自定义关卡';
+        widthInput.value = boardWidth;
+        heightInput.value = boardHeight;
+        wrapWallsInput.checked = level.walls === 'wrap';
+        resizeCanvasForBoard(canvas, boardWidth, boardHeight);
+        refresh();
+    }
+
+    // Changes the board size, keeping the walls and spawn points that still fit.
+    function resizeBoard(width, height) {
+        const kept = new Set();
+        obstacles.forEach(key => {
+            const x = key % boardWidth;
+            const y = Math.floor(key / boardWidth);
+            if (x < width && y < height) kept.add(y * width + x);
+        });
+        obstacles = kept;
+        spawns = spawns.map(spawn => (spawn && spawn.x < width && spawn.y < height ? spawn : null));
+        boardWidth = width;
+        boardHeight = height;
+        resizeCanvasForBoard(canvas, boardWidth, boardHeight);
+        refresh();
+    }
+
+    // --- Validation ---
+
+    // Checks the level for the given number of players.
+    // Returns: string | null - The problem (from SnakeLevels.validateLevel, or a missing spawn point), or null if playable.
+    function getLevelProblem(playerCount) {
+        for (let pIndex = 0; pIndex < playerCount; pIndex++) {
+            if (!spawns[pIndex]) return `缺少 P${pIndex + 1} 出生点`;
+        }
+        return SnakeLevels.validateLevel(buildLevel(), playerCount);
+    }
+
+    // Returns the largest number of players (up to MAX_LOCAL_PLAYERS) the level can be played with, 0 if none.
+    function getPlayableCount() {
+        let count = 0;
+        while (count < MAX_LOCAL_PLAYERS && getLevelProblem(count + 1) === null) count++;
+        return count;
+    }
+
+    // Shows whether the level can be played in single player mode and with how many players in local versus mode.
+    function updateStatus() {
+        if (!statusElement) return;
+        const singleProblem = getLevelProblem(1);
+        const twoProblem = getLevelProblem(2);
+        const playableCount = getPlayableCount();
+        const freeCells = boardWidth * boardHeight - obstacles.size - spawns.filter(Boolean).length;
+
+        statusElement.classList.toggle('invalid', singleProblem !== null);
+        if (singleProblem) {
+            statusElement.textContent = `关卡无效: ${singleProblem}`;
+        } else if (twoProblem) {
+            statusElement.textContent = `可用于单人模式（双人模式: ${twoProblem}），空闲格子 ${freeCells} 个`;
+        } else if (playableCount > 2) {
+            statusElement.textContent = `可用于单人模式和 2 到 ${playableCount} 人对战，空闲格子 ${freeCells} 个`;
+        } else {
+            statusElement.textContent = `可用于单人和双人模式，空闲格子 ${freeCells} 个`;
+        }
+        testSingleButton.disabled = singleProblem !== null;
+        testTwoButton.disabled = twoProblem !== null;
+        exportButton.disabled = singleProblem !== null;
+    }
+
+    // --- Drawing ---
+    // Every cell is drawn with drawRect, so the grid lines show where each cell is while painting.
+    function draw() {
+        if (!ctx) return;
+        for (let y = 0; y < boardHeight; y++) {
+            for (let x = 0; x < boardWidth; x++) {
+                drawRect(ctx, x, y, obstacles.has(y * boardWidth + x) ? WALL_COLOR : EMPTY_COLOR);
+            }
+        }
+        spawns.forEach((spawn, pIndex) => {
+            if (spawn) drawSpawn(spawn, SPAWN_COLORS[pIndex]);
+        });
+    }
+
+    // Draws a spawn point with an arrow pointing in its start direction.
+    function drawSpawn(spawn, color) {
+        drawRect(ctx, spawn.x, spawn.y, color);
+        const vector = SnakeEngine.DIRECTION_VECTORS[spawn.direction];
+        const centerX = (spawn.x + 0.5) * GRID_SIZE;
+        const centerY = (spawn.y + 0.5) * GRID_SIZE;
+        const reach = GRID_SIZE * 0.35; // Distance from the cell center to the arrow tip
+        ctx.fillStyle = ARROW_COLOR;
+        ctx.beginPath();
+        // Triangle: tip in the movement direction, base across the opposite half of the cell
+        ctx.moveTo(centerX + vector.x * reach, centerY + vector.y * reach);
+        ctx.lineTo(centerX - vector.x * reach / 2 - vector.y * reach, centerY - vector.y * reach / 2 - vector.x * reach);
+        ctx.lineTo(centerX - vector.x * reach / 2 + vector.y * reach, centerY - vector.y * reach / 2 + vector.x * reach);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Redraws the board and re-validates the level after a change.
+    function refresh() {
+        draw();
+        updateStatus();
+    }
+
+    // --- Editing ---
+
+    // Returns the value of the checked tool radio button.
+    function getSelectedTool() {
+        for (const option of toolOptions) {
+            if (option.checked) return option.value;
+        }
+        return 'wall';
+    }
+
+    // Converts a mouse event to the grid cell under the pointer, or null if it is outside the board.
+    // The canvas may be shown smaller than GRID_SIZE per cell (see resizeCanvasForBoard), so the position is
+    // converted from its displayed size.
+    function getCellFromEvent(e) {
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        const x = Math.floor((e.clientX - rect.left) / rect.width * boardWidth);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * boardHeight);
+        if (x < 0 || x >= boardWidth || y < 0 || y >= boardHeight) return null;
+        return { x: x, y: y };
+    }
+
+    // Applies the selected tool to a cell.
+    // Walls and spawn points may overlap while editing; the validation line reports it until it is fixed.
+    function applyTool(cell) {
+        const key = cell.y * boardWidth + cell.x;
+        switch (getSelectedTool()) {
+            case 'wall': obstacles.add(key); break;
+            case 'erase':
+                obstacles.delete(key);
+                spawns = spawns.map(spawn => (spawn && spawn.x === cell.x && spawn.y === cell.y ? null : spawn));
+                break;
+            default: {
+                const pIndex = parseInt(getSelectedTool().slice('spawn'.length), 10) - 1; // 'spawn1'...'spawn4'
+                spawns[pIndex] = { x: cell.x, y: cell.y, direction: spawnDirectionSelects[pIndex].value };
+                break;
+            }
+        }
+        refresh();
+    }
+
+    // --- Test Play and Files ---
+
+    // Stores the level as the custom level and opens a game page to play it.
+    // playerCount: number - 1 opens single player mode, 2 to 4 open local versus mode with that many players.
+    function testPlay(playerCount) {
+        const problem = getLevelProblem(playerCount);
+        if (problem) {
+            if (messageElement) messageElement.textContent = `关卡无法试玩: ${problem}`;
+            return;
+        }
+        SnakeLevels.storeCustomLevel(buildLevel());
+        const levelParam = '&level=' + SnakeLevels.CUSTOM_LEVEL_ID;
+        if (playerCount > 1) {
+            window.location.href = '/twoplayer.html?difficulty=easy' + (playerCount > MIN_LOCAL_PLAYERS ? '&players=' + playerCount : '') + levelParam;
+        } else {
+            const username = localStorage.getItem('snakeGameUsername') || '玩家'; // Same key as the mode selection page
+            window.location.href = '/singleplayer.html?difficulty=medium&username=' + encodeURIComponent(username) + levelParam;
+        }
+    }
+
+    // Adds the built-in levels to the template dropdown.
+    function populateTemplates() {
+        Object.keys(SnakeLevels.BUILT_IN_LEVELS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = SnakeLevels.BUILT_IN_LEVELS[id].name;
+            templateSelect.appendChild(option);
+        });
+    }
+
+    // --- Event Listeners ---
+    canvas.addEventListener('mousedown', (e) => {
+        const cell = getCellFromEvent(e);
+        if (!cell) return;
+        e.preventDefault(); // Do not start a text selection while painting
+        const tool = getSelectedTool();
+        isPainting = tool === 'wall' || tool === 'erase'; // Spawn points are placed with a single click
+        applyTool(cell);
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (!isPainting) return;
+        const cell = getCellFromEvent(e);
+        if (cell) applyTool(cell);
+    });
+    document.addEventListener('mouseup', () => { isPainting = false; });
+
+    // Changing a spawn direction turns the spawn point that is already placed
+    spawnDirectionSelects.forEach((select, pIndex) => {
+        select.addEventListener('change', () => {
+            if (spawns[pIndex]) spawns[pIndex].direction = select.value;
+            refresh();
+        });
+    });
+
+    resizeButton.addEventListener('click', () => {
+        const width = parseInt(widthInput.value, 10);
+        const height = parseInt(heightInput.value, 10);
+        if (!(width >= MIN_BOARD_DIMENSION && width <= MAX_BOARD_DIMENSION && height >= MIN_BOARD_DIMENSION && height <= MAX_BOARD_DIMENSION)) {
+            if (messageElement) messageElement.textContent = `棋盘的宽和高需在 ${MIN_BOARD_DIMENSION} 到 ${MAX_BOARD_DIMENSION} 之间！`;
+            return;
+        }
+        if (messageElement) messageElement.textContent = '';
+        resizeBoard(width, height);
+    });
+
+    // The canvas follows the window size; resizing clears it, so it is redrawn
+    window.addEventListener('resize', () => {
+        resizeCanvasForBoard(canvas, boardWidth, boardHeight);
+        draw();
+    });
+
+    wrapWallsInput.addEventListener('change', updateStatus);
+    nameInput.addEventListener('input', updateStatus);
+
+    testSingleButton.addEventListener('click', () => testPlay(1));
+    testTwoButton.addEventListener('click', () => testPlay(Math.max(MIN_LOCAL_PLAYERS, getPlayableCount())));
+
+    exportButton.addEventListener('click', () => {
+        const problem = getLevelProblem(1);
+        if (problem) {
+            if (messageElement) messageElement.textContent = `关卡无法导出: ${problem}`;
+            return;
+        }
+        SnakeLevels.downloadLevel(buildLevel());
+    });
+
+    // Import a level file for editing
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        if (!file) return;
+        try {
+            loadLevel(SnakeLevels.parseLevel(await file.text()));
+            if (messageElement) messageElement.textContent = '';
+        } catch (error) {
+            console.error("Error importing level:", error);
+            if (messageElement) messageElement.textContent = '无法读取关卡文件: ' + error.message;
+        }
+    });
+
+    // Start from a built-in level or a blank board of the current size
+    templateSelect.addEventListener('change', () => {
+        const template = SnakeLevels.getBuiltInLevel(templateSelect.value);
+        if (template) {
+            loadLevel(template);
+        } else {
+            obstacles = new Set();
+            spawns = createEmptySpawns();
+            refresh();
+        }
+    });
+
+    clearButton.addEventListener('click', () => {
+        obstacles = new Set();
+        spawns = createEmptySpawns();
+        refresh();
+    });
+
+    // --- Initial Setup ---
+    // Continue with the last stored custom level (e.g. when coming back from a test play), or start blank.
+    populateTemplates();
+    const storedLevel = SnakeLevels.loadCustomLevel();
+    if (storedLevel) {
+        loadLevel(storedLevel);
+    } else {
+        resizeBoard(boardWidth, boardHeight);
+    }
+});
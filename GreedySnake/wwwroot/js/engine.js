@@ -0,0 +1,591 @@
+﻿/*
+ * File: engine.js
+ * Description: Headless, deterministic game engine shared by the single player and two player modes.
+ * Contains the snake rules (movement, solid or wrap-around walls, obstacles, self/player-to-player collisions, food and scoring,
+ * special items and their effects, dynamic speed, the co-op rules, the single player challenges) as functions over a plain game state object. The engine never touches the canvas,
+ * the DOM, timers or Math.random: callers pass the current state, the per-player direction inputs
+ * and a random number source, and get back the next state plus a list of events describing what happened.
+ * In the browser it is exposed as the global SnakeEngine; in Node it is exported via module.exports,
+ * so the rules can be exercised without a browser.
+ * Relies on common.js for the collision helpers and calculateDynamicSpeed.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./common.js')); // Node: load common.js as a module
+    } else {
+        // Browser: common.js is loaded first and declares its constants and helpers as globals
+        root.SnakeEngine = factory({
+            GRID_WIDTH, GRID_HEIGHT, isPositionOnSnake, checkWallCollision, checkObstacleCollision, wrapPosition, checkSelfCollision, calculateDynamicSpeed
+        });
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (common) {
+    'use strict';
+
+    // --- Constants ---
+    // Grid offset applied to a head position for each movement direction.
+    const DIRECTION_VECTORS = {
+        'up': { x: 0, y: -1 },
+        'down': { x: 0, y: 1 },
+        'left': { x: -1, y: 0 },
+        'right': { x: 1, y: 0 }
+    };
+
+    // Maps each direction to its opposite. A snake can never turn straight back into itself.
+    const OPPOSITE_DIRECTIONS = {
+        'up': 'down', 'down': 'up', 'left': 'right', 'right': 'left'
+    };
+
+    // How many direction changes a player can queue ahead of the ticks that consume them.
+    const MAX_QUEUED_DIRECTIONS = 3;
+
+    // Initial tick interval (milliseconds) and per-point speed reduction for every mode and difficulty.
+    // These are the values previously hard-coded in each page's setGameSpeed().
+    const SPEED_SETTINGS = {
+        singleplayer: {
+            'easy': { initialSpeed: 180, reductionRate: 3 }, // Slower initial speed, small speed increase per point
+            'medium': { initialSpeed: 120, reductionRate: 5 }, // Default (medium) speed
+            'hard': { initialSpeed: 80, reductionRate: 7 } // Faster initial speed, large speed increase per point
+        },
+        twoplayer: {
+            'super_easy': { initialSpeed: 200, reductionRate: 2 }, // Slowest initial speed
+            'easy': { initialSpeed: 150, reductionRate: 3 },
+            'medium': { initialSpeed: 100, reductionRate: 5 },
+            'hard': { initialSpeed: 50, reductionRate: 7 } // Fastest initial speed
+        }
+    };
+
+    // Special items that can appear next to the regular food when a match is created with items enabled.
+    // weight: relative chance of the type being picked when an item spawns.
+    // lifetimeMs: simulated time the item stays on the board before it disappears.
+    // Each type also has its own spawn rule in canSpawnItem().
+    const ITEM_TYPES = {
+        'bonus': { weight: 4, lifetimeMs: 6000, points: 5 }, // Bonus food: worth several points, grows the snake like food
+        'shrink': { weight: 2, lifetimeMs: 10000, segments: 3, minLength: 6 }, // Removes tail segments; only for snakes of minLength or more
+        'slow': { weight: 2, lifetimeMs: 10000, durationMs: 5000, factor: 1.5 }, // Stretches the tick interval for everyone; only once the game has sped up
+        'ghost': { weight: 1, lifetimeMs: 8000, durationMs: 5000 } // The eater passes through obstacles and snakes (walls still count)
+    };
+
+    // Chance that eating the regular food spawns a special item, and how many can be on the board at once
+    // (at most one of each type).
+    const ITEM_SPAWN_CHANCE = 0.35;
+    const MAX_ACTIVE_ITEMS = 2;
+
+    // Rules of a co-op match (a match created with a 'coop' configuration). The team shares one score and one pool
+    // of lives and wins by reaching the target score before the time limit. They are fixed, so co-op results are
+    // comparable on the leaderboard; only how the snakes treat each other can be chosen (COOP_COLLISIONS).
+    const COOP_RULES = {
+        lives: 3, // Shared pool: every death uses one life, and the snake comes back at its spawn point while any are left
+        targetScore: 30, // Team score (all players' points together) that wins the match
+        timeLimitMs: 180000 // Simulated match time the team has to reach the target score
+    };
+
+    // How the snakes of a co-op team interact:
+    // 'pass' - they pass through each other; 'headOn' - they pass through each other's bodies, but heads meeting still kills both.
+    const COOP_COLLISIONS = ['pass', 'headOn'];
+
+    // Single player challenges (a match created with a 'challenge' configuration), by id. The ids double as the
+    // leaderboard categories the results are ranked in (see LEADERBOARD_MODES in common.js).
+    // 'timeAttack' - the match ends after timeLimitMs of simulated time; ranked by score.
+    // 'targetScore' - the match ends once the snake has targetScore points; ranked by the time it took.
+    // Without a challenge the match is endless and lasts until the snake dies.
+    const CHALLENGES = {
+        'timeAttack60': { type: 'timeAttack', timeLimitMs: 60000 },
+        'timeAttack120': { type: 'timeAttack', timeLimitMs: 120000 },
+        'targetScore25': { type: 'targetScore', targetScore: 25 },
+        'targetScore50': { type: 'targetScore', targetScore: 50 }
+    };
+
+    // --- Configuration Helpers ---
+
+    // Returns the speed settings for a mode and difficulty, falling back to 'medium' for unknown difficulties.
+    // mode: string - 'singleplayer' or 'twoplayer'.
+    // difficulty: string - The difficulty level (e.g. 'easy', 'medium', 'hard').
+    // Returns: { initialSpeed: number, reductionRate: number }
+    function getSpeedSettings(mode, difficulty) {
+        const modeSettings = SPEED_SETTINGS[mode] || SPEED_SETTINGS.singleplayer;
+        return modeSettings[difficulty] || modeSettings['medium'];
+    }
+
+    // Checks whether a value is one of the four movement directions.
+    function isDirection(value) {
+        return Object.prototype.hasOwnProperty.call(DIRECTION_VECTORS, value);
+    }
+
+    // --- Input Queue ---
+    // Key presses can arrive faster than ticks. Each player keeps a short queue of requested directions
+    // and the page hands one of them to step() per tick, so a quick double turn (e.g. Up then Left within
+    // one tick) is played out over two ticks instead of the first turn being lost.
+
+    // Adds a requested direction to a player's queue if it is a valid follow-up move.
+    // A request is checked against the last queued direction (or the current direction when the queue is
+    // empty): reversing it, or repeating it, is ignored. Requests beyond MAX_QUEUED_DIRECTIONS are dropped.
+    // queue: Array<string> - The player's pending directions, oldest first (modified).
+    // currentDirection: string - The direction the snake is moving in right now.
+    // requested: string - The direction the player asked for.
+    // Returns: boolean - True if the direction was queued.
+    function queueDirection(queue, currentDirection, requested) {
+        if (!isDirection(requested) || queue.length >= MAX_QUEUED_DIRECTIONS) return false;
+        const previous = queue.length > 0 ? queue[queue.length - 1] : currentDirection;
+        if (requested === previous || requested === OPPOSITE_DIRECTIONS[previous]) return false;
+        queue.push(requested);
+        return true;
+    }
+
+    // --- State Construction ---
+
+    // Creates the initial state of a match. No food is placed yet; call placeFood() when the match starts.
+    // config: {
+    //   mode: string - 'singleplayer' or 'twoplayer' (selects the speed table),
+    //   difficulty: string - Difficulty level,
+    //   width: number, height: number - Grid dimensions in cells (default GRID_WIDTH x GRID_HEIGHT),
+    //   walls: string - 'solid' (default): leaving the grid kills the snake; 'wrap': the snake re-enters
+    //          from the opposite edge,
+    //   obstacles: Array<{x, y}> - Blocked cells (optional, see levels.js); running into one kills the snake,
+    //   items: boolean - True to spawn the special items in ITEM_TYPES (default false, the classic rules
+    //          that older recordings were made with),
+    //   coop: { collisions: string } - Play as one team under COOP_RULES (optional; versus rules without it).
+    //         collisions is one of COOP_COLLISIONS (default 'pass'),
+    //   challenge: string - Id of a single player challenge in CHALLENGES (optional; unknown ids are ignored),
+    //   players: Array<{ spawn: {x, y}, direction: string, ... }> - One entry per snake. Any extra
+    //            properties (name, color, ...) are copied onto the player and ignored by the rules.
+    // }
+    // Returns: Object - The new game state.
+    function createGame(config) {
+        const mode = config.mode || 'singleplayer';
+        const difficulty = config.difficulty || 'medium';
+        const settings = getSpeedSettings(mode, difficulty);
+
+        const players = (config.players || []).map(playerConfig => {
+            const { spawn, ...extra } = playerConfig;
+            return {
+                ...extra, // Presentation properties (name, color) travel with the player
+                snake: [{ x: spawn.x, y: spawn.y }], // A snake starts as a single head segment
+                direction: playerConfig.direction || 'right', // Current movement direction
+                score: 0, // Points collected
+                eaten: 0, // Regular and bonus food eaten (drives the speed)
+                ghostUntilMs: 0, // Match time at which the ghost effect wears off
+                alive: true, // Player starts alive
+                deathTick: null // Tick on which the player died (null while alive)
+            };
+        });
+
+        return {
+            mode: mode,
+            difficulty: difficulty,
+            width: config.width || common.GRID_WIDTH,
+            height: config.height || common.GRID_HEIGHT,
+            walls: config.walls === 'wrap' ? 'wrap' : 'solid', // Wall mode
+            obstacles: (config.obstacles || []).map(cell => ({ x: cell.x, y: cell.y })), // Blocked cells (never change during a match)
+            players: players,
+            food: null, // Food position ({x, y}) or null when none is on the board
+            itemsEnabled: config.items === true, // Whether special items spawn in this match
+            items: [], // Special items on the board: { type, x, y, expiresAtMs }
+            slowUntilMs: 0, // Match time at which the slow-down effect wears off
+            tick: 0, // Number of simulation steps taken
+            elapsedMs: 0, // Simulated match time: sum of the tick intervals that have elapsed
+            initialSpeed: settings.initialSpeed, // Tick interval at score 0
+            reductionRate: settings.reductionRate, // Milliseconds removed from the interval per point
+            speed: settings.initialSpeed, // Current tick interval in milliseconds
+            coop: config.coop ? createCoopState(config) : null, // Team rules and progress of a co-op match (null in versus)
+            challenge: createChallengeState(config.challenge), // Goal of a single player challenge (null for an endless match)
+            over: false // True once no player is alive (in co-op: once the match is won or lost; in a challenge: also once the goal is met)
+        };
+    }
+
+    // Creates the co-op part of a new state: the rules, the remaining lives and where each snake comes back.
+    function createCoopState(config) {
+        return {
+            collisions: COOP_COLLISIONS.includes(config.coop.collisions) ? config.coop.collisions : COOP_COLLISIONS[0],
+            lives: COOP_RULES.lives, // Lives left in the shared pool
+            targetScore: COOP_RULES.targetScore,
+            timeLimitMs: COOP_RULES.timeLimitMs,
+            spawns: config.players.map(player => ({ x: player.spawn.x, y: player.spawn.y, direction: player.direction || 'right' })),
+            respawning: config.players.map(() => false), // Per player: dead, but a life was used to bring them back
+            result: null // 'won', 'timeUp' or 'noLives' once the match is over
+        };
+    }
+
+    // Creates the challenge part of a new state from a CHALLENGES id, or returns null for an endless match.
+    function createChallengeState(challengeId) {
+        if (!Object.prototype.hasOwnProperty.call(CHALLENGES, challengeId)) return null;
+        return {
+            id: challengeId,
+            ...CHALLENGES[challengeId],
+            result: null // 'timeUp', 'reached' or 'died' once the match is over
+        };
+    }
+
+    // Makes a copy of a state that can be modified without affecting the original.
+    // The obstacle list is shared, since no step ever changes it.
+    function cloneState(state) {
+        return {
+            ...state,
+            players: state.players.map(player => ({
+                ...player,
+                snake: player.snake.map(segment => ({ x: segment.x, y: segment.y }))
+            })),
+            food: state.food ? { x: state.food.x, y: state.food.y } : null,
+            items: (state.items || []).map(item => ({ ...item })),
+            coop: state.coop ? { ...state.coop, respawning: state.coop.respawning.slice() } : null, // Spawns never change
+            challenge: state.challenge ? { ...state.challenge } : null
+        };
+    }
+
+    // --- Food Placement ---
+
+    // Picks a free cell for the food or an item, i.e. one not occupied by any alive snake, an obstacle,
+    // the food or another item.
+    // state: Object - The game state (not modified).
+    // random: function(): number - Random number source returning values in [0, 1).
+    // Returns: { x: number, y: number } | null - The chosen cell, or null if the board is full.
+    function findFoodPosition(state, random) {
+        const blocked = new Set(state.obstacles.map(cell => cell.y * state.width + cell.x)); // Obstacle cells by index
+        if (state.food) blocked.add(state.food.y * state.width + state.food.x);
+        (state.items || []).forEach(item => blocked.add(item.y * state.width + item.x));
+        const freeCells = [];
+        for (let y = 0; y < state.height; y++) {
+            for (let x = 0; x < state.width; x++) {
+                const cell = { x: x, y: y };
+                const occupied = blocked.has(y * state.width + x) ||
+                    state.players.some(p => p.alive && common.isPositionOnSnake(cell, p.snake));
+                if (!occupied) freeCells.push(cell);
+            }
+        }
+        if (freeCells.length === 0) return null;
+        return freeCells[Math.floor(random() * freeCells.length)];
+    }
+
+    // Returns a copy of the state with a newly placed food item.
+    // state: Object - The game state.
+    // random: function(): number - Random number source returning values in [0, 1).
+    function placeFood(state, random) {
+        const next = cloneState(state);
+        next.food = findFoodPosition(next, random);
+        return next;
+    }
+
+    // --- Special Items ---
+
+    // Checks a type's spawn rule against the current state. A type is never spawned twice at once.
+    // type: string - A key of ITEM_TYPES.
+    // state: Object - The game state (not modified).
+    // Returns: boolean - True if an item of this type may appear now.
+    function canSpawnItem(type, state) {
+        if (state.items.some(item => item.type === type)) return false;
+        switch (type) {
+            case 'shrink': // Only worth having once some snake has grown long
+                return state.players.some(p => p.alive && p.snake.length >= ITEM_TYPES.shrink.minLength);
+            case 'slow': // Only once the game has sped up, and not while a slow-down is running
+                return state.speed < state.initialSpeed && state.slowUntilMs <= state.elapsedMs;
+            default:
+                return true;
+        }
+    }
+
+    // Rolls for a new special item after the regular food was eaten and places it on a free cell.
+    // state: Object - The game state (modified).
+    // random: function(): number - Random number source returning values in [0, 1).
+    // Returns: Object | null - The placed item, or null if none spawned.
+    function spawnItem(state, random) {
+        if (random() >= ITEM_SPAWN_CHANCE || state.items.length >= MAX_ACTIVE_ITEMS) return null;
+
+        const candidates = Object.keys(ITEM_TYPES).filter(type => canSpawnItem(type, state));
+        if (candidates.length === 0) return null;
+
+        // Weighted pick among the types whose spawn rules allow them
+        const totalWeight = candidates.reduce((sum, type) => sum + ITEM_TYPES[type].weight, 0);
+        let roll = random() * totalWeight;
+        const type = candidates.find(candidate => (roll -= ITEM_TYPES[candidate].weight) < 0) || candidates[candidates.length - 1];
+
+        const position = findFoodPosition(state, random);
+        if (!position) return null;
+        const item = { type: type, x: position.x, y: position.y, expiresAtMs: state.elapsedMs + ITEM_TYPES[type].lifetimeMs };
+        state.items.push(item);
+        return item;
+    }
+
+    // Checks whether a player's ghost effect is active at a given match time.
+    // player: Object - A player of the game state.
+    // elapsedMs: number - The match time to check.
+    function isGhost(player, elapsedMs) {
+        return (player.ghostUntilMs || 0) > elapsedMs;
+    }
+
+    // Calculates the tick interval for a state: the speed follows the combined amount of food eaten by
+    // all players (bonus food counts once, however many points it is worth) and is stretched while a
+    // slow-down is active.
+    // state: Object - The game state (not modified).
+    // Returns: number - The tick interval in milliseconds.
+    function calculateSpeed(state) {
+        const totalEaten = state.players.reduce((sum, p) => sum + (p.eaten || 0), 0);
+        const speed = common.calculateDynamicSpeed(state.initialSpeed, totalEaten, state.reductionRate);
+        return state.slowUntilMs > state.elapsedMs ? Math.round(speed * ITEM_TYPES.slow.factor) : speed;
+    }
+
+    // --- Co-op ---
+
+    // Returns the team score of a match: every player's points together.
+    function getTeamScore(state) {
+        return state.players.reduce((sum, p) => sum + p.score, 0);
+    }
+
+    // Brings back the players of a co-op team that died while lives were left, each as a single segment at their
+    // spawn point heading in their starting direction. A spawn point still covered by a snake is waited out.
+    // state: Object - The game state (modified).
+    // events: Array<Object> - Receives a 'respawn' event per player brought back.
+    function respawnPlayers(state, events) {
+        state.players.forEach((player, pIndex) => {
+            if (!state.coop.respawning[pIndex]) return;
+            const spawn = state.coop.spawns[pIndex];
+            if (state.players.some(p => p.alive && common.isPositionOnSnake(spawn, p.snake))) return;
+            player.snake = [{ x: spawn.x, y: spawn.y }];
+            player.direction = spawn.direction;
+            player.ghostUntilMs = 0;
+            player.alive = true;
+            player.deathTick = null;
+            state.coop.respawning[pIndex] = false;
+            events.push({ type: 'respawn', playerIndex: pIndex, position: { x: spawn.x, y: spawn.y } });
+        });
+    }
+
+    // Decides whether a co-op match is over after a tick.
+    // Returns: string | null - 'won' (target score reached), 'timeUp' (time limit reached first),
+    //          'noLives' (every snake is dead and no lives are left), or null while the match goes on.
+    function getCoopResult(state) {
+        if (getTeamScore(state) >= state.coop.targetScore) return 'won';
+        if (state.elapsedMs >= state.coop.timeLimitMs) return 'timeUp';
+        if (!state.players.some((p, pIndex) => p.alive || state.coop.respawning[pIndex])) return 'noLives';
+        return null;
+    }
+
+    // --- Challenges ---
+
+    // Decides whether a single player challenge is over after a tick.
+    // Returns: string | null - 'reached' (target score reached), 'timeUp' (time attack ran out of time),
+    //          'died' (the snake died first), or null while the match goes on.
+    function getChallengeResult(state) {
+        const challenge = state.challenge;
+        if (challenge.type === 'targetScore' && state.players[0].score >= challenge.targetScore) return 'reached';
+        if (challenge.type === 'timeAttack' && state.elapsedMs >= challenge.timeLimitMs) return 'timeUp';
+        if (!state.players[0].alive) return 'died';
+        return null;
+    }
+
+    // --- Simulation Step ---
+
+    // Advances the match by one tick.
+    // All deaths are determined from the positions at the start of the tick before any snake moves,
+    // so the outcome does not depend on player order.
+    // state: Object - The current game state (not modified).
+    // inputs: Array<string|null> - Requested direction per player index for this tick, or null for no change.
+    //         Requests that reverse a snake's current direction are ignored.
+    // random: function(): number - Random number source used when new food or items have to be placed.
+    // Returns: { state: Object, events: Array<Object> } - The next state and the events that occurred:
+    //   { type: 'death', playerIndex, cause: 'wall'|'obstacle'|'self'|'headOn'|'body', otherIndex? }
+    //   { type: 'eat', playerIndex, position }
+    //   { type: 'item', playerIndex, item, position } - A special item was picked up (item is its type)
+    //   { type: 'food', position }
+    //   { type: 'speed', speed }
+    //   { type: 'itemSpawn', item, position }
+    //   { type: 'itemExpired', item, position }
+    //   { type: 'lifeLost', playerIndex, lives } - Co-op: a dead player will come back; lives is what is left of the pool
+    //   { type: 'respawn', playerIndex, position } - Co-op: a player came back at their spawn point
+    //   { type: 'gameOver' } - In co-op, state.coop.result tells how the match ended; in a challenge, state.challenge.result
+    function step(state, inputs, random) {
+        const next = cloneState(state);
+        const events = [];
+        if (next.over) return { state: next, events: events };
+
+        // Co-op players who lost a life come back before anyone moves
+        if (next.coop) respawnPlayers(next, events);
+
+        // Apply direction inputs, rejecting 180-degree turns.
+        next.players.forEach((player, pIndex) => {
+            const requested = inputs ? inputs[pIndex] : null;
+            if (!player.alive || !isDirection(requested)) return;
+            if (player.direction !== OPPOSITE_DIRECTIONS[requested]) {
+                player.direction = requested;
+            }
+        });
+
+        // Calculate potential next head positions for all alive players.
+        // With wrap-around walls a head leaving the grid re-enters from the opposite edge.
+        const nextHeads = next.players.map(player => {
+            if (!player.alive) return null;
+            const vector = DIRECTION_VECTORS[player.direction];
+            const head = { x: player.snake[0].x + vector.x, y: player.snake[0].y + vector.y };
+            return next.walls === 'wrap' ? common.wrapPosition(head, next.width, next.height) : head;
+        });
+
+        // --- Collision Detection Phase ---
+        // Ghosts (players with an active ghost effect) only collide with the walls: they pass through
+        // obstacles, themselves and other snakes, and other snakes pass through them.
+        // Co-op teammates pass through each other, except for heads meeting under the 'headOn' rule.
+        const teamCollisions = next.coop ? next.coop.collisions : null;
+        const ghosts = next.players.map(player => isGhost(player, next.elapsedMs));
+        const dying = new Array(next.players.length).fill(false);
+        next.players.forEach((player, pIndex) => {
+            if (!player.alive) return;
+            const head = nextHeads[pIndex];
+
+            // 1. Wall collision (never happens with wrap-around walls, where heads are already wrapped)
+            if (common.checkWallCollision(head, next.width, next.height)) {
+                dying[pIndex] = true;
+                events.push({ type: 'death', playerIndex: pIndex, cause: 'wall' });
+                return;
+            }
+            if (ghosts[pIndex]) return;
+
+            // 2. Obstacle collision
+            if (common.checkObstacleCollision(head, next.obstacles)) {
+                dying[pIndex] = true;
+                events.push({ type: 'death', playerIndex: pIndex, cause: 'obstacle' });
+                return;
+            }
+
+            // 3. Self collision (against the current body, before the tail moves)
+            if (common.checkSelfCollision(head, player.snake)) {
+                dying[pIndex] = true;
+                events.push({ type: 'death', playerIndex: pIndex, cause: 'self' });
+                return;
+            }
+
+            // 4. Collisions with other alive players
+            if (teamCollisions === 'pass') return;
+            next.players.forEach((other, otherIndex) => {
+                if (otherIndex === pIndex || !other.alive || ghosts[otherIndex] || dying[pIndex]) return;
+                const otherHead = nextHeads[otherIndex];
+
+                // 4a. Head-to-head: both snakes move into the same cell and both die
+                if (head.x === otherHead.x && head.y === otherHead.y) {
+                    dying[pIndex] = true;
+                    events.push({ type: 'death', playerIndex: pIndex, cause: 'headOn', otherIndex: otherIndex });
+                    return;
+                }
+
+                // 4b. Head runs into any segment of the other snake's current body (including its head)
+                if (teamCollisions === null && common.isPositionOnSnake(head, other.snake)) {
+                    dying[pIndex] = true;
+                    events.push({ type: 'death', playerIndex: pIndex, cause: 'body', otherIndex: otherIndex });
+                }
+            });
+        });
+
+        // --- State Update Phase ---
+        let foodEaten = false;
+        const tickEndMs = next.elapsedMs + next.speed; // Match time once this tick is over; effects run from here
+        next.players.forEach((player, pIndex) => {
+            if (!player.alive) return;
+
+            if (dying[pIndex]) {
+                // Dying snakes freeze in place at the spot of the collision
+                player.alive = false;
+                player.deathTick = next.tick + 1;
+                if (next.coop && next.coop.lives > 0) {
+                    // The shared pool pays for the death; the snake comes back at its spawn point next tick
+                    next.coop.lives--;
+                    next.coop.respawning[pIndex] = true;
+                    events.push({ type: 'lifeLost', playerIndex: pIndex, lives: next.coop.lives });
+                }
+                return;
+            }
+
+            const head = nextHeads[pIndex];
+            const itemIndex = next.items.findIndex(item => item.x === head.x && item.y === head.y);
+            const item = itemIndex >= 0 ? next.items.splice(itemIndex, 1)[0] : null; // Picked up items leave the board
+
+            if (next.food && head.x === next.food.x && head.y === next.food.y) {
+                player.score++; // Eating grows the snake: the tail is kept this tick
+                player.eaten++;
+                foodEaten = true;
+                events.push({ type: 'eat', playerIndex: pIndex, position: { x: head.x, y: head.y } });
+            } else if (item && item.type === 'bonus') {
+                player.score += ITEM_TYPES.bonus.points; // Bonus food grows the snake like regular food
+                player.eaten++;
+            } else {
+                player.snake.pop(); // Plain movement: drop the tail
+            }
+            player.snake.unshift(head);
+
+            if (!item) return;
+            if (item.type === 'shrink') {
+                // Drop tail segments, always keeping the head
+                for (let i = 0; i < ITEM_TYPES.shrink.segments && player.snake.length > 1; i++) player.snake.pop();
+            } else if (item.type === 'slow') {
+                next.slowUntilMs = tickEndMs + ITEM_TYPES.slow.durationMs;
+            } else if (item.type === 'ghost') {
+                player.ghostUntilMs = tickEndMs + ITEM_TYPES.ghost.durationMs;
+            }
+            events.push({ type: 'item', playerIndex: pIndex, item: item.type, position: { x: head.x, y: head.y } });
+        });
+
+        // The time for this tick is the interval that was in effect while it was pending.
+        next.elapsedMs += next.speed;
+        next.tick++;
+
+        // Items that were not picked up in time disappear
+        next.items = next.items.filter(item => {
+            if (item.expiresAtMs > next.elapsedMs) return true;
+            events.push({ type: 'itemExpired', item: item.type, position: { x: item.x, y: item.y } });
+            return false;
+        });
+
+        if (foodEaten) {
+            next.food = findFoodPosition(next, random);
+            events.push({ type: 'food', position: next.food });
+        }
+
+        // Speed follows the food eaten and the slow-down effect
+        const speed = calculateSpeed(next);
+        if (foodEaten || speed !== next.speed) {
+            next.speed = speed;
+            events.push({ type: 'speed', speed: next.speed });
+        }
+
+        if (foodEaten && next.itemsEnabled) {
+            const item = spawnItem(next, random);
+            if (item) events.push({ type: 'itemSpawn', item: item.type, position: { x: item.x, y: item.y } });
+        }
+
+        if (next.coop) {
+            next.coop.result = getCoopResult(next);
+            if (next.coop.result) {
+                next.over = true;
+                events.push({ type: 'gameOver' });
+            }
+        } else if (next.challenge) {
+            next.challenge.result = getChallengeResult(next);
+            if (next.challenge.result) {
+                next.over = true;
+                events.push({ type: 'gameOver' });
+            }
+        } else if (!next.players.some(p => p.alive)) {
+            next.over = true;
+            events.push({ type: 'gameOver' });
+        }
+
+        return { state: next, events: events };
+    }
+
+    // --- Public API ---
+    return {
+        DIRECTION_VECTORS: DIRECTION_VECTORS,
+        OPPOSITE_DIRECTIONS: OPPOSITE_DIRECTIONS,
+        SPEED_SETTINGS: SPEED_SETTINGS,
+        MAX_QUEUED_DIRECTIONS: MAX_QUEUED_DIRECTIONS,
+        ITEM_TYPES: ITEM_TYPES,
+        COOP_RULES: COOP_RULES,
+        COOP_COLLISIONS: COOP_COLLISIONS,
+        CHALLENGES: CHALLENGES,
+        getSpeedSettings: getSpeedSettings,
+        isDirection: isDirection,
+        queueDirection: queueDirection,
+        createGame: createGame,
+        cloneState: cloneState,
+        placeFood: placeFood,
+        isGhost: isGhost,
+        getTeamScore: getTeamScore,
+        step: step
+    };
+}));
@@ -0,0 +1,79 @@
+﻿/*
+ * File: gameloop.js
+ * Description: Fixed-timestep game loop driven by requestAnimationFrame.
+ * Real time is collected in an accumulator every animation frame and spent on whole simulation ticks,
+ * each as long as the interval the caller reports for it (the engine's current speed). Rendering happens
+ * once per frame with the fraction of the next tick that has already elapsed, so the renderer can
+ * interpolate between the previous and the current state. Ticks are therefore exactly as long as the
+ * difficulty and score rules say, independent of the display refresh rate and of timer drift.
+ * Used by the single player, two player and replay pages.
+ */
+
+const SnakeLoop = (function () {
+    // Longest stretch of real time handled in one frame (milliseconds). After a long stall (e.g. a
+    // background tab) the simulation resumes instead of fast-forwarding through the missed time.
+    const MAX_FRAME_TIME = 250;
+
+    // Creates a stopped loop.
+    // callbacks: {
+    //   getInterval: function(): number - Length of the next tick in milliseconds (read before every tick),
+    //   tick: function(): boolean - Advances the simulation by one tick. Return false to stop the loop
+    //         (e.g. the match ended); no further ticks or frames run after that,
+    //   render: function(alpha: number) - Draws the current state. alpha (0 to 1) is the fraction of the
+    //         next tick that has elapsed, for interpolating between the previous and the current state.
+    // }
+    // Returns: { start, stop, isRunning } - Controls for the loop.
+    function createLoop(callbacks) {
+        let frameId = null; // ID returned by requestAnimationFrame (null while stopped)
+        let lastFrameTime = null; // Timestamp of the previous frame
+        let accumulator = 0; // Real time not yet spent on ticks (milliseconds)
+
+        function frame(now) {
+            frameId = null;
+            if (lastFrameTime === null) lastFrameTime = now; // First frame after start(): no time has passed yet
+            accumulator += Math.min(now - lastFrameTime, MAX_FRAME_TIME);
+            lastFrameTime = now;
+
+            // Spend the accumulated time on whole ticks. The interval is read again for every tick,
+            // since a tick can change the speed for the ones after it.
+            let interval = callbacks.getInterval();
+            while (accumulator >= interval) {
+                accumulator -= interval;
+                if (callbacks.tick() === false) {
+                    stop();
+                    callbacks.render(0);
+                    return;
+                }
+                interval = callbacks.getInterval();
+            }
+
+            callbacks.render(Math.min(accumulator / interval, 1));
+            frameId = requestAnimationFrame(frame);
+        }
+
+        // Starts (or restarts) the loop. The first tick happens one full interval after starting.
+        function start() {
+            stop();
+            lastFrameTime = null;
+            accumulator = 0;
+            frameId = requestAnimationFrame(frame);
+        }
+
+        // Stops the loop. Time that passes while stopped is never simulated.
+        function stop() {
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+
+        // Checks whether the loop is currently running.
+        function isRunning() {
+            return frameId !== null;
+        }
+
+        return { start: start, stop: stop, isRunning: isRunning };
+    }
+
+    return {
+        createLoop: createLoop
+    };
+})();
\ No newline at end of file
@@ -0,0 +1,108 @@
+﻿/*
+ * File: gamepad.js
+ * Description: Gamepad (Gamepad API) input for the game pages.
+ * Browsers do not send events for gamepad buttons, so connected gamepads are polled on every animation frame.
+ * The D-pad or the left analog stick steers (a new direction is reported once when it is first pushed),
+ * and Start is reported once per press. Buttons follow the browser's "standard" gamepad mapping.
+ * Polling only runs while at least one gamepad is connected. A gamepad that disappears between frames
+ * is simply skipped, so unplugging one during a match never interrupts the page.
+ * Used by the single player and two player pages.
+ */
+
+const SnakeGamepad = (function () {
+    // Standard mapping button indices
+    const BUTTON_START = 9;
+    const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+    // How far the analog stick has to be pushed (0 to 1) before it counts as a direction
+    const STICK_DEADZONE = 0.5;
+
+    // Returns the direction a gamepad is currently pushed in ('up', 'down', 'left', 'right'), or null.
+    // The D-pad wins over the stick; on the stick the axis pushed further wins.
+    function readDirection(pad) {
+        for (const direction of Object.keys(DPAD_BUTTONS)) {
+            const button = pad.buttons[DPAD_BUTTONS[direction]];
+            if (button && button.pressed) return direction;
+        }
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+        if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+        return y > 0 ? 'down' : 'up';
+    }
+
+    // Returns the connected gamepads (the browser's list has empty slots), or an empty list without gamepad support.
+    function getConnectedGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return [];
+        try {
+            return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+        } catch (error) {
+            return []; // E.g. blocked by the page's permissions policy
+        }
+    }
+
+    // Starts watching gamepads.
+    // callbacks: {
+    //   onConnect: function(index: number, id: string) - A gamepad was connected (index is the browser's gamepad index),
+    //   onDisconnect: function(index: number, id: string) - A gamepad was disconnected,
+    //   onDirection: function(index: number, direction: string) - A gamepad was pushed in a new direction,
+    //   onStart: function(index: number) - Start was pressed
+    // }
+    // Every callback is optional.
+    // Returns: { stop } - stop() removes the listeners and ends polling.
+    function createPoller(callbacks) {
+        const padStates = {}; // Last polled { direction, start } per gamepad index
+        let frameId = null; // ID returned by requestAnimationFrame (null while not polling)
+
+        function poll() {
+            frameId = null;
+            const pads = getConnectedGamepads();
+            pads.forEach(pad => {
+                const last = padStates[pad.index] || (padStates[pad.index] = { direction: null, start: false });
+
+                const direction = readDirection(pad);
+                if (direction !== null && direction !== last.direction && callbacks.onDirection) callbacks.onDirection(pad.index, direction);
+                last.direction = direction;
+
+                const startButton = pad.buttons[BUTTON_START];
+                const start = !!(startButton && startButton.pressed);
+                if (start && !last.start && callbacks.onStart) callbacks.onStart(pad.index);
+                last.start = start;
+            });
+            if (pads.length > 0) frameId = requestAnimationFrame(poll);
+        }
+
+        function startPolling() {
+            if (frameId === null) frameId = requestAnimationFrame(poll);
+        }
+
+        function handleConnected(e) {
+            padStates[e.gamepad.index] = { direction: null, start: false };
+            if (callbacks.onConnect) callbacks.onConnect(e.gamepad.index, e.gamepad.id);
+            startPolling();
+        }
+
+        function handleDisconnected(e) {
+            delete padStates[e.gamepad.index];
+            if (callbacks.onDisconnect) callbacks.onDisconnect(e.gamepad.index, e.gamepad.id);
+        }
+
+        window.addEventListener('gamepadconnected', handleConnected);
+        window.addEventListener('gamepaddisconnected', handleDisconnected);
+        // Gamepads the page already knows about (e.g. after a reload) are polled right away
+        if (getConnectedGamepads().length > 0) startPolling();
+
+        function stop() {
+            window.removeEventListener('gamepadconnected', handleConnected);
+            window.removeEventListener('gamepaddisconnected', handleDisconnected);
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+
+        return { stop: stop };
+    }
+
+    return {
+        readDirection: readDirection,
+        createPoller: createPoller
+    };
+})();
@@ -0,0 +1,307 @@
+﻿/*
+ * File: levels.js
+ * Description: Level (obstacle map) format, the built-in levels and custom level loading.
+ * A level is a JSON object describing the board of a match:
+ *   {
+ *     "version": 1,
+ *     "name": "十字路口",
+ *     "width": 30, "height": 20,               // Board size in cells
+ *     "walls": "solid",                        // 'solid' or 'wrap' (optional, default 'solid')
+ *     "obstacles": [[x, y], ...],              // Blocked cells; running into one kills the snake
+ *     "spawns": [{ "x": 7, "y": 10, "direction": "right" }, ...] // Start cell and direction per player
+ *   }
+ * Levels are selected with the 'level' URL parameter: the id of a built-in level, or 'custom' for the
+ * level file loaded on the mode selection page (kept in local storage).
+ * Exposed as the global SnakeLevels in the browser and via module.exports in Node.
+ * Relies on common.js (board limits, wall modes) and engine.js (SnakeEngine.isDirection).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./common.js'), require('./engine.js')); // Node: load dependencies as modules
+    } else {
+        // Browser: common.js and engine.js are loaded first and declare their APIs as globals
+        root.SnakeLevels = factory({ MIN_BOARD_DIMENSION, MAX_BOARD_DIMENSION, WALL_MODES }, root.SnakeEngine);
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (common, engine) {
+    'use strict';
+
+    // --- Constants ---
+    const LEVEL_VERSION = 1; // Bumped whenever the level format changes incompatibly
+    const CUSTOM_LEVEL_ID = 'custom'; // 'level' URL parameter value selecting the loaded level file
+    const CUSTOM_LEVEL_STORAGE_KEY = 'snakeCustomLevel'; // Local storage key holding the loaded level file
+    // At least this share of the board must stay free of obstacles and spawn points, so snakes have room
+    // to grow and food can always be placed.
+    const MIN_FREE_CELL_RATIO = 0.5;
+
+    // --- Built-in Levels ---
+
+    // Returns the cells of a horizontal or vertical line of obstacles, both ends included.
+    function lineCells(x1, y1, x2, y2) {
+        const cells = [];
+        for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+            for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+                cells.push([x, y]);
+            }
+        }
+        return cells;
+    }
+
+    // Returns the cells of a filled rectangle of obstacles.
+    function blockCells(x, y, width, height) {
+        return lineCells(x, y, x + width - 1, y + height - 1);
+    }
+
+    // The levels offered on the mode selection page, keyed by id. All of them fit the classic 30 x 20 board
+    // and have four spawns, so they can be played in every mode with up to four players.
+    const BUILT_IN_LEVELS = {
+        'box': {
+            version: LEVEL_VERSION,
+            name: '回字迷宫',
+            width: 30, height: 20, walls: 'solid',
+            // A ring in the middle of the board with an opening on each side
+            obstacles: [
+                ...lineCells(8, 5, 13, 5), ...lineCells(16, 5, 21, 5),
+                ...lineCells(8, 14, 13, 14), ...lineCells(16, 14, 21, 14),
+                ...lineCells(8, 6, 8, 8), ...lineCells(8, 11, 8, 13),
+                ...lineCells(21, 6, 21, 8), ...lineCells(21, 11, 21, 13)
+            ],
+            spawns: [{ x: 3, y: 2, direction: 'right' }, { x: 26, y: 17, direction: 'left' }, { x: 26, y: 2, direction: 'down' }, { x: 3, y: 17, direction: 'up' }]
+        },
+        'cross': {
+            version: LEVEL_VERSION,
+            name: '十字路口',
+            width: 30, height: 20, walls: 'solid',
+            // A cross with an open center
+            obstacles: [
+                ...lineCells(15, 3, 15, 7), ...lineCells(15, 13, 15, 16),
+                ...lineCells(5, 10, 11, 10), ...lineCells(19, 10, 24, 10)
+            ],
+            spawns: [{ x: 3, y: 1, direction: 'right' }, { x: 26, y: 18, direction: 'left' }, { x: 26, y: 1, direction: 'down' }, { x: 3, y: 18, direction: 'up' }]
+        },
+        'pillars': {
+            version: LEVEL_VERSION,
+            name: '石柱阵',
+            width: 30, height: 20, walls: 'solid',
+            // Twelve 2 x 2 pillars in a regular grid
+            obstacles: [5, 11, 17, 23].flatMap(x => [4, 9, 14].flatMap(y => blockCells(x, y, 2, 2))),
+            spawns: [{ x: 2, y: 1, direction: 'right' }, { x: 27, y: 18, direction: 'left' }, { x: 27, y: 1, direction: 'down' }, { x: 2, y: 18, direction: 'up' }]
+        },
+        'corridors': {
+            version: LEVEL_VERSION,
+            name: '长廊',
+            width: 30, height: 20, walls: 'solid',
+            // Two long walls splitting the board into three lanes that meet at both ends
+            obstacles: [...lineCells(4, 6, 25, 6), ...lineCells(4, 13, 25, 13)],
+            spawns: [{ x: 7, y: 10, direction: 'right' }, { x: 22, y: 9, direction: 'left' }, { x: 7, y: 3, direction: 'right' }, { x: 22, y: 16, direction: 'left' }]
+        },
+        'tunnels': {
+            version: LEVEL_VERSION,
+            name: '穿墙隧道',
+            width: 30, height: 20, walls: 'wrap',
+            // The board edge is walled off except for a tunnel in the middle of each side,
+            // through which the snake wraps to the opposite edge
+            obstacles: [
+                ...lineCells(0, 0, 12, 0), ...lineCells(17, 0, 29, 0),
+                ...lineCells(0, 19, 12, 19), ...lineCells(17, 19, 29, 19),
+                ...lineCells(0, 1, 0, 7), ...lineCells(0, 12, 0, 18),
+                ...lineCells(29, 1, 29, 7), ...lineCells(29, 12, 29, 18)
+            ],
+            spawns: [{ x: 7, y: 10, direction: 'right' }, { x: 22, y: 9, direction: 'left' }, { x: 7, y: 4, direction: 'right' }, { x: 22, y: 15, direction: 'left' }]
+        }
+    };
+
+    // Returns the built-in level with the given id, or null if there is none.
+    function getBuiltInLevel(id) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_LEVELS, id) ? BUILT_IN_LEVELS[id] : null;
+    }
+
+    // --- Validation ---
+
+    // Checks that a parsed JSON object is a level this version can play.
+    // level: Object - The level to check.
+    // playerCount: number - How many players need a spawn point (1 for single player, 2 for two players).
+    // Returns: string | null - A description of the problem, or null if the level is usable.
+    function validateLevel(level, playerCount = 1) {
+        if (!level || typeof level !== 'object') return 'not an object';
+        if (level.version !== LEVEL_VERSION) return `unsupported version ${level.version}`;
+        if (level.name !== undefined && typeof level.name !== 'string') return 'invalid name';
+
+        const inLimits = (value) => Number.isInteger(value) && value >= common.MIN_BOARD_DIMENSION && value <= common.MAX_BOARD_DIMENSION;
+        if (!inLimits(level.width) || !inLimits(level.height)) {
+            return `board size must be between ${common.MIN_BOARD_DIMENSION} and ${common.MAX_BOARD_DIMENSION} cells`;
+        }
+        if (level.walls !== undefined && !common.WALL_MODES.includes(level.walls)) return `unknown wall mode ${level.walls}`;
+
+        const onBoard = (x, y) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < level.width && y >= 0 && y < level.height;
+        if (!Array.isArray(level.obstacles)) return 'missing obstacles';
+        const blocked = new Set();
+        for (const cell of level.obstacles) {
+            if (!Array.isArray(cell) || cell.length !== 2 || !onBoard(cell[0], cell[1])) return `invalid obstacle ${JSON.stringify(cell)}`;
+            blocked.add(cell[1] * level.width + cell[0]);
+        }
+
+        if (!Array.isArray(level.spawns)) return 'missing spawns';
+        if (level.spawns.length < playerCount) return `needs at least ${playerCount} spawn point(s)`;
+        const taken = new Set();
+        for (const spawn of level.spawns) {
+            if (!spawn || !onBoard(spawn.x, spawn.y)) return `invalid spawn ${JSON.stringify(spawn)}`;
+            if (!engine.isDirection(spawn.direction)) return `invalid spawn direction ${spawn.direction}`;
+            const key = spawn.y * level.width + spawn.x;
+            if (blocked.has(key)) return `spawn ${spawn.x},${spawn.y} is on an obstacle`;
+            if (taken.has(key)) return `two spawns at ${spawn.x},${spawn.y}`;
+            taken.add(key);
+        }
+
+        const cellCount = level.width * level.height;
+        const freeCells = cellCount - blocked.size - taken.size;
+        if (freeCells < Math.ceil(cellCount * MIN_FREE_CELL_RATIO)) {
+            return `too few free cells for food (${freeCells} of ${cellCount}, at least ${Math.round(MIN_FREE_CELL_RATIO * 100)}% needed)`;
+        }
+        return null;
+    }
+
+    // Parses the text of a level file.
+    // text: string - The file content.
+    // playerCount: number - Minimum number of spawn points the level needs (see validateLevel).
+    // Returns: Object - The level.
+    // Throws: Error if the text is not valid JSON or not a usable level.
+    function parseLevel(text, playerCount = 1) {
+        const level = JSON.parse(text);
+        const problem = validateLevel(level, playerCount);
+        if (problem) throw new Error(`Invalid level: ${problem}`);
+        return level;
+    }
+
+    // --- Engine Configuration ---
+
+    // Builds a SnakeEngine.createGame() configuration that plays a match on a level.
+    // level: Object - A valid level (see validateLevel).
+    // mode: string - 'singleplayer' or 'twoplayer'.
+    // difficulty: string - Difficulty level.
+    // players: Array<Object> - Presentation properties (name, color) per player; player i starts at spawn i.
+    // Returns: Object - The engine configuration.
+    function createLevelConfig(level, mode, difficulty, players) {
+        return {
+            mode: mode,
+            difficulty: difficulty,
+            width: level.width,
+            height: level.height,
+            walls: level.walls === 'wrap' ? 'wrap' : 'solid',
+            obstacles: level.obstacles.map(([x, y]) => ({ x: x, y: y })),
+            players: players.map((player, pIndex) => ({
+                ...player,
+                spawn: { x: level.spawns[pIndex].x, y: level.spawns[pIndex].y },
+                direction: level.spawns[pIndex].direction
+            }))
+        };
+    }
+
+    // Finds out which level an engine configuration was built from.
+    // Used to label recordings and leaderboard entries, so it only trusts the layout itself:
+    // the board size, wall mode, obstacles and every player's spawn must match the built-in level exactly.
+    // config: Object - An engine configuration (e.g. from a match recording).
+    // Returns: string - The built-in level id, '' for a plain board without obstacles, or 'custom'.
+    function identifyLevel(config) {
+        const obstacles = Array.isArray(config.obstacles) ? config.obstacles : [];
+        if (obstacles.length === 0) return '';
+
+        const cellKeys = (cells) => cells.map(cell => `${cell.x},${cell.y}`).sort().join(';');
+        const configObstacles = cellKeys(obstacles);
+        const players = config.players || [];
+        const match = Object.keys(BUILT_IN_LEVELS).find(id => {
+            const level = BUILT_IN_LEVELS[id];
+            return config.width === level.width && config.height === level.height &&
+                (config.walls === 'wrap' ? 'wrap' : 'solid') === level.walls &&
+                cellKeys(level.obstacles.map(([x, y]) => ({ x: x, y: y }))) === configObstacles &&
+                players.length <= level.spawns.length &&
+                players.every((player, pIndex) => {
+                    const spawn = level.spawns[pIndex];
+                    return player.spawn && player.spawn.x === spawn.x && player.spawn.y === spawn.y && player.direction === spawn.direction;
+                });
+        });
+        return match || CUSTOM_LEVEL_ID;
+    }
+
+    // Returns the display name of a level id as returned by identifyLevel().
+    function describeLevel(id) {
+        if (!id) return '';
+        const level = getBuiltInLevel(id);
+        return level ? level.name : '自定义关卡';
+    }
+
+    // --- Browser Storage ---
+    // A custom level file is loaded on the mode selection page and kept in local storage, so the game pages
+    // only need 'level=custom' in the URL.
+
+    // Stores a (validated) custom level for the game pages.
+    function storeCustomLevel(level) {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(CUSTOM_LEVEL_STORAGE_KEY, JSON.stringify(level));
+        } catch (e) {
+            console.warn('Custom level could not be stored:', e); // e.g. storage quota exceeded
+        }
+    }
+
+    // Loads the stored custom level. Returns null when there is none or it is no longer usable.
+    function loadCustomLevel(playerCount = 1) {
+        if (typeof localStorage === 'undefined') return null;
+        const stored = localStorage.getItem(CUSTOM_LEVEL_STORAGE_KEY);
+        if (!stored) return null;
+        try {
+            return parseLevel(stored, playerCount);
+        } catch (e) {
+            console.warn('Stored custom level could not be read:', e);
+            return null;
+        }
+    }
+
+    // Offers a level to the user as a JSON file download.
+    function downloadLevel(level) {
+        const blob = new Blob([JSON.stringify(level)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snake-level-${(level.name || 'custom').replace(/[\\/:*?"<>|\s]+/g, '_')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Reads the level selected with the 'level' URL parameter.
+    // params: URLSearchParams - The page's URL parameters.
+    // playerCount: number - How many players need a spawn point.
+    // Returns: { id: string, level: Object } | null - The level and its id ('custom' for a level file),
+    //          or null when no level (or an unusable one) was selected; the page then uses a plain board.
+    function getSelectedLevel(params, playerCount = 1) {
+        const id = params.get('level');
+        if (!id) return null;
+
+        const level = id === CUSTOM_LEVEL_ID ? loadCustomLevel(playerCount) : getBuiltInLevel(id);
+        if (!level || validateLevel(level, playerCount)) {
+            console.warn(`Level '${id}' is not available for ${playerCount} player(s), using a plain board.`);
+            return null;
+        }
+        return { id: id, level: level };
+    }
+
+    // --- Public API ---
+    return {
+        LEVEL_VERSION: LEVEL_VERSION,
+        CUSTOM_LEVEL_ID: CUSTOM_LEVEL_ID,
+        MIN_FREE_CELL_RATIO: MIN_FREE_CELL_RATIO,
+        BUILT_IN_LEVELS: BUILT_IN_LEVELS,
+        getBuiltInLevel: getBuiltInLevel,
+        validateLevel: validateLevel,
+        parseLevel: parseLevel,
+        createLevelConfig: createLevelConfig,
+        identifyLevel: identifyLevel,
+        describeLevel: describeLevel,
+        storeCustomLevel: storeCustomLevel,
+        loadCustomLevel: loadCustomLevel,
+        downloadLevel: downloadLevel,
+        getSelectedLevel: getSelectedLevel
+    };
+}));
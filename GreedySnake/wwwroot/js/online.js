@@ -0,0 +1,452 @@
+﻿/*
+ * File: online.js
+ * Description: Contains the client of the online versus mode (two players on different machines).
+ * One player creates a room with the difficulty, board and level chosen on the mode selection page and
+ * shares the room code; the other player joins with the code. The match itself runs on the server with the
+ * same engine (see Services/OnlineMatchService.cs): this page only sends its own direction changes and
+ * draws the states the server sends every tick, interpolated between the last two ticks.
+ * Every tick is also logged in a match recording, so finished matches can be watched on the replay page.
+ * There is no pause in online matches. After a match both players can ask for a rematch in the same room.
+ * Does NOT submit scores to the leaderboard.
+ * Relies on common.js for helper functions and constants, engine.js for the game rules,
+ * levels.js for obstacle maps, renderer.js for drawing, touch.js for swipes and the on-screen D-pad
+ * and recording.js for match recordings.
+ */
+
+// Execute script after the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('game-canvas'); // The main game canvas element
+    const ctx = canvas.getContext('2d'); // The 2D rendering context for drawing on the canvas
+
+    // --- UI Element References ---
+    const createRoomButton = document.getElementById('create-room-button'); // Creates a room with this page's settings
+    const roomCodeInput = document.getElementById('room-code-input'); // Code of the room to join
+    const joinRoomButton = document.getElementById('join-room-button'); // Joins the room in the code input
+    const roomInfoElement = document.getElementById('room-info'); // Shows the room code and the share link
+    const pingSpan = document.getElementById('ping-display'); // Round trip time to the server
+    const p1ScoreSpan = document.getElementById('p1-current-score'); // Span displaying Player 1's score
+    const p2ScoreSpan = document.getElementById('p2-current-score'); // Span displaying Player 2's score
+    const survivalTimeSpan = document.getElementById('current-survival-time'); // Span displaying the match survival time
+    const messageElement = document.getElementById('message-area'); // Element for displaying general game messages
+    const gameResultArea = document.getElementById('game-result-area'); // Element for displaying final game results
+    const rematchButton = document.getElementById('rematch-button'); // Asks for another match in the same room
+
+    // --- Constants ---
+    const PING_INTERVAL = 2000; // Milliseconds between pings (the server drops clients that stay silent)
+    const PLAYER_LABELS = ['玩家一 (蓝色)', '玩家二 (红色)']; // Seat labels shown in the results
+    const keyBindings = loadKeyBindings().single; // Movement keys, set on the mode selection page (see common.js)
+    // Chinese messages for the error codes sent by the server
+    const ERROR_MESSAGES = {
+        roomNotFound: '房间不存在，请检查房间号。',
+        roomFull: '房间已满。',
+        invalidConfig: '服务器拒绝了对局设置。',
+        alreadyInRoom: '你已经在一个房间中。',
+        badMessage: '服务器无法识别该消息。',
+        matchFailed: '服务器出错，对局已中止。',
+        serverFull: '服务器房间已满，请稍后再试。',
+        roomExpired: '房间长时间没有对局，已关闭。可以创建或加入新的房间。'
+    };
+
+    // --- Game State Variables ---
+    let socket = null; // WebSocket connection to the server
+    let pingTimer = null; // Interval ID of the ping timer
+    let roomCode = null; // Code of the room this page is in (null if none)
+    let seat = null; // This player's seat (player index) in the room
+    let game; // Latest match state sent by the server
+    let previousGame = null; // Match state of the previous tick, used to interpolate the snakes between ticks
+    let lastTickTime = 0; // Timestamp (performance.now) when the latest tick arrived
+    let startTime = 0; // Timestamp (performance.now) when the first tick of the match is due
+    let frameId = null; // ID returned by requestAnimationFrame (null while no match is shown)
+    let timesOfDeath = [null, null]; // Simulated match time (milliseconds) at each player's death (null if alive)
+    let isGameRunning = false; // Flag indicating if a match is currently running
+    let matchSeed = null; // Seed of the current/last match, shown in the result area
+    let recording = null; // Recording of the current/last match (seed, configuration and direction changes)
+
+
+    // --- Initialization ---
+    // Reads the match settings from the URL, draws the empty board and connects to the server.
+    function initOnline() {
+        console.log("Online game initializing...");
+
+        const config = createOnlineConfig();
+        resizeCanvasForBoard(canvas, config.width, config.height); // Size the canvas for the selected board
+        game = SnakeEngine.createGame(config);
+        updateScoreDisplays();
+        updateMatchTimeDisplay();
+        draw();
+
+        connect();
+    }
+
+    // --- Match Configuration ---
+    // Builds the configuration of a room created from this page, from the 'difficulty', 'board' and 'level'
+    // URL parameters, exactly like the local two player page does. The server checks it and sends it back
+    // to both players when the match starts, so the player who joins plays on the creator's settings.
+    function createOnlineConfig() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const difficulty = urlParams.get('difficulty') || 'easy';
+        const selectedLevel = SnakeLevels.getSelectedLevel(urlParams, 2); // The level needs two spawn points
+        // Player 1 (Blue) is the room's creator, player 2 (Red) the player who joined
+        const players = PLAYER_PRESETS.slice(0, 2).map(preset => ({ color: preset.color, name: preset.name }));
+        if (selectedLevel) {
+            return { ...SnakeLevels.createLevelConfig(selectedLevel.level, 'twoplayer', difficulty, players), items: true };
+        }
+        const board = parseBoardSettings(urlParams);
+        const spawns = createPlayerSpawns(board.width, board.height, 2);
+        return {
+            mode: 'twoplayer',
+            difficulty: difficulty,
+            width: board.width,
+            height: board.height,
+            walls: board.walls,
+            items: true, // Spawn bonus food and power-ups
+            players: players.map((player, pIndex) => ({ spawn: spawns[pIndex].spawn, direction: spawns[pIndex].direction, ...player }))
+        };
+    }
+
+
+    // --- Connection ---
+    // Opens the WebSocket to the server. A room code in the 'room' URL parameter (a shared link) is joined right away.
+    function connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        socket = new WebSocket(`${protocol}//${window.location.host}/ws/online`);
+        messageElement.textContent = '正在连接服务器...';
+        setLobbyEnabled(false);
+
+        socket.addEventListener('open', () => {
+            console.log("Connected to the online server.");
+            messageElement.textContent = '创建房间，或输入房间号加入对手的房间。';
+            setLobbyEnabled(true);
+            pingTimer = setInterval(() => send({ type: 'ping', time: performance.now() }), PING_INTERVAL);
+            send({ type: 'ping', time: performance.now() });
+
+            const sharedCode = new URLSearchParams(window.location.search).get('room');
+            if (sharedCode) {
+                roomCodeInput.value = sharedCode;
+                joinRoom();
+            }
+        });
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                console.error("Invalid message from the server:", e.data);
+                return;
+            }
+            handleMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            console.log("Disconnected from the online server.");
+            clearInterval(pingTimer);
+            stopRendering();
+            isGameRunning = false;
+            setLobbyEnabled(false);
+            rematchButton.style.display = 'none';
+            messageElement.textContent = '与服务器的连接已断开，刷新页面重新连接。';
+        });
+    }
+
+    // Sends a message to the server if the connection is open.
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    }
+
+    // Enables the lobby controls while the page is connected and not in a room.
+    function setLobbyEnabled(enabled) {
+        const canUse = enabled && roomCode === null;
+        createRoomButton.disabled = !canUse;
+        joinRoomButton.disabled = !canUse;
+        roomCodeInput.disabled = !canUse;
+    }
+
+    // Creates a room with this page's match configuration.
+    function createRoom() {
+        send({ type: 'create', config: createOnlineConfig() });
+        setLobbyEnabled(false);
+    }
+
+    // Joins the room whose code is in the code input.
+    function joinRoom() {
+        const code = roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            messageElement.textContent = '请输入房间号！';
+            return;
+        }
+        send({ type: 'join', code: code });
+        setLobbyEnabled(false);
+    }
+
+    // Handles a message from the server (see Services/OnlineMatchService.cs for the message types).
+    function handleMessage(message) {
+        switch (message.type) {
+            case 'pong':
+                if (pingSpan) pingSpan.textContent = Math.round(performance.now() - message.time);
+                break;
+            case 'created':
+                enterRoom(message.code, message.seat);
+                messageElement.textContent = '房间已创建，等待对手加入...';
+                break;
+            case 'joined':
+                enterRoom(message.code, message.seat);
+                messageElement.textContent = '已加入房间。';
+                break;
+            case 'start':
+                startMatch(message);
+                break;
+            case 'tick':
+                applyTick(message);
+                break;
+            case 'rematch':
+                messageElement.textContent = '对手想再来一局，点击“再来一局”开始。';
+                break;
+            case 'opponentLeft':
+                console.log("The opponent left the room.");
+                if (isGameRunning) {
+                    isGameRunning = false;
+                    stopRendering();
+                    draw();
+                }
+                leaveRoom();
+                messageElement.textContent = '对手已离开，房间已关闭。可以创建或加入新的房间。';
+                break;
+            case 'error':
+                console.error(`Server error ${message.code}: ${message.message}`);
+                messageElement.textContent = ERROR_MESSAGES[message.code] || '服务器错误: ' + message.message;
+                if (message.code === 'matchFailed') {
+                    isGameRunning = false;
+                    stopRendering();
+                    rematchButton.style.display = 'inline-block';
+                }
+                if (message.code === 'roomExpired') leaveRoom();
+                setLobbyEnabled(true);
+                break;
+        }
+    }
+
+    // Remembers the room and seat and shows the room code with a link the other player can open.
+    function enterRoom(code, seatIndex) {
+        roomCode = code;
+        seat = seatIndex;
+        const link = `${window.location.origin}/online.html?room=${encodeURIComponent(code)}`;
+        roomInfoElement.innerHTML = `房间号: <strong>${escapeHTML(code)}</strong> | 你是 ${escapeHTML(PLAYER_LABELS[seat])} | 邀请链接: <code>${escapeHTML(link)}</code>`;
+        setLobbyEnabled(false);
+    }
+
+    // Forgets the room after it was closed, so a new one can be created or joined.
+    function leaveRoom() {
+        roomCode = null;
+        seat = null;
+        roomInfoElement.textContent = '';
+        rematchButton.style.display = 'none';
+        setLobbyEnabled(true);
+    }
+
+
+    // --- Match ---
+    // Starts showing a new match from the server's 'start' message (seed, configuration and initial state).
+    function startMatch(message) {
+        console.log(`Online match starting. Seed: ${message.seed}`);
+        matchSeed = message.seed;
+        recording = SnakeRecording.createRecording(message.config, message.seed); // Record the match for the replay page
+        resizeCanvasForBoard(canvas, message.config.width, message.config.height);
+        game = message.state;
+        previousGame = null;
+        timesOfDeath = [null, null];
+        isGameRunning = true;
+        startTime = performance.now() + message.startsInMs;
+        lastTickTime = startTime;
+
+        gameResultArea.textContent = ''; // Clear previous game results display
+        rematchButton.style.display = 'none';
+        updateScoreDisplays();
+        updateMatchTimeDisplay();
+        startRendering();
+    }
+
+    // Applies one tick sent by the server: logs it in the recording, times deaths and updates the displays.
+    function applyTick(message) {
+        if (!isGameRunning) return;
+
+        SnakeRecording.recordTick(recording, game, message.state); // Log the direction changes played this tick
+        previousGame = game; // Kept for interpolated drawing
+        game = message.state;
+        lastTickTime = performance.now();
+        messageElement.textContent = '';
+
+        message.events.forEach(event => {
+            switch (event.type) {
+                case 'death': {
+                    timesOfDeath[event.playerIndex] = game.elapsedMs; // Record the match time of death
+                    const other = event.otherIndex !== undefined ? ` (${game.players[event.otherIndex].name})` : '';
+                    debugLog(`${game.players[event.playerIndex].name} confirmed dead: ${event.cause}${other}.`);
+                    break;
+                }
+                case 'item': debugLog(`${game.players[event.playerIndex].name} picked up ${event.item} item.`); break;
+                case 'speed': debugLog(`New speed: ${event.speed}ms`); break;
+            }
+        });
+
+        updateScoreDisplays();
+        updateMatchTimeDisplay();
+        if (game.over) gameOver();
+    }
+
+    // Ends the current match: shows the results, keeps the recording and offers a rematch.
+    function gameOver() {
+        console.log("Online Game Over!");
+        isGameRunning = false;
+        stopRendering();
+        draw(); // Final draw with the dead snakes in grey
+
+        // Survival times come from the server's simulated match time, like in the local two player mode
+        const players = game.players.map((player, pIndex) => ({
+            ...player,
+            label: PLAYER_LABELS[pIndex] + (pIndex === seat ? '，你' : ''),
+            survivalTime: Math.floor((player.alive || timesOfDeath[pIndex] === null ? game.elapsedMs : timesOfDeath[pIndex]) / 1000)
+        }));
+
+        let resultText = `<h3>对战结果</h3>`;
+        players.forEach(player => {
+            resultText += `<p><strong>${escapeHTML(player.label)}</strong>: 得分 ${player.score}, 游戏时长 ${player.survivalTime}s ${player.alive ? '(幸存)' : '(死亡)'}</p>`;
+        });
+        const winner = findWinner(players);
+        if (winner === null) {
+            resultText += `<p>平局!</p>`;
+        } else {
+            resultText += `<p><strong>${escapeHTML(players[winner.index].label)}</strong> 获胜${winner.reason}!</p>`;
+        }
+        resultText += `<p>种子: ${escapeHTML(matchSeed)}</p>`;
+        gameResultArea.innerHTML = resultText;
+
+        // Finish the match recording, keep it for the replay page and link to it from the results.
+        SnakeRecording.finishRecording(recording, game);
+        SnakeRecording.storeRecording(recording);
+        appendReplayLinks();
+
+        messageElement.textContent = winner === null ? '游戏结束!' : (winner.index === seat ? '你赢了!' : '你输了!');
+        rematchButton.style.display = 'inline-block';
+        rematchButton.disabled = false;
+    }
+
+    // Decides the winner with the local two player rules: the last player alive, then the higher score,
+    // then the longer survival time.
+    // Returns: { index, reason } | null - The winning seat and the reason suffix, or null for a tie.
+    function findWinner(players) {
+        const [p1, p2] = players;
+        if (p1.alive !== p2.alive) return { index: p1.alive ? 0 : 1, reason: '' };
+        if (p1.score !== p2.score) return { index: p1.score > p2.score ? 0 : 1, reason: ' (得分更高)' };
+        if (p1.survivalTime !== p2.survivalTime) return { index: p1.survivalTime > p2.survivalTime ? 0 : 1, reason: ' (游戏时长更长)' };
+        return null;
+    }
+
+    // Adds "watch replay" and "download replay" links for the last match to the results area.
+    function appendReplayLinks() {
+        const links = document.createElement('p');
+        links.innerHTML = `<a href="/replay.html">观看回放</a> | <a href="#" class="download-replay-link">下载录像</a>`;
+        links.querySelector('.download-replay-link').addEventListener('click', (e) => {
+            e.preventDefault(); // Do not follow the placeholder link
+            SnakeRecording.downloadRecording(recording);
+        });
+        gameResultArea.appendChild(links);
+    }
+
+    // Asks the server for another match in the same room; it starts once both players asked.
+    function requestRematch() {
+        send({ type: 'rematch' });
+        rematchButton.disabled = true;
+        messageElement.textContent = '等待对手确认再来一局...';
+    }
+
+
+    // --- Drawing ---
+    // The server decides when ticks happen, so instead of the fixed-timestep loop this page redraws every
+    // animation frame and interpolates the snakes by the time passed since the latest tick arrived.
+
+    function startRendering() {
+        stopRendering();
+        frameId = requestAnimationFrame(renderFrame);
+    }
+
+    function stopRendering() {
+        if (frameId !== null) cancelAnimationFrame(frameId);
+        frameId = null;
+    }
+
+    // Draws one animation frame, with a countdown until the first tick of the match.
+    function renderFrame(now) {
+        frameId = requestAnimationFrame(renderFrame);
+        if (now < startTime) {
+            draw();
+            messageElement.textContent = `对局将在 ${Math.ceil((startTime - now) / 1000)} 秒后开始，你是${PLAYER_LABELS[seat]}。`;
+            return;
+        }
+        draw(Math.min((now - lastTickTime) / game.speed, 1));
+    }
+
+    // Clears the canvas and redraws the board.
+    // alpha: number - Optional fraction (0 to 1) of the next tick that has elapsed (see SnakeRenderer.drawGame).
+    function draw(alpha) {
+        SnakeRenderer.drawGame(ctx, game, previousGame, alpha);
+    }
+
+    // Updates the score display elements for Player 1 and Player 2 in the UI.
+    function updateScoreDisplays() {
+        if (p1ScoreSpan) p1ScoreSpan.textContent = game?.players[0]?.score ?? 0;
+        if (p2ScoreSpan) p2ScoreSpan.textContent = game?.players[1]?.score ?? 0;
+    }
+
+    // Updates the match survival time display element in the UI.
+    function updateMatchTimeDisplay() {
+        if (survivalTimeSpan) survivalTimeSpan.textContent = Math.floor((game?.elapsedMs ?? 0) / 1000);
+    }
+
+
+    // --- Event Listeners ---
+    createRoomButton.addEventListener('click', createRoom);
+    joinRoomButton.addEventListener('click', joinRoom);
+    roomCodeInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            joinRoom();
+        }
+    });
+    rematchButton.addEventListener('click', requestRematch);
+    document.addEventListener('keydown', handleKeyDownOnline);
+
+    // Swiping on the canvas and the on-screen D-pad steer like the keys
+    SnakeTouch.attachSwipe(canvas, { onSwipe: sendDirection });
+    SnakeTouch.createDirectionPad(document.getElementById('direction-pad'), document.getElementById('direction-pad-toggle'), sendDirection);
+
+    // The canvas follows the window size (e.g. when a phone is rotated); resizing clears it, so it is redrawn
+    window.addEventListener('resize', () => {
+        resizeCanvasForBoard(canvas, game.width, game.height);
+        draw();
+    });
+
+    // Handles keydown events: the movement keys of the single player key binding (by default WASD and the arrow keys,
+    // rebindable on the mode selection page) steer this player's own snake.
+    // Turns are sent to the server, which queues them like the local pages do (see SnakeEngine.queueDirection).
+    // e: The KeyboardEvent object containing information about the key press.
+    function handleKeyDownOnline(e) {
+        if (seat === null || document.activeElement === roomCodeInput) return;
+
+        const action = getBoundAction(keyBindings, e);
+        if (['up', 'down', 'left', 'right'].includes(action) && sendDirection(action)) {
+            e.preventDefault(); // Prevent default browser action for arrow keys.
+        }
+    }
+
+    // Sends a turn of this player's snake to the server (from the keyboard, a swipe or the D-pad).
+    // direction: string - 'up', 'down', 'left' or 'right'
+    // Returns: true if the turn was sent (the match is running and the snake is alive).
+    function sendDirection(direction) {
+        if (!isGameRunning || seat === null || !game.players[seat]?.alive) return false;
+        send({ type: 'direction', direction: direction });
+        return true;
+    }
+
+    // --- Initial Setup ---
+    initOnline();
+
+});
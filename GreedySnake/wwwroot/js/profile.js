@@ -0,0 +1,233 @@
+﻿/*
+ * File: profile.js
+ * Description: Contains the logic for the profile page.
+ * Shows a player's statistics from GET /api/leaderboard/stats: games played, food eaten, longest survival,
+ * total play time, best and average score per difficulty, a score over time chart and the recent games.
+ * Every verified game the player submitted counts, not only the ones that made the leaderboard.
+ * The player is taken from the 'username' URL parameter or the name saved on the mode selection page,
+ * and an optional 'mode' URL parameter narrows the statistics to one leaderboard category.
+ * Relies on common.js for the leaderboard API helpers and escapeHTML.
+ */
+
+// Execute script after the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // --- UI Element References ---
+    const profileForm = document.getElementById('profile-form'); // Player and mode picker
+    const usernameInput = document.getElementById('profile-username'); // Name of the player to show
+    const modeSelect = document.getElementById('profile-mode'); // Leaderboard category filter ('' for all modes)
+    const messageElement = document.getElementById('message-area'); // Element for displaying messages
+    const gamesPlayedSpan = document.getElementById('stat-games-played');
+    const foodEatenSpan = document.getElementById('stat-food-eaten');
+    const longestSurvivalSpan = document.getElementById('stat-longest-survival');
+    const totalPlayTimeSpan = document.getElementById('stat-total-play-time');
+    const lastPlayedSpan = document.getElementById('stat-last-played');
+    const difficultyTableBody = document.querySelector('#difficulty-stats tbody'); // One row per difficulty
+    const chartCanvas = document.getElementById('score-chart'); // Score over time chart
+    const chartCtx = chartCanvas ? chartCanvas.getContext('2d') : null; // The 2D rendering context, null if canvas not found
+    const recentGamesList = document.getElementById('recent-games'); // The ul element listing the latest games
+
+    // Key the mode selection page saves the username under
+    const USERNAME_STORAGE_KEY = 'snakeGameUsername';
+
+    // Display names for modes and difficulties
+    const modeNames = { ...SINGLE_PLAYER_MODES, [LEADERBOARD_MODES.coop]: '合作模式' };
+    const difficultyNames = { 'super_easy': '超简单', 'easy': '简单', 'medium': '中等', 'hard': '困难' };
+    // Colors of the chart points per difficulty (other difficulties are grey)
+    const difficultyColors = { 'super_easy': '#8bc34a', 'easy': '#4caf50', 'medium': '#ff9800', 'hard': '#f44336' };
+
+    // --- Initialization ---
+    // Fills the mode dropdown, reads the player and mode from the URL (or the saved username) and loads the profile.
+    function initProfile() {
+        if (modeSelect) {
+            modeSelect.innerHTML = '';
+            modeSelect.appendChild(new Option('全部模式', ''));
+            Object.keys(modeNames).forEach(mode => modeSelect.appendChild(new Option(modeNames[mode], mode)));
+        }
+
+        const urlParams = new URLSearchParams(window.location.search);
+        const username = urlParams.get('username') || localStorage.getItem(USERNAME_STORAGE_KEY) || '';
+        const requestedMode = urlParams.get('mode');
+        if (usernameInput) usernameInput.value = username;
+        if (modeSelect && Object.prototype.hasOwnProperty.call(modeNames, requestedMode)) modeSelect.value = requestedMode;
+
+        if (username) {
+            loadProfile();
+        } else if (messageElement) {
+            messageElement.textContent = '请输入玩家名称';
+        }
+    }
+
+    // --- API Interaction ---
+    // Fetches the statistics of the entered player for the selected mode and shows them.
+    async function loadProfile() {
+        const username = usernameInput ? usernameInput.value.trim() : '';
+        if (!username) {
+            if (messageElement) messageElement.textContent = '请输入玩家名称';
+            return;
+        }
+        const mode = modeSelect && modeSelect.value ? modeSelect.value : null;
+        const url = createLeaderboardUrl('/stats', { username: username, mode: mode });
+        if (messageElement) messageElement.textContent = '正在加载...';
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const stats = await response.json();
+            displayStats(stats);
+            if (messageElement) messageElement.textContent = stats.gamesPlayed > 0 ? '' : '暂无对局记录';
+        } catch (error) {
+            console.error("Error fetching player statistics:", error);
+            if (messageElement) messageElement.textContent = '无法加载个人资料';
+        }
+    }
+
+    // --- Display ---
+    // Shows a PlayerStats object (see Models/PlayerStats.cs) in the summary, the table, the chart and the list.
+    function displayStats(stats) {
+        if (gamesPlayedSpan) gamesPlayedSpan.textContent = stats.gamesPlayed;
+        if (foodEatenSpan) foodEatenSpan.textContent = stats.totalFoodEaten;
+        if (longestSurvivalSpan) longestSurvivalSpan.textContent = formatDuration(stats.longestSurvival);
+        if (totalPlayTimeSpan) totalPlayTimeSpan.textContent = formatDuration(stats.totalPlayTime);
+        if (lastPlayedSpan) lastPlayedSpan.textContent = stats.lastPlayed ? new Date(stats.lastPlayed).toLocaleDateString() : '--';
+
+        if (difficultyTableBody) {
+            difficultyTableBody.innerHTML = '';
+            (stats.difficulties || []).forEach(row => {
+                const tableRow = document.createElement('tr');
+                [
+                    difficultyNames[row.difficulty] || row.difficulty,
+                    row.gamesPlayed,
+                    row.bestScore,
+                    row.averageScore,
+                    formatDuration(row.longestSurvival)
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    tableRow.appendChild(cell);
+                });
+                difficultyTableBody.appendChild(tableRow);
+            });
+        }
+
+        drawScoreChart(stats.scoreHistory || []);
+
+        if (recentGamesList) {
+            recentGamesList.innerHTML = '';
+            (stats.recentGames || []).forEach(game => {
+                const listItem = document.createElement('li');
+                const description = [
+                    modeNames[game.mode] || game.mode,
+                    difficultyNames[game.difficulty] || game.difficulty,
+                    `得分 ${game.score}`,
+                    `${game.survivalTime}s`,
+                    `食物 ${game.foodEaten}`
+                ].join(' · ');
+                listItem.innerHTML = `<span class="recent-game-date">${escapeHTML(new Date(game.timestamp).toLocaleString())}</span><span>${escapeHTML(description)}</span>`;
+                recentGamesList.appendChild(listItem);
+            });
+        }
+    }
+
+    // Formats a number of seconds, e.g. '45秒', '3分 20秒' or '2小时 5分'.
+    function formatDuration(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        if (hours > 0) return `${hours}小时 ${minutes}分`;
+        if (minutes > 0) return `${minutes}分 ${total % 60}秒`;
+        return `${total}秒`;
+    }
+
+    // --- Score Chart ---
+    // Draws the scores of the given games in the order they were played: a grey line through all of them and a
+    // point per game in the color of its difficulty, with the score axis on the left and the first and last
+    // date below.
+    // games: Array<Object> - Leaderboard entries, oldest first.
+    function drawScoreChart(games) {
+        if (!chartCtx) return;
+        const width = chartCanvas.width;
+        const height = chartCanvas.height;
+        const padding = { left: 40, right: 15, top: 15, bottom: 30 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        chartCtx.clearRect(0, 0, width, height);
+        chartCtx.font = '12px sans-serif';
+
+        if (games.length === 0) {
+            chartCtx.fillStyle = '#999';
+            chartCtx.textAlign = 'center';
+            chartCtx.fillText('暂无对局', width / 2, height / 2);
+            return;
+        }
+
+        const maxScore = Math.max(1, ...games.map(game => game.score));
+        const pointX = index => padding.left + (games.length === 1 ? plotWidth / 2 : index * plotWidth / (games.length - 1));
+        const pointY = score => padding.top + plotHeight - score / maxScore * plotHeight;
+
+        // Axes with the highest score and zero on the score axis
+        chartCtx.strokeStyle = '#ccc';
+        chartCtx.lineWidth = 1;
+        chartCtx.beginPath();
+        chartCtx.moveTo(padding.left, padding.top);
+        chartCtx.lineTo(padding.left, padding.top + plotHeight);
+        chartCtx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+        chartCtx.stroke();
+        chartCtx.fillStyle = '#666';
+        chartCtx.textAlign = 'right';
+        chartCtx.fillText(String(maxScore), padding.left - 5, padding.top + 4);
+        chartCtx.fillText('0', padding.left - 5, padding.top + plotHeight + 4);
+
+        // First and last date below the time axis
+        const dateY = padding.top + plotHeight + 18;
+        chartCtx.textAlign = 'left';
+        chartCtx.fillText(new Date(games[0].timestamp).toLocaleDateString(), padding.left, dateY);
+        if (games.length > 1) {
+            chartCtx.textAlign = 'right';
+            chartCtx.fillText(new Date(games[games.length - 1].timestamp).toLocaleDateString(), padding.left + plotWidth, dateY);
+        }
+
+        // Line through the scores, then one point per game
+        chartCtx.strokeStyle = '#bbb';
+        chartCtx.beginPath();
+        games.forEach((game, index) => {
+            if (index === 0) chartCtx.moveTo(pointX(index), pointY(game.score));
+            else chartCtx.lineTo(pointX(index), pointY(game.score));
+        });
+        chartCtx.stroke();
+        games.forEach((game, index) => {
+            chartCtx.fillStyle = difficultyColors[game.difficulty] || '#999';
+            chartCtx.beginPath();
+            chartCtx.arc(pointX(index), pointY(game.score), 3, 0, Math.PI * 2);
+            chartCtx.fill();
+        });
+
+        // Legend of the difficulties that appear in the chart
+        let legendX = padding.left + plotWidth;
+        chartCtx.textAlign = 'right';
+        Object.keys(difficultyColors).reverse().forEach(difficulty => {
+            if (!games.some(game => game.difficulty === difficulty)) return;
+            const label = difficultyNames[difficulty];
+            chartCtx.fillStyle = '#666';
+            chartCtx.fillText(label, legendX, padding.top + 4);
+            legendX -= chartCtx.measureText(label).width + 6;
+            chartCtx.fillStyle = difficultyColors[difficulty];
+            chartCtx.fillRect(legendX - 8, padding.top - 4, 8, 8);
+            legendX -= 18;
+        });
+    }
+
+    // --- Event Listeners ---
+    // "查看" (or Enter in the name field) loads the profile and keeps the choice in the URL, so it can be shared.
+    if (profileForm) {
+        profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const params = new URLSearchParams();
+            if (usernameInput && usernameInput.value.trim()) params.set('username', usernameInput.value.trim());
+            if (modeSelect && modeSelect.value) params.set('mode', modeSelect.value);
+            history.replaceState(null, '', `${window.location.pathname}?${params}`);
+            loadProfile();
+        });
+    }
+    if (modeSelect) modeSelect.addEventListener('change', () => loadProfile());
+
+    initProfile();
+});
@@ -0,0 +1,318 @@
+﻿/*
+ * File: recording.js
+ * Description: Match recording and playback on top of the shared game engine.
+ * A recording is a compact JSON log holding the match seed, the engine configuration
+ * (mode, difficulty, players) and every direction change as [tick, playerIndex, direction code].
+ * Pauses are logged as [tick, pausedMs]; they do not affect the simulation, but keep a record of
+ * every interruption next to the (pause-free) simulated match time.
+ * Because the engine is deterministic, feeding the same inputs at the same ticks with the same
+ * seed reproduces the whole match, which is what the replay page does.
+ * Exposed as the global SnakeRecording in the browser and via module.exports in Node.
+ * Relies on common.js (createSeededRandom, the spawn helpers), engine.js (SnakeEngine) and levels.js (SnakeLevels).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./common.js'), require('./engine.js'), require('./levels.js')); // Node: load dependencies as modules
+    } else {
+        // Browser: common.js, engine.js and levels.js are loaded first and declare their APIs as globals
+        root.SnakeRecording = factory({ createSeededRandom, MIN_BOARD_DIMENSION, MAX_BOARD_DIMENSION, createPlayerSpawns, createSinglePlayerSpawn }, root.SnakeEngine, root.SnakeLevels);
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (common, engine, levels) {
+    'use strict';
+
+    // --- Constants ---
+    const RECORDING_VERSION = 1; // Bumped whenever the log format changes incompatibly
+    const REPLAY_STORAGE_KEY = 'snakeGameReplays'; // Local storage key holding the most recent recordings
+    const MAX_STORED_REPLAYS = 10; // How many recent recordings are kept in local storage
+
+    // Single-letter codes keep the input log small.
+    const DIRECTION_CODES = { 'up': 'u', 'down': 'd', 'left': 'l', 'right': 'r' };
+    const CODE_DIRECTIONS = { 'u': 'up', 'd': 'down', 'l': 'left', 'r': 'right' };
+
+    // Properties the game pages put into an engine configuration and into each of its players (see findConfigProblem).
+    const CONFIG_PROPERTIES = ['mode', 'difficulty', 'width', 'height', 'walls', 'obstacles', 'items', 'coop', 'challenge', 'autopilot', 'players'];
+    const PLAYER_CONFIG_PROPERTIES = ['spawn', 'direction', 'name', 'color', 'controller'];
+
+    // --- Recording ---
+
+    // Starts a new, empty recording for a match.
+    // config: Object - The exact configuration passed to SnakeEngine.createGame().
+    // seed: number - The match seed used to create the random source.
+    // Returns: Object - The recording log.
+    function createRecording(config, seed) {
+        return {
+            version: RECORDING_VERSION,
+            seed: seed,
+            config: JSON.parse(JSON.stringify(config)), // Detached copy so later changes to the config do not leak in
+            inputs: [], // [tick, playerIndex, directionCode] for every direction change
+            pauses: [], // [tick, pausedMs] for every pause, in the order they happened
+            ticks: 0, // Number of ticks recorded so far
+            result: null // Filled in by finishRecording()
+        };
+    }
+
+    // Records the direction changes made by one engine step.
+    // Only actual changes are stored: requests the engine ignored (reversals, same direction) never matter on playback.
+    // recording: Object - The recording log (modified).
+    // previousState: Object - The state passed to SnakeEngine.step().
+    // nextState: Object - The state returned by SnakeEngine.step().
+    function recordTick(recording, previousState, nextState) {
+        nextState.players.forEach((player, pIndex) => {
+            const before = previousState.players[pIndex];
+            if (before && before.alive && player.direction !== before.direction) {
+                recording.inputs.push([previousState.tick, pIndex, DIRECTION_CODES[player.direction]]);
+            }
+        });
+        recording.ticks = nextState.tick;
+    }
+
+    // Records a pause that has just ended.
+    // recording: Object - The recording log (modified).
+    // tick: number - The tick the match was paused before (the next tick to be simulated).
+    // pausedMs: number - How long the match stayed paused, in milliseconds.
+    function recordPause(recording, tick, pausedMs) {
+        if (!Array.isArray(recording.pauses)) recording.pauses = []; // Recordings made before pauses were logged
+        recording.pauses.push([tick, Math.max(0, Math.round(pausedMs))]);
+    }
+
+    // Stores the final outcome of the match in the recording.
+    // recording: Object - The recording log (modified).
+    // state: Object - The final engine state.
+    function finishRecording(recording, state) {
+        recording.ticks = state.tick;
+        recording.result = {
+            elapsedMs: state.elapsedMs, // Simulated match time
+            scores: state.players.map(p => p.score), // Final score per player
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    // --- Playback ---
+
+    // Creates a playback of a recording positioned at tick 0 (initial state with the first food placed).
+    // recording: Object - The recording log.
+    // Returns: { recording, state, random, nextInput } - Playback cursor used by stepPlayback().
+    function startPlayback(recording) {
+        const random = common.createSeededRandom(recording.seed);
+        const state = engine.placeFood(engine.createGame(recording.config), random);
+        return { recording: recording, state: state, random: random, nextInput: 0 };
+    }
+
+    // Returns the engine inputs recorded for the playback's current tick and advances the input cursor.
+    function takeInputs(playback) {
+        const inputs = playback.state.players.map(() => null);
+        const log = playback.recording.inputs;
+        while (playback.nextInput < log.length && log[playback.nextInput][0] <= playback.state.tick) {
+            const [tick, pIndex, code] = log[playback.nextInput];
+            if (tick === playback.state.tick) inputs[pIndex] = CODE_DIRECTIONS[code] || null;
+            playback.nextInput++;
+        }
+        return inputs;
+    }
+
+    // Advances a playback by one tick using the recorded inputs.
+    // playback: Object - The playback cursor (modified).
+    // Returns: Array<Object> - The engine events for this tick (empty once the recording has ended).
+    function stepPlayback(playback) {
+        if (isPlaybackFinished(playback)) return [];
+        const result = engine.step(playback.state, takeInputs(playback), playback.random);
+        playback.state = result.state;
+        return result.events;
+    }
+
+    // Checks whether a playback has reached the end of the recording or the end of the match.
+    function isPlaybackFinished(playback) {
+        return playback.state.over || playback.state.tick >= playback.recording.ticks;
+    }
+
+    // Re-simulates a recording from the beginning up to the given tick.
+    // Used for scrubbing, since the random source cannot be rewound.
+    // recording: Object - The recording log.
+    // tick: number - The tick to stop at (clamped to the recording length).
+    // Returns: Object - The playback cursor positioned at that tick.
+    function seekPlayback(recording, tick) {
+        const playback = startPlayback(recording);
+        while (playback.state.tick < tick && !isPlaybackFinished(playback)) {
+            stepPlayback(playback);
+        }
+        return playback;
+    }
+
+    // Checks that a parsed JSON object looks like a recording this version can play.
+    // Returns: string | null - A description of the problem, or null if the recording is usable.
+    function validateRecording(recording) {
+        if (!recording || typeof recording !== 'object') return 'not an object';
+        if (recording.version !== RECORDING_VERSION) return `unsupported version ${recording.version}`;
+        if (typeof recording.seed !== 'number') return 'missing seed';
+        if (!recording.config || !Array.isArray(recording.config.players)) return 'missing config';
+        if (!Array.isArray(recording.inputs)) return 'missing inputs';
+        if (recording.pauses !== undefined && !Array.isArray(recording.pauses)) return 'invalid pauses';
+        return null;
+    }
+
+    // Compares a recording's configuration with the ones the game pages create (see createSinglePlayerConfig in
+    // singleplayer.js and createTwoPlayerConfig in twoplayer.js), so a hand-made configuration with easier settings
+    // is not ranked next to real games, whatever the mode: only the properties the pages set, a difficulty of the
+    // mode's speed table spelled exactly (the engine falls back to 'medium' otherwise), a known wall mode, challenge
+    // (single player only) and co-op rule (two player only), items enabled, and on a plain board every snake
+    // starting where the pages put it (on a level, SnakeLevels.identifyLevel already requires the level's spawn points).
+    // config: Object - The engine configuration of a recording.
+    // Returns: string - An empty string if a page could have created the configuration, otherwise the first difference.
+    function findConfigProblem(config) {
+        const unknown = Object.keys(config).find(key => !CONFIG_PROPERTIES.includes(key));
+        if (unknown) return `unknown setting '${unknown}'`;
+        const unknownPlayer = config.players
+            .map(player => Object.keys(player || {}).find(key => !PLAYER_CONFIG_PROPERTIES.includes(key)))
+            .find(key => key);
+        if (unknownPlayer) return `unknown player setting '${unknownPlayer}'`;
+
+        const speedTable = engine.SPEED_SETTINGS[config.mode];
+        if (!speedTable) return `unknown mode '${config.mode}'`;
+        if (!Object.prototype.hasOwnProperty.call(speedTable, config.difficulty)) return `unknown difficulty '${config.difficulty}'`;
+        if (config.walls !== 'solid' && config.walls !== 'wrap') return `unknown wall mode '${config.walls}'`;
+        if (config.challenge !== undefined &&
+            (config.mode !== 'singleplayer' || !Object.prototype.hasOwnProperty.call(engine.CHALLENGES, config.challenge))) {
+            return `invalid challenge '${config.challenge}'`;
+        }
+        if (config.coop !== undefined &&
+            (config.mode !== 'twoplayer' || !config.coop || !engine.COOP_COLLISIONS.includes(config.coop.collisions))) {
+            return 'invalid co-op rules';
+        }
+        if (config.items !== true) return 'items are disabled';
+
+        if (levels.identifyLevel(config) === '') {
+            const state = engine.createGame(config);
+            const expected = state.mode === 'singleplayer'
+                ? [common.createSinglePlayerSpawn(state.width, state.height)]
+                : common.createPlayerSpawns(state.width, state.height, config.players.length);
+            const misplaced = config.players.findIndex((player, pIndex) => {
+                const start = expected[pIndex];
+                return !start || !player.spawn || player.spawn.x !== start.spawn.x || player.spawn.y !== start.spawn.y ||
+                    (player.direction || 'right') !== start.direction;
+            });
+            if (misplaced >= 0) return `player ${misplaced + 1} does not start at the standard spawn point`;
+        }
+        return '';
+    }
+
+    // Summarizes the settings of a recording without playing it: everything summarizeRecording() reports that the
+    // configuration alone decides. The server checks these first, so a recording it would refuse anyway is never simulated.
+    // recording: Object - The recording log.
+    // Returns: Object - { error } if the recording is unusable, otherwise the mode, difficulty, board size, wall mode,
+    //          level (see SnakeLevels.identifyLevel), the bot that played it ('autopilot', empty for human play),
+    //          player count, how many seats the computer played ('computerPlayers', from each player's 'controller'),
+    //          for a co-op match its collision rule ('coop', null otherwise), for a single player challenge its id
+    //          ('challenge', null for an endless match), and how the configuration differs from one the game pages
+    //          create ('configProblem', see findConfigProblem; empty if it does not).
+    function summarizeSettings(recording) {
+        const problem = validateRecording(recording);
+        if (problem) return { error: problem };
+        if (!Number.isInteger(recording.ticks) || recording.ticks < 0) return { error: 'invalid tick count' };
+
+        // Board dimensions must be within the limits the pages allow (also bounds the simulation cost)
+        const initial = engine.createGame(recording.config);
+        const inLimits = (value) => Number.isInteger(value) && value >= common.MIN_BOARD_DIMENSION && value <= common.MAX_BOARD_DIMENSION;
+        if (!inLimits(initial.width) || !inLimits(initial.height)) return { error: 'invalid board size' };
+
+        return {
+            error: null,
+            mode: initial.mode,
+            difficulty: initial.difficulty,
+            width: initial.width,
+            height: initial.height,
+            walls: initial.walls,
+            level: levels.identifyLevel(recording.config),
+            autopilot: typeof recording.config.autopilot === 'string' ? recording.config.autopilot : '',
+            playerCount: initial.players.length,
+            computerPlayers: recording.config.players.filter(p => p.controller && p.controller !== 'human').length,
+            coop: initial.coop ? { collisions: initial.coop.collisions } : null,
+            challenge: initial.challenge ? { id: initial.challenge.id } : null,
+            configProblem: findConfigProblem(recording.config)
+        };
+    }
+
+    // Re-simulates a complete recording and summarizes the outcome.
+    // The server runs this (together with common.js and engine.js) to verify leaderboard submissions,
+    // so claimed scores are checked with exactly the same rules as the browser played them.
+    // recording: Object - The recording log.
+    // Returns: Object - { error } if the recording is unusable, otherwise the settings (see summarizeSettings) and
+    //          the ticks, whether the match ended, simulated time, scores and food eaten per player ('eaten', regular
+    //          and bonus food), with the co-op result and team score added to 'coop' and the challenge result to 'challenge'.
+    function summarizeRecording(recording) {
+        const settings = summarizeSettings(recording);
+        if (settings.error) return settings;
+
+        const state = seekPlayback(recording, recording.ticks).state;
+        return {
+            ...settings,
+            ticks: state.tick,
+            over: state.over,
+            elapsedMs: state.elapsedMs,
+            survivalTime: Math.floor(state.elapsedMs / 1000), // Seconds, as shown and submitted by the client
+            scores: state.players.map(p => p.score),
+            eaten: state.players.map(p => p.eaten),
+            coop: state.coop ? { collisions: state.coop.collisions, result: state.coop.result || '', teamScore: engine.getTeamScore(state) } : null,
+            challenge: state.challenge ? { id: state.challenge.id, result: state.challenge.result || '' } : null
+        };
+    }
+
+    // --- Browser Storage ---
+    // Recent recordings are kept in local storage (newest first) so they can be watched from the replay page.
+
+    // Loads the stored recordings. Returns an empty array when storage is unavailable or corrupted.
+    function loadStoredRecordings() {
+        if (typeof localStorage === 'undefined') return [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(REPLAY_STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            console.warn('Stored replays could not be read:', e);
+            return [];
+        }
+    }
+
+    // Adds a finished recording to the front of the stored list, dropping the oldest beyond MAX_STORED_REPLAYS.
+    function storeRecording(recording) {
+        if (typeof localStorage === 'undefined') return;
+        const recordings = [recording, ...loadStoredRecordings()].slice(0, MAX_STORED_REPLAYS);
+        try {
+            localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(recordings));
+        } catch (e) {
+            console.warn('Replay could not be stored:', e); // e.g. storage quota exceeded
+        }
+    }
+
+    // Offers a recording to the user as a JSON file download.
+    function downloadRecording(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snake-replay-${recording.config.mode}-${recording.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // --- Public API ---
+    return {
+        RECORDING_VERSION: RECORDING_VERSION,
+        createRecording: createRecording,
+        recordTick: recordTick,
+        recordPause: recordPause,
+        finishRecording: finishRecording,
+        startPlayback: startPlayback,
+        stepPlayback: stepPlayback,
+        isPlaybackFinished: isPlaybackFinished,
+        seekPlayback: seekPlayback,
+        validateRecording: validateRecording,
+        findConfigProblem: findConfigProblem,
+        summarizeSettings: summarizeSettings,
+        summarizeRecording: summarizeRecording,
+        loadStoredRecordings: loadStoredRecordings,
+        storeRecording: storeRecording,
+        downloadRecording: downloadRecording
+    };
+}));
@@ -0,0 +1,132 @@
+﻿/*
+ * File: renderer.js
+ * Description: Draws a game engine state (see engine.js) onto a canvas.
+ * Shared by the single player, two player and replay pages so a match looks the same
+ * whether it is being played or watched back. Snakes can be drawn part-way between two ticks
+ * (see gameloop.js), which makes their movement smooth even at slow speeds.
+ * The canvas is expected to be sized for the board (see resizeCanvasForBoard in common.js); everything is drawn
+ * in board pixels and the canvas's context scales them to the size it is shown at.
+ * Relies on common.js for drawRect, darkenColor, getCanvasBoardSize and GRID_SIZE, and on engine.js for the item types and ghost effect.
+ */
+
+const SnakeRenderer = (function () {
+    // --- Colors ---
+    const BACKGROUND_COLOR = '#e0e0e0'; // Board background
+    const FOOD_COLOR = 'red'; // Food cell
+    const OBSTACLE_COLOR = '#5a4632'; // Level obstacles (see levels.js)
+    const DEAD_SNAKE_COLOR = '#888888'; // Snakes of players that are no longer alive
+    const OVERLAY_COLOR = 'rgba(0, 0, 0, 0.5)'; // Dims the board behind the pause message
+    const OVERLAY_TEXT_COLOR = '#ffffff'; // Pause message text
+    const GHOST_ALPHA = 0.4; // Opacity of snakes with an active ghost effect
+
+    // Cell color and label of each special item type (see ITEM_TYPES in engine.js).
+    const ITEM_STYLES = {
+        'bonus': { color: '#f5b800', label: '+' + SnakeEngine.ITEM_TYPES.bonus.points }, // Gold, shows its points
+        'shrink': { color: '#8e24aa', label: '缩' }, // Purple
+        'slow': { color: '#1e88e5', label: '慢' }, // Blue
+        'ghost': { color: '#90a4ae', label: '隐' } // Pale grey
+    };
+    const ITEM_LABEL_COLOR = '#ffffff';
+    const ITEM_BLINK_MS = 2000; // Items blink during their last two seconds on the board
+
+    // Clears the canvas and redraws all game elements (background, obstacles, food, items, snakes) for the given state.
+    // ctx: CanvasRenderingContext2D - The 2D rendering context of the canvas.
+    // state: Object | null - The engine state to draw. Only the background is drawn when null.
+    // previousState: Object | null - Optional state of the tick before. When given, each snake segment is
+    //                drawn between its previous and current cell according to alpha.
+    // alpha: number - Fraction (0 to 1) of the way from previousState to state. Ignored without previousState.
+    function drawGame(ctx, state, previousState, alpha) {
+        if (!ctx) return;
+
+        // Clear the entire canvas by filling it with the background color.
+        const board = getCanvasBoardSize(ctx.canvas);
+        ctx.fillStyle = BACKGROUND_COLOR;
+        ctx.fillRect(0, 0, board.width, board.height);
+
+        if (!state) return;
+
+        // Draw the level's obstacles (states from before obstacles existed have none).
+        (state.obstacles || []).forEach(cell => drawRect(ctx, cell.x, cell.y, OBSTACLE_COLOR));
+
+        // Draw the food if there is food on the board.
+        if (state.food) {
+            drawRect(ctx, state.food.x, state.food.y, FOOD_COLOR);
+        }
+
+        // Draw the special items (states from before items existed have none).
+        (state.items || []).forEach(item => drawItem(ctx, item, state.elapsedMs));
+
+        // Draw each player's snake. Alive snakes use the player's color with a darker head;
+        // dead snakes are drawn entirely in grey. Ghosts are drawn see-through.
+        state.players.forEach((player, pIndex) => {
+            const previousSnake = previousState ? previousState.players[pIndex]?.snake : null;
+            ctx.globalAlpha = player.alive && SnakeEngine.isGhost(player, state.elapsedMs) ? GHOST_ALPHA : 1;
+            player.snake.forEach((segment, index) => {
+                let color = DEAD_SNAKE_COLOR;
+                if (player.alive) {
+                    color = (index === 0) ? darkenColor(player.color, 20) : player.color;
+                }
+                const position = interpolateSegment(previousSnake ? previousSnake[index] : null, segment, alpha);
+                drawRect(ctx, position.x, position.y, color);
+            });
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    // Draws a special item as a colored cell with a short label. Items about to expire blink.
+    // ctx: CanvasRenderingContext2D - The 2D rendering context of the canvas.
+    // item: { type, x, y, expiresAtMs } - The item to draw.
+    // elapsedMs: number - The current match time.
+    function drawItem(ctx, item, elapsedMs) {
+        const style = ITEM_STYLES[item.type];
+        if (!style) return;
+        if (item.expiresAtMs - elapsedMs <= ITEM_BLINK_MS && Math.floor(elapsedMs / 250) % 2 === 1) return;
+
+        drawRect(ctx, item.x, item.y, style.color);
+        ctx.fillStyle = ITEM_LABEL_COLOR;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${Math.floor(GRID_SIZE * 0.6)}px sans-serif`;
+        ctx.fillText(style.label, (item.x + 0.5) * GRID_SIZE, (item.y + 0.5) * GRID_SIZE);
+    }
+
+    // Returns the drawing position of a snake segment part-way between two ticks.
+    // Segment i of the new snake moves from where segment i was one tick earlier; a segment added by
+    // growing has no earlier position and is drawn in place.
+    // from: {x, y} | null - Position of the segment on the previous tick.
+    // to: {x, y} - Position of the segment on the current tick.
+    // alpha: number - Fraction (0 to 1) of the way from 'from' to 'to'.
+    function interpolateSegment(from, to, alpha) {
+        if (!from || !(alpha < 1)) return to;
+        // Only adjacent cells are interpolated; anything else (e.g. wrapping around the board edge,
+        // or a restarted match) is drawn in place
+        if (Math.abs(to.x - from.x) + Math.abs(to.y - from.y) !== 1) return to;
+        return { x: from.x + (to.x - from.x) * alpha, y: from.y + (to.y - from.y) * alpha };
+    }
+
+    // Dims the board and draws a centered "paused" message on top of whatever is currently drawn.
+    // ctx: CanvasRenderingContext2D - The 2D rendering context of the canvas.
+    // hint: string - Optional second line (e.g. how to resume).
+    function drawPausedOverlay(ctx, hint) {
+        if (!ctx) return;
+
+        const { width, height } = getCanvasBoardSize(ctx.canvas);
+        ctx.fillStyle = OVERLAY_COLOR;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = OVERLAY_TEXT_COLOR;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 32px sans-serif';
+        ctx.fillText('已暂停', width / 2, height / 2 - (hint ? 16 : 0));
+        if (hint) {
+            ctx.font = '16px sans-serif';
+            ctx.fillText(hint, width / 2, height / 2 + 24);
+        }
+    }
+
+    return {
+        drawGame: drawGame,
+        drawPausedOverlay: drawPausedOverlay
+    };
+})();
@@ -0,0 +1,230 @@
+﻿/*
+ * File: replay.js
+ * Description: Contains the logic for the replay page.
+ * Loads a match recording (from the recently played matches in local storage or from an imported file),
+ * plays it back through the shared game engine and renderer, and provides play/pause,
+ * scrubbing and 0.5x-4x playback speed controls.
+ * Relies on common.js, engine.js, levels.js, renderer.js, gameloop.js and recording.js.
+ */
+
+// Execute script after the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // --- UI Element References ---
+    const canvas = document.getElementById('game-canvas'); // The replay canvas element
+    const ctx = canvas ? canvas.getContext('2d') : null; // The 2D rendering context, null if canvas not found
+    const replaySelect = document.getElementById('replay-select'); // Dropdown listing stored recordings
+    const replayFileInput = document.getElementById('replay-file'); // File input for importing a recording
+    const replayInfo = document.getElementById('replay-info'); // Line describing the loaded recording
+    const scoreArea = document.getElementById('score-area'); // Per-player scores during playback
+    const playPauseButton = document.getElementById('play-pause-button'); // Play/pause toggle
+    const scrubber = document.getElementById('replay-scrubber'); // Range input for seeking
+    const speedSelect = document.getElementById('replay-speed'); // Playback speed dropdown
+    const positionSpan = document.getElementById('replay-position'); // Current/total time display
+    const messageElement = document.getElementById('message-area'); // Element for displaying messages
+
+    // --- Playback State ---
+    let storedRecordings = []; // Recordings read from local storage (newest first)
+    let recording = null; // The recording currently loaded
+    let playback = null; // Playback cursor (SnakeRecording.startPlayback) positioned at the displayed tick
+    let totalTimeSeconds = 0; // Length of the recording in seconds (from the recorded result)
+    let previousState = null; // Playback state one tick earlier, used to interpolate the snakes between ticks
+    let isPlaying = false; // Whether playback is advancing
+
+    // Display names for modes and difficulties
+    const modeNames = { 'singleplayer': '单人', 'twoplayer': '双人' };
+    const difficultyNames = { 'super_easy': '超简单', 'easy': '简单', 'medium': '中等', 'hard': '困难' };
+
+    // --- Recording Selection ---
+    // Fills the dropdown with the stored recordings and loads the newest one.
+    function initReplay() {
+        storedRecordings = SnakeRecording.loadStoredRecordings();
+        replaySelect.innerHTML = '';
+
+        if (storedRecordings.length === 0) {
+            replaySelect.innerHTML = '<option value="">暂无录像</option>';
+            replaySelect.disabled = true;
+            SnakeRenderer.drawGame(ctx, null);
+            updateControls();
+            if (messageElement) messageElement.textContent = '暂无录像，请先完成一局游戏或导入录像文件';
+            return;
+        }
+
+        storedRecordings.forEach((stored, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = describeRecording(stored);
+            replaySelect.appendChild(option);
+        });
+        replaySelect.disabled = false;
+        loadRecording(storedRecordings[0]);
+    }
+
+    // Builds a one-line description of a recording for the dropdown.
+    function describeRecording(stored) {
+        const recordedAt = stored.result?.recordedAt ? new Date(stored.result.recordedAt).toLocaleString() : '';
+        const mode = stored.config?.coop ? '合作'
+            : SINGLE_PLAYER_MODES[stored.config?.challenge] || modeNames[stored.config?.mode] || stored.config?.mode || '';
+        const players = (stored.config?.players || [])
+            .map((p, i) => `${p.name ?? ''} ${stored.result?.scores?.[i] ?? 0}分`)
+            .join(' / ');
+        return `${recordedAt} [${mode}] ${players}`;
+    }
+
+    // Loads a recording and shows its initial state.
+    // newRecording: Object - A recording log (already validated).
+    function loadRecording(newRecording) {
+        pause();
+        recording = newRecording;
+        playback = SnakeRecording.startPlayback(recording);
+        previousState = null;
+        totalTimeSeconds = Math.floor((recording.result?.elapsedMs ?? 0) / 1000);
+
+        scrubber.max = recording.ticks;
+        scrubber.value = 0;
+
+        // Size the canvas for the recorded board
+        const board = playback.state;
+        resizeCanvasForBoard(canvas, board.width, board.height);
+
+        // Describe the recording: mode, difficulty, board, level, seed and how often the match was paused
+        const config = recording.config;
+        const pauseCount = Array.isArray(recording.pauses) ? recording.pauses.length : 0;
+        const levelName = SnakeLevels.describeLevel(SnakeLevels.identifyLevel(config));
+        if (replayInfo) {
+            replayInfo.textContent = `模式: ${modeNames[config.mode] || config.mode}  难度: ${difficultyNames[config.difficulty] || config.difficulty}  棋盘: ${describeBoard(board.width, board.height, board.walls)}`
+                + (levelName ? `  关卡: ${levelName}` : '')
+                + `  种子: ${recording.seed}`
+                + (pauseCount > 0 ? `  暂停: ${pauseCount} 次` : '');
+        }
+        if (messageElement) messageElement.textContent = '';
+
+        render();
+        updateControls();
+    }
+
+    // --- Playback Loop ---
+    // Advances the playback on the same fixed-timestep loop as the game pages (gameloop.js):
+    // one tick per engine interval, divided by the selected playback speed, with smooth drawing in between.
+    const playbackLoop = SnakeLoop.createLoop({
+        getInterval: () => playback.state.speed / getPlaybackRate(),
+        tick: () => {
+            previousState = playback.state; // Kept for interpolated drawing
+            SnakeRecording.stepPlayback(playback);
+            if (SnakeRecording.isPlaybackFinished(playback)) {
+                pause(); // Stop at the end of the recording
+                if (messageElement) messageElement.textContent = '回放结束';
+                return false;
+            }
+            return true;
+        },
+        render: (alpha) => render(alpha)
+    });
+
+    // Returns the selected playback speed multiplier (0.5x - 4x).
+    function getPlaybackRate() {
+        const rate = parseFloat(speedSelect.value);
+        return rate > 0 ? rate : 1;
+    }
+
+    // Starts or resumes playback. Restarts from the beginning if the end was reached.
+    function play() {
+        if (!playback || isPlaying) return;
+        if (SnakeRecording.isPlaybackFinished(playback)) {
+            playback = SnakeRecording.startPlayback(recording);
+            previousState = null;
+            render();
+        }
+        if (messageElement) messageElement.textContent = '';
+        isPlaying = true;
+        updateControls();
+        playbackLoop.start();
+    }
+
+    // Pauses playback at the current tick.
+    function pause() {
+        isPlaying = false;
+        playbackLoop.stop();
+        updateControls();
+    }
+
+    // Jumps to the given tick by re-simulating the recording from the start.
+    function seek(tick) {
+        if (!recording) return;
+        playback = SnakeRecording.seekPlayback(recording, tick);
+        previousState = null; // Nothing to interpolate from after a jump
+        render();
+        if (isPlaying) {
+            // Restart the pending tick so the new position is honored immediately
+            playbackLoop.start();
+        }
+    }
+
+    // --- Rendering ---
+    // Draws the current playback state and refreshes the scores, scrubber and time display.
+    // alpha: number - Optional fraction (0 to 1) of the next tick that has elapsed, for interpolated drawing.
+    function render(alpha) {
+        const state = playback ? playback.state : null;
+        SnakeRenderer.drawGame(ctx, state, previousState, alpha);
+        if (!state) return;
+
+        if (scoreArea) {
+            scoreArea.innerHTML = state.players
+                .map(p => `<span style="color: ${escapeHTML(p.color)};">${escapeHTML(p.name ?? '')}: ${p.score}${p.alive ? '' : ' (死亡)'}</span>`)
+                .join('');
+        }
+        scrubber.value = state.tick;
+        if (positionSpan) positionSpan.textContent = `${Math.floor(state.elapsedMs / 1000)}s / ${totalTimeSeconds}s`;
+    }
+
+    // Updates the play/pause button label and enabled state of the controls.
+    function updateControls() {
+        playPauseButton.textContent = isPlaying ? '暂停' : '播放';
+        playPauseButton.disabled = !recording;
+        scrubber.disabled = !recording;
+    }
+
+    // --- Event Listeners ---
+    playPauseButton.addEventListener('click', () => (isPlaying ? pause() : play()));
+
+    // Seek while the scrubber is dragged
+    scrubber.addEventListener('input', () => seek(parseInt(scrubber.value, 10) || 0));
+
+    // Switch to another stored recording
+    replaySelect.addEventListener('change', () => {
+        const selected = storedRecordings[parseInt(replaySelect.value, 10)];
+        if (selected) loadRecording(selected);
+    });
+
+    // Import a downloaded recording file
+    replayFileInput.addEventListener('change', async () => {
+        const file = replayFileInput.files[0];
+        if (!file) return;
+        try {
+            const imported = JSON.parse(await file.text());
+            const problem = SnakeRecording.validateRecording(imported);
+            if (problem) throw new Error(problem);
+            loadRecording(imported);
+        } catch (error) {
+            console.error("Error importing replay:", error);
+            if (messageElement) messageElement.textContent = '无法读取录像文件';
+        }
+    });
+
+    // The canvas follows the window size; resizing clears it, so it is redrawn
+    window.addEventListener('resize', () => {
+        if (!playback) return;
+        resizeCanvasForBoard(canvas, playback.state.width, playback.state.height);
+        render();
+    });
+
+    // Space toggles playback
+    document.addEventListener('keydown', (e) => {
+        if (e.key === ' ' && recording) {
+            e.preventDefault(); // Prevent page scrolling
+            isPlaying ? pause() : play();
+        }
+    });
+
+    // --- Initial Setup ---
+    initReplay();
+});
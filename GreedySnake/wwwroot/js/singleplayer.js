@@ -1,13 +1,24 @@
 ﻿/*
  * File: singleplayer.js
  * Description: Contains the main game logic and UI interactions for the single player mode.
- * Handles snake movement, food generation, collision detection (wall, self), score,
- * game state (start/game over), time tracking, leaderboard fetching/submission,
- * and keyboard input specific to single player (WASD/Arrows).
- * Includes dynamic speed adjustment based on score using a common helper function
- * with difficulty-specific step rates. Fetches, filters, and displays difficulty-specific
- * high score and the full leaderboard with sorting/filtering controls.
- * Relies on common.js for common constants and helper functions.
+ * Renders the match state produced by the shared game engine (engine.js), which owns snake movement,
+ * food generation, collision detection (wall, obstacle, self), score and dynamic speed.
+ * This file drives the match with the fixed-timestep loop from gameloop.js and handles game state
+ * (start/pause/game over), time tracking, leaderboard fetching/submission, match recording for the
+ * replay page, and keyboard (rebindable keys, by default WASD/Arrows), touch (see touch.js) and gamepad input
+ * (see gamepad.js). A registered bot (see bots.js) can play instead of the keyboard when selected with the 'bot'
+ * URL parameter; such matches are never submitted.
+ * The 'mode' URL parameter selects the endless game or one of the engine's challenges (time attack: most points
+ * within a time limit; target score: reach a score as fast as possible). Each mode has its own leaderboard category,
+ * ranked by score (endless, time attack) or by time (target score).
+ * Fetches the difficulty-specific personal best and pages of the leaderboard, filtered and sorted by the server,
+ * with period tabs (today, this week, this month, all time; with a countdown to the period's reset and the user's
+ * rank in every period), a difficulty filter control and a view control (each player's best, every game, or the
+ * user's own history). After a submitted game the user's entry is highlighted, with
+ * the entries around it when it is not in the list, and a banner announces a new personal best.
+ * Relies on common.js for common constants and helper functions, engine.js for the game rules,
+ * levels.js for obstacle maps, bots.js for autopilot bots, renderer.js for drawing, gameloop.js for tick timing,
+ * touch.js for swipes and the on-screen D-pad, gamepad.js for gamepads and recording.js for match recordings.
  */
 
 // Execute script after the DOM is fully loaded
@@ -18,43 +29,73 @@ document.addEventListener('DOMContentLoaded', () => {
     const ctx = canvas ? canvas.getContext('2d') : null; // The 2D rendering context, null if canvas not found
 
     const usernameDisplaySpan = document.getElementById('current-username-display'); // Span displaying the current username
+    const boardDisplaySpan = document.getElementById('board-display'); // Span displaying the board size and wall mode
     const p1ScoreSpan = document.getElementById('p1-current-score'); // Span displaying the player's current score
     const highScoreElement = document.getElementById('high-score'); // Element displaying the historical high score for the current user
+    const highScoreLabel = document.getElementById('high-score-label'); // Label of the high score ('历史最高分', or '最快用时' in a target score mode)
     const survivalTimeSpan = document.getElementById('current-survival-time'); // Span displaying the current game survival time
+    const challengeStatusSpan = document.getElementById('challenge-status'); // Mode and time left / score to go of a challenge
     const messageElement = document.getElementById('message-area'); // Element for displaying general game messages (e.g., "Game Over")
     const gameResultArea = document.getElementById('game-result-area'); // Element for displaying the final game result summary
+    const personalBestBanner = document.getElementById('personal-best-banner'); // Banner announcing a new personal best
     const startButton = document.getElementById('start-button'); // The game start/restart button
     const leaderboardList = document.getElementById('leaderboard-list'); // The ul element for the leaderboard list display
     const difficultyFilterSelect = document.getElementById('difficulty-filter'); // Leaderboard difficulty filter dropdown
+    const leaderboardViewSelect = document.getElementById('leaderboard-view'); // Leaderboard view dropdown ('best', 'all' or 'mine')
+    const leaderboardMoreButton = document.getElementById('leaderboard-more-button'); // Loads the next page of the leaderboard list
+    const periodTabsContainer = document.getElementById('leaderboard-period-tabs'); // Container of the leaderboard period tabs
+    const resetCountdownSpan = document.getElementById('leaderboard-reset-countdown'); // Time left until the selected period resets
+    const userRanksSpan = document.getElementById('leaderboard-user-ranks'); // The user's rank in every period
+    const placementArea = document.getElementById('leaderboard-placement'); // Entries around the user's after a submitted game
+    const placementTitle = document.getElementById('leaderboard-placement-title'); // Heading of the placement area
+    const placementList = document.getElementById('leaderboard-placement-list'); // The ul element listing those entries
+    const directionPad = document.getElementById('direction-pad'); // Container of the on-screen D-pad
+    const directionPadToggle = document.getElementById('direction-pad-toggle'); // Checkbox showing/hiding the D-pad
+    const profileLink = document.getElementById('profile-link'); // Link to the profile page of the current user
 
     // --- Game State Variables ---
-    let player; // Object representing the single snake player (position, score, direction, etc.)
-    let food; // Object representing the food position ({x, y})
-    let speed = 120; // Game speed in milliseconds (interval between game ticks, lower value means faster snake movement)
-    let initialSinglePlayerSpeed = 120; // Stores the speed set by the initial difficulty, used as a baseline for dynamic speed adjustment
-    let singlePlayerScoreStepReduction = 5; // Amount speed decreases per point for the current difficulty
-    let gameLoopTimeout; // Stores the ID returned by setTimeout, used to cancel the game loop
+    let game; // Match state managed by SnakeEngine (snake, score, direction, food, current speed, etc.)
+    let directionQueue = []; // Directions requested but not yet played, oldest first; update() hands one to the engine per tick
+    let previousGame = null; // Match state of the previous tick, used to interpolate the snake between ticks
     let isGameRunning = false; // Flag indicating if the game is currently running
-    let gameStartTime = null; // Timestamp (milliseconds) when the current game started (for survival time calculation)
-    let currentSurvivalTime = 0; // Current survival time in seconds
+    let isPaused = false; // Flag indicating if the running game is paused (P/Escape, or the page lost focus)
+    let pauseStartTime = null; // Timestamp (milliseconds) when the current pause began
+    let currentSurvivalTime = 0; // Current survival time in seconds, taken from the engine's simulated match time
     let currentUsername = '玩家'; // Current user's name (read from URL and local storage)
     let gameDifficulty = 'medium'; // Difficulty level selected (read from URL)
+    let gameMode = LEADERBOARD_MODES.classic; // Single player mode (a key of SINGLE_PLAYER_MODES, read from URL), also the leaderboard category
+    let challengeRules = null; // SnakeEngine.CHALLENGES entry of the mode (null for the endless mode)
+    let boardSettings = { width: GRID_WIDTH, height: GRID_HEIGHT, walls: 'solid' }; // Board size (cells) and wall mode (read from URL)
+    let selectedLevel = null; // { id, level } selected with the 'level' URL parameter (null = plain board without obstacles)
+    let requestedSeed = null; // Seed requested via the 'seed' URL parameter (null = pick a new seed every match)
+    let matchSeed = null; // Seed of the current/last match, shown in the result area
+    let random = null; // Seeded random number source driving every random decision of the current match (created in startGame)
+    let recording = null; // Recording of the current/last match (seed, configuration and direction changes)
+    let autopilotName = null; // Name of the bot selected with the 'bot' URL parameter (null = keyboard play)
+    let autopilot = null; // The bot function playing the current match (looked up in startGame)
+    let autopilotRandom = null; // Seeded random number source handed to the bot (created in startGame)
+    const keyBindings = loadKeyBindings().single; // Keys for each action, set on the mode selection page (see common.js)
+    // How the start and pause messages tell the player to start or resume: tap on touch screens, keys otherwise
+    const startHint = SnakeTouch.isTouchDevice() ? '轻点棋盘' : `按${formatKeyName(keyBindings.start[0])}键`;
+    const resumeHint = SnakeTouch.isTouchDevice() ? '轻点棋盘继续' : `按 ${keyBindings.pause.map(formatKeyName).join(' 或 ')} 继续`;
 
     // --- Leaderboard Data ---
-    let allLeaderboardEntries = []; // Store all fetched leaderboard entries for filtering/sorting
+    let leaderboardNextPage = null; // Page of the leaderboard list that shows the following entries (null once all are shown)
+    let leaderboardPeriod = 'all'; // Selected period tab (a key of LEADERBOARD_PERIODS)
+    let periodResetTime = null; // When the selected period resets (milliseconds since the epoch), null for all time
+    let lastPlacement = null; // Placement returned for the last submitted game (rank, neighbours, personal best), see Models/LeaderboardPlacement.cs
+    let refreshedResetTime = null; // Reset time the list was last fetched again for (a client clock ahead of the server's would otherwise refetch every second)
 
-    // --- Constants for Leaderboard Sorting ---
-    // Maps difficulty string values to a numerical order for sorting (higher number means higher difficulty priority in sort)
+    // Maps difficulty values to their display names in the high score and the leaderboard list.
     // Only includes single-player difficulties as two-player scores are not saved.
-    const difficultySortOrder = {
-        'hard': 3,
-        'medium': 2,
-        'easy': 1,
-        // 'super_easy': 0 // Super easy is for 2P and not saved
+    const difficultyNames = {
+        'easy': '简单',
+        'medium': '中等',
+        'hard': '困难'
     };
 
-    // --- Leaderboard Display Limit ---
-    const LEADERBOARD_DISPLAY_LIMIT = 50; // How many entries to display in the list after filtering/sorting
+    // --- Leaderboard Page Size ---
+    const LEADERBOARD_DISPLAY_LIMIT = 50; // How many entries are requested per page of the list
 
 
     // --- Game Initialization ---
@@ -66,129 +107,178 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Read username and difficulty from URL parameters
         const urlParams = new URLSearchParams(window.location.search);
-        // Use escapeHTML for username read from URL before displaying
-        currentUsername = escapeHTML(urlParams.get('username') || '玩家'); // Get 'username' param or default to '玩家'
+        // The name is kept and submitted as typed; it is escaped only where it is put into HTML
+        currentUsername = urlParams.get('username') || '玩家'; // Get 'username' param or default to '玩家'
         gameDifficulty = urlParams.get('difficulty') || 'medium'; // Get 'difficulty' param or default to 'medium'
+        // Optional 'mode' param: endless (default), time attack or target score
+        const requestedMode = urlParams.get('mode');
+        gameMode = Object.prototype.hasOwnProperty.call(SINGLE_PLAYER_MODES, requestedMode) ? requestedMode : LEADERBOARD_MODES.classic;
+        challengeRules = SnakeEngine.CHALLENGES[gameMode] || null;
+        requestedSeed = parseSeed(urlParams.get('seed')); // Optional 'seed' param to replay a specific match
+        boardSettings = parseBoardSettings(urlParams); // 'board' (+ 'width'/'height' for custom) and 'walls' params
+        selectedLevel = SnakeLevels.getSelectedLevel(urlParams, 1); // Optional 'level' param (built-in id or 'custom')
+        autopilotName = urlParams.get('bot') || null; // Optional 'bot' param: a registered bot plays the matches
+        if (selectedLevel) {
+            // A level brings its own board size and wall mode
+            boardSettings = { width: selectedLevel.level.width, height: selectedLevel.level.height, walls: selectedLevel.level.walls || 'solid' };
+        }
 
-        // Set the initial game speed and score step reduction rate based on the selected difficulty level
-        setGameSpeed(gameDifficulty);
-        initialSinglePlayerSpeed = speed; // Store the speed set by the initial difficulty
-
-        // Update the username display in the UI
-        if (usernameDisplaySpan) usernameDisplaySpan.textContent = currentUsername; // Username is already escaped
-
-        // Initialize the player object to its starting state
-        player = {
-            snake: [{ x: Math.floor(GRID_WIDTH / 2), y: Math.floor(GRID_HEIGHT / 2) }], // Initial snake position (center of grid)
-            score: 0, // Initial score is zero
-            direction: 'right', // Initial movement direction
-            nextDirection: 'right', // Next intended direction (same as initial)
-            alive: true, // Player starts alive
-            color: '#008000', // Snake color (green)
-            name: currentUsername, // Player name is the current username
-            startTime: null, // Game start time for this player (not strictly necessary in single player but kept for structure)
-            survivalTime: 0 // Initial survival time is zero
-        };
+        // Size the canvas for the selected board
+        resizeCanvasForBoard(canvas, boardSettings.width, boardSettings.height);
+
+        // Update the username and board displays in the UI
+        if (usernameDisplaySpan) usernameDisplaySpan.textContent = currentUsername;
+        if (profileLink) profileLink.href = `/profile.html?${new URLSearchParams({ username: currentUsername, mode: gameMode })}`;
+        if (highScoreLabel) highScoreLabel.textContent = isRankedByTime() ? '最快用时' : '历史最高分';
+        if (boardDisplaySpan) {
+            boardDisplaySpan.textContent = describeBoard(boardSettings.width, boardSettings.height, boardSettings.walls)
+                + (selectedLevel ? ` ${selectedLevel.level.name || SnakeLevels.describeLevel(selectedLevel.id)}` : '')
+                + (autopilotName ? ` [自动驾驶: ${autopilotName}]` : '');
+        }
 
-        // Reset food and game state flags
-        food = null; // No food initially
+        // Initialize the match state (snake in the center, no food yet)
+        game = SnakeEngine.createGame(createSinglePlayerConfig());
+        directionQueue = [];
+
+        // Reset game state flags
         isGameRunning = false; // Game is not running until Start is clicked
-        gameStartTime = null; // Reset start time
         currentSurvivalTime = 0; // Reset survival time
 
-        // Fetch all leaderboard data, store it, and display the list (filtered/sorted by default)
+        // Show entries of the current difficulty ('相同难度') by default, then fetch the first page of the list
+        // and the user's personal best
+        if (difficultyFilterSelect) difficultyFilterSelect.value = 'current';
+        createPeriodTabs();
         fetchLeaderboard();
+        fetchPersonalBest();
+        fetchPeriodRanks();
+        setInterval(updateResetCountdown, 1000); // Tick the reset countdown of the selected period
 
         // Update UI displays to reflect the initial game state
         updateScoreDisplays();
         updateSurvivalTimeDisplay();
-        if (messageElement) messageElement.textContent = '按空格键开始游戏'; // Set the initial instruction message
+        if (messageElement) messageElement.textContent = `${startHint}开始游戏`; // Set the initial instruction message
         if (gameResultArea) gameResultArea.textContent = ''; // Clear any previous game results
         if (startButton) {
             startButton.textContent = '开始游戏'; // Set the start button text
             startButton.disabled = false; // Ensure the start button is enabled
         }
 
-        // Clear any potentially existing game loop timeout from a previous session/page load
-        if (gameLoopTimeout) {
-            clearTimeout(gameLoopTimeout);
-        }
+        // Stop any game loop still running from a previous session
+        gameLoop.stop();
+        previousGame = null;
 
         // Perform initial drawing of the game board (empty) and the snake
         draw();
 
-        // Select the '相同难度' option in the filter dropdown by default
-        if (difficultyFilterSelect) {
-            difficultyFilterSelect.value = 'current'; // Set the value to 'current'
-            // The initial call to displayLeaderboard(allLeaderboardEntries) in fetchLeaderboard
-            // will handle filtering/sorting based on this default value.
-        }
+        console.log(`Single player game initialized for user: ${currentUsername}, Mode: ${gameMode}, Difficulty: ${gameDifficulty}, Initial Speed: ${game.initialSpeed}ms, Speed Step: ${game.reductionRate}ms/point`);
+    }
 
-        console.log(`Single player game initialized for user: ${currentUsername}, Difficulty: ${gameDifficulty}, Initial Speed: ${initialSinglePlayerSpeed}ms, Speed Step: ${singlePlayerScoreStepReduction}ms/point`);
-    }
-
-    // --- Game Speed Configuration ---
-    // Sets the initial global 'speed' variable and the score step reduction rate
-    // based on the selected single player difficulty level.
-    // This function is typically called only once during initialization and at the start of a new game.
-    // Dynamic speed changes based on score happen in the update function using the determined step rate.
-    // difficulty: string - The difficulty level ('easy', 'medium', 'hard').
-    function setGameSpeed(difficulty) {
-        switch (difficulty) {
-            case 'easy':
-                speed = 180; // Slower initial speed (longer interval)
-                singlePlayerScoreStepReduction = 3; // Small speed increase per point
-                break;
-            case 'hard':
-                speed = 80; // Faster initial speed (shorter interval)
-                singlePlayerScoreStepReduction = 7; // Large speed increase per point
-                break;
-            case 'medium':
-            default:
-                speed = 120; // Default (medium) initial speed
-                singlePlayerScoreStepReduction = 5; // Medium speed increase per point
-                break;
-        }
+    // --- Match State ---
+    // Builds the engine configuration for the current difficulty and board: a single snake in the center of the grid,
+    // or on a level's obstacle map starting at the level's first spawn point.
+    // The initial speed and per-point speed step for the difficulty come from the engine's speed table.
+    // Special items (bonus food and power-ups) are enabled in every new match.
+    // The same configuration is stored in the match recording so the replay starts identically.
+    // Matches played by a bot carry its name as 'autopilot' (ignored by the engine), which keeps them off the leaderboard.
+    // A time attack or target score mode adds its engine challenge, which ends the match when the time is up or the
+    // target is reached.
+    function createSinglePlayerConfig() {
+        const config = selectedLevel ? {
+            ...SnakeLevels.createLevelConfig(selectedLevel.level, 'singleplayer', gameDifficulty, [{
+                color: '#008000', // Snake color (green)
+                name: currentUsername // Player name is the current username
+            }]),
+            items: true
+        } : {
+            mode: 'singleplayer',
+            difficulty: gameDifficulty,
+            width: boardSettings.width, // Board size in cells
+            height: boardSettings.height,
+            walls: boardSettings.walls, // 'solid' or 'wrap'
+            items: true, // Spawn bonus food and power-ups
+            players: [{
+                ...createSinglePlayerSpawn(boardSettings.width, boardSettings.height), // Center of the grid, heading right
+                color: '#008000', // Snake color (green)
+                name: currentUsername // Player name is the current username
+            }]
+        };
+        if (challengeRules) config.challenge = gameMode;
+        if (autopilotName) config.autopilot = autopilotName;
+        return config;
     }
 
 
-    // --- Food Generation ---
-    // Generates a new food position on the game grid.
-    // Ensures the new food position does not overlap with the snake's current position.
-    function generateFood() {
-        let newFoodPosition;
-        // Ensure player and snake exist before generating food
-        if (!player || !Array.isArray(player.snake)) {
-            console.error("Player or snake not initialized, cannot generate food.");
-            food = null; // Ensure food is null if player isn't ready
-            return;
-        }
-        do {
-            // Generate random integer grid coordinates within bounds
-            newFoodPosition = {
-                x: Math.floor(Math.random() * GRID_WIDTH), // Random x-coordinate
-                y: Math.floor(Math.random() * GRID_HEIGHT) // Random y-coordinate
-            };
-        } while (isPositionOnSnake(newFoodPosition, player.snake)); // Keep generating until the position is not occupied by the snake (using common helper)
-        food = newFoodPosition; // Assign the valid, non-overlapping food position
-        console.log("Food generated at:", food);
+    // --- API Interaction (Leaderboard) ---
+    // The server filters, sorts and pages the leaderboard (see Models/LeaderboardQuery.cs), so only the entries
+    // that are shown are downloaded. Scores are only compared like-for-like: every request is limited to the
+    // current mode, board size, wall mode and level.
+
+    // Returns the query parameters selecting entries of the current mode, board size, wall mode and level.
+    // A plain board asks for level '' (entries saved before levels existed count as plain boards).
+    function getSettingsQuery() {
+        return {
+            mode: gameMode,
+            boardSize: formatBoardSize(boardSettings.width, boardSettings.height),
+            wallMode: boardSettings.walls,
+            level: getLevelId()
+        };
     }
 
+    // Returns the level id stored with leaderboard entries: the built-in level id, or '' for a plain board.
+    function getLevelId() {
+        return selectedLevel ? selectedLevel.id : '';
+    }
 
-    // --- API Interaction (Leaderboard) ---
-    // Fetches the leaderboard data from the backend API.
-    // Stores all fetched entries and updates the difficulty-specific high score.
-    // Then calls displayLeaderboard to render the list based on the current filter.
-    async function fetchLeaderboard() {
+    // Checks whether the current mode ranks by time (target score: the fastest run wins) rather than by score.
+    function isRankedByTime() {
+        return challengeRules !== null && challengeRules.type === 'targetScore';
+    }
+
+    // Returns the difficulty selected in the leaderboard filter ('current' is the game's difficulty), or null for all.
+    function getFilterDifficulty() {
+        const selectedFilterValue = difficultyFilterSelect.value;
+        if (selectedFilterValue === 'all') return null;
+        return selectedFilterValue === 'current' ? gameDifficulty : selectedFilterValue;
+    }
+
+    // Returns the selected leaderboard view: 'best' (each player's best entry), 'all' (every game) or 'mine'
+    // (the user's own games, newest first).
+    function getLeaderboardView() {
+        return leaderboardViewSelect ? leaderboardViewSelect.value : 'best';
+    }
+
+    // Fetches one page of the leaderboard list for the current filter and view from the backend API and displays it.
+    // The server ranks each mode by its own metric (score, or time in a target score mode), ties by the earlier
+    // game; with all difficulties shown the hardest difficulty comes first. The user's own games
+    // (GET /api/leaderboard/history) are listed newest first.
+    // page: number - 1 (default) to replace the list, higher to append the following entries.
+    async function fetchLeaderboard(page = 1) {
         // Exit the function if leaderboard elements are not found on the page
-        if (!leaderboardList || !highScoreElement || !difficultyFilterSelect) return;
+        if (!leaderboardList || !difficultyFilterSelect) return;
 
-        console.log("Fetching leaderboard...");
+        const difficulty = getFilterDifficulty();
+        const view = getLeaderboardView();
+        const url = view === 'mine'
+            ? createLeaderboardUrl('/history', {
+                username: currentUsername,
+                ...getSettingsQuery(),
+                difficulty: difficulty,
+                period: leaderboardPeriod,
+                page: page,
+                limit: LEADERBOARD_DISPLAY_LIMIT
+            })
+            : createLeaderboardUrl('', {
+                ...getSettingsQuery(),
+                difficulty: difficulty,
+                period: leaderboardPeriod,
+                view: view,
+                sort: difficulty === null ? 'difficulty' : 'rank',
+                page: page,
+                limit: LEADERBOARD_DISPLAY_LIMIT
+            });
+        console.log("Fetching leaderboard...", url);
         try {
-            // Send a GET request to the defined leaderboard API endpoint URL
-            // Note: Backend GetSortedLeaderboard limits results (default 100).
-            // If you need *all* entries for filtering, backend limit should be larger or removed.
-            const response = await fetch(LEADERBOARD_API_URL);
+            const response = await fetch(url);
             // Check if the HTTP response status indicates success (status code 2xx)
             if (!response.ok) {
                 console.error(`HTTP error! status: ${response.status}`); // Log the HTTP status error
@@ -196,68 +286,125 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.error("Error response body:", errorText); // Log the error body
                 throw new Error(`HTTP error! status: ${response.status}`); // Throw an error
             }
-            // Parse the JSON response body into an array of entries
-            const fetchedEntries = await response.json();
-            console.log("Received leaderboard data:", fetchedEntries); // Log the received data
-
-            // Store the fetched entries globally for filtering
-            allLeaderboardEntries = fetchedEntries;
-
-            // --- Find and display the current user's highest score FOR THE CURRENT DIFFICULTY ---
-            let maxScoreForCurrentUserDifficulty = 0; // Initialize max score for current user/difficulty to 0
-            const currentUserLower = currentUsername.toLowerCase(); // Get lowercase username for case-insensitive comparison
-
-            // Mapping difficulty value to Chinese name for display (consistent with displayLeaderboard)
-            const difficultyNames = {
-                'easy': '简单',
-                'medium': '中等',
-                'hard': '困难',
-                // 'super_easy': '超简单' // Super easy is for 2P and not saved
-            };
-            const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty; // Get Chinese name or use value as fallback
-
-
-            // Filter entries to find those belonging to the current user AND matching the current difficulty
-            const userEntriesForCurrentDifficulty = allLeaderboardEntries.filter(entry =>
-                entry.username && entry.username.toLowerCase() === currentUserLower &&
-                entry.difficulty === gameDifficulty // Assuming backend stores 'difficulty' field matching the value
-            );
-
-            // Find the maximum score among these filtered entries
-            if (userEntriesForCurrentDifficulty.length > 0) {
-                maxScoreForCurrentUserDifficulty = Math.max(...userEntriesForCurrentDifficulty.map(entry => entry.score));
-            } else {
-                maxScoreForCurrentUserDifficulty = 0; // Set to 0 if no entries found for this user/difficulty
-            }
+            // Parse the JSON response body: { entries, total, page, pageSize, nextPage }
+            const result = await response.json();
+            console.log("Received leaderboard page:", result); // Log the received data
 
-            // Update the UI element that displays the high score for the current user/difficulty
-            if (highScoreElement) highScoreElement.textContent = `${maxScoreForCurrentUserDifficulty}（${currentDifficultyName}）`;
-            // --- End finding user high score for current difficulty ---
-
-
-            // Display the leaderboard list based on the currently selected filter (default is 'current')
-            displayLeaderboard(allLeaderboardEntries);
+            displayLeaderboard(result.entries, page > 1);
+            leaderboardNextPage = result.nextPage ?? null;
+            if (leaderboardMoreButton) leaderboardMoreButton.style.display = leaderboardNextPage ? '' : 'none';
+            periodResetTime = result.periodEnd ? Date.parse(result.periodEnd) : null;
+            updateResetCountdown();
 
             console.log("Leaderboard loaded and displayed."); // Log success message
         } catch (error) {
             console.error("Error fetching leaderboard:", error); // Log any error that occurred during fetching
             // Display an error message to the user in the UI
             if (messageElement) messageElement.textContent = "无法加载排行榜";
-            // Clear the leaderboard list and set high score display on error
-            if (leaderboardList) leaderboardList.innerHTML = '<li>无法加载排行榜</li>';
-            if (highScoreElement) {
-                const difficultyNames = { 'easy': '简单', 'medium': '中等', 'hard': '困难', 'super_easy': '超简单' };
-                const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty;
-                highScoreElement.textContent = `0（${currentDifficultyName}）`; // Show 0 for current difficulty on error
-            }
-            allLeaderboardEntries = []; // Clear stored entries on error
+            leaderboardList.innerHTML = '<li>无法加载排行榜</li>';
+            leaderboardNextPage = null;
+            if (leaderboardMoreButton) leaderboardMoreButton.style.display = 'none';
+        }
+    }
+
+    // Fetches the current user's best result per difficulty (GET /api/leaderboard/best) and shows the one for the
+    // current difficulty: the highest score, or the fastest time in a target score mode.
+    async function fetchPersonalBest() {
+        if (!highScoreElement) return;
+        const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty;
+        const noResult = isRankedByTime() ? '--' : 0;
+        try {
+            const response = await fetch(createLeaderboardUrl('/best', { username: currentUsername, ...getSettingsQuery() }));
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const bests = await response.json();
+            const best = Array.isArray(bests) ? bests.find(entry => entry && entry.difficulty === gameDifficulty) : null;
+            const bestResult = !best ? noResult : isRankedByTime() ? `${best.survivalTime}s` : best.score;
+            highScoreElement.textContent = `${bestResult}（${currentDifficultyName}）`;
+        } catch (error) {
+            console.error("Error fetching personal best:", error);
+            highScoreElement.textContent = `${noResult}（${currentDifficultyName}）`; // Show no result for current difficulty on error
         }
     }
 
+    // Fetches the current user's rank in every period for the game's difficulty (GET /api/leaderboard/ranks)
+    // and lists them below the period tabs, e.g. '我的排名（中等）：今日 第 1 名 · 本周 第 3 名 · ...'.
+    async function fetchPeriodRanks() {
+        if (!userRanksSpan) return;
+        const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty;
+        try {
+            const response = await fetch(createLeaderboardUrl('/ranks', { username: currentUsername, ...getSettingsQuery(), difficulty: gameDifficulty }));
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const ranks = await response.json();
+            const rankTexts = (Array.isArray(ranks) ? ranks : [])
+                .filter(rank => rank && LEADERBOARD_PERIODS[rank.period])
+                .map(rank => `${LEADERBOARD_PERIODS[rank.period]} ${rank.rank ? `第 ${rank.rank} 名` : '未上榜'}`);
+            userRanksSpan.textContent = `我的排名（${currentDifficultyName}）：${rankTexts.join(' · ')}`;
+        } catch (error) {
+            console.error("Error fetching period ranks:", error);
+            userRanksSpan.textContent = '';
+        }
+    }
+
+    // Creates one tab per leaderboard period (LEADERBOARD_PERIODS) and marks the selected one.
+    // Clicking a tab lists the best results of that period.
+    function createPeriodTabs() {
+        if (!periodTabsContainer) return;
+        periodTabsContainer.innerHTML = '';
+        Object.keys(LEADERBOARD_PERIODS).forEach(period => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'period-tab';
+            tab.dataset.period = period;
+            tab.setAttribute('role', 'tab');
+            tab.textContent = LEADERBOARD_PERIODS[period];
+            tab.addEventListener('click', () => {
+                if (leaderboardPeriod === period) return;
+                leaderboardPeriod = period;
+                updatePeriodTabs();
+                fetchLeaderboard();
+            });
+            periodTabsContainer.appendChild(tab);
+        });
+        updatePeriodTabs();
+    }
+
+    // Highlights the tab of the selected period.
+    function updatePeriodTabs() {
+        if (!periodTabsContainer) return;
+        periodTabsContainer.querySelectorAll('.period-tab').forEach(tab => {
+            const isSelected = tab.dataset.period === leaderboardPeriod;
+            tab.classList.toggle('active', isSelected);
+            tab.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+        });
+    }
+
+    // Shows the time left until the selected period resets. Once it has reset, the list and the ranks are fetched
+    // again (once per reset) for the new period.
+    function updateResetCountdown() {
+        if (!resetCountdownSpan) return;
+        if (periodResetTime === null) {
+            resetCountdownSpan.textContent = leaderboardPeriod === 'all' ? '总榜不会重置' : '';
+            return;
+        }
+        const remaining = periodResetTime - Date.now();
+        if (remaining <= 0 && refreshedResetTime !== periodResetTime) {
+            refreshedResetTime = periodResetTime;
+            fetchLeaderboard();
+            fetchPeriodRanks();
+        }
+        resetCountdownSpan.textContent = `${LEADERBOARD_PERIODS[leaderboardPeriod]}排行榜重置倒计时：${formatCountdown(remaining)}`;
+    }
+
     // Submits the current player's game score to the backend API via a POST request.
-    // Includes game difficulty in the submitted data.
-    // entry: Object containing the core score data ({ Username, Score, SurvivalTime, Timestamp }).
+    // Includes game difficulty, the mode (leaderboard category) and the match recording in the submitted data.
+    // The server re-simulates the recording and rejects the entry if the score or time do not match.
+    // entry: Object containing the core score data ({ Username, Score, SurvivalTime, Timestamp, BoardSize, WallMode, Level, Replay }).
     async function submitScore(entry) {
+        // Bot runs are flagged in their recording and never reach the human leaderboard
+        if (entry.Replay && entry.Replay.config && entry.Replay.config.autopilot) {
+            console.log("Autopilot match, score not submitted.");
+            return;
+        }
         console.log("Submitting score...", entry); // Log the entry being submitted
         try {
             // Create the full submission entry object, including game difficulty
@@ -266,7 +413,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 Score: entry.Score,
                 SurvivalTime: entry.SurvivalTime,
                 Timestamp: entry.Timestamp,
-                Difficulty: gameDifficulty // Add the current game difficulty to the submitted data
+                Difficulty: gameDifficulty, // Add the current game difficulty to the submitted data
+                BoardSize: entry.BoardSize, // Board size in cells, e.g. '30x20'
+                WallMode: entry.WallMode, // 'solid' or 'wrap'
+                Level: entry.Level, // Built-in level id, or '' for a plain board
+                Mode: gameMode, // Leaderboard category: the endless mode or the challenge that was played
+                Replay: entry.Replay // Seed, configuration and input log of the match
             };
 
             // Send a POST request to the defined leaderboard API endpoint URL
@@ -281,6 +433,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!response.ok) {
                 const errorText = await response.text(); // Read the error response body
                 console.error(`HTTP error! status: ${response.status}. Body: ${errorText}`); // Log the error details
+                if (response.status === 400 && messageElement) {
+                    // The server rejected the entry (e.g. the recording does not reproduce the claimed score)
+                    messageElement.textContent = "得分记录校验失败，未保存";
+                    return;
+                }
                 throw new Error(`HTTP error! status: ${response.status}`); // Throw an error to trigger the catch block
             }
             // Parse the response body as text (assuming backend might return a simple message)
@@ -289,6 +446,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 try {
                     const result = JSON.parse(text); // Try to parse as JSON if not just plain text
                     console.log("Score submitted successfully:", result.message); // Log success message from JSON
+                    if (result.placement) showPlacement(result.placement);
                 } catch (e) {
                     console.log("Score submitted successfully. Response:", text); // Log raw text if not valid JSON
                 }
@@ -296,9 +454,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log("Score submitted successfully (no response body)."); // Log if response body is empty
             }
 
-            // After successful submission, refresh the leaderboard display to show the new entry
-            // This will refetch all data and trigger a redisplay with the current filter.
+            // After successful submission, refresh the leaderboard list, the personal best and the period ranks
+            // to show the new entry
             fetchLeaderboard();
+            fetchPersonalBest();
+            fetchPeriodRanks();
 
         } catch (error) {
             console.error("Error submitting score:", error); // Log any error that occurred during submission
@@ -307,279 +467,206 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Displays the fetched leaderboard entries in the UI list (#leaderboard-list)
-    // after applying the current filter and sorting.
-    // allEntries: The full array of all fetched leaderboard entry objects.
-    function displayLeaderboard(allEntries) {
-        // Exit the function if leaderboard elements are not found
-        if (!leaderboardList || !difficultyFilterSelect) return;
+    // Displays leaderboard entries in the UI list (#leaderboard-list), in the order the server returned them.
+    // entries: Array<Object> - One page of leaderboard entry objects.
+    // append: boolean - True to add them below the entries already listed (a following page).
+    function displayLeaderboard(entries, append) {
+        // Exit the function if the leaderboard list is not found
+        if (!leaderboardList) return;
 
-        // Clear the current content of the leaderboard list
-        leaderboardList.innerHTML = '';
+        // Clear the current content of the leaderboard list unless a following page is added
+        if (!append) leaderboardList.innerHTML = '';
 
-        // Ensure allEntries is a valid array
-        if (!Array.isArray(allEntries)) {
-            console.error("displayLeaderboard received invalid data:", allEntries);
+        // Ensure entries is a valid array
+        if (!Array.isArray(entries)) {
+            console.error("displayLeaderboard received invalid data:", entries);
             leaderboardList.innerHTML = '<li>排行榜数据格式错误</li>';
             return;
         }
 
-        // Get the currently selected filter value from the dropdown
-        const selectedFilterValue = difficultyFilterSelect.value;
-
-        // Filter the entries based on the selected filter value
-        let filteredEntries = [];
-        switch (selectedFilterValue) {
-            case 'all':
-                filteredEntries = allEntries; // Show all entries
-                break;
-            case 'current':
-                // Filter for entries matching the current game difficulty
-                filteredEntries = allEntries.filter(entry => entry.difficulty === gameDifficulty);
-                break;
-            case 'easy':
-                filteredEntries = allEntries.filter(entry => entry.difficulty === 'easy');
-                break;
-            case 'medium':
-                filteredEntries = allEntries.filter(entry => entry.difficulty === 'medium');
-                break;
-            case 'hard':
-                filteredEntries = allEntries.filter(entry => entry.difficulty === 'hard');
-                break;
-            default:
-                filteredEntries = allEntries; // Default to showing all if filter value is unexpected
-                console.warn(`Unexpected filter value: ${selectedFilterValue}. Showing all entries.`);
-                break;
-        }
-
-
-        // --- Sort the filtered entries ---
-        // Sort first by difficulty (hardest first), then by score (highest), then by survival time (longest)
-        filteredEntries.sort((a, b) => {
-            // Handle potential null entries or difficulty strings
-            const aDifficulty = a?.difficulty ?? '';
-            const bDifficulty = b?.difficulty ?? '';
-
-            // Get numerical sort order for difficulties (higher is harder/higher priority)
-            // Use -1 for unknown difficulty or difficulties not in the map (like super_easy if it somehow got in)
-            // to put them at the end of the difficulty sorting.
-            const orderA = difficultySortOrder[aDifficulty] ?? -1;
-            const orderB = difficultySortOrder[bDifficulty] ?? -1;
-
-            // 1. Primary sort: Difficulty (Descending)
-            if (orderB !== orderA) {
-                return orderB - orderA; // Sort by numerical order descending
-            }
-
-            // If difficulties are the same or not mapped, sort by score
-            // Handle potential null scores
-            const aScore = a?.score ?? 0;
-            const bScore = b?.score ?? 0;
-            // 2. Secondary sort: Score (Descending)
-            if (bScore !== aScore) {
-                return bScore - aScore; // Sort by score descending
-            }
-
-            // If scores are tied, sort by survival time
-            // Handle potential null survival times
-            const aSurvivalTime = a?.survivalTime ?? 0;
-            const bSurvivalTime = b?.survivalTime ?? 0;
-            // 3. Tertiary sort: Survival Time (Descending)
-            if (bSurvivalTime !== aSurvivalTime) {
-                return bSurvivalTime - aSurvivalTime; // Sort by survival time descending
-            }
-
-            // If score and time are tied, return 0 (maintain original relative order or arbitrary)
-            return 0;
-        });
-        // --- End Sorting ---
-
-
-        // Limit the number of entries displayed after filtering and sorting
-        const entriesToDisplay = filteredEntries.slice(0, LEADERBOARD_DISPLAY_LIMIT);
-
-        // Display a message if the filtered list of entries is empty
-        if (entriesToDisplay.length === 0) {
+        // Display a message if nothing matches the current filter
+        if (entries.length === 0 && !append) {
             leaderboardList.innerHTML = '<li>当前筛选条件下暂无记录</li>';
             return;
         }
 
-        // Mapping difficulty value to Chinese name for display in the list (consistent with fetchLeaderboard)
-        const difficultyNames = {
-            // 'super_easy': '超简单', // Removed as per requirement
-            'easy': '简单',
-            'medium': '中等',
-            'hard': '困难'
-        };
-
         // Iterate through the entries to display and add them to the list
-        entriesToDisplay.forEach((entry) => { // Removed index as it's not used
+        entries.forEach((entry) => {
             if (!entry) return; // Skip null or undefined entries
-
-            const listItem = document.createElement('li'); // Create a new list item element for this entry
-            // Escape HTML special characters for safety, handle potential nulls
-            const safeUsername = escapeHTML(entry.username ?? '');
-            const safeScore = escapeHTML(entry.score ?? 0);
-            const safeTime = escapeHTML(entry.survivalTime ?? 0);
-            // Get the display name for difficulty, fallback to value or '未知' if not in map, handle null
-            const safeDifficultyName = escapeHTML(difficultyNames[entry.difficulty ?? ''] || entry.difficulty || '未知');
-
-
-            // Create the HTML structure for a 2-line list item entry:
-            // First line: Username (bold, left-aligned)
-            // Second line: Score (left) and Time (right) and Difficulty annotation
-            listItem.innerHTML = `
-                 <div class="leaderboard-entry-username">${safeUsername}</div>
-                 <div class="leaderboard-entry-score-time">
-                     <span class="score">得分: ${safeScore}</span>
-                     <span class="time">时长: ${safeTime}s</span>
-                     <span class="difficulty-annotation">(${safeDifficultyName})</span> </div>
-             `;
-
-            leaderboardList.appendChild(listItem); // Add the list item to the UL
+            leaderboardList.appendChild(createLeaderboardItem(entry, null)); // Add the list item to the UL
         });
+        updatePlacementArea();
     }
 
-    // --- Game Loop ---
-    // The main function controlling the game flow and timing.
-    // It uses setTimeout to repeatedly call the update and draw functions at intervals determined by the game speed.
-    function gameLoop() {
-        // Stop the loop if the game is not currently running.
-        if (!isGameRunning) {
-            return;
-        }
-
-        // Update the current survival time display every tick if the game has started.
-        if (gameStartTime) {
-            currentSurvivalTime = Math.floor((Date.now() - gameStartTime) / 1000); // Calculate elapsed time in seconds
-            updateSurvivalTimeDisplay(); // Update the corresponding UI element
-        }
+    // Creates the list item of a leaderboard entry; the entry of the last submitted game is highlighted.
+    // entry: Object - Leaderboard entry.
+    // rank: number | null - Place shown before the name (in the placement area), or null.
+    // Returns: HTMLLIElement - The list item.
+    function createLeaderboardItem(entry, rank) {
+        const listItem = document.createElement('li'); // Create a new list item element for this entry
+        // Escape HTML special characters for safety, handle potential nulls
+        const safeUsername = escapeHTML(entry.username ?? '');
+        const safeScore = escapeHTML(entry.score ?? 0);
+        const safeTime = escapeHTML(entry.survivalTime ?? 0);
+        // Get the display name for difficulty, fallback to value or '未知' if not in map, handle null
+        const safeDifficultyName = escapeHTML(difficultyNames[entry.difficulty ?? ''] || entry.difficulty || '未知');
+        const rankPrefix = rank ? `第 ${escapeHTML(rank)} 名 ` : '';
+        // The user's own games are told apart by when they were played
+        const playedAt = getLeaderboardView() === 'mine' && rank === null && entry.timestamp
+            ? ` <span class="played-at">${escapeHTML(new Date(entry.timestamp).toLocaleString())}</span>`
+            : '';
+
+        // Create the HTML structure for a 2-line list item entry:
+        // First line: Username (bold, left-aligned)
+        // Second line: Score (left) and Time (right) and Difficulty annotation
+        listItem.innerHTML = `
+             <div class="leaderboard-entry-username">${rankPrefix}${safeUsername}${playedAt}</div>
+             <div class="leaderboard-entry-score-time">
+                 <span class="score">得分: ${safeScore}</span>
+                 <span class="time">${isRankedByTime() ? '用时' : '时长'}: ${safeTime}s</span>
+                 <span class="difficulty-annotation">(${safeDifficultyName})</span> </div>
+         `;
+        if (isPlacementEntry(entry)) listItem.classList.add('highlighted');
+        return listItem;
+    }
 
-        // Schedule the next execution of the gameLoop function after a delay equal to the 'speed'.
-        // The 'speed' variable is dynamically updated in the 'update' function based on score.
-        gameLoopTimeout = setTimeout(() => {
-            update(); // Call the function to update the game state (move snake, check collisions, etc.)
-            draw(); // Call the function to redraw the canvas with the updated state
-
-            // Check game continuation conditions:
-            // Continue the loop if the player is still alive AND the gameRunning flag is true.
-            if (player && player.alive && isGameRunning) {
-                gameLoop(); // Recursively call gameLoop for the next tick.
-            } else if (isGameRunning) { // If the player is no longer alive, but the game is still marked as running (meaning game just ended).
-                gameOver(); // End the game.
-            }
+    // Checks whether an entry is the user's entry of the last submitted game's placement.
+    function isPlacementEntry(entry) {
+        if (!lastPlacement || !lastPlacement.entry) return false;
+        const placed = lastPlacement.entry;
+        return String(entry.username).toLowerCase() === String(placed.username).toLowerCase()
+            && entry.difficulty === placed.difficulty
+            && entry.score === placed.score
+            && entry.survivalTime === placed.survivalTime
+            && entry.timestamp === placed.timestamp;
+    }
 
-        }, speed); // The delay for the setTimeout is set by the global 'speed' variable (controlled by difficulty and score).
+    // Shows where the last submitted game put the user: the rank in the result area, the banner for a new
+    // personal best, and (once the list is fetched again) the highlighted entry.
+    // placement: Object - { rank, total, entry, neighbours, neighboursFirstRank, isPersonalBest, previousBest }.
+    function showPlacement(placement) {
+        lastPlacement = placement;
+        const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty;
+        if (gameResultArea) {
+            const rankLine = document.createElement('p');
+            rankLine.textContent = `总榜排名（${currentDifficultyName}）：第 ${placement.rank} 名，共 ${placement.total} 人`;
+            gameResultArea.appendChild(rankLine);
+        }
+        if (personalBestBanner && placement.isPersonalBest && placement.previousBest) {
+            const describe = entry => isRankedByTime() ? `${entry.survivalTime}s` : `${entry.score} 分`;
+            personalBestBanner.textContent = `新的个人最佳！${describe(placement.entry)}（之前 ${describe(placement.previousBest)}）`;
+            personalBestBanner.style.display = '';
+        }
+        updatePlacementArea();
     }
 
-    // --- Game State Update ---
-    // Updates the position of the snake, checks for collisions (wall, self), and food consumption.
-    // Dynamically adjusts game speed based on the player's score using a common helper function
-    // and the difficulty-specific step rate.
-    function update() {
-        // Exit the function early if player or snake are not valid or player is not alive.
-        if (!player || !Array.isArray(player.snake) || player.snake.length === 0 || !player.alive) return;
-
-        // Update the player's current direction to their intended next direction.
-        // This handles directional input buffering and prevents immediate 180-degree turns.
-        player.direction = player.nextDirection;
-
-        // Calculate the potential position of the snake's next head segment based on the current direction.
-        const head = { ...player.snake[0] }; // Create a copy of the current head position object.
-        switch (player.direction) {
-            case 'up': head.y -= 1; break; // Move one grid cell up (decrease y-coordinate).
-            case 'down': head.y += 1; break; // Move one grid cell down (increase y-coordinate).
-            case 'left': head.x -= 1; break; // Move one grid cell left (decrease x-coordinate).
-            case 'right': head.x += 1; break; // Move one grid cell right (increase x-coordinate).
-            default: console.warn("Unknown direction:", player.direction); return; // Handle unknown direction
+    // Lists the entries around the user's (placement neighbours) below the leaderboard when the user's entry is not
+    // among the entries shown in the list, e.g. because it falls outside the loaded pages or another period is selected.
+    function updatePlacementArea() {
+        if (!placementArea || !placementList) return;
+        const isListed = leaderboardList && leaderboardList.querySelector('li.highlighted') !== null;
+        if (!lastPlacement || isListed) {
+            placementArea.style.display = 'none';
+            return;
         }
+        const currentDifficultyName = difficultyNames[gameDifficulty] || gameDifficulty;
+        if (placementTitle) placementTitle.textContent = `你的位置（${LEADERBOARD_PERIODS.all} · ${currentDifficultyName}）`;
+        placementList.innerHTML = '';
+        (lastPlacement.neighbours || []).forEach((entry, index) => {
+            if (entry) placementList.appendChild(createLeaderboardItem(entry, lastPlacement.neighboursFirstRank + index));
+        });
+        placementArea.style.display = '';
+    }
 
-        // Check for collisions with walls or the snake's own body using common helper functions.
-        if (checkWallCollision(head) || checkSelfCollision(head, player.snake)) {
-            console.log(`${player.name} collided with wall or self.`); // Log the collision
-            player.alive = false; // Mark the player as not alive if a collision occurs.
-            // No return here, allow drawing the dead snake state
-        } else {
-            // If no collision, proceed with food check and movement
-            // Check if the snake's potential next head position overlaps with the food position.
-            // --- Corrected food collision check ---
-            if (food && head.x === food.x && head.y === food.y) {
-                player.score++; // Increase the player's score.
-                generateFood(); // Generate new food using the single-player specific function.
-
-                // --- Adjust speed based on score using common helper function and difficulty-specific step ---
-                // Calculate the new speed based on the initial speed, current score, and the mode's reduction rate per point.
-                speed = calculateDynamicSpeed(initialSinglePlayerSpeed, player.score, singlePlayerScoreStepReduction);
-                console.log(`Score increased to ${player.score}, new speed: ${speed}ms`); // Log the score and new speed
-                // --- End speed adjustment ---
+    // --- Game Loop ---
+    // The match runs on a fixed-timestep loop (gameloop.js) driven by requestAnimationFrame.
+    // Every tick lasts exactly the engine's current interval (game.speed, set by the difficulty and
+    // recalculated from the score whenever food is eaten), and the board is redrawn every animation
+    // frame with the snake interpolated between the last two ticks.
+    const gameLoop = SnakeLoop.createLoop({
+        getInterval: () => game.speed,
+        tick: () => {
+            update(); // Advance the match (calls gameOver() when the player dies)
+            return isGameRunning; // Stop the loop once the game has ended
+        },
+        render: (alpha) => draw(alpha)
+    });
 
-            } else {
-                // If no food was eaten in this tick, remove the last segment of the snake's body.
-                // This simulates the snake moving forward without growing.
-                player.snake.pop();
+    // --- Game State Update ---
+    // Advances the match by one tick through the shared engine, which moves the snake, checks for
+    // collisions (wall, obstacle, self), food and item pickups, and adjusts the speed based on the food eaten.
+    // The returned events are only logged, with the 'debug' URL parameter (see debugLog in common.js).
+    function update() {
+        // Exit the function early if there is no match in progress.
+        if (!game || game.over) return;
+
+        // One queued turn per tick, or the bot's choice when a bot is playing
+        const nextDirection = autopilot
+            ? autopilot(SnakeBots.createSnapshot(game, 0), autopilotRandom)
+            : (directionQueue.length > 0 ? directionQueue.shift() : null);
+        const result = SnakeEngine.step(game, [nextDirection], random);
+        SnakeRecording.recordTick(recording, game, result.state); // Log the direction change consumed this tick
+        previousGame = game; // Kept for interpolated drawing
+        game = result.state;
+
+        result.events.forEach(event => {
+            switch (event.type) {
+                case 'death': debugLog(`${game.players[0].name} collided with ${event.cause}.`); break;
+                case 'food': debugLog("Food generated at:", event.position); break;
+                case 'item': debugLog(`Picked up ${event.item} item, score: ${game.players[0].score}`); break;
+                case 'itemSpawn': debugLog(`Item ${event.item} generated at:`, event.position); break;
+                case 'itemExpired': debugLog(`Item ${event.item} expired at:`, event.position); break;
+                case 'speed': debugLog(`New speed: ${event.speed}ms`); break;
             }
-
-            // Add the new head segment to the beginning (front) of the snake's body array.
-            player.snake.unshift(head);
-        }
-
+        });
 
         // Update the score display in the UI to reflect any score change.
         updateScoreDisplays();
 
+        // Update the current survival time display every tick.
+        // Survival time is the engine's simulated time (the sum of elapsed tick intervals), which is
+        // exactly what the server recomputes when it verifies the submitted recording.
+        currentSurvivalTime = Math.floor(game.elapsedMs / 1000); // Elapsed time in seconds
+        updateSurvivalTimeDisplay(); // Update the corresponding UI element
+
         // If the player just died in this update tick, call gameOver
-        if (!player.alive && isGameRunning) {
+        if (game.over && isGameRunning) {
             gameOver();
         }
     }
 
     // --- Drawing ---
     // Clears the canvas and redraws all game elements (background, food, snake) based on the current game state.
-    function draw() {
-        // Ensure canvas context is available
-        if (!ctx) return;
-
-        // Clear the entire canvas by filling it with the background color.
-        ctx.fillStyle = '#e0e0e0'; // Set the fill color for the background.
-        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT); // Fill the rectangle covering the entire canvas dimensions.
-
-        // Draw the food on the canvas if the 'food' object is not null.
-        if (food) {
-            drawRect(ctx, food.x, food.y, 'red'); // Use the common helper function to draw a red rectangle at the food's grid coordinates.
-        }
-
-        // Draw the snake segments.
-        if (player && Array.isArray(player.snake)) { // Ensure player and snake exist and snake is an array
-            if (player.alive) {
-                // If the player is alive, iterate through the snake's segments and draw them with the player's color.
-                player.snake.forEach((segment, index) => {
-                    if (segment) { // Ensure segment is not null/undefined
-                        // Darken the color specifically for the head segment (index 0) for visual distinction.
-                        const color = (index === 0) ? darkenColor(player.color, 20) : player.color; // Use the common helper function to darken the color.
-                        drawRect(ctx, segment.x, segment.y, color); // Use the common helper function to draw the snake segment at its grid coordinates.
-                    }
-                });
-            } else {
-                // If the player is not alive (game over state), draw the snake in grey.
-                player.snake.forEach(segment => {
-                    if (segment) { // Ensure segment is not null/undefined
-                        drawRect(ctx, segment.x, segment.y, '#888888'); // Use the common helper function to draw a grey rectangle for the segment.
-                    }
-                });
-            }
-        }
+    // Draws the paused overlay on top while the game is paused.
+    // alpha: number - Optional fraction (0 to 1) of the next tick that has elapsed; the snake is drawn
+    //        that far between its previous and current position. Without it the current state is drawn as is.
+    function draw(alpha) {
+        SnakeRenderer.drawGame(ctx, game, previousGame, alpha);
+        if (isPaused) SnakeRenderer.drawPausedOverlay(ctx, resumeHint);
     }
 
     // Updates the player's current score display element in the UI.
     function updateScoreDisplays() {
         // Check if the score display element exists before updating its text content.
-        if (p1ScoreSpan && player) p1ScoreSpan.textContent = player.score;
+        if (p1ScoreSpan && game) p1ScoreSpan.textContent = game.players[0].score;
     }
 
     // Updates the current game survival time display element in the UI.
     function updateSurvivalTimeDisplay() {
         // Check if the survival time display element exists before updating its text content.
         if (survivalTimeSpan) survivalTimeSpan.textContent = currentSurvivalTime;
+        if (challengeStatusSpan) challengeStatusSpan.textContent = describeChallengeStatus();
+    }
+
+    // Describes the mode for the score area: the time left in a time attack, the score still missing in a
+    // target score mode, or nothing in the endless mode.
+    function describeChallengeStatus() {
+        if (!challengeRules || !game) return '';
+        if (challengeRules.type === 'timeAttack') {
+            const secondsLeft = Math.max(0, Math.ceil((challengeRules.timeLimitMs - game.elapsedMs) / 1000));
+            return `${SINGLE_PLAYER_MODES[gameMode]}　剩余时间: ${secondsLeft}s`;
+        }
+        return `${SINGLE_PLAYER_MODES[gameMode]}　进度: ${game.players[0].score} / ${challengeRules.targetScore}`;
     }
 
 
@@ -589,40 +676,44 @@ document.addEventListener('DOMContentLoaded', () => {
         // Exit the function if the game is already running.
         if (isGameRunning) return;
 
+        // A selected bot must be registered (the built-in ones always are; others can be registered from the console)
+        autopilot = autopilotName ? SnakeBots.getBot(autopilotName) : null;
+        if (autopilotName && !autopilot) {
+            if (messageElement) messageElement.textContent = `未找到自动驾驶程序 "${autopilotName}"，请先用 SnakeBots.registerBot() 注册`;
+            return;
+        }
+
         console.log("Starting single player game..."); // Log game start
 
-        // Reset game-specific state for a new game.
+        // Reset game-specific state for a new game, including the initial speed for the difficulty.
         // Username and difficulty are initialized once on page load and persist across restarts.
-        player = {
-            snake: [{ x: Math.floor(GRID_WIDTH / 2), y: Math.floor(GRID_HEIGHT / 2) }], // Reset snake position to center
-            score: 0, // Reset score
-            direction: 'right', // Reset direction
-            nextDirection: 'right', // Reset next direction
-            alive: true, // Player starts alive
-            color: '#008000', // Snake color
-            name: currentUsername, // Keep current username
-            startTime: null, // Reset start time
-            survivalTime: 0 // Reset survival time
-        };
+        // A new seeded random source is created for the match and the first food item is placed right away.
+        matchSeed = requestedSeed !== null ? requestedSeed : generateSeed();
+        random = createSeededRandom(matchSeed);
+        // The bot gets its own source, so it never changes the food sequence and a seed replays it too
+        autopilotRandom = createSeededRandom((matchSeed + 1) >>> 0);
+        const config = createSinglePlayerConfig();
+        recording = SnakeRecording.createRecording(config, matchSeed); // Record the match for the replay page
+        game = SnakeEngine.placeFood(SnakeEngine.createGame(config), random);
+        previousGame = null;
+        directionQueue = [];
 
-        food = null; // Reset food position
         isGameRunning = true; // Mark game as running
-        gameStartTime = Date.now(); // Record the exact timestamp when the game starts
+        isPaused = false; // A new game always starts unpaused
+        pauseStartTime = null;
         currentSurvivalTime = 0; // Reset current survival time counter
         if (messageElement) messageElement.textContent = ''; // Clear previous messages in the UI
         if (gameResultArea) gameResultArea.textContent = ''; // Clear previous game results display
+        if (personalBestBanner) personalBestBanner.style.display = 'none'; // The banner belongs to the previous game
         if (startButton) {
             startButton.textContent = '进行中...'; // Update the start button text
             startButton.disabled = true; // Disable the start button while the game is in progress
         }
 
-        generateFood(); // Generate the first food item for the new game
-
-        // Reset speed to the initial difficulty speed and set the step rate at the start of a new game
-        setGameSpeed(gameDifficulty);
-        initialSinglePlayerSpeed = speed; // Ensure initial speed is correctly stored for the new game
-
-        gameLoop(); // Start the main game loop execution
+        console.log(`Match seed: ${matchSeed}`);
+        updateSurvivalTimeDisplay(); // Show the reset time right away
+        draw(); // Show the initial board until the first tick
+        gameLoop.start(); // Start the main game loop execution
     }
 
     // Ends the current single player game. Handles score submission, results display, and UI reset.
@@ -634,20 +725,27 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Single player Game Over!"); // Log game over event
         isGameRunning = false; // Mark the game as no longer running
 
-        // Clear the game loop timeout to stop further updates and drawing.
-        if (gameLoopTimeout) {
-            clearTimeout(gameLoopTimeout);
-        }
+        // Stop the game loop to halt further updates and drawing.
+        gameLoop.stop();
+
+        const player = game ? game.players[0] : null;
 
-        // Calculate and update final survival time based on game duration.
-        if (gameStartTime && player) { // Ensure player exists
-            currentSurvivalTime = Math.floor((Date.now() - gameStartTime) / 1000); // Calculate total time elapsed in seconds
+        // Calculate and update final survival time from the engine's simulated match time.
+        if (game) {
+            currentSurvivalTime = Math.floor(game.elapsedMs / 1000); // Total time elapsed in seconds
             updateSurvivalTimeDisplay(); // Final update to display the total time in the UI
-            player.survivalTime = currentSurvivalTime; // Store the final time in the player object
+        }
+
+        // Finish the match recording and keep it for the replay page.
+        // The recording is also submitted with the score so the server can verify it.
+        if (recording && game) {
+            SnakeRecording.finishRecording(recording, game);
+            SnakeRecording.storeRecording(recording);
         }
 
         // Display game over messages and results in the UI.
         if (messageElement) messageElement.textContent = `游戏结束!`; // Set game over message
+        const outcome = describeChallengeOutcome();
         if (startButton) {
             startButton.disabled = false; // Enable the start button for restart
             startButton.textContent = '重新开始'; // Update start button text for restarting
@@ -655,13 +753,29 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Create the score entry object containing game results for submission.
         // Includes game difficulty.
-        if (player) { // Only submit if player object is valid
+        // Scores on custom level files are not ranked: anyone could load a level that makes the game trivial.
+        if (player && selectedLevel && selectedLevel.id === SnakeLevels.CUSTOM_LEVEL_ID) {
+            console.log("Custom level game, score not submitted.");
+            if (messageElement) messageElement.textContent += ' 自定义关卡的成绩不计入排行榜。';
+        } else if (player && autopilot) {
+            // Bot runs are never ranked against human players
+            console.log("Autopilot game, score not submitted.");
+            if (messageElement) messageElement.textContent += ' 自动驾驶对局不计入排行榜。';
+        } else if (player && isRankedByTime() && game.challenge.result !== 'reached') {
+            // A target score run only has a time to rank once the target was reached
+            console.log("Target score not reached, score not submitted.");
+            if (messageElement) messageElement.textContent += ' 未达到目标分数，不计入排行榜。';
+        } else if (player) { // Only submit if player object is valid
             const singlePlayerEntry = {
                 Username: player.name,
                 Score: player.score,
-                SurvivalTime: player.survivalTime,
+                SurvivalTime: currentSurvivalTime,
                 Timestamp: new Date().toISOString(), // Record current timestamp in ISO format
-                Difficulty: gameDifficulty // Add the current game difficulty to the submitted data
+                Difficulty: gameDifficulty, // Add the current game difficulty to the submitted data
+                BoardSize: formatBoardSize(boardSettings.width, boardSettings.height), // Scores are compared per board size...
+                WallMode: boardSettings.walls, // ...and wall mode...
+                Level: getLevelId(), // ...and level
+                Replay: recording // Match recording the server re-simulates to verify the score and time
             };
 
             // Submit the score entry to the backend leaderboard API.
@@ -672,10 +786,10 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error("Player object not valid, cannot submit score.");
         }
 
-
         // Display the final score and time in the results area of the UI.
         if (gameResultArea && player) { // Ensure gameResultArea and player exist
-            gameResultArea.innerHTML = `<h3>最终得分</h3><p>${escapeHTML(player.name)}: 得分 ${escapeHTML(player.score)}, 游戏时长 ${escapeHTML(player.survivalTime)}s</p>`; // Escape HTML here too
+            gameResultArea.innerHTML = `<h3>最终得分</h3>${outcome ? `<p>${escapeHTML(outcome)}</p>` : ''}<p>${escapeHTML(player.name)}: 得分 ${escapeHTML(player.score)}, 游戏时长 ${escapeHTML(currentSurvivalTime)}s</p><p>种子: ${escapeHTML(matchSeed)}</p>`; // Escape HTML here too
+            appendReplayLinks();
         }
 
 
@@ -683,7 +797,67 @@ document.addEventListener('DOMContentLoaded', () => {
         draw();
 
         // Add a prompt message instructing the user how to start a new game.
-        if (messageElement) messageElement.textContent += ' 按空格键开始新游戏';
+        if (messageElement) messageElement.textContent += ` ${startHint}开始新游戏`;
+    }
+
+    // Describes how a challenge ended for the results area, or returns '' for the endless mode.
+    function describeChallengeOutcome() {
+        if (!game || !game.challenge) return '';
+        const modeName = SINGLE_PLAYER_MODES[gameMode];
+        switch (game.challenge.result) {
+            case 'reached': return `${modeName}: 达成目标，用时 ${currentSurvivalTime}s`;
+            case 'timeUp': return `${modeName}: 时间到，得分 ${game.players[0].score}`;
+            default: return `${modeName}: 蛇已死亡${isRankedByTime() ? '，未达成目标' : ''}`;
+        }
+    }
+
+    // Adds "watch replay" and "download replay" links for the last match to the results area.
+    function appendReplayLinks() {
+        const links = document.createElement('p');
+        links.innerHTML = `<a href="/replay.html">观看回放</a> | <a href="#" class="download-replay-link">下载录像</a>`;
+        links.querySelector('.download-replay-link').addEventListener('click', (e) => {
+            e.preventDefault(); // Do not follow the placeholder link
+            SnakeRecording.downloadRecording(recording);
+        });
+        gameResultArea.appendChild(links);
+    }
+
+    // --- Pause Handling ---
+    // Pausing stops the loop without advancing the engine, so the simulated match time (and therefore
+    // the survival time) never includes paused intervals. Each pause is logged in the match recording.
+
+    // Pauses a running game. Also called automatically when the tab is hidden or the window loses focus.
+    function pauseGame() {
+        if (!isGameRunning || isPaused) return;
+
+        isPaused = true;
+        pauseStartTime = Date.now(); // Remember when the pause began, for the recording
+        gameLoop.stop(); // Time spent paused is never simulated
+        draw(); // Show the paused overlay
+        if (messageElement) messageElement.textContent = '已暂停';
+        console.log(`Game paused at tick ${game.tick}.`);
+    }
+
+    // Resumes a paused game and logs the pause in the match recording.
+    function resumeGame() {
+        if (!isGameRunning || !isPaused) return;
+
+        SnakeRecording.recordPause(recording, game.tick, Date.now() - pauseStartTime);
+        isPaused = false;
+        pauseStartTime = null;
+        if (messageElement) messageElement.textContent = '';
+        draw(); // Remove the overlay right away
+        gameLoop.start(); // Continue with a full tick interval
+        console.log(`Game resumed at tick ${game.tick}.`);
+    }
+
+    // Switches between paused and running (P / Escape).
+    function togglePause() {
+        if (isPaused) {
+            resumeGame();
+        } else {
+            pauseGame();
+        }
     }
 
     // --- Event Listeners ---
@@ -694,67 +868,106 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add a global keydown event listener to handle keyboard input for game controls and starting the game.
     document.addEventListener('keydown', handleKeyDownSinglePlayer);
 
-    // Handles keydown events specifically for single player mode controls (Arrow Keys / WASD) and starting the game with Spacebar.
+    // Pause automatically when the tab is hidden or the window loses focus.
+    // The game stays paused until the player resumes it with a pause key (P or Escape by default).
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', () => pauseGame());
+
+    // Handles keydown events for the single player controls: the movement, start and pause keys of the single player
+    // key binding (by default Arrow Keys / WASD, Spacebar, and P or Escape; rebindable on the mode selection page).
     // e: The KeyboardEvent object containing information about the key press.
     function handleKeyDownSinglePlayer(e) {
-        // Check if the game is not running and the pressed key is Spacebar.
-        if (!isGameRunning && e.key === ' ') {
-            e.preventDefault(); // Prevent default browser action for Spacebar (like scrolling down).
-            startGame(); // Call the startGame function to start a new game.
-            return; // Exit the function after handling the Spacebar press.
-        }
+        const action = getBoundAction(keyBindings, e);
 
-        // Ignore key presses related to movement if the game is not running or the player is not alive.
-        if (!isGameRunning || !player || !player.alive) return;
-
-        let requestedDirection = null; // Variable to store the intended new direction based on the key press.
+        // The start key starts a game when none is running.
+        if (!isGameRunning && action === 'start') {
+            e.preventDefault(); // Prevent default browser action (e.g. Spacebar scrolling down).
+            startGame();
+            return;
+        }
 
-        // Check for Arrow Key presses to determine requested direction.
-        switch (e.key) {
-            case 'ArrowUp': requestedDirection = 'up'; break;
-            case 'ArrowDown': requestedDirection = 'down'; break;
-            case 'ArrowLeft': requestedDirection = 'left'; break;
-            case 'ArrowRight': requestedDirection = 'right'; break;
+        // The pause keys pause and resume a running game.
+        if (isGameRunning && action === 'pause') {
+            e.preventDefault();
+            togglePause();
+            return;
         }
 
-        // If no direction was determined by Arrow keys, check for WASD key presses.
-        if (requestedDirection === null) {
-            switch (e.key.toLowerCase()) { // Use toLowerCase() to handle both uppercase (W, A, S, D) and lowercase (w, a, s, d).
-                case 'w': requestedDirection = 'up'; break;
-                case 's': requestedDirection = 'down'; break;
-                case 'a': requestedDirection = 'left'; break;
-                case 'd': requestedDirection = 'right'; break;
-            }
+        // If a movement key was pressed and the turn was queued
+        if (['up', 'down', 'left', 'right'].includes(action) && requestDirection(action)) {
+            e.preventDefault(); // Prevent default browser action for arrow keys (like scrolling).
         }
+    }
 
-        // If a valid movement key was pressed (either Arrow or WASD).
-        if (requestedDirection !== null) {
-            // Define an object mapping each direction to its opposite direction.
-            const oppositeDirections = {
-                'up': 'down', 'down': 'up', 'left': 'right', 'right': 'left'
-            };
-            // Check if the requested direction is NOT the opposite of the snake's current direction.
-            // This prevents the snake from immediately reversing into its own body.
-            if (player.direction !== oppositeDirections[requestedDirection]) {
-                player.nextDirection = requestedDirection; // Set the next intended direction for the snake.
-                e.preventDefault(); // Prevent default browser action for arrow keys or WASD (like scrolling).
-            }
+    // Queues a turn from the keyboard, a swipe, the D-pad or a gamepad. Ignored while the game is not running, is paused,
+    // the player is not alive or a bot is playing.
+    // direction: string - 'up', 'down', 'left' or 'right'
+    // Returns: true if the turn was queued.
+    function requestDirection(direction) {
+        if (!isGameRunning || isPaused || !game || !game.players[0].alive || autopilot) return false;
+        // Queue the turn after any turns still waiting for a tick. It is checked against the last queued
+        // direction, so a quick Up-then-Left is kept as two turns and can never add up to a U-turn.
+        return SnakeEngine.queueDirection(directionQueue, game.players[0].direction, direction);
+    }
+
+    // --- Touch Input ---
+    // Swiping on the canvas and the on-screen D-pad steer like the keys; a tap starts a game or pauses/resumes it.
+    SnakeTouch.attachSwipe(canvas, { onSwipe: requestDirection, onTap: startOrTogglePause });
+    SnakeTouch.createDirectionPad(directionPad, directionPadToggle, requestDirection);
+
+    // The canvas follows the window size (e.g. when a phone is rotated); resizing clears it, so it is redrawn
+    window.addEventListener('resize', () => {
+        resizeCanvasForBoard(canvas, boardSettings.width, boardSettings.height);
+        draw();
+    });
+
+    // Starts a game, or pauses/resumes the running one (tap on the canvas or Start on a gamepad).
+    function startOrTogglePause() {
+        if (isGameRunning) {
+            togglePause();
+        } else {
+            startGame();
         }
     }
 
+    // --- Gamepad Input ---
+    // Any connected gamepad steers with its D-pad or stick; Start starts a game or pauses/resumes it.
+    // Unplugging a gamepad pauses a running game, so the snake does not run on without its controller.
+    SnakeGamepad.createPoller({
+        onConnect: (index, id) => {
+            if (messageElement) messageElement.textContent = `手柄已连接: ${id}`;
+            console.log(`Gamepad ${index} connected: ${id}`);
+        },
+        onDisconnect: (index, id) => {
+            console.log(`Gamepad ${index} disconnected: ${id}`);
+            if (isGameRunning && !isPaused && !autopilot) pauseGame();
+            if (messageElement) messageElement.textContent = isPaused ? '手柄已断开，游戏已暂停' : '手柄已断开';
+        },
+        onDirection: (index, direction) => requestDirection(direction),
+        onStart: startOrTogglePause
+    });
+
     // --- Initial Setup ---
     // This function is called only once when the DOM is fully loaded to perform the initial setup
     // of the single player game page and game state variables.
     initSinglePlayer();
 
-    // --- Add event listener for difficulty filter dropdown ---
-    // When the filter selection changes, re-display the leaderboard using the stored data.
+    // --- Add event listeners for the leaderboard filter and paging ---
+    // When the filter or view selection changes, request the first page for the new selection.
     if (difficultyFilterSelect) {
-        difficultyFilterSelect.addEventListener('change', () => {
-            // Pass the full set of fetched entries to the display function
-            displayLeaderboard(allLeaderboardEntries);
+        difficultyFilterSelect.addEventListener('change', () => fetchLeaderboard());
+    }
+    if (leaderboardViewSelect) {
+        leaderboardViewSelect.addEventListener('change', () => fetchLeaderboard());
+    }
+    // "加载更多" appends the next page below the entries already shown.
+    if (leaderboardMoreButton) {
+        leaderboardMoreButton.addEventListener('click', () => {
+            if (leaderboardNextPage) fetchLeaderboard(leaderboardNextPage);
         });
     }
-    // --- End filter event listener ---
+    // --- End leaderboard event listeners ---
 
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+﻿/*
+ * File: touch.js
+ * Description: Touch input for phones and tablets.
+ * Swiping across the game canvas steers: a direction is reported as soon as the finger has moved far enough,
+ * and the swipe keeps going from there, so several turns can be drawn without lifting the finger.
+ * A short tap on the canvas is reported separately (the pages use it to start and pause a game).
+ * An optional on-screen D-pad offers four buttons for players who prefer them; whether it is shown is
+ * remembered in local storage and defaults to shown on touch screens.
+ * Used by the single player and online pages to steer; the two player page only uses taps, since one screen
+ * cannot be shared fairly by several players.
+ */
+
+const SnakeTouch = (function () {
+    // Distance in CSS pixels a finger has to move before it counts as a swipe
+    const SWIPE_DISTANCE = 24;
+    // A touch that moved less than this and ended within TAP_MAX_MS counts as a tap
+    const TAP_DISTANCE = 10;
+    const TAP_MAX_MS = 300;
+    // Local storage key for the D-pad preference ('on' or 'off')
+    const DIRECTION_PAD_STORAGE_KEY = 'snakeGameDirectionPad';
+
+    const DIRECTION_PAD_BUTTONS = [
+        { direction: 'up', label: '▲' },
+        { direction: 'left', label: '◀' },
+        { direction: 'right', label: '▶' },
+        { direction: 'down', label: '▼' }
+    ];
+
+    // Returns true on devices used mainly by touch (phones, tablets). Laptops with a touch screen still count as
+    // keyboard devices, so their messages keep naming keys.
+    function isTouchDevice() {
+        if (typeof window.matchMedia === 'function') return window.matchMedia('(pointer: coarse)').matches;
+        return 'ontouchstart' in window;
+    }
+
+    // Returns the direction of a movement by its larger component.
+    function getSwipeDirection(dx, dy) {
+        if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+        return dy > 0 ? 'down' : 'up';
+    }
+
+    // Reports swipes and taps on an element (usually the game canvas). The page does not scroll or zoom
+    // while a finger is on the element.
+    // element: HTMLElement - The element to watch.
+    // callbacks: {
+    //   onSwipe: function(direction: string) - The finger moved SWIPE_DISTANCE in a direction,
+    //   onTap: function() - The element was tapped
+    // }
+    function attachSwipe(element, callbacks) {
+        if (!element) return;
+        let touch = null; // { id, x, y, startX, startY, startTime, swiped } of the finger being tracked
+
+        element.addEventListener('touchstart', (e) => {
+            if (touch !== null) return; // Only the first finger steers
+            const point = e.changedTouches[0];
+            touch = { id: point.identifier, x: point.clientX, y: point.clientY, startX: point.clientX, startY: point.clientY, startTime: Date.now(), swiped: false };
+            e.preventDefault(); // No scrolling, zooming or emulated mouse events
+        }, { passive: false });
+
+        element.addEventListener('touchmove', (e) => {
+            const point = findTrackedTouch(e);
+            if (!point) return;
+            e.preventDefault();
+            const dx = point.clientX - touch.x;
+            const dy = point.clientY - touch.y;
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_DISTANCE) return;
+            // Measure the next swipe from here, so a turn can follow without lifting the finger
+            touch.x = point.clientX;
+            touch.y = point.clientY;
+            touch.swiped = true;
+            if (callbacks.onSwipe) callbacks.onSwipe(getSwipeDirection(dx, dy));
+        }, { passive: false });
+
+        const endTouch = (e) => {
+            const point = findTrackedTouch(e);
+            if (!point) return;
+            const moved = Math.max(Math.abs(point.clientX - touch.startX), Math.abs(point.clientY - touch.startY));
+            const isTap = e.type === 'touchend' && !touch.swiped && moved < TAP_DISTANCE && Date.now() - touch.startTime <= TAP_MAX_MS;
+            touch = null;
+            if (isTap && callbacks.onTap) callbacks.onTap();
+        };
+        element.addEventListener('touchend', endTouch);
+        element.addEventListener('touchcancel', endTouch);
+
+        // Returns the tracked finger among the touches that changed, or null.
+        function findTrackedTouch(e) {
+            if (touch === null) return null;
+            return Array.from(e.changedTouches).find(point => point.identifier === touch.id) || null;
+        }
+    }
+
+    // Builds the on-screen D-pad in a container and wires its show/hide checkbox.
+    // container: HTMLElement - Element the buttons are added to; hidden while the D-pad is off.
+    // toggle: HTMLInputElement | null - Checkbox that shows and hides the D-pad (the choice is remembered).
+    // onDirection: function(direction: string) - Called when a D-pad button is pressed.
+    function createDirectionPad(container, toggle, onDirection) {
+        if (!container) return;
+
+        DIRECTION_PAD_BUTTONS.forEach(({ direction, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `direction-pad-button direction-pad-${direction}`;
+            button.textContent = label;
+            button.setAttribute('aria-label', direction);
+            // React on press rather than on click, which fires only after the finger lifts
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                onDirection(direction);
+            });
+            container.appendChild(button);
+        });
+
+        const stored = localStorage.getItem(DIRECTION_PAD_STORAGE_KEY);
+        const shown = stored === null ? isTouchDevice() : stored === 'on';
+        container.style.display = shown ? '' : 'none';
+        if (toggle) {
+            toggle.checked = shown;
+            toggle.addEventListener('change', () => {
+                container.style.display = toggle.checked ? '' : 'none';
+                localStorage.setItem(DIRECTION_PAD_STORAGE_KEY, toggle.checked ? 'on' : 'off');
+            });
+        }
+    }
+
+    return {
+        isTouchDevice: isTouchDevice,
+        attachSwipe: attachSwipe,
+        createDirectionPad: createDirectionPad
+    };
+})();
@@ -1,12 +1,22 @@
 ﻿/*
  * File: twoplayer.js
- * Description: Contains the main game logic and UI interactions for the two player mode.
- * Handles movement for two snakes, food generation, collision detection
- * (wall, self, player-to-player), score, game state (start/game over), time tracking,
- * and keyboard input specific to two players (WASD and Arrows).
- * Includes dynamic speed adjustment based on combined player scores using a common helper function
- * with difficulty-specific step rates. Does NOT submit scores to the leaderboard.
- * Relies on common.js for helper functions and constants.
+ * Description: Contains the main game logic and UI interactions for the local versus mode (two to four players
+ * on one keyboard, 'players' URL parameter).
+ * Renders the match state produced by the shared game engine (engine.js), which owns movement for
+ * every snake, food generation, collision detection (wall, obstacle, self, player-to-player), score and
+ * dynamic speed based on combined player scores.
+ * This file drives the match with the fixed-timestep loop from gameloop.js and handles game state
+ * (start/pause/game over), time tracking, match recording for the replay page, and keyboard input
+ * with rebindable keys per player (see loadKeyBindings in common.js) plus one gamepad
+ * per player (see gamepad.js). Any seat can instead be played by a computer player (selected with the
+ * 'p1'...'p4' URL parameters).
+ * With the 'coop' URL parameter ('pass' or 'headOn', see COOP_COLLISIONS in engine.js) two players play as one team
+ * instead: one shared score and pool of lives, a target score to reach before the time limit, and a team result that
+ * is submitted to the co-op leaderboard under the team name ('username' URL parameter).
+ * Versus matches are NOT submitted to the leaderboard.
+ * Relies on common.js for helper functions and constants, engine.js for the game rules,
+ * levels.js for obstacle maps, ai.js for computer players, renderer.js for drawing, gameloop.js for tick timing,
+ * touch.js for taps, gamepad.js for gamepads and recording.js for match recordings.
  */
 
 // Execute script after the DOM is fully loaded
@@ -15,406 +25,287 @@ document.addEventListener('DOMContentLoaded', () => {
     const ctx = canvas.getContext('2d'); // The 2D rendering context for drawing on the canvas
 
     // --- UI Element References ---
-    const p1ScoreSpan = document.getElementById('p1-current-score'); // Span displaying Player 1's score
-    const p2ScoreSpan = document.getElementById('p2-current-score'); // Span displaying Player 2's score
+    const playerScoresElement = document.getElementById('player-scores'); // Holds one score display per player (filled in by initTwoPlayer)
     const survivalTimeSpan = document.getElementById('current-survival-time'); // Span displaying the match survival time
     const messageElement = document.getElementById('message-area'); // Element for displaying general game messages
     const gameResultArea = document.getElementById('game-result-area'); // Element for displaying final game results
     const startButton = document.getElementById('start-button'); // The game start/restart button
+    const coopStatusElement = document.getElementById('coop-status'); // Team score, lives and time left (co-op only)
+    const leaderboardArea = document.getElementById('leaderboard-area'); // Co-op leaderboard, hidden in versus matches
+    const leaderboardList = document.getElementById('leaderboard-list'); // The ul element listing the co-op results
+    const keyBindings = loadKeyBindings().players; // Keys for each seat's actions, set on the mode selection page (see common.js)
+    // How the messages tell the players to start or resume (with the first player's keys): tap on touch screens, keys otherwise
+    const startHint = SnakeTouch.isTouchDevice() ? '轻点棋盘' : `按${formatKeyName(keyBindings[0].start[0])}键`;
+    const resumeHint = SnakeTouch.isTouchDevice() ? '轻点棋盘继续' : `按 ${keyBindings[0].pause.map(formatKeyName).join(' 或 ')} 继续`;
 
 
     // --- Game State Variables ---
-    let players = []; // Array containing player objects (Player 1 and Player 2)
-    let food; // Object representing the food position ({x, y})
-    let speed = 120; // Game speed in milliseconds (interval between game ticks, lower value means faster)
-    let initialTwoPlayerSpeed = 120; // Stores the speed set by the initial difficulty, used as a baseline for dynamic speed adjustment
-    let twoPlayerScoreStepReduction = 5; // Amount speed decreases per point for the current difficulty
-    let gameLoopTimeout; // Stores the ID returned by setTimeout for the game loop
+    let game; // Match state managed by SnakeEngine (all snakes, scores, food, current speed, etc.)
+    let playerCount = MIN_LOCAL_PLAYERS; // Number of players (read from URL parameters)
+    let scoreSpans = []; // Span displaying each player's score
+    let directionQueues = [[], []]; // Per-player queue of requested directions not yet played, oldest first (see update())
+    let timesOfDeath = [null, null]; // Simulated match time (milliseconds) at each player's death (null if alive)
+    let previousGame = null; // Match state of the previous tick, used to interpolate the snakes between ticks
     let isGameRunning = false; // Flag indicating if the game is currently running
-    let gameStartTime = null; // Timestamp (milliseconds) when the current match started (for survival time calculation)
-    let currentMatchTime = 0; // Current match time in seconds
+    let isPaused = false; // Flag indicating if the running match is paused (P/Escape, or the page lost focus)
+    let pauseStartTime = null; // Timestamp (milliseconds) when the current pause began
+    let currentMatchTime = 0; // Current match time in seconds, taken from the engine's simulated match time
     let gameDifficulty = 'medium'; // Difficulty level selected (read from URL parameters)
+    let boardSettings = { width: GRID_WIDTH, height: GRID_HEIGHT, walls: 'solid' }; // Board size (cells) and wall mode (read from URL parameters)
+    let selectedLevel = null; // { id, level } selected with the 'level' URL parameter (null = plain board without obstacles)
+    let requestedSeed = null; // Seed requested via the 'seed' URL parameter (null = pick a new seed every match)
+    let matchSeed = null; // Seed of the current/last match, shown in the result area
+    let random = null; // Seeded random number source driving every random decision of the current match (created in startGame)
+    let recording = null; // Recording of the current/last match (seed, configuration and direction changes)
+    let seatControllers = ['human', 'human']; // Who plays each seat: 'human' or a SnakeAI strength (read from URL parameters)
+    let aiRandom = null; // Seeded random number source for the computer players (created in startGame)
+    const padSeats = new Map(); // Browser gamepad index -> index of the player it steers (see assignGamepad)
+    let coopCollisions = null; // Co-op collision rule from the 'coop' URL parameter (null = versus match)
+    let teamName = '玩家'; // Name the co-op team's results are submitted under (read from URL parameters)
+
+    // --- Leaderboard Display Limit ---
+    const LEADERBOARD_DISPLAY_LIMIT = 20; // How many co-op results are listed
 
 
     // --- Game Initialization ---
-    // Sets up the initial game state for two players. Reads difficulty from URL.
+    // Sets up the initial game state for all players. Reads the difficulty, the number of players and the seats from the URL.
     function initTwoPlayer() {
         console.log("Two player game initializing...");
 
         // Read difficulty from URL parameters
         const urlParams = new URLSearchParams(window.location.search);
         gameDifficulty = urlParams.get('difficulty') || 'easy'; // Get 'difficulty' param or default to 'easy'
-
-        // Set the initial game speed and score step reduction rate based on the selected difficulty level
-        setGameSpeed(gameDifficulty);
-        initialTwoPlayerSpeed = speed; // Store the speed set by the initial difficulty
-
-        // Initialize player states for both players to starting values
-        players = []; // Clear the existing players array
-        players.push({ // Player 1 (WASD, Blue) setup
-            snake: [{ x: Math.floor(GRID_WIDTH / 4), y: Math.floor(GRID_HEIGHT / 2) }], // Initial position for P1
-            score: 0, // Initial score
-            direction: 'right', // Initial direction
-            nextDirection: 'right', // Next direction
-            alive: true, // Player starts alive
-            color: '#0000FF', // Blue color
-            name: '玩家一', // Player name
-            startTime: null, // Game start time (not strictly necessary per player here but kept)
-            survivalTime: 0, // Individual survival time
-            timeOfDeath: null // Timestamp of death (null if alive)
-        });
-        players.push({ // Player 2 (Arrows, Red) setup
-            snake: [{ x: Math.floor(GRID_WIDTH * 3 / 4), y: Math.floor(GRID_HEIGHT / 2) }], // Initial position for P2
-            score: 0, // Initial score
-            direction: 'left', // Initial direction
-            nextDirection: 'left', // Next direction
-            alive: true, // Alive state
-            color: '#FF0000', // Red color
-            name: '玩家二', // Player name
-            startTime: null,
-            survivalTime: 0,
-            timeOfDeath: null
+        requestedSeed = parseSeed(urlParams.get('seed')); // Optional 'seed' param to replay a specific match
+        boardSettings = parseBoardSettings(urlParams); // 'board' (+ 'width'/'height' for custom) and 'walls' params
+        const requestedPlayers = parseInt(urlParams.get('players'), 10); // Optional 'players' param: 2 (default) to 4
+        playerCount = Math.min(MAX_LOCAL_PLAYERS, Math.max(MIN_LOCAL_PLAYERS, isNaN(requestedPlayers) ? MIN_LOCAL_PLAYERS : requestedPlayers));
+        // Optional 'coop' param: the two players form a team; its results are ranked per team name ('username' param)
+        coopCollisions = SnakeEngine.COOP_COLLISIONS.includes(urlParams.get('coop')) ? urlParams.get('coop') : null;
+        teamName = urlParams.get('username') || '玩家';
+        if (coopCollisions) playerCount = MIN_LOCAL_PLAYERS; // A co-op team is always two players
+        selectedLevel = SnakeLevels.getSelectedLevel(urlParams, playerCount); // Optional 'level' param; the level needs a spawn point per player
+        seatControllers = PLAYER_PRESETS.slice(0, playerCount).map((preset, pIndex) => {
+            const value = urlParams.get(`p${pIndex + 1}`); // Optional 'p1'...'p4' params: a computer player's strength
+            return SnakeAI.isStrength(value) ? value : 'human';
         });
+        if (selectedLevel) {
+            // A level brings its own board size and wall mode
+            boardSettings = { width: selectedLevel.level.width, height: selectedLevel.level.height, walls: selectedLevel.level.walls || 'solid' };
+        }
+        resizeCanvasForBoard(canvas, boardSettings.width, boardSettings.height); // Size the canvas for the selected board
+        createScoreDisplays();
 
-        // Reset food and game state flags
-        food = null; // No food on initialization
+        // Initialize the match state for all players (no food yet)
+        game = SnakeEngine.createGame(createTwoPlayerConfig());
+        directionQueues = game.players.map(() => []);
+        timesOfDeath = game.players.map(() => null);
+
+        // Reset game state flags
         isGameRunning = false; // Game is not running until Start is clicked
-        gameStartTime = null; // Reset match start time
+        isPaused = false;
         currentMatchTime = 0; // Reset current match time
 
         // Update UI displays to initial values
         updateScoreDisplays();
         updateMatchTimeDisplay();
+        if (leaderboardArea) leaderboardArea.style.display = coopCollisions ? '' : 'none';
+        if (coopCollisions) fetchCoopLeaderboard();
         messageElement.textContent = ''; // Clear previous messages
         gameResultArea.textContent = ''; // Clear previous results display
         startButton.textContent = '开始游戏'; // Set start button text
         startButton.disabled = false; // Enable the start button
 
-        // Clear any potentially existing game loop timeout from a previous session/page load
-        if (gameLoopTimeout) {
-            clearTimeout(gameLoopTimeout);
-        }
+        // Stop any game loop still running from a previous session
+        gameLoop.stop();
+        previousGame = null;
 
         // Perform initial drawing of the game board (empty) and the snakes
         draw();
 
-        console.log(`Two player game initialized. Difficulty: ${gameDifficulty}, Initial Speed: ${initialTwoPlayerSpeed}ms, Speed Step: ${twoPlayerScoreStepReduction}ms/point`); // Log initialization details
+        console.log(`Two player game initialized. Difficulty: ${gameDifficulty}, Initial Speed: ${game.initialSpeed}ms, Speed Step: ${game.reductionRate}ms/point, Seats: ${seatControllers.join(' / ')}${coopCollisions ? `, Co-op: ${coopCollisions}` : ''}`); // Log initialization details
     }
 
-    // --- Game Speed Configuration ---
-    // Sets the initial global 'speed' variable and the score step reduction rate
-    // based on the selected two-player difficulty level.
-    // This function is typically called only once during initialization and at the start of a new game.
-    // Dynamic speed changes based on combined player scores happen in the update function using the determined step rate.
-    // difficulty: string - The difficulty level ('super_easy', 'easy', 'medium', 'hard').
-    function setGameSpeed(difficulty) {
-        switch (difficulty) {
-            case 'super_easy':
-                speed = 200; // Slowest initial speed (longest interval)
-                twoPlayerScoreStepReduction = 2; // Very small speed increase per point
-                break;
-            case 'easy':
-                speed = 150; // Slower initial speed
-                twoPlayerScoreStepReduction = 3; // Small speed increase per point
-                break;
-            case 'hard':
-                speed = 50; // Fastest initial speed
-                twoPlayerScoreStepReduction = 7; // Large speed increase per point
-                break;
-            case 'medium':
-            default:
-                speed = 100; // Default (medium) initial speed
-                twoPlayerScoreStepReduction = 5; // Medium speed increase per point
-                break;
-        }
-    }
-
-
-    // --- Food Generation ---
-    // Generates a new food position on the grid.
-    // Ensures the new food position does not overlap with ANY segment of ANY alive snake.
-    function generateFood() {
-        let newFoodPosition;
-        let isCollidingWithAnySnake;
-        do {
-            // Generate random integer grid coordinates within bounds
-            newFoodPosition = {
-                x: Math.floor(Math.random() * GRID_WIDTH), // Random x-coordinate
-                y: Math.floor(Math.random() * GRID_HEIGHT) // Random y-coordinate
+    // --- Match State ---
+    // Builds the engine configuration for the current difficulty and board with every player at their starting position
+    // (see createPlayerSpawns in common.js; on a level's obstacle map, the level's first spawn points).
+    // The initial speed and per-point speed step for the difficulty come from the engine's speed table.
+    // Special items (bonus food and power-ups) are enabled in every new match.
+    // Each player records who played the seat ('controller', ignored by the engine), so computer teammates keep
+    // co-op results off the leaderboard; a co-op match adds the engine's 'coop' configuration.
+    // The same configuration is stored in the match recording so the replay starts identically.
+    function createTwoPlayerConfig() {
+        // Player 1 plays blue, player 2 red, player 3 green and player 4 orange
+        const players = PLAYER_PRESETS.slice(0, playerCount)
+            .map((preset, pIndex) => ({ color: preset.color, name: preset.name, controller: seatControllers[pIndex] }));
+        const coop = coopCollisions ? { coop: { collisions: coopCollisions } } : {};
+        if (selectedLevel) {
+            return {
+                ...SnakeLevels.createLevelConfig(selectedLevel.level, 'twoplayer', gameDifficulty, players),
+                items: true,
+                ...coop
             };
-            // Check if the new position overlaps with ANY segment of ANY alive snake (using common helper)
-            isCollidingWithAnySnake = players.some(p =>
-                p.alive && isPositionOnSnake(newFoodPosition, p.snake) // 'some' checks if at least one player's snake contains the position
-            );
-        } while (isCollidingWithAnySnake); // Keep generating until the position is not occupied by any snake
-        food = newFoodPosition; // Assign the valid, non-overlapping food position
-        console.log("Food generated at:", food); // Log the food position
+        }
+        const spawns = createPlayerSpawns(boardSettings.width, boardSettings.height, playerCount);
+        return {
+            mode: 'twoplayer',
+            difficulty: gameDifficulty,
+            width: boardSettings.width, // Board size in cells
+            height: boardSettings.height,
+            walls: boardSettings.walls, // 'solid' or 'wrap'
+            items: true, // Spawn bonus food and power-ups
+            players: players.map((player, pIndex) => ({
+                spawn: spawns[pIndex].spawn, // Initial position
+                direction: spawns[pIndex].direction, // Initial direction
+                ...player
+            })),
+            ...coop
+        };
     }
 
 
     // --- Game Loop ---
-    // The main function controlling the game flow and timing.
-    // It uses setTimeout to repeatedly call the update and draw functions at intervals determined by the game speed.
-    function gameLoop() {
-        // Stop the loop if the game is not currently running.
-        if (!isGameRunning) {
-            return;
-        }
-
-        // Update the current match time display every tick if the game has started.
-        if (gameStartTime) {
-            currentMatchTime = Math.floor((Date.now() - gameStartTime) / 1000); // Calculate elapsed time in seconds
-            updateMatchTimeDisplay(); // Update the corresponding UI element
-        }
-
-        // Schedule the next execution of the gameLoop function after a delay equal to the 'speed'.
-        // The 'speed' variable is dynamically updated in the 'update' function based on combined scores.
-        gameLoopTimeout = setTimeout(() => {
-            update(); // Call the function to update the game state (move snakes, check collisions, etc.)
-            draw(); // Call the function to redraw the canvas with the updated state
-
-            // Check game continuation conditions:
-            // Check if at least one player is still alive
-            const anyAlive = players.some(player => player.alive);
-            // Continue the loop if ANY player is still alive AND the gameRunning flag is true.
-            if (anyAlive && isGameRunning) {
-                gameLoop(); // Recursively call gameLoop for the next tick.
-            } else if (isGameRunning) { // If no players are alive, but the game is still marked as running (meaning game just ended).
-                gameOver(); // End the game.
+    // The match runs on a fixed-timestep loop (gameloop.js) driven by requestAnimationFrame.
+    // Every tick lasts exactly the engine's current interval (game.speed, set by the difficulty and
+    // recalculated from the combined scores whenever food is eaten), and the board is redrawn every
+    // animation frame with both snakes interpolated between the last two ticks.
+    const gameLoop = SnakeLoop.createLoop({
+        getInterval: () => game.speed,
+        tick: () => {
+            update(); // Advance the match
+            // End the game once no player is alive (in co-op: once the team has won or lost)
+            if (game.over && isGameRunning) {
+                gameOver();
             }
-
-        }, speed); // The delay for the setTimeout is set by the global 'speed' variable (controlled by difficulty and total score).
-    }
+            return isGameRunning; // Stop the loop once the game has ended
+        },
+        render: (alpha) => draw(alpha)
+    });
 
     // --- Game State Update ---
-    // Updates the position of both snakes, checks for all types of collisions (wall, self, player-to-player),
-    // and food consumption. Determines which players die during this tick.
-    // Dynamically adjusts game speed based on the combined score of all players using a common helper function
-    // and the difficulty-specific step rate.
+    // Advances the match by one tick through the shared engine, which moves all snakes, checks for all
+    // types of collisions (wall, obstacle, self, player-to-player), food and item pickups, and adjusts the speed
+    // based on the food eaten by all players. Deaths reported by the engine are timed here.
+    // Computer players choose their direction for the tick here instead of taking it from a key queue.
     function update() {
-        // Calculate potential next head positions for all players (including those who might be dying)
-        const nextPositions = players.map(player => {
-            if (!player.alive) return null; // If player is not alive, their position doesn't update, return null
-
-            const nextHead = { ...player.snake[0] }; // Create a copy of the current head position object
-            const direction = player.nextDirection; // Get player's next intended direction
-            switch (direction) {
-                case 'up': nextHead.y -= 1; break; // Move one grid cell up
-                case 'down': nextHead.y += 1; break; // Move one grid cell down (increase y-coordinate).
-                case 'left': nextHead.x -= 1; break; // Move one grid cell left (decrease x-coordinate).
-                case 'right': nextHead.x += 1; break; // Move one grid cell right (increase x-coordinate).
-            }
-            return nextHead; // Return the calculated potential next head position
+        const nextDirections = directionQueues.map((queue, pIndex) => {
+            if (seatControllers[pIndex] !== 'human') return SnakeAI.chooseDirection(game, pIndex, seatControllers[pIndex], aiRandom);
+            return queue.length > 0 ? queue.shift() : null; // One queued turn per player per tick
         });
-
-        // Array to track which players are marked as dying during this update tick.
-        // Initialize all to false. A player marked true will die at the end of this tick.
-        const playersDyingThisFrame = new Array(players.length).fill(false);
-
-        // --- Collision Detection Phase ---
-        // Determine who dies based on potential next positions and current occupied positions.
-        // This phase calculates *all* deaths before committing any moves.
-
-        players.forEach((player, pIndex) => {
-            // Only check collisions for players who are currently alive
-            if (!player.alive) return;
-
-            const nextHead = nextPositions[pIndex]; // Get the calculated potential next head position for this player
-
-            // 1. Check Wall Collision
-            if (checkWallCollision(nextHead)) { // Use common helper function to check if nextHead is outside bounds
-                playersDyingThisFrame[pIndex] = true; // Mark this player as dying
-                console.log(`${player.name} collided with wall.`); // Log the collision
-            }
-
-            // 2. Check Self Collision (current player's next head hits current player's body)
-            // Only check if the player hasn't already collided with a wall this frame
-            if (!playersDyingThisFrame[pIndex] && checkSelfCollision(nextHead, player.snake)) { // Use common helper function
-                playersDyingThisFrame[pIndex] = true; // Mark this player as dying
-                console.log(`${player.name} collided with self.`); // Log the collision
-            }
-
-            // 3. Check Collisions with Other Player(s)
-            // Iterate through all other players to check collisions against them
-            players.forEach((otherPlayer, otherPIndex) => {
-                // Skip checking collision with self
-                // Only check against other players who are currently alive
-                if (pIndex === otherPIndex || !otherPlayer.alive) return;
-
-                const otherNextHead = nextPositions[otherPIndex]; // Get the other player's calculated potential next head
-
-                // --- Player-to-Player Collision Logic ---
-
-                // 3a. Head-to-Head Collision (both players moving to the same exact next position)
-                // This needs to mark *both* players for death if it occurs, regardless of other collisions.
-                if (nextHead.x === otherNextHead.x && nextHead.y === otherNextHead.y) {
-                    playersDyingThisFrame[pIndex] = true; // Mark current player as dying
-                    playersDyingThisFrame[otherPIndex] = true; // Mark other player as dying
-                    console.log(`${player.name} and ${otherPlayer.name} had head-to-head collision at ${nextHead.x},${nextHead.y}.`); // Log the collision
-                }
-
-                // 3b. Current Player's Head vs Other Player's Body (including their head)
-                // Check if the current player's potential next head collides with ANY segment
-                // of the other player's *current* snake body (including their current head).
-                if (!playersDyingThisFrame[pIndex] && isPositionOnSnake(nextHead, otherPlayer.snake.slice(0))) { // Use common helper function, slice(0) includes the head
-                    playersDyingThisFrame[pIndex] = true; // Mark the current player as dying
-                    console.log(`${player.name}'s head collided with ${otherPlayer.name}'s snake segment.`); // Log the collision
+        const result = SnakeEngine.step(game, nextDirections, random);
+        SnakeRecording.recordTick(recording, game, result.state); // Log the direction changes consumed this tick
+        previousGame = game; // Kept for interpolated drawing
+        game = result.state;
+
+        result.events.forEach(event => {
+            switch (event.type) {
+                case 'death': {
+                    const player = game.players[event.playerIndex];
+                    timesOfDeath[event.playerIndex] = game.elapsedMs; // Record the match time of death
+                    directionQueues[event.playerIndex] = []; // Turns queued before the death never carry over to a respawn
+                    const other = event.otherIndex !== undefined ? ` (${game.players[event.otherIndex].name})` : '';
+                    debugLog(`${player.name} confirmed dead: ${event.cause}${other}.`); // Log the collision
+                    break;
                 }
-
-                // 3c. Other Player's Head vs Current Player's Body (including head)
-                // This specific check is handled implicitly when the outer loop iterates for the 'otherPlayer'
-                // as the 'player'.
-            });
-        });
-        // --- End Collision Detection Phase ---
-
-
-        // --- State Update Phase (based on collision results) ---
-        // Now that all deaths have been determined for this tick, update the game state.
-        let foodEatenThisFrame = false; // Flag to track if any food was eaten this frame
-
-        // Iterate through all players to update their state (position, score, alive status)
-        players.forEach((player, pIndex) => {
-            // Only process players who were alive at the start of this tick
-            if (!player.alive) return; // Skip if player was already dead before this update tick began
-
-            // If this player was marked as dying during the collision detection phase
-            if (playersDyingThisFrame[pIndex]) {
-                player.alive = false; // Set player status to not alive
-                player.timeOfDeath = Date.now(); // Record the exact time of death
-                console.log(`${player.name} confirmed dead.`); // Log confirmation
-                // Do NOT update snake position for dying players - they freeze at their current spot of collision
-                return; // Stop processing for this player in this tick
+                case 'lifeLost': debugLog(`${game.players[event.playerIndex].name} lost a life, ${event.lives} left.`); break;
+                case 'respawn': debugLog(`${game.players[event.playerIndex].name} respawned at:`, event.position); break;
+                case 'food': debugLog("Food generated at:", event.position); break;
+                case 'item': debugLog(`${game.players[event.playerIndex].name} picked up ${event.item} item.`); break;
+                case 'itemSpawn': debugLog(`Item ${event.item} generated at:`, event.position); break;
+                case 'itemExpired': debugLog(`Item ${event.item} expired at:`, event.position); break;
+                case 'speed': debugLog(`New speed: ${event.speed}ms`); break;
             }
-
-            // If this player survived all collisions this tick
-            player.direction = player.nextDirection; // Update current direction to the intended next direction
-            const nextHead = nextPositions[pIndex]; // Get the calculated potential next head
-
-            // Check food collision for this surviving player
-            if (food && nextHead.x === food.x && nextHead.y === food.y) {
-                player.score++; // Increase player's score
-                foodEatenThisFrame = true; // Set flag to regenerate food later
-            } else {
-                // If no food was eaten, remove the last segment of the snake (simulating movement)
-                player.snake.pop();
-            }
-
-            // Add the new head segment to the beginning of the snake array for the surviving player
-            player.snake.unshift(nextHead);
         });
 
-        // If any food was eaten this frame by any player, generate a new food item and adjust speed
-        if (foodEatenThisFrame) {
-            generateFood(); // Use the two-player specific generateFood function
-
-            // --- Adjust speed based on total score using common helper function and difficulty-specific step ---
-            const totalScore = players.reduce((sum, p) => sum + p.score, 0); // Calculate the sum of scores for all players
-            // Calculate the new speed based on the initial speed, total score, and the mode's reduction rate per point.
-            speed = calculateDynamicSpeed(initialTwoPlayerSpeed, totalScore, twoPlayerScoreStepReduction);
-            console.log(`Total score increased to ${totalScore}, new speed: ${speed}ms`); // Log the total score and new speed
-            // --- End speed adjustment ---
-        }
-
-        // Update the score displays in the UI for both players
+        // Update the score displays in the UI for all players
         updateScoreDisplays();
+
+        // Update the current match time display every tick.
+        // Match time is the engine's simulated time (the sum of elapsed tick intervals), so pauses are never counted.
+        currentMatchTime = Math.floor(game.elapsedMs / 1000); // Elapsed time in seconds
+        updateMatchTimeDisplay(); // Update the corresponding UI element
     }
 
 
     // --- Drawing ---
     // Clears the canvas and redraws all game elements (background, food, snakes) based on the current game state.
-    function draw() {
-        // Clear the entire canvas by filling it with the background color.
-        ctx.fillStyle = '#e0e0e0'; // Set the fill color for the background.
-        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT); // Fill the rectangle covering the entire canvas dimensions.
-
-        // Draw the food on the canvas if the 'food' object is not null.
-        if (food) {
-            drawRect(ctx, food.x, food.y, 'red'); // Use the common helper function to draw a red rectangle at the food's grid coordinates.
-        }
+    // Draws the paused overlay on top while the match is paused.
+    // alpha: number - Optional fraction (0 to 1) of the next tick that has elapsed; the snakes are drawn
+    //        that far between their previous and current positions. Without it the current state is drawn as is.
+    function draw(alpha) {
+        SnakeRenderer.drawGame(ctx, game, previousGame, alpha);
+        if (isPaused) SnakeRenderer.drawPausedOverlay(ctx, resumeHint);
+    }
 
-        // Draw each player's snake segments.
-        players.forEach(player => {
-            player.snake.forEach((segment, index) => {
-                // Darken the color specifically for the head segment (index 0) for visual distinction.
-                const color = (index === 0) ? darkenColor(player.color, 20) : player.color; // Use common helper function to darken color.
-                // Draw the segment. If the player is not alive, draw in grey; otherwise, use the player's color.
-                drawRect(ctx, segment.x, segment.y, player.alive ? color : '#888888'); // Use common helper function to draw the segment.
-            });
-        });
+    // Creates one score display per player ("P1 (蓝色) 得分: 0"), in the player's color.
+    function createScoreDisplays() {
+        if (!playerScoresElement) return;
+        playerScoresElement.innerHTML = PLAYER_PRESETS.slice(0, playerCount)
+            .map((preset, pIndex) => `<span class="player-score" style="color: ${preset.color};">P${pIndex + 1} (${preset.colorName}) 得分: <span>0</span></span>`)
+            .join(' ');
+        scoreSpans = Array.from(playerScoresElement.querySelectorAll('.player-score > span'));
     }
 
-    // Updates the score display elements for Player 1 and Player 2 in the UI.
+    // Updates the score display elements for every player in the UI.
     function updateScoreDisplays() {
-        // Check if the score display elements exist and update their text content.
         // Use optional chaining (?.) and nullish coalescing (??) for safety
-        // in case players array or score property is temporarily undefined (e.g., during init).
-        if (p1ScoreSpan) p1ScoreSpan.textContent = players[0]?.score ?? 0;
-        if (p2ScoreSpan) p2ScoreSpan.textContent = players[1]?.score ?? 0;
+        // in case the game state or score property is temporarily undefined (e.g., during init).
+        scoreSpans.forEach((span, pIndex) => {
+            span.textContent = game?.players[pIndex]?.score ?? 0;
+        });
     }
 
-    // Updates the match survival time display element in the UI.
+    // Updates the match survival time display element in the UI, and in co-op the team's progress.
     function updateMatchTimeDisplay() {
         // Check if the survival time display element exists and update its text content.
         if (survivalTimeSpan) survivalTimeSpan.textContent = currentMatchTime;
+        if (coopStatusElement) coopStatusElement.textContent = game?.coop ? describeCoopStatus(game) : '';
+    }
+
+    // Describes a co-op team's progress: team score against the target, lives left and time left.
+    function describeCoopStatus(state) {
+        const timeLeft = Math.max(0, Math.ceil((state.coop.timeLimitMs - state.elapsedMs) / 1000));
+        return `团队得分: ${SnakeEngine.getTeamScore(state)} / ${state.coop.targetScore}　剩余生命: ${state.coop.lives}　剩余时间: ${timeLeft}s`;
     }
 
 
     // --- Game State Control ---
-    // Starts a new two player game. Resets game state variables and UI elements.
+    // Starts a new local versus game. Resets game state variables and UI elements.
     function startGame() {
         // Exit the function if the game is already running.
         if (isGameRunning) return;
 
         console.log("Starting two player game..."); // Log game start
 
-        // Re-initialize player states fully for a new game.
-        players = []; // Clear the existing players array
-        players.push({ // Initialize Player 1 (WASD, Blue) state
-            snake: [{ x: Math.floor(GRID_WIDTH / 4), y: Math.floor(GRID_HEIGHT / 2) }], // Reset snake position for P1
-            score: 0, // Reset score
-            direction: 'right', // Reset direction
-            nextDirection: 'right', // Reset next direction
-            alive: true, // Player starts alive
-            color: '#0000FF', // Blue color
-            name: '玩家一', // Player name
-            startTime: null, // Reset start time
-            survivalTime: 0, // Reset survival time
-            timeOfDeath: null // Reset time of death
-        });
-        players.push({ // Initialize Player 2 (Arrows, Red) state
-            snake: [{ x: Math.floor(GRID_WIDTH * 3 / 4), y: Math.floor(GRID_HEIGHT / 2) }], // Reset snake position for P2
-            score: 0, // Reset score
-            direction: 'left', // Reset direction
-            nextDirection: 'left', // Reset next direction
-            alive: true, // Player starts alive
-            color: '#FF0000', // Red color
-            name: '玩家二', // Player name
-            startTime: null,
-            survivalTime: 0,
-            timeOfDeath: null
-        });
+        // Re-initialize player states fully for a new game, including the initial speed for the difficulty.
+        // A new seeded random source is created for the match and the first food item is placed right away.
+        matchSeed = requestedSeed !== null ? requestedSeed : generateSeed();
+        random = createSeededRandom(matchSeed);
+        // The computer players get their own source, so they never change the food sequence and a seed replays them too
+        aiRandom = createSeededRandom((matchSeed + 1) >>> 0);
+        const config = createTwoPlayerConfig();
+        recording = SnakeRecording.createRecording(config, matchSeed); // Record the match for the replay page
+        game = SnakeEngine.placeFood(SnakeEngine.createGame(config), random);
+        previousGame = null;
+        directionQueues = game.players.map(() => []);
+        timesOfDeath = game.players.map(() => null);
 
-        food = null; // Reset food position
         isGameRunning = true; // Mark game as running
-        gameStartTime = Date.now(); // Record the exact timestamp when the game starts
+        isPaused = false; // A new match always starts unpaused
+        pauseStartTime = null;
         currentMatchTime = 0; // Reset current match time
         messageElement.textContent = ''; // Clear previous messages in the UI
         gameResultArea.textContent = ''; // Clear previous game results display
         startButton.textContent = '进行中...'; // Update the start button text
         startButton.disabled = true; // Disable the start button while the game is in progress
 
-        generateFood(); // Generate the first food item for the new game
-
-        // Reset speed to the initial difficulty speed and set the step rate at the start of a new game
-        setGameSpeed(gameDifficulty);
-        initialTwoPlayerSpeed = speed; // Ensure initial speed is correctly stored for the new game
-
-        gameLoop(); // Start the main game loop execution
+        console.log(`Match seed: ${matchSeed}`);
+        updateMatchTimeDisplay(); // Show the reset time right away
+        draw(); // Show the initial board until the first tick
+        gameLoop.start(); // Start the main game loop execution
     }
 
-    // Ends the current two player game. Determines winner and displays results.
-    // Does NOT submit scores to the leaderboard as per requirements.
+    // Ends the current local game. Ranks the players (versus) or shows the team result and submits it (co-op).
+    // Versus scores are NOT submitted to the leaderboard as per requirements.
     function gameOver() {
         // Exit the function if the game is not running (e.g., already game over).
         if (!isGameRunning) return;
@@ -422,21 +313,21 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Two player Game Over!"); // Log game over event
         isGameRunning = false; // Mark the game as no longer running
 
-        // Clear the game loop timeout to stop further updates and drawing.
-        if (gameLoopTimeout) {
-            clearTimeout(gameLoopTimeout);
-        }
+        // Stop the game loop to halt further updates and drawing.
+        gameLoop.stop();
 
-        // Calculate and update final individual survival times based on game duration or time of death.
-        const gameEndTime = Date.now(); // Record the exact timestamp when the match ended
-        players.forEach(player => {
+        // Calculate and update final individual survival times based on the match duration or time of death.
+        // Both come from the engine's simulated match time, so paused intervals are excluded.
+        const gameEndTime = game.elapsedMs; // Match time when the match ended
+        const players = game.players.map((player, pIndex) => ({ ...player, index: pIndex, survivalTime: 0 })); // Result rows for display
+        players.forEach((player, pIndex) => {
             if (player.alive) {
-                // If player survived until the end of the match (i.e., the other player died)
-                player.survivalTime = Math.floor((gameEndTime - gameStartTime) / 1000);
+                // If player survived until the end of the match
+                player.survivalTime = Math.floor(gameEndTime / 1000);
             } else {
                 // If player died before the end of the match, use their recorded time of death
-                if (player.timeOfDeath !== null) {
-                    player.survivalTime = Math.floor((player.timeOfDeath - gameStartTime) / 1000);
+                if (timesOfDeath[pIndex] !== null) {
+                    player.survivalTime = Math.floor(timesOfDeath[pIndex] / 1000);
                 } else {
                     // Fallback case, should ideally not happen if timeOfDeath is set correctly on death
                     player.survivalTime = 0;
@@ -449,58 +340,237 @@ document.addEventListener('DOMContentLoaded', () => {
         startButton.disabled = false; // Enable the start button for restart
         startButton.textContent = '重新开始'; // Update start button text for restarting
 
-        // Format and display results for both players.
+        // Finish the match recording and keep it for the replay page (a co-op recording is also submitted with the result).
+        SnakeRecording.finishRecording(recording, game);
+        SnakeRecording.storeRecording(recording);
+
+        gameResultArea.innerHTML = game.coop ? createCoopResult(players) : createVersusResult(players);
+        appendReplayLinks(); // Link to the replay from the results
+        if (game.coop) submitCoopResult();
+
+        draw(); // Perform a final draw to show snakes in grey to indicate game over state
+
+        // Add a prompt message instructing the user how to start a new game.
+        messageElement.textContent += ` ${startHint}开始新游戏`;
+    }
+
+    // Builds the results of a versus match: every player ranked, and the winner.
+    // players: Array<Object> - Result rows (the final players with index and survivalTime).
+    // Returns: string - The results HTML.
+    function createVersusResult(players) {
+        // Rank all players (last player alive, then score, then survival time); tied players share a rank.
+        const ranking = [...players].sort((a, b) => compareResults(a, b).difference);
         let resultText = `<h3>对战结果</h3>`; // Title for the results section
-        const p1 = players.find(p => p.name === '玩家一'); // Find player 1 object by name
-        const p2 = players.find(p => p.name === '玩家二'); // Find player 2 object by name
-
-        // Display individual player results
-        if (p1) resultText += `<p><strong>${escapeHTML(p1.name)}</strong> (${p1.color === '#0000FF' ? '蓝色' : '红色'}): 得分 ${p1.score}, 游戏时长 ${p1.survivalTime}s ${p1.alive ? '(幸存)' : '(死亡)'}</p>`;
-        if (p2) resultText += `<p><strong>${escapeHTML(p2.name)}</strong> (${p2.color === '#FF0000' ? '红色' : '蓝色'}): 得分 ${p2.score}, 游戏时长 ${p2.survivalTime}s ${p2.alive ? '(幸存)' : '(死亡)'}</p>`;
-
-        // Determine and display the winner based on game outcomes (last player alive, then score, then time).
-        if (p1 && p2) {
-            if (p1.alive && !p2.alive) {
-                resultText += `<p><strong>${escapeHTML(p1.name)}</strong> 获胜!</p>`;
-            } else if (!p1.alive && p2.alive) {
-                resultText += `<p><strong>${escapeHTML(p2.name)}</strong> 获胜!</p>`;
-            } else {
-                // Both players died (simultaneously or already dead before this tick) or both survived (implies tie-game)
-                if (p1.score > p2.score) {
-                    resultText += `<p><strong>${escapeHTML(p1.name)}</strong> 获胜 (得分更高)!</p>`;
-                } else if (p2.score > p1.score) {
-                    resultText += `<p><strong>${escapeHTML(p2.name)}</strong> 获胜 (得分更高)!</p>`;
-                } else {
-                    // Scores are tied, compare survival time
-                    if (p1.survivalTime > p2.survivalTime) {
-                        resultText += `<p><strong>${escapeHTML(p1.name)}</strong> 获胜 (游戏时长更长)!</p>`;
-                    } else if (p2.survivalTime > p1.survivalTime) {
-                        resultText += `<p><strong>${escapeHTML(p2.name)}</strong> 获胜 (游戏时长更长)!</p>`;
-                    } else {
-                        // Exact tie, no winner determined by score/time
-                        resultText += `<p>平局!</p>`; // Both scores and times are tied
-                    }
-                }
-            }
+        resultText += `<table class="results-table"><thead><tr><th>名次</th><th>玩家</th><th>得分</th><th>游戏时长</th><th>状态</th></tr></thead><tbody>`;
+        let rank = 1;
+        ranking.forEach((player, position) => {
+            if (position > 0 && compareResults(ranking[position - 1], player).difference !== 0) rank = position + 1;
+            resultText += `<tr><td>${rank}</td>` +
+                `<td><strong style="color: ${player.color};">${escapeHTML(player.name)}</strong> (${PLAYER_PRESETS[player.index].colorName}${describeSeat(player.index)})</td>` +
+                `<td>${player.score}</td><td>${player.survivalTime}s</td><td>${player.alive ? '幸存' : '死亡'}</td></tr>`;
+        });
+        resultText += `</tbody></table>`;
+
+        // The winner is the first player of the ranking, unless the next one is tied with them
+        const deciding = compareResults(ranking[0], ranking[1]);
+        if (deciding.difference !== 0) {
+            resultText += `<p><strong>${escapeHTML(ranking[0].name)}</strong> 获胜${deciding.reason}!</p>`;
+        } else {
+            resultText += `<p>平局!</p>`; // Scores and times are tied at the top
         }
 
-        gameResultArea.innerHTML = resultText; // Display the results HTML in the results area
+        resultText += `<p>种子: ${escapeHTML(matchSeed)}</p>`; // Seed for replaying the same match via the 'seed' URL parameter
+        // As per requirements, versus scores are not submitted to the leaderboard.
+        return resultText;
+    }
 
-        // --- Score Submission Removed ---
-        // As per requirements, two-player scores are not submitted to the leaderboard.
-        // The submitScore function and its call were removed.
-        // --- End Score Submission Removal ---
+    // Builds the team result of a co-op match: whether the team reached the target in time, the team score,
+    // the time taken and lives left, and what each player contributed.
+    // players: Array<Object> - Result rows (the final players with index and survivalTime).
+    // Returns: string - The results HTML.
+    function createCoopResult(players) {
+        const coop = game.coop;
+        const teamScore = SnakeEngine.getTeamScore(game);
+        const outcomes = {
+            'won': `<p><strong>挑战成功!</strong> 用时 ${currentMatchTime}s 达到目标分数 ${coop.targetScore}。</p>`,
+            'timeUp': `<p><strong>挑战失败</strong>：时间到，未达到目标分数 ${coop.targetScore}。</p>`,
+            'noLives': `<p><strong>挑战失败</strong>：生命耗尽。</p>`
+        };
+        let resultText = `<h3>合作结果</h3>`;
+        resultText += outcomes[coop.result] || '';
+        resultText += `<p>队伍: <strong>${escapeHTML(teamName)}</strong>　团队得分: ${teamScore} / ${coop.targetScore}　用时: ${currentMatchTime}s　剩余生命: ${coop.lives}</p>`;
+        resultText += `<table class="results-table"><thead><tr><th>玩家</th><th>贡献得分</th></tr></thead><tbody>`;
+        players.forEach(player => {
+            resultText += `<tr><td><strong style="color: ${player.color};">${escapeHTML(player.name)}</strong> (${PLAYER_PRESETS[player.index].colorName}${describeSeat(player.index)})</td>` +
+                `<td>${player.score}</td></tr>`;
+        });
+        resultText += `</tbody></table>`;
+        resultText += `<p>种子: ${escapeHTML(matchSeed)}</p>`; // Seed for replaying the same match via the 'seed' URL parameter
+        return resultText;
+    }
 
+    // Compares two result rows for the ranking: a player still alive ranks first, then the higher score,
+    // then the longer survival time.
+    // Returns: { difference: number, reason: string } - Negative if a ranks before b, positive if after, 0 if tied;
+    //          reason is the winner label suffix for the deciding rule.
+    function compareResults(a, b) {
+        if (a.alive !== b.alive) return { difference: a.alive ? -1 : 1, reason: '' };
+        if (a.score !== b.score) return { difference: b.score - a.score, reason: ' (得分更高)' };
+        return { difference: b.survivalTime - a.survivalTime, reason: ' (游戏时长更长)' };
+    }
 
-        draw(); // Perform a final draw to show snakes in grey to indicate game over state
+    // Returns the result label suffix for a seat played by the computer (empty for a human player).
+    function describeSeat(pIndex) {
+        const controller = seatControllers[pIndex];
+        return controller === 'human' ? '' : `，电脑-${SnakeAI.AI_STRENGTHS[controller]}`;
+    }
 
-        // Add a prompt message instructing the user how to start a new game.
-        messageElement.textContent += ' 按空格键开始新游戏';
+    // Adds "watch replay" and "download replay" links for the last match to the results area.
+    function appendReplayLinks() {
+        const links = document.createElement('p');
+        links.innerHTML = `<a href="/replay.html">观看回放</a> | <a href="#" class="download-replay-link">下载录像</a>`;
+        links.querySelector('.download-replay-link').addEventListener('click', (e) => {
+            e.preventDefault(); // Do not follow the placeholder link
+            SnakeRecording.downloadRecording(recording);
+        });
+        gameResultArea.appendChild(links);
+    }
+
+    // --- Pause Handling ---
+    // Pausing stops the loop without advancing the engine, so the simulated match time (and therefore
+    // both players' survival times) never includes paused intervals. Each pause is logged in the match recording.
+
+    // Pauses a running match. Also called automatically when the tab is hidden or the window loses focus.
+    function pauseGame() {
+        if (!isGameRunning || isPaused) return;
+
+        isPaused = true;
+        pauseStartTime = Date.now(); // Remember when the pause began, for the recording
+        gameLoop.stop(); // Time spent paused is never simulated
+        draw(); // Show the paused overlay
+        messageElement.textContent = '已暂停';
+        console.log(`Match paused at tick ${game.tick}.`);
+    }
+
+    // Resumes a paused match and logs the pause in the match recording.
+    function resumeGame() {
+        if (!isGameRunning || !isPaused) return;
+
+        SnakeRecording.recordPause(recording, game.tick, Date.now() - pauseStartTime);
+        isPaused = false;
+        pauseStartTime = null;
+        messageElement.textContent = '';
+        draw(); // Remove the overlay right away
+        gameLoop.start(); // Continue with a full tick interval
+        console.log(`Match resumed at tick ${game.tick}.`);
+    }
+
+    // Switches between paused and running (P / Escape).
+    function togglePause() {
+        if (isPaused) {
+            resumeGame();
+        } else {
+            pauseGame();
+        }
     }
 
     // --- API Interaction (Leaderboard) ---
-    // The submitScore function and any calls to it have been removed from twoplayer.js
-    // as scores are not submitted from this mode.
+    // Only co-op team results are submitted, to their own leaderboard category (LEADERBOARD_MODES.coop).
+    // Like single player scores they are verified by the server, which re-simulates the recording.
+    // Results are compared on the same difficulty, board size, wall mode, level and collision rule only.
+
+    // Returns the query parameters selecting co-op results with the current difficulty, board size, wall mode, level
+    // and collision rule.
+    function getSettingsQuery() {
+        return {
+            mode: LEADERBOARD_MODES.coop,
+            difficulty: gameDifficulty,
+            boardSize: formatBoardSize(game.width, game.height),
+            wallMode: game.walls,
+            level: getLevelId(),
+            coopCollisions: coopCollisions
+        };
+    }
+
+    // Returns the level id stored with leaderboard entries: the built-in level id, or '' for a plain board.
+    function getLevelId() {
+        return selectedLevel ? selectedLevel.id : '';
+    }
+
+    // Fetches the best co-op results with the current settings from the backend API (the server filters and ranks
+    // them, so only the entries shown are downloaded) and lists them.
+    async function fetchCoopLeaderboard() {
+        if (!leaderboardList) return;
+        try {
+            const response = await fetch(createLeaderboardUrl('', { ...getSettingsQuery(), sort: 'rank', limit: LEADERBOARD_DISPLAY_LIMIT }));
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const result = await response.json();
+            displayCoopLeaderboard(Array.isArray(result.entries) ? result.entries.filter(entry => entry) : []);
+        } catch (error) {
+            console.error("Error fetching co-op leaderboard:", error);
+            leaderboardList.innerHTML = '<li>无法加载排行榜</li>';
+        }
+    }
+
+    // Lists co-op results: higher team score first, then the faster team (the server's order is kept).
+    // entries: Array<Object> - Leaderboard entries with the current settings.
+    function displayCoopLeaderboard(entries) {
+        if (entries.length === 0) {
+            leaderboardList.innerHTML = '<li>当前设置下暂无记录</li>';
+            return;
+        }
+        leaderboardList.innerHTML = entries.map(entry => `
+            <li>
+                <div class="leaderboard-entry-username">${escapeHTML(entry.username ?? '')}</div>
+                <div class="leaderboard-entry-score-time">
+                    <span class="score">团队得分: ${escapeHTML(entry.score ?? 0)}</span>
+                    <span class="time">用时: ${escapeHTML(entry.survivalTime ?? 0)}s</span>
+                </div>
+            </li>`).join('');
+    }
+
+    // Submits the team result of the co-op match that just ended, with its recording for verification.
+    // Matches with a computer teammate or on a custom level file are not ranked.
+    async function submitCoopResult() {
+        if (seatControllers.some(controller => controller !== 'human')) {
+            messageElement.textContent += ' 有电脑玩家参与的对局不计入排行榜。';
+            return;
+        }
+        if (selectedLevel && selectedLevel.id === SnakeLevels.CUSTOM_LEVEL_ID) {
+            messageElement.textContent += ' 自定义关卡的成绩不计入排行榜。';
+            return;
+        }
+        const entry = {
+            Username: teamName,
+            Score: SnakeEngine.getTeamScore(game),
+            SurvivalTime: currentMatchTime, // Time the team played (to the target score, if reached)
+            Timestamp: new Date().toISOString(),
+            Difficulty: gameDifficulty,
+            BoardSize: formatBoardSize(game.width, game.height),
+            WallMode: game.walls,
+            Level: getLevelId(),
+            Mode: LEADERBOARD_MODES.coop,
+            CoopCollisions: coopCollisions,
+            Replay: recording // Match recording the server re-simulates to verify the team score and time
+        };
+        console.log("Submitting co-op result...", entry);
+        try {
+            const response = await fetch(LEADERBOARD_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(entry)
+            });
+            if (!response.ok) {
+                console.error(`HTTP error! status: ${response.status}. Body: ${await response.text()}`);
+                messageElement.textContent = response.status === 400 ? '团队成绩校验失败，未保存' : '无法保存团队成绩';
+                return;
+            }
+            fetchCoopLeaderboard(); // Show the new result
+        } catch (error) {
+            console.error("Error submitting co-op result:", error);
+            messageElement.textContent = '无法保存团队成绩';
+        }
+    }
 
     // --- Event Listeners ---
     // Add event listener to the start button to call startGame function when clicked.
@@ -510,50 +580,120 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add a global keydown event listener to handle keyboard input for game controls and starting the game.
     document.addEventListener('keydown', handleKeyDownTwoPlayer);
 
-    // Handles keydown events specifically for two player mode controls (WASD for P1, Arrows for P2) and starting the game with Spacebar.
+    // A tap on the canvas starts a match or pauses/resumes it. Players steer with keys or gamepads only:
+    // one touch screen cannot be shared fairly by several players.
+    SnakeTouch.attachSwipe(canvas, { onTap: startOrTogglePause });
+
+    // The canvas follows the window size (e.g. when a tablet is rotated); resizing clears it, so it is redrawn
+    window.addEventListener('resize', () => {
+        resizeCanvasForBoard(canvas, game.width, game.height);
+        draw();
+    });
+
+    // Pause automatically when the tab is hidden or the window loses focus.
+    // The match stays paused until a player resumes it with a pause key (P or Escape by default).
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', () => pauseGame());
+
+    // Handles keydown events for the local versus controls: each human player's movement keys, and every player's
+    // start and pause keys (by default Spacebar, and P or Escape). All keys are rebindable on the mode selection page.
     // e: The KeyboardEvent object containing information about the key press.
     function handleKeyDownTwoPlayer(e) {
-        // Start the game using the Spacebar if the game is not currently running.
-        if (!isGameRunning && e.key === ' ') {
-            e.preventDefault(); // Prevent default browser action for Spacebar.
-            startGame(); // Call the startGame function.
-            return; // Exit the function after handling the Spacebar press.
+        // The action of the first player whose binding contains the key
+        let playerIndex = -1;
+        let action = null;
+        for (let pIndex = 0; pIndex < playerCount && action === null; pIndex++) {
+            action = getBoundAction(keyBindings[pIndex], e);
+            if (action !== null) playerIndex = pIndex;
         }
 
-        // Ignore key presses related to movement if the game is not running.
-        if (!isGameRunning) return;
-
-
-        let requestedDirection = null; // Variable to store the intended new direction based on the key press.
-        let playerIndex = -1; // Variable to store the index of the player whose key was pressed (0 for P1, 1 for P2).
+        // A start key starts the game if it is not currently running.
+        if (!isGameRunning && action === 'start') {
+            e.preventDefault(); // Prevent default browser action (e.g. Spacebar scrolling down).
+            startGame();
+            return;
+        }
 
-        // Check Player 1 (WASD) keys (case-insensitive)
-        switch (e.key.toLowerCase()) {
-            case 'w': playerIndex = 0; requestedDirection = 'up'; break;
-            case 's': playerIndex = 0; requestedDirection = 'down'; break;
-            case 'a': playerIndex = 0; requestedDirection = 'left'; break;
-            case 'd': playerIndex = 0; requestedDirection = 'right'; break;
+        // A pause key pauses and resumes a running match.
+        if (isGameRunning && action === 'pause') {
+            e.preventDefault();
+            togglePause();
+            return;
         }
-        // Check Player 2 (Arrow) keys
-        switch (e.key) {
-            case 'ArrowUp': playerIndex = 1; requestedDirection = 'up'; break;
-            case 'ArrowDown': playerIndex = 1; requestedDirection = 'down'; break;
-            case 'ArrowLeft': playerIndex = 1; requestedDirection = 'left'; break;
-            case 'ArrowRight': playerIndex = 1; requestedDirection = 'right'; break;
+
+        // If a movement key was pressed for a human player and the turn was queued
+        if (['up', 'down', 'left', 'right'].includes(action) && requestDirection(playerIndex, action)) {
+            e.preventDefault(); // Prevent default browser action for arrow keys.
         }
+    }
 
-        // If a valid movement key was pressed for a player, and that player is currently alive
-        if (playerIndex !== -1 && requestedDirection !== null && players[playerIndex]?.alive) {
-            const player = players[playerIndex]; // Get the player object
-            // Define an object mapping each direction to its opposite direction to prevent immediate reversal.
-            const oppositeDirections = {
-                'up': 'down', 'down': 'up', 'left': 'right', 'right': 'left'
-            };
-            // Check if the requested direction is NOT the opposite of the player's current direction.
-            if (player.direction !== oppositeDirections[requestedDirection]) {
-                player.nextDirection = requestedDirection; // Set the player's next intended direction.
-                e.preventDefault(); // Prevent default browser action for arrow keys or WASD.
+    // Queues a turn for a human player from the keyboard or a gamepad. Ignored while the game is not running
+    // or is paused, and for computer players and dead players.
+    // playerIndex: number - Index of the player
+    // direction: string - 'up', 'down', 'left' or 'right'
+    // Returns: true if the turn was queued.
+    function requestDirection(playerIndex, direction) {
+        if (!isGameRunning || isPaused || seatControllers[playerIndex] !== 'human' || !game.players[playerIndex]?.alive) return false;
+        // Queue the turn after any turns this player still has waiting for a tick. It is checked against
+        // the last queued direction, so quick double turns are kept and can never add up to a U-turn.
+        return SnakeEngine.queueDirection(directionQueues[playerIndex], game.players[playerIndex].direction, direction);
+    }
+
+    // --- Gamepad Input ---
+    // Each connected gamepad is assigned to the first human player that has none yet and steers that player
+    // with its D-pad or stick; the player's keys keep working. Start on any assigned gamepad starts a game or
+    // pauses/resumes it. Unplugging a gamepad frees its player (who can still use the keyboard) without
+    // interrupting the match.
+
+    // Assigns a gamepad to the first human player without a gamepad.
+    // padIndex: number - The browser's gamepad index
+    // Returns: The player index, or -1 if every human player already has a gamepad.
+    function assignGamepad(padIndex) {
+        if (padSeats.has(padIndex)) return padSeats.get(padIndex);
+        const taken = new Set(padSeats.values());
+        const pIndex = seatControllers.findIndex((controller, index) => controller === 'human' && !taken.has(index));
+        if (pIndex !== -1) padSeats.set(padIndex, pIndex);
+        return pIndex;
+    }
+
+    SnakeGamepad.createPoller({
+        onConnect: (padIndex, id) => {
+            const pIndex = assignGamepad(padIndex);
+            if (messageElement) {
+                messageElement.textContent = pIndex !== -1
+                    ? `手柄已连接，由${PLAYER_PRESETS[pIndex].name} (${PLAYER_PRESETS[pIndex].colorName}) 使用`
+                    : '手柄已连接，但没有空闲的玩家';
             }
+            console.log(`Gamepad ${padIndex} connected (${id}), assigned to seat ${pIndex}`);
+        },
+        onDisconnect: (padIndex, id) => {
+            const pIndex = padSeats.has(padIndex) ? padSeats.get(padIndex) : -1;
+            padSeats.delete(padIndex);
+            if (messageElement) {
+                messageElement.textContent = pIndex !== -1
+                    ? `${PLAYER_PRESETS[pIndex].name}的手柄已断开，可继续使用键盘`
+                    : '手柄已断开';
+            }
+            console.log(`Gamepad ${padIndex} disconnected (${id})`);
+        },
+        onDirection: (padIndex, direction) => {
+            // Gamepads the browser already knew before the page loaded are assigned on first use
+            const pIndex = assignGamepad(padIndex);
+            if (pIndex !== -1) requestDirection(pIndex, direction);
+        },
+        onStart: (padIndex) => {
+            if (assignGamepad(padIndex) !== -1) startOrTogglePause();
+        }
+    });
+
+    // Starts a match, or pauses/resumes the running one (tap on the canvas or Start on a gamepad).
+    function startOrTogglePause() {
+        if (isGameRunning) {
+            togglePause();
+        } else {
+            startGame();
         }
     }
 